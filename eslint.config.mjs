@@ -80,6 +80,23 @@ export default [
       "quotes": ["error", "double", { avoidEscape: true }],
     },
   },
+  {
+    // Dependencies run api -> utils, never back
+    files: ["src/utils/**/*.{ts,tsx}"],
+    rules: {
+      "no-restricted-imports": [
+        "error",
+        {
+          patterns: [
+            {
+              group: ["**/api", "**/api/*"],
+              message: "utils must not depend on api",
+            },
+          ],
+        },
+      ],
+    },
+  },
   {
     files: ["**/*.{js,jsx,mjs,cjs}"],
     languageOptions: {
@@ -65,13 +65,24 @@ export default defineConfig({
     },
   },
 
-  // Simple web server configuration
-  webServer: isCI
-    ? undefined
-    : {
-        command: "npm run dev",
-        url: process.env.PLAYWRIGHT_BASE_URL || "http://localhost:5173",
-        reuseExistingServer: !isCI,
-        timeout: 60000,
-      },
+  // Web servers - the mock credit API always starts; the Vite dev server is
+  // started by the CI workflow itself
+  webServer: [
+    {
+      command: "npm run mock-api",
+      url: `${process.env.MOCK_API_URL || "http://127.0.0.1:8000/api"}/health`,
+      reuseExistingServer: !isCI,
+      timeout: 30000,
+    },
+    ...(isCI
+      ? []
+      : [
+          {
+            command: "npm run dev",
+            url: process.env.PLAYWRIGHT_BASE_URL || "http://localhost:5173",
+            reuseExistingServer: !isCI,
+            timeout: 60000,
+          },
+        ]),
+  ],
 });
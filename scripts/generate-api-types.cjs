@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * API Type Generator
+ * Generates src/api/types.ts from the OpenAPI spec so the client, mock
+ * server and contract tests share one source of truth
+ *
+ * Usage: node scripts/generate-api-types.cjs [--check]
+ *   --check   Exit 1 if src/api/types.ts is out of date instead of writing it
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SPEC_PATH = "src/api/openapi.json";
+const OUTPUT_PATH = "src/api/types.ts";
+
+class ApiTypeGenerator {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.resolve(__dirname, "..");
+    this.spec = JSON.parse(
+      fs.readFileSync(path.join(this.projectRoot, SPEC_PATH), "utf8")
+    );
+  }
+
+  refName(ref) {
+    const prefix = "#/components/schemas/";
+    if (!ref.startsWith(prefix)) {
+      throw new Error(`Unsupported $ref: ${ref}`);
+    }
+    return ref.slice(prefix.length);
+  }
+
+  propertyKey(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+  }
+
+  typeFor(schema, indent) {
+    if (schema.$ref) return this.refName(schema.$ref);
+
+    let type;
+    if (schema.enum) {
+      type = schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+    } else if (schema.type === "array") {
+      const items = this.typeFor(schema.items || {}, indent);
+      type = /^\w+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+    } else if (schema.type === "object") {
+      type = schema.properties
+        ? this.objectBody(schema, indent)
+        : "Record<string, unknown>";
+    } else if (schema.type === "integer" || schema.type === "number") {
+      type = "number";
+    } else if (schema.type === "string" || schema.type === "boolean") {
+      type = schema.type;
+    } else {
+      type = "unknown";
+    }
+
+    return schema.nullable ? `${type} | null` : type;
+  }
+
+  objectBody(schema, indent) {
+    const required = new Set(schema.required || []);
+    const pad = "  ".repeat(indent + 1);
+    const lines = Object.entries(schema.properties).map(([name, property]) => {
+      const optional = required.has(name) ? "" : "?";
+      return `${pad}${this.propertyKey(name)}${optional}: ${this.typeFor(
+        property,
+        indent + 1
+      )};`;
+    });
+    return `{\n${lines.join("\n")}\n${"  ".repeat(indent)}}`;
+  }
+
+  declaration(name, schema) {
+    const comment = schema.description ? `// ${schema.description}\n` : "";
+    if (schema.type === "object" && schema.properties) {
+      return `${comment}export interface ${name} ${this.objectBody(schema, 0)}`;
+    }
+    const alias = `export type ${name} = ${this.typeFor(schema, 0)};`;
+    // Long unions go one member per line, the way prettier prints them
+    if (alias.length > 80 && schema.enum) {
+      const members = schema.enum.map(
+        (value) => `  | ${JSON.stringify(value)}`
+      );
+      return `${comment}export type ${name} =\n${members.join("\n")};`;
+    }
+    return `${comment}${alias}`;
+  }
+
+  generate() {
+    const header = [
+      "/**",
+      " * Credit API contract types",
+      ` * Generated from ${SPEC_PATH} by scripts/generate-api-types.cjs - do not edit`,
+      " */",
+    ].join("\n");
+
+    const declarations = Object.entries(this.spec.components.schemas).map(
+      ([name, schema]) => this.declaration(name, schema)
+    );
+    return `${header}\n\n${declarations.join("\n\n")}\n`;
+  }
+
+  run({ check = false } = {}) {
+    const outputPath = path.join(this.projectRoot, OUTPUT_PATH);
+    const generated = this.generate();
+    const current = fs.existsSync(outputPath)
+      ? fs.readFileSync(outputPath, "utf8")
+      : "";
+
+    if (check) {
+      if (current !== generated) {
+        console.log(`❌ ${OUTPUT_PATH} is out of date with ${SPEC_PATH}`);
+        console.log("💡 Run npm run api:types and commit the result");
+        return false;
+      }
+      console.log(`✅ ${OUTPUT_PATH} matches ${SPEC_PATH}`);
+      return true;
+    }
+
+    fs.writeFileSync(outputPath, generated);
+    console.log(`✅ Generated ${OUTPUT_PATH} from ${SPEC_PATH}`);
+    return true;
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  try {
+    const generator = new ApiTypeGenerator();
+    const passed = generator.run({ check: process.argv.includes("--check") });
+    process.exit(passed ? 0 : 1);
+  } catch (error) {
+    console.error("❌ API type generation failed:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = ApiTypeGenerator;
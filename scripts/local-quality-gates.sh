@@ -80,6 +80,15 @@ else
     OVERALL_STATUS=1
 fi
 
+# Contract Tests
+echo "🔍 Contract Tests"
+if npm run test:contract > /dev/null 2>&1; then
+    print_success "Contract Tests"
+else
+    print_error "Contract Tests - Fix API contract failures"
+    OVERALL_STATUS=1
+fi
+
 # Build
 echo "🔍 Build"
 if npm run build > /dev/null 2>&1; then
@@ -89,6 +98,15 @@ else
     OVERALL_STATUS=1
 fi
 
+# Sensitive Data
+echo "🔍 Sensitive Data Scan"
+if npm run scan:sensitive > /dev/null 2>&1; then
+    print_success "Sensitive Data Scan"
+else
+    print_error "Sensitive Data Scan - Mask or baseline the reported values (npm run scan:sensitive)"
+    OVERALL_STATUS=1
+fi
+
 # Security Audit
 echo "🔍 Security Audit"
 if npm audit --audit-level=moderate > /dev/null 2>&1; then
@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Credit API Server
+ * Local stand-in for the Laravel credit API so contract and e2e tests run
+ * offline; Node built-ins only, no runtime dependencies
+ *
+ * Usage: node scripts/mock-credit-api.cjs [--port 8000] [--host 127.0.0.1]
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+// Keep in sync with PERMISSIBLE_PURPOSES in src/utils/creditValidation.ts
+const PERMISSIBLE_PURPOSES = [
+  "credit_application",
+  "account_review",
+  "collection_activity",
+  "employment_screening",
+  "insurance_underwriting",
+  "tenant_screening",
+  "legitimate_business_need",
+];
+
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+// Seeded consumers; identifiers are stored pre-masked like the real API
+const CONSUMERS = {
+  "test-consumer-123": {
+    name: "JANE Q CONSUMER",
+    ssn: "***-**-6789",
+    credit_score: 720,
+    score_model: "FICO_8",
+    score_date: "2024-03-01",
+    trade_lines: [
+      {
+        creditor_name: "CAPITAL ONE",
+        account_number: "XXXXXXXXXXXX1234",
+        account_type: "revolving",
+        balance: 1200,
+        credit_limit: 5000,
+        status: "open",
+      },
+      {
+        creditor_name: "TOYOTA MOTOR CREDIT",
+        account_number: "XXXXXX5678",
+        account_type: "installment",
+        balance: 14250,
+        status: "open",
+      },
+    ],
+    payment_history: [
+      { month: "2024-02", status: "current" },
+      { month: "2024-01", status: "current" },
+      { month: "2023-12", status: "30_days_late" },
+    ],
+  },
+  "test-consumer-456": {
+    name: "JOHN R SAMPLE",
+    ssn: "***-**-4321",
+    credit_score: 584,
+    score_model: "FICO_8",
+    score_date: "2024-02-15",
+    trade_lines: [
+      {
+        creditor_name: "MIDLAND CREDIT MGMT",
+        account_number: "XXXXXXXX9012",
+        account_type: "collection",
+        balance: 842,
+        status: "collection",
+      },
+    ],
+    payment_history: [{ month: "2024-01", status: "charge_off" }],
+  },
+};
+
+// FICO weights applied to 0-100 factor ratings
+const SCORE_FACTORS = {
+  payment_history: 0.35,
+  credit_utilization: 0.3,
+  length_of_history: 0.15,
+  credit_mix: 0.1,
+  new_credit: 0.1,
+};
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class MockCreditApiServer {
+  constructor(options = {}) {
+    this.port = options.port ?? 8000;
+    this.host = options.host || "127.0.0.1";
+    this.users = {
+      "test@thecreditpros.com":
+        options.password || process.env.TEST_PASSWORD || "test-password",
+    };
+    this.sessions = new Map();
+    this.auditLog = [];
+    // Idempotency-Key -> audit entry, so retried pulls are audited once
+    this.pulls = new Map();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  get url() {
+    const address = this.server.address();
+    return `http://${this.host}:${address ? address.port : this.port}/api`;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => resolve(this.url));
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      // Keep-alive sockets would otherwise hold close() open
+      this.server.closeAllConnections();
+    });
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers":
+        "Authorization, Content-Type, Idempotency-Key",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  }
+
+  readJson(req) {
+    return new Promise((resolve, reject) => {
+      let raw = "";
+      req.on("data", (chunk) => {
+        raw += chunk;
+      });
+      req.on("end", () => {
+        try {
+          resolve(raw ? JSON.parse(raw) : {});
+        } catch {
+          reject(new ApiError(400, "INVALID_JSON", "Request body is not JSON"));
+        }
+      });
+      req.on("error", reject);
+    });
+  }
+
+  authenticate(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+    const session = match && this.sessions.get(match[1]);
+    if (!session || session.expiresAt <= Date.now()) {
+      throw new ApiError(401, "UNAUTHORIZED", "Authentication required");
+    }
+    return session;
+  }
+
+  // FCRA Section 604 - every credit access needs a permissible purpose
+  requirePurpose(purpose) {
+    if (!PERMISSIBLE_PURPOSES.includes(purpose)) {
+      throw new ApiError(
+        403,
+        "FCRA_VIOLATION",
+        "A valid permissible purpose is required to access credit data"
+      );
+    }
+  }
+
+  audit(session, action, consumerId, purpose) {
+    const entry = {
+      audit_id: `aud-${crypto.randomUUID()}`,
+      actor: session.email,
+      action,
+      consumer_id: consumerId,
+      permissible_purpose: purpose,
+      timestamp: new Date().toISOString(),
+    };
+    this.auditLog.push(entry);
+    return entry;
+  }
+
+  async login(req) {
+    const { email, password } = await this.readJson(req);
+    if (!email || this.users[email] !== password) {
+      throw new ApiError(
+        401,
+        "INVALID_CREDENTIALS",
+        "Invalid email or password"
+      );
+    }
+    const sessionId = crypto.randomBytes(24).toString("hex");
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    this.sessions.set(sessionId, { email, expiresAt });
+    return {
+      token: sessionId,
+      expires_at: new Date(expiresAt).toISOString(),
+    };
+  }
+
+  getCreditReport(req, consumerId, query) {
+    const session = this.authenticate(req);
+    const purpose = query.get("permissible_purpose");
+    this.requirePurpose(purpose);
+
+    const consumer = CONSUMERS[consumerId];
+    if (!consumer) {
+      throw new ApiError(404, "CONSUMER_NOT_FOUND", "Consumer not found");
+    }
+
+    const key = req.headers["idempotency-key"];
+    const replayKey = key && `${session.email}:${consumerId}:${purpose}:${key}`;
+    const entry =
+      (replayKey && this.pulls.get(replayKey)) ||
+      this.audit(session, "credit_report.read", consumerId, purpose);
+    if (replayKey) this.pulls.set(replayKey, entry);
+    return {
+      data: {
+        credit_score: consumer.credit_score,
+        score_model: consumer.score_model,
+        score_date: consumer.score_date,
+        trade_lines: consumer.trade_lines,
+        payment_history: consumer.payment_history,
+      },
+      meta: {
+        audit_id: entry.audit_id,
+        retrieved_at: entry.timestamp,
+        compliance_validated: true,
+      },
+    };
+  }
+
+  async calculateScore(req) {
+    const session = this.authenticate(req);
+    const body = await this.readJson(req);
+    this.requirePurpose(body.permissible_purpose);
+
+    const invalid = Object.keys(SCORE_FACTORS).filter(
+      (factor) =>
+        typeof body[factor] !== "number" ||
+        body[factor] < 0 ||
+        body[factor] > 100
+    );
+    if (invalid.length > 0) {
+      throw new ApiError(
+        422,
+        "VALIDATION_ERROR",
+        `Factors must be numbers from 0 to 100: ${invalid.join(", ")}`
+      );
+    }
+
+    // Utilization counts against the score, so invert its rating
+    const composite = Object.entries(SCORE_FACTORS).reduce(
+      (total, [factor, weight]) =>
+        total +
+        weight *
+          (factor === "credit_utilization" ? 100 - body[factor] : body[factor]),
+      0
+    );
+    const entry = this.audit(
+      session,
+      "credit_score.calculate",
+      null,
+      body.permissible_purpose
+    );
+    return {
+      score: Math.round(300 + (composite / 100) * 550),
+      calculation_method: "FICO_8",
+      audit_id: entry.audit_id,
+      timestamp: entry.timestamp,
+    };
+  }
+
+  async route(req) {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    const method = req.method;
+
+    if (method === "GET" && pathname === "/api/health") {
+      return { status: "ok" };
+    }
+    if (method === "POST" && pathname === "/api/auth/login") {
+      return this.login(req);
+    }
+    const report = /^\/api\/credit-reports\/([^/]+)$/.exec(pathname);
+    if (method === "GET" && report) {
+      return this.getCreditReport(
+        req,
+        decodeURIComponent(report[1]),
+        searchParams
+      );
+    }
+    if (method === "POST" && pathname === "/api/credit-score/calculate") {
+      return this.calculateScore(req);
+    }
+    throw new ApiError(404, "NOT_FOUND", "Resource not found");
+  }
+
+  async handle(req, res) {
+    if (req.method === "OPTIONS") {
+      this.send(res, 204);
+      return;
+    }
+    try {
+      this.send(res, 200, await this.route(req));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        this.send(res, error.status, {
+          error: error.message,
+          code: error.code,
+        });
+      } else {
+        // Never leak internals to the client
+        console.error("❌ Mock credit API error:", error);
+        this.send(res, 500, {
+          error: "Something went wrong, please try again",
+          code: "SERVER_ERROR",
+        });
+      }
+    }
+  }
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") options.port = Number(argv[++i]);
+    else if (argv[i] === "--host") options.host = argv[++i];
+  }
+  return options;
+}
+
+// Main execution
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const server = new MockCreditApiServer({
+    port: options.port ?? Number(process.env.MOCK_API_PORT || 8000),
+    host: options.host,
+  });
+
+  server
+    .start()
+    .then((url) => console.log(`🧪 Mock credit API listening on ${url}`))
+    .catch((error) => {
+      console.error("❌ Mock credit API failed to start:", error.message);
+      process.exit(1);
+    });
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+module.exports = MockCreditApiServer;
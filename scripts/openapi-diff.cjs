@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+
+/**
+ * OpenAPI Spec Diff
+ * Compares two versions of the credit API spec and flags changes that would
+ * break existing clients, so contract drift is caught in review
+ *
+ * Usage: node scripts/openapi-diff.cjs [base] [head] [--json]
+ *   base   Spec file or git:<ref> (default git:HEAD)
+ *   head   Spec file or git:<ref> (default src/api/openapi.json)
+ *   --json Print the changes as JSON
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const SPEC_PATH = "src/api/openapi.json";
+const METHODS = ["get", "put", "post", "delete", "patch", "head", "options"];
+
+class OpenApiDiff {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.resolve(__dirname, "..");
+    this.changes = [];
+  }
+
+  load(source) {
+    if (source.startsWith("git:")) {
+      const ref = source.slice(4);
+      const spec = ref.includes(":") ? ref : `${ref}:${SPEC_PATH}`;
+      return JSON.parse(
+        execFileSync("git", ["show", spec], {
+          cwd: this.projectRoot,
+          encoding: "utf8",
+        })
+      );
+    }
+    return JSON.parse(
+      fs.readFileSync(path.resolve(this.projectRoot, source), "utf8")
+    );
+  }
+
+  record(breaking, location, message) {
+    this.changes.push({ breaking, location, message });
+  }
+
+  resolve(document, node) {
+    let current = node;
+    const seen = new Set();
+    while (current && current.$ref) {
+      if (seen.has(current.$ref)) {
+        throw new Error(`Circular $ref: ${current.$ref}`);
+      }
+      seen.add(current.$ref);
+      current = current.$ref
+        .replace(/^#\//, "")
+        .split("/")
+        .reduce((target, segment) => target && target[segment], document);
+      if (!current) throw new Error(`Unresolved $ref: ${[...seen].pop()}`);
+    }
+    return current || {};
+  }
+
+  jsonSchema(document, container) {
+    const resolved = this.resolve(document, container);
+    const media = resolved.content && resolved.content["application/json"];
+    return media && media.schema;
+  }
+
+  /**
+   * direction is "request" (clients send it) or "response" (clients read it);
+   * narrowing what clients may send or widening what they receive breaks them
+   */
+  compareSchema(base, head, location, direction, context) {
+    const before = this.resolve(context.base, base);
+    const after = this.resolve(context.head, head);
+    const request = direction === "request";
+
+    if (before.type !== after.type) {
+      this.record(
+        true,
+        location,
+        `type changed from ${before.type || "any"} to ${after.type || "any"}`
+      );
+      return;
+    }
+
+    if (Boolean(before.nullable) !== Boolean(after.nullable)) {
+      const nowNullable = Boolean(after.nullable);
+      this.record(
+        request ? !nowNullable : nowNullable,
+        location,
+        nowNullable ? "became nullable" : "is no longer nullable"
+      );
+    }
+
+    if (before.enum || after.enum) {
+      const beforeValues = before.enum || [];
+      const afterValues = after.enum || [];
+      const removed = before.enum
+        ? beforeValues.filter((value) => !afterValues.includes(value))
+        : [];
+      const added = after.enum
+        ? afterValues.filter((value) => !beforeValues.includes(value))
+        : [];
+      if (!before.enum) {
+        this.record(request, location, "is now restricted to an enum");
+      } else if (!after.enum) {
+        this.record(!request, location, "is no longer restricted to an enum");
+      }
+      if (removed.length > 0 && after.enum) {
+        this.record(
+          request,
+          location,
+          `enum values removed: ${removed.join(", ")}`
+        );
+      }
+      if (added.length > 0 && before.enum) {
+        this.record(
+          !request,
+          location,
+          `enum values added: ${added.join(", ")}`
+        );
+      }
+    }
+
+    for (const bound of ["minimum", "maximum"]) {
+      if (before[bound] === after[bound]) continue;
+      const tightened =
+        after[bound] !== undefined &&
+        (before[bound] === undefined ||
+          (bound === "minimum"
+            ? after[bound] > before[bound]
+            : after[bound] < before[bound]));
+      this.record(
+        request ? tightened : !tightened,
+        location,
+        `${bound} changed from ${before[bound] ?? "none"} to ${after[bound] ?? "none"}`
+      );
+    }
+
+    if (before.items || after.items) {
+      this.compareSchema(
+        before.items || {},
+        after.items || {},
+        `${location}[]`,
+        direction,
+        context
+      );
+    }
+
+    this.compareProperties(before, after, location, direction, context);
+  }
+
+  compareProperties(before, after, location, direction, context) {
+    const request = direction === "request";
+    const beforeProps = before.properties || {};
+    const afterProps = after.properties || {};
+    const beforeRequired = new Set(before.required || []);
+    const afterRequired = new Set(after.required || []);
+    const at = (name) => `${location}.${name}`;
+
+    for (const name of Object.keys(beforeProps)) {
+      if (!(name in afterProps)) {
+        this.record(!request, at(name), "property removed");
+        continue;
+      }
+      if (beforeRequired.has(name) && !afterRequired.has(name)) {
+        this.record(!request, at(name), "is no longer required");
+      } else if (!beforeRequired.has(name) && afterRequired.has(name)) {
+        this.record(request, at(name), "is now required");
+      }
+      this.compareSchema(
+        beforeProps[name],
+        afterProps[name],
+        at(name),
+        direction,
+        context
+      );
+    }
+
+    for (const name of Object.keys(afterProps)) {
+      if (name in beforeProps) continue;
+      const required = afterRequired.has(name);
+      this.record(
+        request && required,
+        at(name),
+        required ? "required property added" : "optional property added"
+      );
+    }
+  }
+
+  compareParameters(base, head, location, context) {
+    const key = (parameter) => `${parameter.in}:${parameter.name}`;
+    const index = (document, parameters) =>
+      new Map(
+        (parameters || [])
+          .map((parameter) => this.resolve(document, parameter))
+          .map((parameter) => [key(parameter), parameter])
+      );
+    const before = index(context.base, base);
+    const after = index(context.head, head);
+
+    for (const [id, parameter] of before) {
+      const where = `${location} ${parameter.in} parameter ${parameter.name}`;
+      const next = after.get(id);
+      if (!next) {
+        this.record(false, where, "parameter removed");
+        continue;
+      }
+      if (!parameter.required && next.required) {
+        this.record(true, where, "is now required");
+      }
+      this.compareSchema(
+        parameter.schema || {},
+        next.schema || {},
+        where,
+        "request",
+        context
+      );
+    }
+
+    for (const [id, parameter] of after) {
+      if (before.has(id)) continue;
+      this.record(
+        Boolean(parameter.required),
+        `${location} ${parameter.in} parameter ${parameter.name}`,
+        parameter.required
+          ? "required parameter added"
+          : "optional parameter added"
+      );
+    }
+  }
+
+  compareOperation(base, head, location, context) {
+    this.compareParameters(base.parameters, head.parameters, location, context);
+
+    const beforeBody = base.requestBody
+      ? this.resolve(context.base, base.requestBody)
+      : null;
+    const afterBody = head.requestBody
+      ? this.resolve(context.head, head.requestBody)
+      : null;
+    if (
+      afterBody &&
+      afterBody.required &&
+      !(beforeBody && beforeBody.required)
+    ) {
+      this.record(true, `${location} request body`, "is now required");
+    }
+    const beforeRequest =
+      beforeBody && this.jsonSchema(context.base, beforeBody);
+    const afterRequest = afterBody && this.jsonSchema(context.head, afterBody);
+    if (beforeRequest && afterRequest) {
+      this.compareSchema(
+        beforeRequest,
+        afterRequest,
+        `${location} request`,
+        "request",
+        context
+      );
+    }
+
+    const beforeResponses = base.responses || {};
+    const afterResponses = head.responses || {};
+    for (const status of Object.keys(beforeResponses)) {
+      const where = `${location} ${status} response`;
+      if (!(status in afterResponses)) {
+        this.record(/^2/.test(status), where, "response removed");
+        continue;
+      }
+      const before = this.jsonSchema(context.base, beforeResponses[status]);
+      const after = this.jsonSchema(context.head, afterResponses[status]);
+      if (before && after) {
+        this.compareSchema(before, after, where, "response", context);
+      } else if (before) {
+        this.record(true, where, "no longer returns a JSON body");
+      }
+    }
+    for (const status of Object.keys(afterResponses)) {
+      if (!(status in beforeResponses)) {
+        this.record(false, `${location} ${status} response`, "response added");
+      }
+    }
+  }
+
+  diff(base, head) {
+    this.changes = [];
+    const context = { base, head };
+    const basePaths = base.paths || {};
+    const headPaths = head.paths || {};
+
+    for (const [route, operations] of Object.entries(basePaths)) {
+      if (!(route in headPaths)) {
+        this.record(true, route, "path removed");
+        continue;
+      }
+      for (const method of METHODS.filter((name) => operations[name])) {
+        const location = `${method.toUpperCase()} ${route}`;
+        const next = headPaths[route][method];
+        if (!next) {
+          this.record(true, location, "operation removed");
+          continue;
+        }
+        this.compareOperation(operations[method], next, location, context);
+      }
+    }
+
+    for (const [route, operations] of Object.entries(headPaths)) {
+      for (const method of METHODS.filter((name) => operations[name])) {
+        if (!(basePaths[route] && basePaths[route][method])) {
+          this.record(
+            false,
+            `${method.toUpperCase()} ${route}`,
+            "operation added"
+          );
+        }
+      }
+    }
+
+    return this.changes;
+  }
+
+  report(changes) {
+    const breaking = changes.filter((change) => change.breaking);
+    const other = changes.filter((change) => !change.breaking);
+
+    if (changes.length === 0) {
+      console.log("✅ No API contract changes");
+      return;
+    }
+    if (breaking.length > 0) {
+      console.log(`💥 Breaking changes (${breaking.length}):`);
+      breaking.forEach((change) =>
+        console.log(`   - ${change.location}: ${change.message}`)
+      );
+    }
+    if (other.length > 0) {
+      console.log(`ℹ️  Non-breaking changes (${other.length}):`);
+      other.forEach((change) =>
+        console.log(`   - ${change.location}: ${change.message}`)
+      );
+    }
+    if (breaking.length === 0) {
+      console.log("✅ No breaking API contract changes");
+    } else {
+      console.log(
+        "💡 Version the API or coordinate the client release before merging"
+      );
+    }
+  }
+
+  run({ base = "git:HEAD", head = SPEC_PATH, json = false } = {}) {
+    const changes = this.diff(this.load(base), this.load(head));
+    if (json) {
+      console.log(JSON.stringify({ base, head, changes }, null, 2));
+    } else {
+      console.log(`🔍 Comparing ${base} -> ${head}`);
+      this.report(changes);
+    }
+    return changes.every((change) => !change.breaking);
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [base, head] = args.filter((arg) => !arg.startsWith("--"));
+
+  try {
+    const differ = new OpenApiDiff();
+    const passed = differ.run({
+      base,
+      head,
+      json: args.includes("--json"),
+    });
+    process.exit(passed ? 0 : 1);
+  } catch (error) {
+    console.error("❌ OpenAPI diff failed:", error.message);
+    process.exit(2);
+  }
+}
+
+module.exports = OpenApiDiff;
@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+
+/**
+ * Sensitive Data Scanner
+ * Finds unmasked SSNs, card numbers, API keys and credentials in the tree
+ * and reports them to the console and as SARIF
+ *
+ * Usage: node scripts/sensitive-data-scanner.cjs [paths...]
+ *   --baseline <file>   Allowlist/baseline file (default .sensitive-data-baseline.json)
+ *   --update-baseline   Record every current finding in the baseline
+ *   --sarif <file>      SARIF output (default reports/sensitive-data-scanner.sarif)
+ *   --no-sarif          Skip writing SARIF
+ *   --root <dir>        Project root to scan (default the repository root)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { execSync } = require("child_process");
+
+const SCANNED_EXTENSIONS = new Set([
+  ".js",
+  ".cjs",
+  ".mjs",
+  ".jsx",
+  ".ts",
+  ".tsx",
+  ".json",
+  ".md",
+  ".yml",
+  ".yaml",
+  ".sh",
+  ".toml",
+  ".html",
+  ".properties",
+  ".example",
+]);
+
+const SKIPPED_DIRECTORIES = new Set([
+  "node_modules",
+  ".git",
+  "dist",
+  "build",
+  "coverage",
+  "reports",
+  "test-results",
+  "playwright-report",
+]);
+
+const DEFAULT_BASELINE = ".sensitive-data-baseline.json";
+
+const SKIPPED_FILES = new Set(["package-lock.json", DEFAULT_BASELINE]);
+
+// SSA never issues area 000, 666 or 900-999, group 00 or serial 0000
+function isValidSsn(digits) {
+  const area = Number(digits.slice(0, 3));
+  return (
+    area !== 0 &&
+    area !== 666 &&
+    area < 900 &&
+    digits.slice(3, 5) !== "00" &&
+    digits.slice(5) !== "0000"
+  );
+}
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Values that read code, not literals, e.g. process.env.API_KEY
+const INDIRECT_VALUE =
+  /^(process\.env|import\.meta|\$\{|\$\(|<|string\b|number\b)/;
+
+const RULES = [
+  {
+    id: "ssn",
+    name: "Unmasked Social Security number",
+    level: "error",
+    pattern: /\b(\d{3})-(\d{2})-(\d{4})\b/g,
+    isMatch: (match) => isValidSsn(match[1] + match[2] + match[3]),
+  },
+  {
+    id: "card-number",
+    name: "Unmasked payment card number",
+    level: "error",
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    isMatch: (match) => {
+      const digits = match[0].replace(/\D/g, "");
+      return (
+        digits.length >= 13 &&
+        /^(4|5[1-5]|2[2-7]|3[47]|6(011|5))/.test(digits) &&
+        passesLuhn(digits)
+      );
+    },
+  },
+  {
+    id: "openai-api-key",
+    name: "OpenAI API key",
+    level: "error",
+    pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g,
+  },
+  {
+    id: "github-access-token",
+    name: "GitHub access token",
+    level: "error",
+    pattern: /\bgh[pousr]_[A-Za-z0-9_-]{16,}/g,
+  },
+  {
+    id: "aws-access-key-id",
+    name: "AWS access key ID",
+    level: "error",
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    id: "private-key",
+    name: "Private key block",
+    level: "error",
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH )?PRIVATE KEY-----/g,
+  },
+  {
+    id: "connection-string-password",
+    name: "Password in connection string",
+    level: "error",
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s@/]+)@/gi,
+    isMatch: (match) => !INDIRECT_VALUE.test(match[1]),
+  },
+  {
+    // Quoted literals in code, e.g. password: "<literal>"
+    id: "credential-assignment",
+    name: "Hardcoded credential",
+    level: "error",
+    pattern:
+      /\b[A-Za-z_]*(?:PASSWORD|PASSWD|SECRET|API_?KEY|TOKEN)[A-Za-z_]*["']?\s*[:=]\s*(["'`])([^\s"'`]{8,})\1/gi,
+    isMatch: (match) => !INDIRECT_VALUE.test(match[2]),
+  },
+  {
+    // dotenv style, e.g. QASE_API_TOKEN=abc123...
+    id: "credential-assignment",
+    name: "Hardcoded credential",
+    level: "error",
+    pattern:
+      /^\s*(?:export\s+)?[A-Z_]*(?:PASSWORD|PASSWD|SECRET|API_?KEY|TOKEN)[A-Z_]*=(\S{8,})/g,
+    isMatch: (match) => !INDIRECT_VALUE.test(match[1]),
+  },
+];
+
+// Never print the full value; enough to find it, not enough to use it
+function redact(value) {
+  return value.length <= 6 ? "******" : `${value.slice(0, 4)}******`;
+}
+
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*\*\/?/g, "\u0000")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]")
+    .replace(/\u0000/g, ".*");
+  return new RegExp(`^${pattern}$`);
+}
+
+class SensitiveDataScanner {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.resolve(__dirname, "..");
+    this.baselinePath = path.resolve(
+      this.projectRoot,
+      options.baseline || DEFAULT_BASELINE
+    );
+    this.sarifPath =
+      options.sarif === false
+        ? null
+        : path.resolve(
+            this.projectRoot,
+            options.sarif || "reports/sensitive-data-scanner.sarif"
+          );
+    this.paths = options.paths || [];
+    this.baseline = this.loadBaseline();
+  }
+
+  loadBaseline() {
+    if (!fs.existsSync(this.baselinePath)) {
+      return { allowlist: [], baseline: [] };
+    }
+    const parsed = JSON.parse(fs.readFileSync(this.baselinePath, "utf8"));
+    return {
+      allowlist: (parsed.allowlist || []).map((entry) => ({
+        ...entry,
+        pathPattern: globToRegExp(entry.path || "**"),
+        matchPattern: entry.match ? new RegExp(entry.match) : null,
+      })),
+      baseline: parsed.baseline || [],
+    };
+  }
+
+  listFiles() {
+    const roots = this.paths.length ? this.paths : ["."];
+    let files;
+
+    try {
+      // Tracked plus untracked-but-not-ignored files
+      files = execSync("git ls-files --cached --others --exclude-standard", {
+        cwd: this.projectRoot,
+        stdio: ["ignore", "pipe", "ignore"],
+        encoding: "utf8",
+      })
+        .split("\n")
+        .filter(Boolean);
+    } catch {
+      files = this.walk(".");
+    }
+
+    const normalizedRoots = roots.map((root) =>
+      path.relative(this.projectRoot, path.resolve(this.projectRoot, root))
+    );
+    return files.filter(
+      (file) =>
+        this.isScannable(file) &&
+        fs.existsSync(path.join(this.projectRoot, file)) &&
+        normalizedRoots.some(
+          (root) => !root || file === root || file.startsWith(`${root}/`)
+        )
+    );
+  }
+
+  walk(directory) {
+    const entries = fs.readdirSync(path.join(this.projectRoot, directory), {
+      withFileTypes: true,
+    });
+    return entries.flatMap((entry) => {
+      const relative = path.posix.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        return SKIPPED_DIRECTORIES.has(entry.name) ? [] : this.walk(relative);
+      }
+      return [relative.replace(/^\.\//, "")];
+    });
+  }
+
+  isScannable(file) {
+    const segments = file.split("/");
+    if (segments.some((segment) => SKIPPED_DIRECTORIES.has(segment))) {
+      return false;
+    }
+    const name = segments[segments.length - 1];
+    return (
+      !SKIPPED_FILES.has(name) &&
+      path.resolve(this.projectRoot, file) !== this.baselinePath &&
+      (SCANNED_EXTENSIONS.has(path.extname(name)) || name.startsWith(".env"))
+    );
+  }
+
+  fingerprint(ruleId, file, value) {
+    return crypto
+      .createHash("sha256")
+      .update(`${ruleId}:${file}:${value}`)
+      .digest("hex")
+      .slice(0, 32);
+  }
+
+  scanFile(file) {
+    const content = fs.readFileSync(path.join(this.projectRoot, file), "utf8");
+    const findings = [];
+
+    content.split("\n").forEach((line, index) => {
+      // Earlier rules win when two rules match the same text
+      const claimed = [];
+      for (const rule of RULES) {
+        for (const match of line.matchAll(rule.pattern)) {
+          if (rule.isMatch && !rule.isMatch(match)) continue;
+          const value = match[0];
+          const start = match.index;
+          const end = start + value.length;
+          if (claimed.some(([from, to]) => start < to && end > from)) continue;
+          claimed.push([start, end]);
+          findings.push({
+            ruleId: rule.id,
+            ruleName: rule.name,
+            level: rule.level,
+            file,
+            line: index + 1,
+            column: match.index + 1,
+            value,
+            fingerprint: this.fingerprint(rule.id, file, value),
+          });
+        }
+      }
+    });
+
+    return findings;
+  }
+
+  classify(finding) {
+    const allowed = this.baseline.allowlist.find(
+      (entry) =>
+        (!entry.rule || entry.rule === finding.ruleId) &&
+        entry.pathPattern.test(finding.file) &&
+        (!entry.matchPattern || entry.matchPattern.test(finding.value))
+    );
+    if (allowed) {
+      return { ...finding, status: "allowlisted", reason: allowed.reason };
+    }
+    const baselined = this.baseline.baseline.find(
+      (entry) => entry.fingerprint === finding.fingerprint
+    );
+    if (baselined) {
+      return { ...finding, status: "baselined", reason: baselined.reason };
+    }
+    return { ...finding, status: "new" };
+  }
+
+  scan() {
+    return this.listFiles()
+      .flatMap((file) => this.scanFile(file))
+      .map((finding) => this.classify(finding));
+  }
+
+  updateBaseline(findings) {
+    const raw = fs.existsSync(this.baselinePath)
+      ? JSON.parse(fs.readFileSync(this.baselinePath, "utf8"))
+      : { allowlist: [] };
+    raw.baseline = findings
+      .filter((finding) => finding.status !== "allowlisted")
+      .map((finding) => ({
+        fingerprint: finding.fingerprint,
+        rule: finding.ruleId,
+        path: finding.file,
+        reason: finding.reason || "Accepted when the baseline was created",
+      }));
+    fs.writeFileSync(this.baselinePath, JSON.stringify(raw, null, 2) + "\n");
+    return raw.baseline.length;
+  }
+
+  toSarif(findings) {
+    return {
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: "sensitive-data-scanner",
+              informationUri:
+                "https://github.com/TheCreditPros/dev_framework_demo",
+              rules: RULES.map((rule) => ({
+                id: rule.id,
+                name: rule.name,
+                shortDescription: { text: rule.name },
+                defaultConfiguration: { level: rule.level },
+              })),
+            },
+          },
+          results: findings.map((finding) => ({
+            ruleId: finding.ruleId,
+            level: finding.level,
+            message: {
+              text: `${finding.ruleName}: ${redact(finding.value)}`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri: finding.file },
+                  region: {
+                    startLine: finding.line,
+                    startColumn: finding.column,
+                  },
+                },
+              },
+            ],
+            partialFingerprints: { sensitiveData: finding.fingerprint },
+            ...(finding.status !== "new" && {
+              suppressions: [
+                {
+                  kind: "external",
+                  justification: finding.reason || finding.status,
+                },
+              ],
+            }),
+          })),
+        },
+      ],
+    };
+  }
+
+  writeSarif(findings) {
+    if (!this.sarifPath) return;
+    fs.mkdirSync(path.dirname(this.sarifPath), { recursive: true });
+    fs.writeFileSync(
+      this.sarifPath,
+      JSON.stringify(this.toSarif(findings), null, 2)
+    );
+  }
+
+  report(findings) {
+    const fresh = findings.filter((finding) => finding.status === "new");
+    const suppressed = findings.length - fresh.length;
+
+    console.log("🔐 Sensitive Data Scanner");
+    console.log("========================\n");
+
+    fresh.forEach((finding) => {
+      console.log(
+        `❌ ${finding.file}:${finding.line}:${finding.column} ` +
+          `${finding.ruleName} (${finding.ruleId}) ${redact(finding.value)}`
+      );
+    });
+
+    if (fresh.length === 0) {
+      console.log("✅ No unreviewed sensitive data found");
+    } else {
+      console.log(
+        `\n💡 Mask the values above, or add them to ${path.relative(
+          this.projectRoot,
+          this.baselinePath
+        )} with a reason`
+      );
+    }
+    if (suppressed > 0) {
+      console.log(`ℹ️ ${suppressed} allowlisted or baselined finding(s)`);
+    }
+    if (this.sarifPath) {
+      console.log(
+        `📄 SARIF: ${path.relative(this.projectRoot, this.sarifPath)}`
+      );
+    }
+
+    return fresh.length === 0;
+  }
+
+  run({ updateBaseline = false } = {}) {
+    const findings = this.scan();
+    if (updateBaseline) {
+      const count = this.updateBaseline(findings);
+      console.log(`✅ Baseline updated with ${count} finding(s)`);
+      return true;
+    }
+    this.writeSarif(findings);
+    return this.report(findings);
+  }
+}
+
+function parseArgs(argv) {
+  const options = { paths: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--baseline") options.baseline = argv[++i];
+    else if (arg === "--sarif") options.sarif = argv[++i];
+    else if (arg === "--no-sarif") options.sarif = false;
+    else if (arg === "--root") options.projectRoot = path.resolve(argv[++i]);
+    else if (arg === "--update-baseline") options.updateBaseline = true;
+    else options.paths.push(arg);
+  }
+  return options;
+}
+
+// Main execution
+if (require.main === module) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const scanner = new SensitiveDataScanner(options);
+    const passed = scanner.run({ updateBaseline: options.updateBaseline });
+    process.exit(passed ? 0 : 1);
+  } catch (error) {
+    console.error("❌ Sensitive data scan failed with error:", error);
+    process.exit(1);
+  }
+}
+
+module.exports = SensitiveDataScanner;
@@ -32,10 +32,18 @@ const CI_CHECKS = {
     command: "npm run test:coverage",
     description: "Vitest with coverage (matches CI test:coverage)",
   },
+  "Contract Tests": {
+    command: "npm run test:contract",
+    description: "API contract suite against the mock credit API",
+  },
   "Build Check": {
     command: "npm run build",
     description: "Build validation",
   },
+  "Sensitive Data Scan": {
+    command: "npm run scan:sensitive",
+    description: "Unmasked SSNs, card numbers and credentials in the tree",
+  },
   "Security Audit": {
     command: "npm audit --audit-level=moderate",
     description: "NPM security audit (moderate level)",
@@ -126,6 +134,8 @@ if (fs.existsSync(packageJsonPath)) {
     "type-check": "tsc --noEmit",
     "test:coverage": "vitest run --coverage",
     "build": "node -e",
+    "scan:sensitive": "node scripts/sensitive-data-scanner.cjs",
+    "test:contract": "vitest run --config vitest.contract.config.js",
   };
 
   for (const [scriptName, expectedPattern] of Object.entries(requiredScripts)) {
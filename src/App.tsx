@@ -0,0 +1,138 @@
+import React, { lazy, useMemo, useRef, useState } from "react";
+import {
+  AppServicesProvider,
+  createAppServices,
+} from "./components/AppServices";
+import {
+  AppSettingsProvider,
+  AppShell,
+  CONSUMER_PATH,
+} from "./components/AppShell";
+import { I18nProvider, useI18n } from "./components/I18nProvider";
+import {
+  PurposeProvider,
+  RequirePermissiblePurpose,
+} from "./components/PermissiblePurposeGate";
+import {
+  PermissionProvider,
+  RequirePermission,
+} from "./components/PermissionProvider";
+import { Router, Routes, type AppRoute } from "./components/Router";
+import { DEMO_CONSUMER_ID } from "./pages/demoData";
+import NotFoundPage from "./pages/NotFoundPage";
+import { resolveLocale, type Locale } from "./utils/i18n";
+import type { Principal, Role } from "./utils/permissions";
+
+// Each page is its own chunk; Vite splits on these dynamic imports
+export const APP_ROUTES: AppRoute[] = [
+  { id: "home", path: "/", component: lazy(() => import("./pages/HomePage")) },
+  {
+    id: "dashboard",
+    path: CONSUMER_PATH,
+    component: lazy(() => import("./pages/DashboardPage")),
+    requiresPurpose: true,
+    capability: "credit:view",
+  },
+  {
+    id: "reports",
+    path: `${CONSUMER_PATH}/reports`,
+    component: lazy(() => import("./pages/ReportsPage")),
+    requiresPurpose: true,
+    capability: "credit:view",
+  },
+  {
+    id: "disputes",
+    path: `${CONSUMER_PATH}/disputes`,
+    component: lazy(() => import("./pages/DisputesPage")),
+    requiresPurpose: true,
+    capability: "dispute:view",
+  },
+  {
+    id: "audit",
+    path: "/audit",
+    component: lazy(() => import("./pages/AuditPage")),
+    capability: "audit:view",
+  },
+  {
+    id: "onboarding",
+    path: "/onboarding",
+    component: lazy(() => import("./pages/OnboardingPage")),
+  },
+  {
+    id: "settings",
+    path: "/settings",
+    component: lazy(() => import("./pages/SettingsPage")),
+  },
+];
+
+const LOCALE_STORAGE_KEY = "tcp.locale";
+
+function initialLocale(): Locale {
+  return resolveLocale(
+    localStorage.getItem(LOCALE_STORAGE_KEY) ?? navigator.language
+  );
+}
+
+// Stand-in for a real sign-in; the role is picked on the settings page
+function demoPrincipal(role: Role): Principal {
+  return role === "consumer"
+    ? { id: "demo-user", role, consumerId: DEMO_CONSUMER_ID }
+    : { id: "demo-user", role };
+}
+
+/**
+ * Demo application: router, locale, role, purpose state and shared services
+ * around the app shell
+ */
+export function App() {
+  const [locale, setLocale] = useState(initialLocale);
+  const [role, setRole] = useState<Role>("agent");
+  const principal = useMemo(() => demoPrincipal(role), [role]);
+  const principalRef = useRef(principal);
+  principalRef.current = principal;
+  const [services] = useState(() =>
+    createAppServices(() => principalRef.current)
+  );
+
+  const changeLocale = (next: Locale) => {
+    localStorage.setItem(LOCALE_STORAGE_KEY, next);
+    setLocale(next);
+  };
+
+  return (
+    <AppServicesProvider value={services}>
+      <AppSettingsProvider
+        value={{ locale, setLocale: changeLocale, role, setRole }}
+      >
+        <I18nProvider locale={locale}>
+          <PermissionProvider principal={principal}>
+            <Router>
+              <PurposeProvider>
+                <AppShell>
+                  <Routes
+                    routes={APP_ROUTES}
+                    notFound={NotFoundPage}
+                    guard={RequirePermissiblePurpose}
+                    authorize={RequirePermission}
+                    fallback={<RouteLoading />}
+                  />
+                </AppShell>
+              </PurposeProvider>
+            </Router>
+          </PermissionProvider>
+        </I18nProvider>
+      </AppSettingsProvider>
+    </AppServicesProvider>
+  );
+}
+
+const RouteLoading: React.FC = () => {
+  const { t } = useI18n();
+  return (
+    <p role="status" data-testid="route-loading">
+      {t("app.loading")}
+    </p>
+  );
+};
+
+export default App;
@@ -0,0 +1,335 @@
+/**
+ * Typed client for the credit API
+ * Handles the bearer session, retries reads under an idempotency key and turns
+ * error responses into typed errors; every body is validated before it is
+ * returned
+ */
+
+import axios, { isAxiosError, type AxiosAdapter, type AxiosError } from "axios";
+import {
+  ApiError,
+  ConsentRequiredError,
+  FcraViolationError,
+  ForbiddenError,
+  PermissionDeniedError,
+  UnauthorizedError,
+} from "./errors";
+import type {
+  ApiErrorResponse,
+  CreditReportResponse,
+  CreditScoreCalculationRequest,
+  CreditScoreCalculationResponse,
+} from "./types";
+import {
+  parseCreditReportResponse,
+  parseLoginResponse,
+  parseScoreCalculationResponse,
+} from "./validation";
+import {
+  validatePermissiblePurpose,
+  type CreditData,
+} from "../utils/creditValidation";
+import type { Bureau } from "../utils/creditReport";
+import { isScoreModelId } from "../utils/scoringModels";
+import { can, type Principal } from "../utils/permissions";
+import { createConsentRegistry, type ConsentChecker } from "../utils/consent";
+
+export const DEFAULT_API_BASE_URL = "http://localhost:8000/api";
+
+export interface StoredSession {
+  token: string;
+  expiresAt?: string;
+}
+
+export interface SessionStore {
+  get: () => StoredSession | null;
+  set: (session: StoredSession) => void;
+  clear: () => void;
+}
+
+export function createMemorySessionStore(): SessionStore {
+  let session: StoredSession | null = null;
+  return {
+    get: () => session,
+    set: (next) => {
+      session = next;
+    },
+    clear: () => {
+      session = null;
+    },
+  };
+}
+
+/**
+ * Keeps the session for the browser tab only; never localStorage
+ */
+export function createBrowserSessionStore(
+  key = "tcp.session",
+  storage: Pick<Storage, "getItem" | "setItem" | "removeItem"> = sessionStorage
+): SessionStore {
+  return {
+    get: () => {
+      const raw = storage.getItem(key);
+      if (!raw) return null;
+      try {
+        return JSON.parse(raw) as StoredSession;
+      } catch {
+        storage.removeItem(key);
+        return null;
+      }
+    },
+    set: (session) => storage.setItem(key, JSON.stringify(session)),
+    clear: () => storage.removeItem(key),
+  };
+}
+
+export interface CreditApiClientOptions {
+  baseURL?: string;
+  sessionStore?: SessionStore;
+  // Retries for reads on network errors, 429 and 5xx; every attempt carries
+  // the same Idempotency-Key so the server audits one pull, not one per try
+  maxRetries?: number;
+  retryDelayMs?: number;
+  timeoutMs?: number;
+  adapter?: AxiosAdapter;
+  now?: () => Date;
+  sleep?: (ms: number) => Promise<void>;
+  generateRequestId?: () => string;
+  // Signed-in principal; credit calls need credit:pull before they are sent,
+  // so without one every credit call is refused
+  principal?: () => Principal | null;
+  // Consent ledger; reports need the consumer's active written authorization,
+  // so without one every report is refused as unauthorized
+  consent?: ConsentChecker;
+}
+
+export interface CreditApiClient {
+  login: (email: string, password: string) => Promise<void>;
+  logout: () => void;
+  isAuthenticated: () => boolean;
+  getCreditReport: (
+    consumerId: string,
+    permissiblePurpose: string
+  ) => Promise<CreditReportResponse>;
+  calculateScore: (
+    request: CreditScoreCalculationRequest
+  ) => Promise<CreditScoreCalculationResponse>;
+}
+
+const RETRYABLE_STATUS = (status: number) => status === 429 || status >= 500;
+
+/**
+ * Maps an axios failure onto the typed error hierarchy
+ */
+export function toApiError(error: unknown): ApiError {
+  if (error instanceof ApiError) return error;
+  if (!isAxiosError(error)) {
+    return new ApiError(
+      error instanceof Error ? error.message : String(error),
+      0,
+      "UNKNOWN"
+    );
+  }
+
+  const axiosError = error as AxiosError<Partial<ApiErrorResponse>>;
+  const status = axiosError.response?.status ?? 0;
+  const body = axiosError.response?.data;
+  const message = body?.error ?? axiosError.message;
+
+  if (status === 0) return new ApiError(message, 0, "NETWORK_ERROR");
+  if (status === 401) return new UnauthorizedError(body?.error);
+  if (status === 403) {
+    return body?.code === "FCRA_VIOLATION"
+      ? new FcraViolationError(body.error)
+      : new ForbiddenError(body?.error, body?.code);
+  }
+  return new ApiError(message, status, body?.code ?? `HTTP_${status}`);
+}
+
+export function createCreditApiClient(
+  options: CreditApiClientOptions = {}
+): CreditApiClient {
+  const sessionStore = options.sessionStore ?? createMemorySessionStore();
+  const maxRetries = options.maxRetries ?? 2;
+  const retryDelayMs = options.retryDelayMs ?? 300;
+  const now = options.now ?? (() => new Date());
+  const sleep =
+    options.sleep ??
+    ((ms: number) => new Promise<void>((resolve) => setTimeout(resolve, ms)));
+  const generateRequestId =
+    options.generateRequestId ?? (() => crypto.randomUUID());
+
+  const principal = options.principal ?? (() => null);
+  const consent = options.consent ?? createConsentRegistry();
+
+  // Checked locally on every credit call; the server enforces it as well
+  const authorize = (consumerId?: string) => {
+    if (!can(principal(), "credit:pull", { consumerId })) {
+      throw new PermissionDeniedError("credit:pull");
+    }
+  };
+
+  const http = axios.create({
+    baseURL: options.baseURL ?? DEFAULT_API_BASE_URL,
+    timeout: options.timeoutMs ?? 10000,
+    headers: { Accept: "application/json" },
+    ...(options.adapter && { adapter: options.adapter }),
+  });
+
+  const activeSession = (): StoredSession | null => {
+    const session = sessionStore.get();
+    if (
+      session?.expiresAt &&
+      new Date(session.expiresAt).getTime() <= now().getTime()
+    ) {
+      sessionStore.clear();
+      return null;
+    }
+    return session;
+  };
+
+  const authHeaders = () => {
+    const session = activeSession();
+    if (!session) {
+      throw new UnauthorizedError("Not signed in or session expired");
+    }
+    return { Authorization: `Bearer ${session.token}` };
+  };
+
+  async function send<T>(
+    request: () => Promise<{ data: unknown }>,
+    parse: (body: unknown) => T,
+    retries: number
+  ): Promise<T> {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await request();
+        return parse(response.data);
+      } catch (error) {
+        const apiError = toApiError(error);
+        if (apiError instanceof UnauthorizedError) {
+          sessionStore.clear();
+        }
+        const retryable =
+          apiError.code === "NETWORK_ERROR" ||
+          RETRYABLE_STATUS(apiError.status);
+        if (!retryable || attempt >= retries) {
+          throw apiError;
+        }
+        await sleep(retryDelayMs * 2 ** attempt);
+      }
+    }
+  }
+
+  return {
+    login: async (email, password) => {
+      const session = await send(
+        () => http.post("/auth/login", { email, password }),
+        parseLoginResponse,
+        0
+      );
+      sessionStore.set({ token: session.token, expiresAt: session.expires_at });
+    },
+
+    logout: () => sessionStore.clear(),
+
+    isAuthenticated: () => activeSession() !== null,
+
+    getCreditReport: (consumerId, permissiblePurpose) => {
+      try {
+        authorize(consumerId);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
+      // FCRA Section 604 - refuse locally before anything leaves the browser
+      const purpose = validatePermissiblePurpose(permissiblePurpose);
+      if (!purpose.isValid) {
+        return Promise.reject(
+          new FcraViolationError(purpose.errors.join("; "))
+        );
+      }
+
+      try {
+        const authorization = consent.check(
+          consumerId,
+          permissiblePurpose,
+          "credit_report"
+        );
+        if (!authorization.allowed) {
+          throw new ConsentRequiredError(authorization.reason);
+        }
+      } catch (error) {
+        // Includes a consent store that cannot be read
+        return Promise.reject(error);
+      }
+
+      const idempotencyKey = generateRequestId();
+      return send(
+        () =>
+          http.get(`/credit-reports/${encodeURIComponent(consumerId)}`, {
+            headers: { ...authHeaders(), "Idempotency-Key": idempotencyKey },
+            params: { permissible_purpose: permissiblePurpose },
+          }),
+        parseCreditReportResponse,
+        maxRetries
+      );
+    },
+
+    // Not retried: each calculation is written to the server audit log
+    calculateScore: (request) => {
+      try {
+        authorize();
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
+      const purpose = validatePermissiblePurpose(request.permissible_purpose);
+      if (!purpose.isValid) {
+        return Promise.reject(
+          new FcraViolationError(purpose.errors.join("; "))
+        );
+      }
+
+      return send(
+        () =>
+          http.post("/credit-score/calculate", request, {
+            headers: authHeaders(),
+          }),
+        parseScoreCalculationResponse,
+        0
+      );
+    },
+  };
+}
+
+/**
+ * Maps a credit report response onto the validated CreditData shape
+ */
+export function toCreditData(
+  response: CreditReportResponse,
+  context: { bureauSource: Bureau; permissiblePurpose: string }
+): CreditData {
+  const model = response.data.score_model;
+  return {
+    score: response.data.credit_score,
+    // Unrecognised models fall back to the validation default
+    ...(isScoreModelId(model) && { scoreModel: model }),
+    reportDate: response.data.score_date,
+    bureauSource: context.bureauSource,
+    permissiblePurpose: context.permissiblePurpose,
+  };
+}
+
+/**
+ * Props for CreditScore / CreditScoreDisplay from a report response
+ */
+export function toCreditScoreProps(response: CreditReportResponse): {
+  score: number;
+  date: string;
+} {
+  return {
+    score: response.data.credit_score,
+    date: response.data.score_date,
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Typed credit API errors
+ * Callers branch on the class (or `code`) instead of parsing messages
+ */
+
+import {
+  CONSENT_DENIAL_MESSAGES,
+  type ConsentDenialReason,
+} from "../utils/consent";
+
+export class ApiError extends Error {
+  readonly status: number;
+  readonly code: string;
+
+  constructor(message: string, status: number, code: string) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// 401 - missing, invalid or expired session
+export class UnauthorizedError extends ApiError {
+  constructor(message = "Authentication required") {
+    super(message, 401, "UNAUTHORIZED");
+    this.name = "UnauthorizedError";
+  }
+}
+
+// 403 - authenticated but not allowed
+export class ForbiddenError extends ApiError {
+  constructor(message = "Access denied", code = "FORBIDDEN") {
+    super(message, 403, code);
+    this.name = "ForbiddenError";
+  }
+}
+
+// 403 FCRA_VIOLATION - FCRA Section 604 permissible purpose rejected
+export class FcraViolationError extends ForbiddenError {
+  constructor(message = "Request violates FCRA permissible purpose rules") {
+    super(message, "FCRA_VIOLATION");
+    this.name = "FcraViolationError";
+  }
+}
+
+// 403 PERMISSION_DENIED - the signed-in role lacks a capability
+export class PermissionDeniedError extends ForbiddenError {
+  readonly capability: string;
+
+  constructor(
+    capability: string,
+    message = `Missing permission: ${capability}`
+  ) {
+    super(message, "PERMISSION_DENIED");
+    this.name = "PermissionDeniedError";
+    this.capability = capability;
+  }
+}
+
+// 403 CONSENT_REQUIRED - FCRA Section 604(a)(2) authorization missing or lapsed
+export class ConsentRequiredError extends ForbiddenError {
+  readonly reason: ConsentDenialReason;
+
+  constructor(
+    reason: ConsentDenialReason,
+    message = CONSENT_DENIAL_MESSAGES[reason]
+  ) {
+    super(message, "CONSENT_REQUIRED");
+    this.name = "ConsentRequiredError";
+    this.reason = reason;
+  }
+}
+
+// 2xx response whose body does not match the contract
+export class ResponseValidationError extends ApiError {
+  readonly issues: string[];
+
+  constructor(issues: string[]) {
+    super(
+      `Invalid API response: ${issues.join("; ")}`,
+      200,
+      "INVALID_RESPONSE"
+    );
+    this.name = "ResponseValidationError";
+    this.issues = issues;
+  }
+}
+
+// 429 REFRESH_LIMIT - local cap on credit pulls per consumer per period
+export class RefreshLimitError extends ApiError {
+  readonly retryAt: string;
+
+  constructor(retryAt: string, message = "Score refresh limit reached") {
+    super(message, 429, "REFRESH_LIMIT");
+    this.name = "RefreshLimitError";
+    this.retryAt = retryAt;
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * OpenAPI response validation
+ * Checks live or mock responses against the schemas in openapi.json; covers
+ * the JSON Schema subset the spec uses
+ */
+
+export interface JsonSchema {
+  $ref?: string;
+  type?: "object" | "array" | "string" | "number" | "integer" | "boolean";
+  description?: string;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean | JsonSchema;
+  items?: JsonSchema;
+  enum?: unknown[];
+  format?: string;
+  minimum?: number;
+  maximum?: number;
+  nullable?: boolean;
+}
+
+interface MediaType {
+  schema?: JsonSchema;
+}
+
+interface OpenApiResponse {
+  $ref?: string;
+  description?: string;
+  content?: Record<string, MediaType>;
+}
+
+interface OpenApiOperation {
+  operationId?: string;
+  responses: Record<string, OpenApiResponse>;
+}
+
+export interface OpenApiDocument {
+  paths: Record<string, Record<string, OpenApiOperation>>;
+  components?: {
+    schemas?: Record<string, JsonSchema>;
+    responses?: Record<string, OpenApiResponse>;
+  };
+}
+
+function resolveRef<T>(document: OpenApiDocument, ref: string): T {
+  const target = ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce<unknown>(
+      (node, segment) =>
+        (node as Record<string, unknown> | undefined)?.[segment],
+      document
+    );
+  if (!target) {
+    throw new Error(`Unresolved $ref: ${ref}`);
+  }
+  return target as T;
+}
+
+function typeOf(value: unknown): string {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+const FORMATS: Record<string, (value: string) => boolean> = {
+  "date": (value) =>
+    /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value)),
+  "date-time": (value) => !Number.isNaN(Date.parse(value)),
+  "email": (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+};
+
+function matchesType(value: unknown, type: JsonSchema["type"]): boolean {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "object":
+      return typeOf(value) === "object";
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Validates a value against a schema; returns one message per problem,
+ * prefixed with the dotted path ("body" for the root)
+ */
+export function validateSchema(
+  value: unknown,
+  schema: JsonSchema,
+  document: OpenApiDocument,
+  path = ""
+): string[] {
+  if (schema.$ref) {
+    return validateSchema(
+      value,
+      resolveRef<JsonSchema>(document, schema.$ref),
+      document,
+      path
+    );
+  }
+
+  const label = path || "body";
+  if (value === null && schema.nullable) return [];
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${label} must be ${schema.type}, got ${typeOf(value)}`];
+  }
+
+  const issues: string[] = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push(
+      schema.enum.length === 1
+        ? `${label} must be ${String(schema.enum[0])}`
+        : `${label} must be one of ${schema.enum.join(", ")}`
+    );
+  }
+  if (typeof value === "string" && schema.format) {
+    const check = FORMATS[schema.format];
+    if (check && !check(value)) {
+      issues.push(
+        schema.format === "email"
+          ? `${label} must be an email address`
+          : `${label} must be an ISO date string`
+      );
+    }
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push(`${label} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issues.push(`${label} must be <= ${schema.maximum}`);
+    }
+  }
+
+  const { items, properties } = schema;
+  if (Array.isArray(value) && items) {
+    value.forEach((item, index) =>
+      issues.push(
+        ...validateSchema(item, items, document, `${label}[${index}]`)
+      )
+    );
+  }
+
+  if (typeOf(value) === "object" && properties) {
+    const record = value as Record<string, unknown>;
+    const required = new Set(schema.required ?? []);
+    const child = (key: string) => (path ? `${path}.${key}` : key);
+
+    Object.entries(properties).forEach(([key, property]) => {
+      if (record[key] === undefined) {
+        if (required.has(key)) issues.push(`${child(key)} is required`);
+        return;
+      }
+      issues.push(
+        ...validateSchema(record[key], property, document, child(key))
+      );
+    });
+
+    if (schema.additionalProperties === false) {
+      Object.keys(record)
+        .filter((key) => !(key in properties))
+        .forEach((key) => issues.push(`${child(key)} is not allowed`));
+    }
+  }
+
+  return issues;
+}
+
+function matchPath(
+  document: OpenApiDocument,
+  path: string
+): Record<string, OpenApiOperation> | undefined {
+  const pathname = path.split("?")[0];
+  const template = Object.keys(document.paths).find((candidate) => {
+    const pattern = candidate
+      .split("/")
+      .map((segment) =>
+        /^\{.+\}$/.test(segment)
+          ? "[^/]+"
+          : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      )
+      .join("/");
+    return new RegExp(`^${pattern}$`).test(pathname);
+  });
+  return template ? document.paths[template] : undefined;
+}
+
+/**
+ * Finds the documented JSON schema for an operation's response status
+ */
+export function getResponseSchema(
+  document: OpenApiDocument,
+  method: string,
+  path: string,
+  status: number
+): JsonSchema | undefined {
+  const operation = matchPath(document, path)?.[method.toLowerCase()];
+  if (!operation) {
+    throw new Error(`No operation for ${method.toUpperCase()} ${path}`);
+  }
+
+  let response =
+    operation.responses[String(status)] ?? operation.responses.default;
+  if (!response) {
+    throw new Error(
+      `Undocumented status ${status} for ${method.toUpperCase()} ${path}`
+    );
+  }
+  if (response.$ref) {
+    response = resolveRef<OpenApiResponse>(document, response.$ref);
+  }
+  return response.content?.["application/json"]?.schema;
+}
+
+export interface ApiExchange {
+  method: string;
+  // Path relative to the server URL, e.g. "/credit-reports/consumer-123"
+  path: string;
+  status: number;
+  body: unknown;
+}
+
+/**
+ * Validates a response against the spec, including undocumented statuses
+ */
+export function validateApiResponse(
+  document: OpenApiDocument,
+  exchange: ApiExchange
+): string[] {
+  try {
+    const schema = getResponseSchema(
+      document,
+      exchange.method,
+      exchange.path,
+      exchange.status
+    );
+    return schema ? validateSchema(exchange.body, schema, document) : [];
+  } catch (error) {
+    return [(error as Error).message];
+  }
+}
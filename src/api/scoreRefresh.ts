@@ -0,0 +1,191 @@
+/**
+ * Credit score refresh workflow
+ * Pulls a new report through the API client with a permissible purpose,
+ * caps pulls per consumer per period and records every attempt in the
+ * audit trail; the audit log doubles as the rate limit ledger
+ */
+
+import { toCreditScoreProps, type CreditApiClient } from "./creditApiClient";
+import {
+  ConsentRequiredError,
+  FcraViolationError,
+  RefreshLimitError,
+} from "./errors";
+import {
+  withAuditTrail,
+  type AuditActor,
+  type AuditEntry,
+  type AuditLog,
+} from "../utils/auditTrail";
+import {
+  createConsentRegistry,
+  type ConsentCheck,
+  type ConsentChecker,
+} from "../utils/consent";
+import { validatePermissiblePurpose } from "../utils/creditValidation";
+
+export const REFRESH_ACTION = "credit_score.refresh";
+
+export interface ScoreRefreshOptions {
+  client: Pick<CreditApiClient, "getCreditReport">;
+  auditLog: AuditLog;
+  actor: AuditActor;
+  consumerId: string;
+  permissiblePurpose: string;
+  jurisdiction?: string;
+  // Consent ledger; refusals for missing, revoked or expired consent are
+  // audited, and without one every refresh is refused as unauthorized
+  consent?: ConsentChecker;
+  // At most maxPulls successful refreshes per rolling periodDays
+  maxPulls?: number;
+  periodDays?: number;
+  now?: () => Date;
+}
+
+export interface ScoreRefreshResult {
+  score: number;
+  date: string;
+  previousScore?: number;
+  delta?: number;
+  auditId: string;
+  remaining: number;
+}
+
+export interface ScoreRefresher {
+  refresh: (previousScore?: number) => Promise<ScoreRefreshResult>;
+  remaining: () => number;
+  // When the next pull becomes available, or null if one is available now
+  nextAvailableAt: () => string | null;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function createScoreRefresher(
+  options: ScoreRefreshOptions
+): ScoreRefresher {
+  const { auditLog, actor, consumerId, permissiblePurpose } = options;
+  const maxPulls = options.maxPulls ?? 3;
+  const periodMs = (options.periodDays ?? 30) * DAY_MS;
+  const now = options.now ?? (() => new Date());
+  const consent = options.consent ?? createConsentRegistry();
+
+  // Successful refreshes for this consumer inside the current window, oldest first
+  const recentPulls = () => {
+    const windowStart = now().getTime() - periodMs;
+    return auditLog
+      .entries()
+      .filter(
+        (entry) =>
+          entry.action === REFRESH_ACTION &&
+          entry.consumerId === consumerId &&
+          entry.outcome === "success" &&
+          new Date(entry.timestamp).getTime() > windowStart
+      );
+  };
+
+  // Pulls that passed the limit check but have not finished yet
+  let inFlight = 0;
+
+  const nextAvailableAt = () => {
+    const pulls = recentPulls();
+    if (pulls.length + inFlight < maxPulls) return null;
+    // In-flight pulls are the newest; if one of them unlocks the next slot
+    // it has no timestamp yet, so count the period from now
+    const unlocking = pulls[pulls.length + inFlight - maxPulls];
+    const from = unlocking
+      ? new Date(unlocking.timestamp).getTime()
+      : now().getTime();
+    return new Date(from + periodMs).toISOString();
+  };
+
+  const remaining = () =>
+    Math.max(maxPulls - recentPulls().length - inFlight, 0);
+
+  // The entry recorded for one call, so concurrent pulls on a shared log
+  // never report each other's audit id
+  const pull = (onRecord: (entry: AuditEntry) => void) =>
+    withAuditTrail(
+      () => options.client.getCreditReport(consumerId, permissiblePurpose),
+      {
+        log: {
+          ...auditLog,
+          record: (event) => {
+            const entry = auditLog.record(event);
+            onRecord(entry);
+            return entry;
+          },
+        },
+        action: REFRESH_ACTION,
+        context: () => ({
+          actor,
+          consumerId,
+          permissiblePurpose,
+          jurisdiction: options.jurisdiction,
+        }),
+        summarize: (report) => ({ score: report.data.credit_score }),
+        consent,
+      }
+    )();
+
+  return {
+    refresh: async (previousScore) => {
+      const retryAt = nextAvailableAt();
+      if (retryAt) {
+        auditLog.record({
+          actor,
+          action: REFRESH_ACTION,
+          consumerId,
+          permissiblePurpose,
+          outcome: "denied",
+          reason: `Refresh limit of ${maxPulls} reached; next available ${retryAt}`,
+        });
+        throw new RefreshLimitError(retryAt);
+      }
+
+      const purpose = validatePermissiblePurpose(permissiblePurpose, {
+        jurisdiction: options.jurisdiction,
+      });
+      let authorization: ConsentCheck | null = null;
+      try {
+        authorization = consent.check(
+          consumerId,
+          permissiblePurpose,
+          "credit_report"
+        );
+      } catch {
+        // An unreadable ledger fails again inside the pull, where it is audited
+      }
+      let report;
+      let auditId = "";
+      inFlight += 1;
+      try {
+        report = await pull((entry) => (auditId = entry.auditId));
+      } catch (error) {
+        // The denial is already in the audit log; surface it as a typed error
+        if (!purpose.isValid) {
+          throw new FcraViolationError(purpose.errors.join("; "));
+        }
+        if (authorization && !authorization.allowed) {
+          throw new ConsentRequiredError(authorization.reason);
+        }
+        throw error;
+      } finally {
+        inFlight -= 1;
+      }
+
+      const { score, date } = toCreditScoreProps(report);
+      return {
+        score,
+        date,
+        ...(previousScore !== undefined && {
+          previousScore,
+          delta: score - previousScore,
+        }),
+        auditId,
+        remaining: remaining(),
+      };
+    },
+    remaining,
+    nextAvailableAt,
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Credit API contract types
+ * Generated from src/api/openapi.json by scripts/generate-api-types.cjs - do not edit
+ */
+
+export interface HealthResponse {
+  status: "ok";
+}
+
+export interface LoginRequest {
+  email: string;
+  password: string;
+}
+
+export interface LoginResponse {
+  token: string;
+  expires_at?: string;
+}
+
+export type PermissiblePurpose =
+  | "credit_application"
+  | "account_review"
+  | "collection_activity"
+  | "employment_screening"
+  | "insurance_underwriting"
+  | "tenant_screening"
+  | "legitimate_business_need";
+
+export interface CreditReportResponse {
+  data: {
+    credit_score: number;
+    score_model: string;
+    score_date: string;
+    trade_lines?: Array<Record<string, unknown>>;
+    payment_history?: Array<Record<string, unknown>>;
+  };
+  meta: {
+    audit_id: string;
+    retrieved_at: string;
+    compliance_validated: true;
+  };
+}
+
+// Factor ratings from 0 to 100
+export interface CreditScoreCalculationRequest {
+  payment_history: number;
+  credit_utilization: number;
+  length_of_history: number;
+  credit_mix: number;
+  new_credit: number;
+  permissible_purpose: string;
+}
+
+export interface CreditScoreCalculationResponse {
+  score: number;
+  calculation_method: string;
+  audit_id: string;
+  timestamp: string;
+}
+
+// Error body returned for every 4xx/5xx response
+export interface ApiErrorResponse {
+  error: string;
+  code: string;
+}
@@ -0,0 +1,97 @@
+/**
+ * Runtime validation of credit API responses
+ * TypeScript types vanish at runtime, so every body is checked against the
+ * OpenAPI contract before it reaches components
+ */
+
+import { ResponseValidationError } from "./errors";
+import spec from "./openapi.json";
+import { validateSchema, type OpenApiDocument } from "./schemaValidator";
+import type {
+  CreditReportResponse,
+  CreditScoreCalculationResponse,
+  LoginResponse,
+} from "./types";
+import { containsPii } from "../utils/pii";
+import { getScoringModel, isScoreModelId } from "../utils/scoringModels";
+
+export const API_SPEC = spec as unknown as OpenApiDocument;
+
+function checkContract(issues: string[], body: unknown, schemaName: string) {
+  issues.push(
+    ...validateSchema(
+      body,
+      { $ref: `#/components/schemas/${schemaName}` },
+      API_SPEC
+    )
+  );
+}
+
+// The spec allows any bureau range; the reported model narrows it
+function checkScore(
+  issues: string[],
+  path: string,
+  score: unknown,
+  model: unknown
+) {
+  if (typeof score !== "number") return;
+  const { min, max } =
+    typeof model === "string" && isScoreModelId(model)
+      ? getScoringModel(model)
+      : { min: 300, max: 850 };
+  if (score < min || score > max) {
+    issues.push(`${path} ${score} is outside ${min}-${max}`);
+  }
+}
+
+// Contract: responses never carry unmasked SSNs or card numbers
+function checkNoPii(issues: string[], body: unknown) {
+  if (containsPii(body, { types: ["ssn", "card_number"] })) {
+    issues.push("response contains unmasked SSN or card number");
+  }
+}
+
+function fail(issues: string[]): never {
+  throw new ResponseValidationError(issues);
+}
+
+export function parseLoginResponse(body: unknown): LoginResponse {
+  const issues: string[] = [];
+  checkContract(issues, body, "LoginResponse");
+  return issues.length ? fail(issues) : (body as LoginResponse);
+}
+
+export function parseCreditReportResponse(body: unknown): CreditReportResponse {
+  const issues: string[] = [];
+  checkContract(issues, body, "CreditReportResponse");
+
+  if (issues.length === 0) {
+    const { data } = body as CreditReportResponse;
+    checkScore(
+      issues,
+      "data.credit_score",
+      data.credit_score,
+      data.score_model
+    );
+    checkNoPii(issues, body);
+  }
+
+  return issues.length ? fail(issues) : (body as CreditReportResponse);
+}
+
+export function parseScoreCalculationResponse(
+  body: unknown
+): CreditScoreCalculationResponse {
+  const issues: string[] = [];
+  checkContract(issues, body, "CreditScoreCalculationResponse");
+
+  if (issues.length === 0) {
+    const data = body as CreditScoreCalculationResponse;
+    checkScore(issues, "score", data.score, data.calculation_method);
+    checkNoPii(issues, body);
+  }
+
+  return issues.length
+    ? fail(issues)
+    : (body as CreditScoreCalculationResponse);
+}
@@ -0,0 +1,67 @@
+import { createContext, useContext } from "react";
+import {
+  createBrowserSessionStore,
+  createCreditApiClient,
+  type CreditApiClient,
+} from "../api/creditApiClient";
+import {
+  createAuditLog,
+  createLocalStorageAuditStore,
+  type AuditLog,
+} from "../utils/auditTrail";
+import {
+  createConsentRegistry,
+  createLocalStorageConsentStore,
+  type ConsentRegistry,
+} from "../utils/consent";
+import type { Principal } from "../utils/permissions";
+
+export interface AppServices {
+  // Authorizations signed at intake; credit pulls are checked against it
+  consentRegistry: ConsentRegistry;
+  // Hash-chained record of every credit data access
+  auditLog: AuditLog;
+  // Checks the principal's credit:pull and the registry before each pull;
+  // its API session lasts for the browser tab
+  apiClient: CreditApiClient;
+  generateConsumerId: () => string;
+}
+
+const AppServicesContext = createContext<AppServices | null>(null);
+
+export const AppServicesProvider = AppServicesContext.Provider;
+
+/**
+ * Services shared by every page, created once per app
+ * The principal is read per call, so a role change applies immediately
+ */
+export function createAppServices(
+  principal: () => Principal | null
+): AppServices {
+  const consentRegistry = createConsentRegistry({
+    store: createLocalStorageConsentStore(),
+  });
+  return {
+    consentRegistry,
+    apiClient: createCreditApiClient({
+      principal,
+      consent: consentRegistry,
+      sessionStore: createBrowserSessionStore(),
+    }),
+    auditLog: createAuditLog({ store: createLocalStorageAuditStore() }),
+    generateConsumerId: () => `c-${crypto.randomUUID()}`,
+  };
+}
+
+/**
+ * App-wide services; throws outside an AppServicesProvider
+ */
+export function useAppServices(): AppServices {
+  const services = useContext(AppServicesContext);
+  if (!services) {
+    throw new Error(
+      "useAppServices must be used within an AppServicesProvider"
+    );
+  }
+  return services;
+}
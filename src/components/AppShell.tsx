@@ -0,0 +1,124 @@
+import React, { createContext, useContext, useEffect, useRef } from "react";
+import { useI18n } from "./I18nProvider";
+import { usePermissiblePurpose } from "./PermissiblePurposeGate";
+import { useCan } from "./PermissionProvider";
+import { Link, useRouter } from "./Router";
+import { matchPath } from "../utils/routes";
+import type { Locale } from "../utils/i18n";
+import type { Role } from "../utils/permissions";
+
+interface AppSettings {
+  locale: Locale;
+  setLocale: (locale: Locale) => void;
+  role: Role;
+  setRole: (role: Role) => void;
+}
+
+const AppSettingsContext = createContext<AppSettings | null>(null);
+
+export const AppSettingsProvider = AppSettingsContext.Provider;
+
+/**
+ * App-wide settings; throws outside an AppSettingsProvider
+ */
+export function useAppSettings(): AppSettings {
+  const settings = useContext(AppSettingsContext);
+  if (!settings) {
+    throw new Error(
+      "useAppSettings must be used within an AppSettingsProvider"
+    );
+  }
+  return settings;
+}
+
+// Consumer-scoped pages share this prefix so any of them can be deep-linked
+export const CONSUMER_PATH = "/consumers/:consumerId";
+
+/**
+ * Header, navigation and main landmark around the routed page
+ * Focus moves to main on navigation so screen readers start at the content
+ */
+export const AppShell: React.FC<{ children: React.ReactNode }> = ({
+  children,
+}) => {
+  const { t } = useI18n();
+  const { pathname } = useRouter();
+  const { selection, clear } = usePermissiblePurpose();
+  const mainRef = useRef<HTMLElement>(null);
+  const firstRender = useRef(true);
+  const consumerId = matchPath(`${CONSUMER_PATH}/*`, pathname)?.consumerId;
+  const canViewCredit = useCan("credit:view", { consumerId });
+  const canViewDisputes = useCan("dispute:view", { consumerId });
+  const canViewAudit = useCan("audit:view");
+
+  useEffect(() => {
+    if (firstRender.current) {
+      firstRender.current = false;
+      return;
+    }
+    mainRef.current?.focus();
+  }, [pathname]);
+
+  const consumerPath = (page = "") =>
+    `/consumers/${encodeURIComponent(consumerId ?? "")}${page}`;
+
+  return (
+    <div className="app-shell">
+      <header style={{ borderBottom: "1px solid #e5e7eb", padding: "12px 0" }}>
+        <Link to="/" style={{ fontWeight: "bold", fontSize: "20px" }}>
+          {t("app.title")}
+        </Link>
+        <nav aria-label={t("nav.label")} data-testid="app-nav">
+          <ul
+            style={{
+              display: "flex",
+              gap: "16px",
+              listStyle: "none",
+              padding: 0,
+            }}
+          >
+            {consumerId && canViewCredit && (
+              <>
+                <li>
+                  <Link to={consumerPath()}>{t("nav.dashboard")}</Link>
+                </li>
+                <li>
+                  <Link to={consumerPath("/reports")}>{t("nav.reports")}</Link>
+                </li>
+              </>
+            )}
+            {consumerId && canViewDisputes && (
+              <li>
+                <Link to={consumerPath("/disputes")}>{t("nav.disputes")}</Link>
+              </li>
+            )}
+            {canViewAudit && (
+              <li>
+                <Link to="/audit">{t("nav.audit")}</Link>
+              </li>
+            )}
+            <li>
+              <Link to="/onboarding">{t("nav.onboarding")}</Link>
+            </li>
+            <li>
+              <Link to="/settings">{t("nav.settings")}</Link>
+            </li>
+          </ul>
+        </nav>
+        {consumerId && selection?.consumerId === consumerId && (
+          <p data-testid="active-purpose" style={{ fontSize: "14px" }}>
+            {t("app.purpose", { purpose: t(`purpose.${selection.purpose}`) })}{" "}
+            <button type="button" onClick={clear}>
+              {t("app.changePurpose")}
+            </button>
+          </p>
+        )}
+      </header>
+      <main ref={mainRef} tabIndex={-1} style={{ padding: "16px 0" }}>
+        {children}
+      </main>
+    </div>
+  );
+};
+
+export default AppShell;
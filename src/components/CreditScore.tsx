@@ -1,39 +1,139 @@
-import React from "react";
+import React, { useState } from "react";
+import { CreditScoreSkeleton } from "./CreditScore/CreditScoreDisplay";
+import { ScoreFactorBreakdown } from "./CreditScore/ScoreFactorBreakdown";
+import { ScoreUnavailable } from "./CreditScore/ScoreUnavailable";
+import { useScoreValidation } from "./CreditScore/useScoreValidation";
+import { useI18n } from "./I18nProvider";
+import { PermissionDenied, useCan } from "./PermissionProvider";
+import {
+  ConsentRequiredError,
+  FcraViolationError,
+  PermissionDeniedError,
+  RefreshLimitError,
+  UnauthorizedError,
+} from "../api/errors";
+import type { ScoreRefreshResult } from "../api/scoreRefresh";
+import type { ValidationResult } from "../utils/complianceRules";
+import type { I18n } from "../utils/i18n";
+import {
+  getScoreBand,
+  resolveScoreTheme,
+  type ScoreTheme,
+} from "../utils/scoreBands";
+import type { ScoreFactorDetail } from "../utils/scoreFactors";
+import type { ScoreModelId } from "../utils/scoringModels";
 
 interface CreditScoreProps {
   score: number;
-  factors?: string[];
+  // Whose score this is; defaults to the consumer in the current route
+  consumerId?: string;
+  // Plain strings render as a list; structured factors get the breakdown
+  factors?: string[] | ScoreFactorDetail[];
+  // Pulls a fresh score, e.g. a ScoreRefresher's refresh
+  onRefresh?: (previousScore: number) => Promise<ScoreRefreshResult>;
+  // Called with the new score after a successful refresh
   onScoreUpdate?: (newScore: number) => void;
+  model?: ScoreModelId;
+  theme?: Partial<ScoreTheme>;
+  // Receives the validation result when the score cannot be shown
+  onInvalidScore?: (result: ValidationResult) => void;
+}
+
+function refreshErrorMessage(error: unknown, i18n: I18n): string {
+  if (error instanceof RefreshLimitError) {
+    return i18n.t("refreshError.limit", {
+      date: i18n.formatDate(error.retryAt),
+    });
+  }
+  if (error instanceof FcraViolationError) {
+    return i18n.t("refreshError.purpose");
+  }
+  if (error instanceof PermissionDeniedError) {
+    return i18n.t("refreshError.permission");
+  }
+  if (error instanceof ConsentRequiredError) {
+    return i18n.t(`refreshError.consent.${error.reason}`);
+  }
+  if (error instanceof UnauthorizedError) {
+    return i18n.t("refreshError.unauthorized");
+  }
+  return i18n.t("refreshError.generic");
+}
+
+function formatDelta(delta: number, i18n: I18n): string {
+  if (delta === 0) return i18n.t("creditScore.delta.none");
+  return i18n.t(`creditScore.delta.${delta > 0 ? "up" : "down"}`, {
+    count: Math.abs(delta),
+  });
 }
 
 /**
  * CreditScore component for displaying FICO credit scores
- * Validates score range 300-850 per FCRA requirements
+ * Validates score range 300-850 per FCRA requirements; invalid scores render
+ * a needs-verification state and are reported through onInvalidScore
+ * Needs credit:view to render and credit:pull to offer a refresh
  */
 export const CreditScore: React.FC<CreditScoreProps> = ({
   score,
+  consumerId,
   factors = [],
+  onRefresh,
   onScoreUpdate,
+  model,
+  theme,
+  onInvalidScore,
 }) => {
-  // FCRA Section 604 - Validate score range
-  const isValidScore = score >= 300 && score <= 850;
+  const i18n = useI18n();
+  const resource = consumerId === undefined ? undefined : { consumerId };
+  const canView = useCan("credit:view", resource);
+  const canRefresh = useCan("credit:pull", resource);
+  const [refreshing, setRefreshing] = useState(false);
+  const [refreshed, setRefreshed] = useState<ScoreRefreshResult | null>(null);
+  const [refreshError, setRefreshError] = useState<string | null>(null);
+  // A new score from the parent replaces an earlier refresh, unless it is
+  // that refresh being passed back down through onScoreUpdate
+  const [scoreProp, setScoreProp] = useState(score);
+  // Object.is so an invalid NaN score does not re-render forever
+  if (!Object.is(score, scoreProp)) {
+    setScoreProp(score);
+    if (score !== refreshed?.score) setRefreshed(null);
+  }
+  const currentScore = refreshed?.score ?? score;
+  const colors = resolveScoreTheme(theme);
+
+  // FCRA Section 607(b) - Validate score range for the model (FICO 300-850)
+  const validation = useScoreValidation(currentScore, {
+    model,
+    onInvalidScore,
+  });
 
-  if (!isValidScore) {
-    throw new Error(`Invalid credit score: ${score}. Must be between 300-850.`);
+  if (!canView) {
+    return <PermissionDenied />;
   }
 
-  const getScoreColor = (score: number): string => {
-    if (score >= 740) return "#22c55e"; // Excellent - Green
-    if (score >= 670) return "#3b82f6"; // Good - Blue
-    if (score >= 580) return "#f59e0b"; // Fair - Orange
-    return "#ef4444"; // Poor - Red
-  };
+  if (!validation.isValid) {
+    return <ScoreUnavailable theme={theme} />;
+  }
+
+  const band = getScoreBand(currentScore, {
+    model,
+    theme,
+    translate: i18n.lookup,
+  });
 
-  const getScoreLabel = (score: number): string => {
-    if (score >= 740) return "Excellent";
-    if (score >= 670) return "Good";
-    if (score >= 580) return "Fair";
-    return "Poor";
+  const handleRefresh = async () => {
+    if (!onRefresh) return;
+    setRefreshing(true);
+    setRefreshError(null);
+    try {
+      const result = await onRefresh(currentScore);
+      setRefreshed(result);
+      onScoreUpdate?.(result.score);
+    } catch (error) {
+      setRefreshError(refreshErrorMessage(error, i18n));
+    } finally {
+      setRefreshing(false);
+    }
   };
 
   return (
@@ -42,47 +142,74 @@ export const CreditScore: React.FC<CreditScoreProps> = ({
       data-testid="credit-score"
       style={{
         padding: "20px",
-        border: "2px solid #e5e7eb",
+        border: `2px solid ${colors.border}`,
         borderRadius: "8px",
         textAlign: "center",
         maxWidth: "300px",
       }}
     >
-      <h2 style={{ margin: "0 0 10px 0", color: "#374151" }}>Credit Score</h2>
-
-      <div
-        className="score-display"
-        style={{
-          fontSize: "48px",
-          fontWeight: "bold",
-          color: getScoreColor(score),
-          margin: "10px 0",
-        }}
-        data-testid="score-value"
-      >
-        {score}
-      </div>
-
-      <div
-        className="score-label"
-        style={{
-          fontSize: "18px",
-          color: getScoreColor(score),
-          fontWeight: "600",
-          margin: "5px 0 15px 0",
-        }}
-        data-testid="score-label"
-      >
-        {getScoreLabel(score)}
-      </div>
-
-      {factors.length > 0 && (
+      <h2 style={{ margin: "0 0 10px 0", color: colors.heading }}>
+        {i18n.t("creditScore.title")}
+      </h2>
+
+      {refreshing ? (
+        <CreditScoreSkeleton />
+      ) : (
+        <>
+          <div
+            className="score-display"
+            style={{
+              fontSize: "48px",
+              fontWeight: "bold",
+              color: band.color,
+              margin: "10px 0",
+            }}
+            data-testid="score-value"
+          >
+            {i18n.formatNumber(currentScore)}
+          </div>
+
+          <div
+            className="score-label"
+            style={{
+              fontSize: "18px",
+              color: band.color,
+              fontWeight: "600",
+              margin: "5px 0 15px 0",
+            }}
+            data-testid="score-label"
+          >
+            {band.label}
+          </div>
+
+          {refreshed?.delta !== undefined && (
+            <div
+              className="score-delta"
+              aria-live="polite"
+              data-testid="score-delta"
+              style={{ color: colors.muted, margin: "0 0 10px 0" }}
+            >
+              {formatDelta(refreshed.delta, i18n)}
+            </div>
+          )}
+        </>
+      )}
+
+      {factors.length > 0 && typeof factors[0] !== "string" && (
         <div className="score-factors" data-testid="score-factors">
-          <h4 style={{ margin: "15px 0 10px 0", color: "#6b7280" }}>
-            Key Factors:
+          <ScoreFactorBreakdown factors={factors as ScoreFactorDetail[]} />
+        </div>
+      )}
+
+      {factors.length > 0 && typeof factors[0] === "string" && (
+        <div className="score-factors" data-testid="score-factors">
+          <h4 style={{ margin: "15px 0 10px 0", color: colors.muted }}>
+            {i18n.t("creditScore.keyFactors")}
           </h4>
-          <ul style={{ textAlign: "left", color: "#6b7280", fontSize: "14px" }}>
-            {factors.map((factor, index) => (
+          <ul
+            style={{ textAlign: "left", color: colors.muted, fontSize: "14px" }}
+          >
+            {(factors as string[]).map((factor, index) => (
               <li key={index} style={{ margin: "5px 0" }}>
                 {factor}
               </li>
@@ -91,21 +218,35 @@ export const CreditScore: React.FC<CreditScoreProps> = ({
         </div>
       )}
 
-      {onScoreUpdate && (
+      {refreshError && (
+        <div
+          role="alert"
+          data-testid="refresh-error"
+          style={{ color: colors.error, fontSize: "14px", marginTop: "10px" }}
+        >
+          {refreshError}
+        </div>
+      )}
+
+      {onRefresh && canRefresh && (
         <button
-          onClick={() => onScoreUpdate(score + 10)}
+          onClick={handleRefresh}
+          disabled={refreshing}
+          aria-busy={refreshing}
           style={{
             marginTop: "15px",
             padding: "8px 16px",
-            backgroundColor: "#3b82f6",
-            color: "white",
+            backgroundColor: colors.accent,
+            color: colors.accentText,
             border: "none",
             borderRadius: "4px",
-            cursor: "pointer",
+            cursor: refreshing ? "wait" : "pointer",
           }}
           data-testid="update-score-btn"
         >
-          Simulate Score Update
+          {i18n.t(
+            refreshing ? "creditScore.refreshing" : "creditScore.refresh"
+          )}
         </button>
       )}
     </div>
@@ -1,75 +1,117 @@
 import React from "react";
+import { ScoreGauge, type GaugeSize } from "./ScoreGauge";
+import { ScoreUnavailable } from "./ScoreUnavailable";
+import { useScoreValidation } from "./useScoreValidation";
+import { useI18n } from "../I18nProvider";
+import { PermissionDenied, useCan } from "../PermissionProvider";
+import type { ValidationResult } from "../../utils/complianceRules";
+import { createI18n } from "../../utils/i18n";
+import { getScoreBand, type ScoreTheme } from "../../utils/scoreBands";
+import type { ScoreModelId } from "../../utils/scoringModels";
 
 interface CreditScoreProps {
   score: number;
   date: string;
+  // Whose score this is; defaults to the consumer in the current route
+  consumerId?: string;
   isLoading?: boolean;
   onScoreClick?: (score: number) => void;
   className?: string;
   showTooltip?: boolean;
-}
-
-interface CreditScoreRange {
-  range: string;
-  color: string;
-  description: string;
+  model?: ScoreModelId;
+  theme?: Partial<ScoreTheme>;
+  // Receives the validation result when the score cannot be shown
+  onInvalidScore?: (result: ValidationResult) => void;
+  // "gauge" adds a semicircular dial above the number
+  variant?: "number" | "gauge";
+  size?: GaugeSize;
 }
 
 export const CreditScoreDisplay: React.FC<CreditScoreProps> = ({
   score,
   date,
+  consumerId,
   isLoading = false,
   onScoreClick,
   className = "",
   showTooltip = true,
+  model,
+  theme,
+  onInvalidScore,
+  variant = "number",
+  size = "large",
 }) => {
-  // Validate FICO score range (300-850) - FCRA compliance requirement
-  const validScore = Math.min(Math.max(score, 300), 850);
-  const scoreRange = getScoreRange(validScore);
+  // Validate the model's score range (FICO 300-850) - FCRA compliance requirement
+  // Out-of-range scores are flagged for verification, never clamped into range
+  const validation = useScoreValidation(score, {
+    model,
+    onInvalidScore,
+    skip: isLoading,
+  });
+  const i18n = useI18n();
+  const canView = useCan(
+    "credit:view",
+    consumerId === undefined ? undefined : { consumerId }
+  );
+  const band = getScoreBand(score, { model, theme, translate: i18n.lookup });
 
   // Accessibility and interaction handlers
-  const handleClick = () => onScoreClick?.(validScore);
+  const handleClick = () => onScoreClick?.(score);
   const handleKeyDown = (e: React.KeyboardEvent) => {
     if (e.key === "Enter" || e.key === " ") {
       e.preventDefault();
-      onScoreClick?.(validScore);
+      onScoreClick?.(score);
     }
   };
 
+  if (!canView) {
+    return <PermissionDenied />;
+  }
+
   if (isLoading) {
     return <CreditScoreSkeleton className={className} />;
   }
 
+  if (!validation.isValid) {
+    return <ScoreUnavailable className={className} theme={theme} />;
+  }
+
   return (
     <div
-      className={`credit-score ${scoreRange.range.toLowerCase()} ${className}`}
+      className={`credit-score ${band.id.toLowerCase()} ${variant === "gauge" ? `gauge ${size}` : ""} ${className}`}
       onClick={handleClick}
       onKeyDown={handleKeyDown}
       tabIndex={onScoreClick ? 0 : -1}
       role={onScoreClick ? "button" : "text"}
-      aria-label={`Credit score ${validScore}, ${scoreRange.range} range`}
+      aria-label={i18n.t("creditScore.ariaLabel", {
+        score,
+        band: band.label,
+      })}
       data-testid="credit-score-display"
     >
       <div className="score-container">
+        {variant === "gauge" && (
+          <ScoreGauge score={score} model={model} theme={theme} size={size} />
+        )}
         <span
           className="score-value"
-          style={{ color: scoreRange.color }}
+          style={{ color: band.color }}
           data-testid="credit-score-value"
         >
-          {validScore}
+          {i18n.formatNumber(score)}
         </span>
         <span className="score-range" data-testid="credit-score-range">
-          {scoreRange.range}
+          {band.id}
         </span>
       </div>
 
       <div className="score-metadata">
         <span className="score-date" data-testid="credit-score-date">
-          Updated: {formatDate(date)}
+          {i18n.t("creditScore.updated", { date: i18n.formatDate(date) })}
         </span>
         {showTooltip && (
           <div className="score-tooltip" data-testid="credit-score-tooltip">
-            {scoreRange.description}
+            {band.description}
           </div>
         )}
       </div>
@@ -77,45 +119,8 @@ export const CreditScoreDisplay: React.FC<CreditScoreProps> = ({
   );
 };
 
-// Helper function for FICO score categorization
-function getScoreRange(score: number): CreditScoreRange {
-  if (score >= 800) {
-    return {
-      range: "EXCELLENT",
-      color: "#22c55e",
-      description: "Excellent credit - best rates available",
-    };
-  }
-  if (score >= 740) {
-    return {
-      range: "VERY_GOOD",
-      color: "#84cc16",
-      description: "Very good credit - favorable rates",
-    };
-  }
-  if (score >= 670) {
-    return {
-      range: "GOOD",
-      color: "#eab308",
-      description: "Good credit - competitive rates",
-    };
-  }
-  if (score >= 580) {
-    return {
-      range: "FAIR",
-      color: "#f97316",
-      description: "Fair credit - higher rates may apply",
-    };
-  }
-  return {
-    range: "POOR",
-    color: "#ef4444",
-    description: "Poor credit - limited options available",
-  };
-}
-
 // Loading skeleton component
-const CreditScoreSkeleton: React.FC<{ className?: string }> = ({
+export const CreditScoreSkeleton: React.FC<{ className?: string }> = ({
   className,
 }) => (
   <div
@@ -127,17 +132,10 @@ const CreditScoreSkeleton: React.FC<{ className?: string }> = ({
   </div>
 );
 
-// Date formatting utility
-function formatDate(dateString: string): string {
-  try {
-    return new Date(dateString).toLocaleDateString("en-US", {
-      year: "numeric",
-      month: "short",
-      day: "numeric",
-    });
-  } catch {
-    return dateString;
-  }
+// Date formatting utility; components inside an I18nProvider should use
+// useI18n().formatDate so dates follow the active locale
+export function formatDate(dateString: string, locale?: string): string {
+  return createI18n(locale).formatDate(dateString);
 }
 
 export default CreditScoreDisplay;
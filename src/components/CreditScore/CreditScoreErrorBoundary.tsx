@@ -0,0 +1,42 @@
+import React from "react";
+import { ScoreUnavailable } from "./ScoreUnavailable";
+
+interface CreditScoreErrorBoundaryProps {
+  children: React.ReactNode;
+  fallback?: React.ReactNode;
+  onError?: (error: Error, info: React.ErrorInfo) => void;
+}
+
+interface CreditScoreErrorBoundaryState {
+  hasError: boolean;
+}
+
+/**
+ * Keeps a failing score widget from tearing down the rest of the page
+ * Error boundaries must be class components
+ */
+export class CreditScoreErrorBoundary extends React.Component<
+  CreditScoreErrorBoundaryProps,
+  CreditScoreErrorBoundaryState
+> {
+  state: CreditScoreErrorBoundaryState = { hasError: false };
+
+  static getDerivedStateFromError(): CreditScoreErrorBoundaryState {
+    return { hasError: true };
+  }
+
+  // Reported only through onError; error details and component stacks can
+  // carry consumer data, so nothing is written to the console here
+  componentDidCatch(error: Error, info: React.ErrorInfo) {
+    this.props.onError?.(error, info);
+  }
+
+  render() {
+    if (this.state.hasError) {
+      return this.props.fallback ?? <ScoreUnavailable reason="error" />;
+    }
+    return this.props.children;
+  }
+}
+
+export default CreditScoreErrorBoundary;
@@ -0,0 +1,421 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import type { ValidationResult } from "../../utils/complianceRules";
+import type { Bureau } from "../../utils/creditReport";
+import type { DisputeCase } from "../../utils/disputeTracker";
+import { validateCreditScore } from "../../utils/creditValidation";
+import {
+  getScoreBand,
+  getScoreBands,
+  resolveScoreTheme,
+  type ScoreTheme,
+} from "../../utils/scoreBands";
+import { getScoringModel, type ScoreModelId } from "../../utils/scoringModels";
+import { useI18n } from "../I18nProvider";
+import { srOnly } from "./srOnly";
+
+export interface ScoreHistoryPoint {
+  date: string;
+  score: number;
+}
+
+export interface ScoreHistorySeries {
+  bureau: Bureau;
+  points: ScoreHistoryPoint[];
+}
+
+export interface ScoreMilestone {
+  date: string;
+  label: string;
+}
+
+interface CreditScoreHistoryProps {
+  series: ScoreHistorySeries[];
+  milestones?: ScoreMilestone[];
+  title?: string;
+  width?: number;
+  height?: number;
+  className?: string;
+  model?: ScoreModelId;
+  theme?: Partial<ScoreTheme>;
+  // Called for each point left off the chart because its score is invalid
+  onInvalidScore?: (
+    result: ValidationResult,
+    point: ScoreHistoryPoint & { bureau: Bureau }
+  ) => void;
+}
+
+interface PlottedPoint extends ScoreHistoryPoint {
+  bureau: Bureau;
+  x: number;
+  y: number;
+}
+
+const MARGIN = { top: 24, right: 16, bottom: 32, left: 44 };
+
+export const BUREAU_COLORS: Record<Bureau, string> = {
+  Experian: "#2563eb",
+  Equifax: "#dc2626",
+  TransUnion: "#0d9488",
+};
+
+const DISPUTE_MILESTONE_LABELS: Partial<Record<DisputeCase["status"], string>> =
+  {
+    sent: "Dispute sent",
+    deleted: "Item deleted",
+    updated: "Item updated",
+    verified: "Item verified",
+  };
+
+/**
+ * Chart annotations for dispute sends and outcomes
+ * translate looks up "history.milestone.{status}" for the active locale
+ */
+export function disputeMilestones(
+  disputes: DisputeCase[],
+  translate?: (key: string) => string | undefined
+): ScoreMilestone[] {
+  return disputes.flatMap((dispute) =>
+    dispute.history
+      .filter((entry) => DISPUTE_MILESTONE_LABELS[entry.to])
+      .map((entry) => ({
+        date: entry.at,
+        label: [
+          translate?.(`history.milestone.${entry.to}`) ??
+            DISPUTE_MILESTONE_LABELS[entry.to],
+          dispute.bureau ?? dispute.furnisherName,
+        ]
+          .filter(Boolean)
+          .join(" - "),
+      }))
+  );
+}
+
+const isValidDate = (date: string) => !Number.isNaN(new Date(date).getTime());
+
+const dayOf = (date: string) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * CreditScoreHistory renders per-bureau score trends as an SVG line chart
+ * Scores that fail validation are left off and counted, never clamped, so
+ * the trend only shows values that could be verified
+ */
+export const CreditScoreHistory: React.FC<CreditScoreHistoryProps> = ({
+  series,
+  milestones = [],
+  title,
+  width = 640,
+  height = 280,
+  className = "",
+  model,
+  theme,
+  onInvalidScore,
+}) => {
+  const id = useId();
+  const i18n = useI18n();
+  const heading = title ?? i18n.t("history.title");
+  const { min: minScore, max: maxScore } = getScoringModel(model);
+  const bands = getScoreBands({ model, theme });
+  const colors = resolveScoreTheme(theme);
+  const bandFor = (score: number) =>
+    getScoreBand(score, { model, theme, translate: i18n.lookup });
+  const [active, setActive] = useState<PlottedPoint | null>(null);
+
+  // Points and milestones without a parseable date cannot be placed
+  const dated = series.map((line) => ({
+    ...line,
+    points: line.points.filter((point) => isValidDate(point.date)),
+  }));
+  const markers = milestones.filter((milestone) => isValidDate(milestone.date));
+  const inRange = (score: number) => validateCreditScore(score, model).isValid;
+  const rejected = dated.flatMap((line) =>
+    line.points
+      .filter((point) => !inRange(point.score))
+      .map((point) => ({ ...point, bureau: line.bureau }))
+  );
+  const plottable = dated.map((line) => ({
+    ...line,
+    points: line.points.filter((point) => inRange(point.score)),
+  }));
+
+  const report = useRef(onInvalidScore);
+  report.current = onInvalidScore;
+  useEffect(() => {
+    rejected.forEach((point) =>
+      report.current?.(validateCreditScore(point.score, model), point)
+    );
+    // Once per series change, not on every hover re-render
+  }, [series, model]);
+
+  const omitted = rejected.length > 0 && (
+    <p role="status" data-testid="credit-score-history-omitted">
+      {i18n.t("history.omitted", { count: rejected.length })}
+    </p>
+  );
+
+  const times = [
+    ...plottable.flatMap((line) => line.points.map((point) => point.date)),
+    ...markers.map((milestone) => milestone.date),
+  ].map((date) => new Date(date).getTime());
+
+  if (plottable.every((line) => line.points.length === 0)) {
+    return (
+      <figure
+        className={`credit-score-history empty ${className}`}
+        data-testid="credit-score-history"
+      >
+        <figcaption>{heading}</figcaption>
+        <p data-testid="credit-score-history-empty">
+          {i18n.t("history.empty")}
+        </p>
+        {omitted}
+      </figure>
+    );
+  }
+
+  const start = Math.min(...times);
+  const end = Math.max(...times);
+  const plotWidth = width - MARGIN.left - MARGIN.right;
+  const plotHeight = height - MARGIN.top - MARGIN.bottom;
+
+  const xFor = (date: string) =>
+    MARGIN.left +
+    (end === start
+      ? plotWidth / 2
+      : ((new Date(date).getTime() - start) / (end - start)) * plotWidth);
+  const yFor = (score: number) =>
+    MARGIN.top + ((maxScore - score) / (maxScore - minScore)) * plotHeight;
+
+  const lines = plottable.map((line) => ({
+    bureau: line.bureau,
+    points: [...line.points]
+      .sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime())
+      .map((point) => ({
+        bureau: line.bureau,
+        date: point.date,
+        score: point.score,
+        x: xFor(point.date),
+        y: yFor(point.score),
+      })),
+  }));
+
+  // One table row per day across all bureaus and milestones
+  const days = [
+    ...new Set([
+      ...lines.flatMap((line) => line.points.map((point) => dayOf(point.date))),
+      ...markers.map((milestone) => dayOf(milestone.date)),
+    ]),
+  ].sort();
+
+  const isActive = (point: PlottedPoint) =>
+    active?.bureau === point.bureau && active.date === point.date;
+
+  const describe = (point: PlottedPoint) =>
+    i18n.t("history.pointLabel", {
+      bureau: point.bureau,
+      score: point.score,
+      band: bandFor(point.score).label,
+      date: i18n.formatDate(point.date),
+    });
+
+  const handleKeyDown = (e: React.KeyboardEvent) => {
+    if (e.key === "Escape") setActive(null);
+  };
+
+  return (
+    <figure
+      className={`credit-score-history ${className}`}
+      data-testid="credit-score-history"
+      style={{ position: "relative", margin: 0 }}
+    >
+      <svg
+        role="group"
+        aria-labelledby={`${id}-title ${id}-desc`}
+        viewBox={`0 0 ${width} ${height}`}
+        width={width}
+        height={height}
+        onKeyDown={handleKeyDown}
+      >
+        <title id={`${id}-title`}>{heading}</title>
+        <desc id={`${id}-desc`}>
+          {lines
+            .filter((line) => line.points.length > 0)
+            .map((line) => {
+              const first = line.points[0];
+              const last = line.points[line.points.length - 1];
+              return i18n.t("history.trend", {
+                bureau: line.bureau,
+                from: first.score,
+                to: last.score,
+              });
+            })
+            .join(" ")}
+        </desc>
+
+        {bands.map((band, index) => {
+          const top = index === 0 ? maxScore : bands[index - 1].min;
+          return (
+            <g key={band.id} data-testid={`score-band-${band.id}`}>
+              <rect
+                x={MARGIN.left}
+                y={yFor(top)}
+                width={plotWidth}
+                height={yFor(band.min) - yFor(top)}
+                fill={band.color}
+                fillOpacity={0.12}
+              />
+              <text
+                x={MARGIN.left - 6}
+                y={yFor(band.min)}
+                textAnchor="end"
+                fontSize={10}
+                fill={colors.muted}
+              >
+                {band.min}
+              </text>
+            </g>
+          );
+        })}
+
+        {markers.map((milestone, index) => (
+          <g
+            key={`${milestone.date}-${index}`}
+            data-testid="score-history-milestone"
+          >
+            <line
+              x1={xFor(milestone.date)}
+              x2={xFor(milestone.date)}
+              y1={MARGIN.top}
+              y2={MARGIN.top + plotHeight}
+              stroke={colors.muted}
+              strokeDasharray="4 3"
+            />
+            <text
+              x={xFor(milestone.date)}
+              y={MARGIN.top - 6}
+              textAnchor="middle"
+              fontSize={10}
+              fill={colors.heading}
+            >
+              {milestone.label}
+            </text>
+          </g>
+        ))}
+
+        {lines.map((line) => (
+          <g key={line.bureau} data-testid={`score-line-${line.bureau}`}>
+            <polyline
+              points={line.points
+                .map((point) => `${point.x},${point.y}`)
+                .join(" ")}
+              fill="none"
+              stroke={BUREAU_COLORS[line.bureau]}
+              strokeWidth={2}
+            />
+            {line.points.map((point, index) => (
+              <circle
+                key={`${index}-${point.date}`}
+                cx={point.x}
+                cy={point.y}
+                r={isActive(point) ? 6 : 4}
+                fill={BUREAU_COLORS[line.bureau]}
+                tabIndex={0}
+                role="button"
+                aria-label={describe(point)}
+                data-testid="score-history-point"
+                onMouseEnter={() => setActive(point)}
+                onMouseLeave={() => setActive(null)}
+                onFocus={() => setActive(point)}
+                onBlur={() => setActive(null)}
+              />
+            ))}
+          </g>
+        ))}
+
+        <text
+          x={MARGIN.left}
+          y={height - 8}
+          fontSize={10}
+          fill={colors.muted}
+          aria-hidden="true"
+        >
+          {i18n.formatDate(new Date(start))}
+        </text>
+        <text
+          x={width - MARGIN.right}
+          y={height - 8}
+          textAnchor="end"
+          fontSize={10}
+          fill={colors.muted}
+          aria-hidden="true"
+        >
+          {i18n.formatDate(new Date(end))}
+        </text>
+      </svg>
+      {omitted}
+
+      {active && (
+        <div
+          role="tooltip"
+          data-testid="score-history-tooltip"
+          style={{
+            position: "absolute",
+            left: active.x,
+            top: Math.max(active.y - 40, 0),
+            padding: "4px 8px",
+            background: "#111827",
+            color: "#ffffff",
+            borderRadius: "4px",
+            fontSize: "12px",
+            pointerEvents: "none",
+          }}
+        >
+          <strong>{active.bureau}</strong> {active.score}{" "}
+          <span style={{ color: bandFor(active.score).color }}>
+            {bandFor(active.score).label}
+          </span>
+          <div>{i18n.formatDate(active.date)}</div>
+        </div>
+      )}
+
+      <table style={srOnly} data-testid="credit-score-history-table">
+        <caption>{heading}</caption>
+        <thead>
+          <tr>
+            <th scope="col">{i18n.t("history.date")}</th>
+            {lines.map((line) => (
+              <th scope="col" key={line.bureau}>
+                {line.bureau}
+              </th>
+            ))}
+            {markers.length > 0 && (
+              <th scope="col">{i18n.t("history.milestones")}</th>
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {days.map((day) => (
+            <tr key={day}>
+              <th scope="row">{i18n.formatDate(day)}</th>
+              {lines.map((line) => (
+                <td key={line.bureau}>
+                  {line.points.find((point) => dayOf(point.date) === day)
+                    ?.score ?? "-"}
+                </td>
+              ))}
+              {markers.length > 0 && (
+                <td>
+                  {markers
+                    .filter((milestone) => dayOf(milestone.date) === day)
+                    .map((milestone) => milestone.label)
+                    .join("; ")}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  );
+};
+
+export default CreditScoreHistory;
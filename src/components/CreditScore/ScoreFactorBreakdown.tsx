@@ -0,0 +1,113 @@
+import React, { useEffect, useRef } from "react";
+import { srOnly } from "./srOnly";
+import { useI18n } from "../I18nProvider";
+import type { ValidationResult } from "../../utils/complianceRules";
+import {
+  groupScoreFactors,
+  resolveReasonCode,
+  validateScoreFactors,
+  type ScoreFactorDetail,
+} from "../../utils/scoreFactors";
+
+interface ScoreFactorBreakdownProps {
+  factors: ScoreFactorDetail[];
+  title?: string;
+  showReasonCodes?: boolean;
+  className?: string;
+  // Called when a reason code is unknown or belongs to another category
+  onInvalidFactors?: (result: ValidationResult) => void;
+}
+
+const IMPACT_STYLE = {
+  negative: { symbol: "▼", color: "#dc2626" },
+  positive: { symbol: "▲", color: "#16a34a" },
+};
+
+/**
+ * ScoreFactorBreakdown groups structured factors by category and ranks
+ * them by impact, with the reason code used on adverse action notices
+ */
+export const ScoreFactorBreakdown: React.FC<ScoreFactorBreakdownProps> = ({
+  factors,
+  title,
+  showReasonCodes = true,
+  className = "",
+  onInvalidFactors,
+}) => {
+  const i18n = useI18n();
+  const heading = title ?? i18n.t("scoreFactors.title");
+  const groups = groupScoreFactors(factors);
+  const validation = validateScoreFactors(factors);
+
+  const report = useRef(onInvalidFactors);
+  report.current = onInvalidFactors;
+  useEffect(() => {
+    if (!validation.isValid) report.current?.(validation);
+    // Once per factors change, not on every parent re-render
+  }, [factors]);
+
+  return (
+    <section
+      className={`score-factor-breakdown ${className}`}
+      aria-label={heading}
+      data-testid="score-factor-breakdown"
+      style={{ textAlign: "left" }}
+    >
+      <h4 style={{ margin: "15px 0 10px 0", color: "#374151" }}>{heading}</h4>
+      {groups.map((group) => (
+        <div
+          key={group.category}
+          className="factor-group"
+          data-testid={`factor-group-${group.category}`}
+        >
+          <h5 style={{ margin: "10px 0 4px 0", color: "#374151" }}>
+            {i18n.t(`scoreFactors.category.${group.category}`)}{" "}
+            <span style={{ fontWeight: "normal", color: "#6b7280" }}>
+              {i18n.t("scoreFactors.weight", {
+                percent: Math.round(group.weight * 100),
+              })}
+            </span>
+          </h5>
+          <ol style={{ margin: 0, paddingLeft: "20px", color: "#4b5563" }}>
+            {group.factors.map((factor) => {
+              const impact = IMPACT_STYLE[factor.impact];
+              return (
+                <li
+                  key={`${factor.rank}`}
+                  value={factor.rank}
+                  data-testid="score-factor"
+                  data-impact={factor.impact}
+                  style={{ margin: "6px 0", fontSize: "14px" }}
+                >
+                  <span style={{ color: impact.color }}>
+                    <span aria-hidden="true">{impact.symbol} </span>
+                    <span style={srOnly}>
+                      {i18n.t(`scoreFactors.impact.${factor.impact}`)}:{" "}
+                    </span>
+                  </span>
+                  <strong>{factor.statement}</strong>{" "}
+                  <span className="factor-severity">
+                    ({i18n.t(`scoreFactors.severity.${factor.severity}`)})
+                  </span>
+                  <div style={{ color: "#6b7280" }}>{factor.explanation}</div>
+                  {showReasonCodes && resolveReasonCode(factor) && (
+                    <div
+                      className="factor-reason-code"
+                      style={{ color: "#9ca3af", fontSize: "12px" }}
+                    >
+                      {i18n.t("scoreFactors.reasonCode", {
+                        code: factor.reasonCode,
+                      })}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+      ))}
+    </section>
+  );
+};
+
+export default ScoreFactorBreakdown;
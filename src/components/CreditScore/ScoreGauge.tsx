@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from "react";
+import {
+  getScoreBands,
+  resolveScoreTheme,
+  type ScoreTheme,
+} from "../../utils/scoreBands";
+import { getScoringModel, type ScoreModelId } from "../../utils/scoringModels";
+
+export type GaugeSize = "compact" | "large";
+
+interface ScoreGaugeProps {
+  score: number;
+  model?: ScoreModelId;
+  theme?: Partial<ScoreTheme>;
+  size?: GaugeSize;
+}
+
+const GAUGE_WIDTH: Record<GaugeSize, number> = { compact: 160, large: 280 };
+const NEEDLE_ANIMATION_MS = 800;
+
+const reducedMotionQuery = () =>
+  typeof window !== "undefined" && typeof window.matchMedia === "function"
+    ? window.matchMedia("(prefers-reduced-motion: reduce)")
+    : null;
+
+/**
+ * Tracks the user's reduced motion preference; false where matchMedia is
+ * unavailable (SSR, older browsers)
+ */
+export function usePrefersReducedMotion(): boolean {
+  const [reduced, setReduced] = useState(
+    () => reducedMotionQuery()?.matches ?? false
+  );
+
+  useEffect(() => {
+    const query = reducedMotionQuery();
+    if (!query) return;
+    const handleChange = (e: MediaQueryListEvent) => setReduced(e.matches);
+    query.addEventListener("change", handleChange);
+    return () => query.removeEventListener("change", handleChange);
+  }, []);
+
+  return reduced;
+}
+
+/**
+ * ScoreGauge draws a semicircular dial with one arc per score band
+ * Decorative only - the parent display carries the accessible label
+ */
+export const ScoreGauge: React.FC<ScoreGaugeProps> = ({
+  score,
+  model,
+  theme,
+  size = "large",
+}) => {
+  const { min, max } = getScoringModel(model);
+  const bands = getScoreBands({ model, theme });
+  const { needle } = resolveScoreTheme(theme);
+  const reducedMotion = usePrefersReducedMotion();
+
+  const width = GAUGE_WIDTH[size];
+  const stroke = size === "compact" ? 12 : 20;
+  const radius = width / 2 - stroke;
+  const cx = width / 2;
+  const cy = width / 2;
+  const height = cy + stroke;
+
+  const fraction = (value: number) =>
+    (Math.min(Math.max(value, min), max) - min) / (max - min);
+  const pointAt = (value: number) => {
+    const angle = Math.PI * (1 - fraction(value));
+    return {
+      x: cx + radius * Math.cos(angle),
+      y: cy - radius * Math.sin(angle),
+    };
+  };
+
+  // -90deg points at the model minimum, 90deg at the maximum
+  const targetAngle = -90 + 180 * fraction(score);
+  const [angle, setAngle] = useState(reducedMotion ? targetAngle : -90);
+
+  useEffect(() => {
+    if (reducedMotion) {
+      setAngle(targetAngle);
+      return;
+    }
+    // Let the browser paint the start position so the transition runs
+    const frame = requestAnimationFrame(() => setAngle(targetAngle));
+    return () => cancelAnimationFrame(frame);
+  }, [targetAngle, reducedMotion]);
+
+  return (
+    <svg
+      className={`score-gauge ${size}`}
+      viewBox={`0 0 ${width} ${height}`}
+      width={width}
+      height={height}
+      aria-hidden="true"
+      focusable="false"
+      data-testid="credit-score-gauge"
+    >
+      {bands.map((band, index) => {
+        const upper = index === 0 ? max : bands[index - 1].min;
+        const start = pointAt(band.min);
+        const end = pointAt(upper);
+        return (
+          <path
+            key={band.id}
+            d={`M ${start.x} ${start.y} A ${radius} ${radius} 0 0 1 ${end.x} ${end.y}`}
+            fill="none"
+            stroke={band.color}
+            strokeWidth={stroke}
+            data-testid={`gauge-band-${band.id}`}
+          />
+        );
+      })}
+      <g
+        data-testid="gauge-needle"
+        data-angle={angle}
+        style={{
+          transform: `rotate(${angle}deg)`,
+          transformOrigin: `${cx}px ${cy}px`,
+          transition: reducedMotion
+            ? "none"
+            : `transform ${NEEDLE_ANIMATION_MS}ms ease-out`,
+        }}
+      >
+        <line
+          x1={cx}
+          y1={cy}
+          x2={cx}
+          y2={cy - radius + stroke / 2}
+          stroke={needle}
+          strokeWidth={size === "compact" ? 2 : 3}
+          strokeLinecap="round"
+        />
+        <circle cx={cx} cy={cy} r={stroke / 2} fill={needle} />
+      </g>
+    </svg>
+  );
+};
+
+export default ScoreGauge;
@@ -0,0 +1,48 @@
+import React from "react";
+import { useI18n } from "../I18nProvider";
+import { resolveScoreTheme, type ScoreTheme } from "../../utils/scoreBands";
+
+interface ScoreUnavailableProps {
+  // "invalid" when the score failed validation, "error" when rendering failed
+  reason?: "invalid" | "error";
+  className?: string;
+  theme?: Partial<ScoreTheme>;
+}
+
+/**
+ * Fallback shown instead of a score that cannot be displayed
+ * Never echoes the rejected value or error details to the consumer
+ */
+export const ScoreUnavailable: React.FC<ScoreUnavailableProps> = ({
+  reason = "invalid",
+  className = "",
+  theme,
+}) => {
+  const { t } = useI18n();
+  const colors = resolveScoreTheme(theme);
+  return (
+    <div
+      className={`credit-score-unavailable ${className}`}
+      role="status"
+      data-testid="credit-score-unavailable"
+      data-reason={reason}
+      style={{
+        padding: "20px",
+        border: `2px dashed ${colors.placeholderBorder}`,
+        borderRadius: "8px",
+        textAlign: "center",
+        maxWidth: "300px",
+        color: colors.heading,
+      }}
+    >
+      <h2 style={{ margin: "0 0 10px 0", fontSize: "18px" }}>
+        {t("scoreUnavailable.title")}
+      </h2>
+      <p style={{ margin: 0, fontSize: "14px", color: colors.muted }}>
+        {t(`scoreUnavailable.${reason}`)}
+      </p>
+    </div>
+  );
+};
+
+export default ScoreUnavailable;
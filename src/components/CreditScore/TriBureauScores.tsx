@@ -0,0 +1,79 @@
+import React from "react";
+import { CreditScoreDisplay } from "./CreditScoreDisplay";
+import type { GaugeSize } from "./ScoreGauge";
+import { useI18n } from "../I18nProvider";
+import type { ValidationResult } from "../../utils/complianceRules";
+import type { Bureau } from "../../utils/creditReport";
+import type { ScoreTheme } from "../../utils/scoreBands";
+import type { ScoreModelId } from "../../utils/scoringModels";
+
+export interface BureauScore {
+  bureau: Bureau;
+  score: number;
+  date: string;
+  model?: ScoreModelId;
+}
+
+interface TriBureauScoresProps {
+  scores: BureauScore[];
+  variant?: "number" | "gauge";
+  size?: GaugeSize;
+  theme?: Partial<ScoreTheme>;
+  onScoreClick?: (bureau: Bureau, score: number) => void;
+  onInvalidScore?: (bureau: Bureau, result: ValidationResult) => void;
+  className?: string;
+}
+
+/**
+ * TriBureauScores shows each bureau's score side by side
+ * Scores differ by bureau because each holds different data (FCRA 607(b))
+ */
+export const TriBureauScores: React.FC<TriBureauScoresProps> = ({
+  scores,
+  variant = "gauge",
+  size = "compact",
+  theme,
+  onScoreClick,
+  onInvalidScore,
+  className = "",
+}) => {
+  const i18n = useI18n();
+  return (
+    <div
+      className={`tri-bureau-scores ${className}`}
+      role="group"
+      aria-label={i18n.t("triBureau.label")}
+      data-testid="tri-bureau-scores"
+      style={{ display: "flex", flexWrap: "wrap", gap: "16px" }}
+    >
+      {scores.map(({ bureau, score, date, model }) => (
+        <section
+          key={bureau}
+          aria-labelledby={`tri-bureau-${bureau}`}
+          data-testid={`bureau-score-${bureau}`}
+          style={{ flex: "1 1 0", minWidth: "160px", textAlign: "center" }}
+        >
+          <h3 id={`tri-bureau-${bureau}`} style={{ margin: "0 0 8px 0" }}>
+            {bureau}
+          </h3>
+          <CreditScoreDisplay
+            score={score}
+            date={date}
+            model={model}
+            theme={theme}
+            variant={variant}
+            size={size}
+            onScoreClick={
+              onScoreClick && ((value) => onScoreClick(bureau, value))
+            }
+            onInvalidScore={
+              onInvalidScore && ((result) => onInvalidScore(bureau, result))
+            }
+          />
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default TriBureauScores;
@@ -0,0 +1,31 @@
+import { useEffect, useRef } from "react";
+import type { ValidationResult } from "../../utils/complianceRules";
+import { validateCreditScore } from "../../utils/creditValidation";
+import type { ScoreModelId } from "../../utils/scoringModels";
+
+interface ScoreValidationOptions {
+  model?: ScoreModelId;
+  onInvalidScore?: (result: ValidationResult) => void;
+  // Skips reporting, e.g. while a placeholder score is loading
+  skip?: boolean;
+}
+
+/**
+ * Validates a score through the compliance engine and reports invalid input
+ * once per change instead of throwing during render
+ */
+export function useScoreValidation(
+  score: number,
+  { model, onInvalidScore, skip = false }: ScoreValidationOptions = {}
+): ValidationResult {
+  const report = useRef(onInvalidScore);
+  report.current = onInvalidScore;
+
+  useEffect(() => {
+    if (skip) return;
+    const result = validateCreditScore(score, model);
+    if (!result.isValid) report.current?.(result);
+  }, [score, model, skip]);
+
+  return validateCreditScore(score, model);
+}
@@ -0,0 +1,36 @@
+import React, { createContext, useContext, useMemo } from "react";
+import { createI18n, type I18n, type I18nOptions } from "../utils/i18n";
+
+const I18nContext = createContext<I18n>(createI18n());
+
+interface I18nProviderProps {
+  // Any BCP 47 tag; unsupported locales fall back to English
+  locale?: string;
+  messages?: I18nOptions["messages"];
+  children: React.ReactNode;
+}
+
+/**
+ * Supplies the active locale to every component below it
+ * Components outside a provider render in English
+ */
+export const I18nProvider: React.FC<I18nProviderProps> = ({
+  locale,
+  messages,
+  children,
+}) => {
+  const i18n = useMemo(
+    () => createI18n(locale, { messages }),
+    [locale, messages]
+  );
+  return <I18nContext.Provider value={i18n}>{children}</I18nContext.Provider>;
+};
+
+/**
+ * Translator and formatters for the nearest I18nProvider
+ */
+export function useI18n(): I18n {
+  return useContext(I18nContext);
+}
+
+export default I18nProvider;
@@ -0,0 +1,63 @@
+import React, { forwardRef, useId } from "react";
+import { useI18n } from "../I18nProvider";
+import type { ValidationIssue } from "../../utils/complianceRules";
+import { fieldId } from "./FormField";
+
+interface ErrorSummaryProps {
+  issues: ValidationIssue[];
+}
+
+/**
+ * Lists every error on the current step with links that move focus to the
+ * field; the form focuses the summary itself after a failed submit
+ */
+export const ErrorSummary = forwardRef<HTMLDivElement, ErrorSummaryProps>(
+  ({ issues }, ref) => {
+    const { t } = useI18n();
+    const headingId = useId();
+
+    const focusField = (e: React.MouseEvent, field: string) => {
+      const target = document.getElementById(fieldId(field));
+      if (!target) return;
+      e.preventDefault();
+      target.focus();
+    };
+
+    return (
+      <div
+        ref={ref}
+        className="error-summary"
+        role="alert"
+        tabIndex={-1}
+        aria-labelledby={headingId}
+        data-testid="intake-error-summary"
+        style={{
+          border: "2px solid #b91c1c",
+          borderRadius: "8px",
+          padding: "12px 16px",
+          margin: "0 0 16px 0",
+        }}
+      >
+        <h3 id={headingId} style={{ margin: "0 0 8px 0", color: "#b91c1c" }}>
+          {t("intake.errorSummary.title", { count: issues.length })}
+        </h3>
+        <ul style={{ margin: 0, paddingLeft: "20px" }}>
+          {issues.map((issue, index) => (
+            <li key={`${issue.code}-${issue.field}-${index}`}>
+              <a
+                href={`#${fieldId(issue.field)}`}
+                onClick={(e) => focusField(e, issue.field)}
+              >
+                {issue.message}
+              </a>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+);
+
+ErrorSummary.displayName = "ErrorSummary";
+
+export default ErrorSummary;
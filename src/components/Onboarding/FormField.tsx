@@ -0,0 +1,182 @@
+import React, { useState } from "react";
+import { maskPiiValue, type PiiType } from "../../utils/pii";
+
+/**
+ * DOM id for a validation issue field, e.g. "addresses.0.city" becomes
+ * "intake-addresses-0-city"
+ */
+export function fieldId(field: string): string {
+  return `intake-${field.replace(/\./g, "-")}`;
+}
+
+const fieldStyle: React.CSSProperties = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "4px",
+  margin: "0 0 12px 0",
+};
+
+const errorStyle: React.CSSProperties = { color: "#b91c1c", fontSize: "14px" };
+
+const hintStyle: React.CSSProperties = { color: "#6b7280", fontSize: "14px" };
+
+interface TextFieldProps {
+  field: string;
+  label: string;
+  value: string;
+  onChange: (value: string) => void;
+  error?: string;
+  hint?: string;
+  type?: "text" | "email" | "tel" | "date";
+  autoComplete?: string;
+  inputMode?: React.HTMLAttributes<HTMLInputElement>["inputMode"];
+  // Shows a last-4 mask of the value while the field is not focused
+  mask?: PiiType;
+  required?: boolean;
+}
+
+export const TextField: React.FC<TextFieldProps> = ({
+  field,
+  label,
+  value,
+  onChange,
+  error,
+  hint,
+  type = "text",
+  autoComplete,
+  inputMode,
+  mask,
+  required = false,
+}) => {
+  const [focused, setFocused] = useState(false);
+  const id = fieldId(field);
+  const masked = !!mask && !focused && value !== "";
+  const describedBy =
+    [hint && `${id}-hint`, error && `${id}-error`].filter(Boolean).join(" ") ||
+    undefined;
+
+  return (
+    <div className="form-field" style={fieldStyle}>
+      <label htmlFor={id}>{label}</label>
+      {hint && (
+        <span id={`${id}-hint`} style={hintStyle}>
+          {hint}
+        </span>
+      )}
+      <input
+        id={id}
+        name={field}
+        type={type}
+        value={masked && mask ? maskPiiValue(value, mask) : value}
+        // Masked text is display-only; edits happen on the real value
+        readOnly={masked}
+        onChange={(e) => onChange(e.target.value)}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        autoComplete={mask ? "off" : autoComplete}
+        inputMode={inputMode}
+        spellCheck={mask ? false : undefined}
+        required={required}
+        aria-required={required}
+        aria-invalid={!!error}
+        aria-describedby={describedBy}
+        data-masked={masked || undefined}
+      />
+      {error && (
+        <span id={`${id}-error`} style={errorStyle}>
+          {error}
+        </span>
+      )}
+    </div>
+  );
+};
+
+interface SelectFieldProps {
+  field: string;
+  label: string;
+  value: string;
+  onChange: (value: string) => void;
+  options: { value: string; label: string }[];
+  placeholder: string;
+  error?: string;
+  required?: boolean;
+}
+
+export const SelectField: React.FC<SelectFieldProps> = ({
+  field,
+  label,
+  value,
+  onChange,
+  options,
+  placeholder,
+  error,
+  required = false,
+}) => {
+  const id = fieldId(field);
+  return (
+    <div className="form-field" style={fieldStyle}>
+      <label htmlFor={id}>{label}</label>
+      <select
+        id={id}
+        name={field}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        required={required}
+        aria-required={required}
+        aria-invalid={!!error}
+        aria-describedby={error ? `${id}-error` : undefined}
+      >
+        <option value="">{placeholder}</option>
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      {error && (
+        <span id={`${id}-error`} style={errorStyle}>
+          {error}
+        </span>
+      )}
+    </div>
+  );
+};
+
+interface CheckboxFieldProps {
+  field: string;
+  label: React.ReactNode;
+  checked: boolean;
+  onChange: (checked: boolean) => void;
+  error?: string;
+}
+
+export const CheckboxField: React.FC<CheckboxFieldProps> = ({
+  field,
+  label,
+  checked,
+  onChange,
+  error,
+}) => {
+  const id = fieldId(field);
+  return (
+    <div className="form-field" style={fieldStyle}>
+      <div style={{ display: "flex", gap: "8px", alignItems: "flex-start" }}>
+        <input
+          id={id}
+          name={field}
+          type="checkbox"
+          checked={checked}
+          onChange={(e) => onChange(e.target.checked)}
+          aria-invalid={!!error}
+          aria-describedby={error ? `${id}-error` : undefined}
+        />
+        <label htmlFor={id}>{label}</label>
+      </div>
+      {error && (
+        <span id={`${id}-error`} style={errorStyle}>
+          {error}
+        </span>
+      )}
+    </div>
+  );
+};
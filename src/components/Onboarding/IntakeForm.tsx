@@ -0,0 +1,532 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useI18n } from "../I18nProvider";
+import { PERMISSIBLE_PURPOSES } from "../../utils/creditValidation";
+import {
+  ADDRESS_HISTORY_YEARS,
+  completeIntake,
+  computeCancellationDeadline,
+  createEmptyAddress,
+  createEmptyIntakeDraft,
+  createIntakeDraftStore,
+  CROA_DISCLOSURE,
+  CROA_DISCLOSURE_TITLE,
+  INTAKE_DRAFT_TTL_HOURS,
+  INTAKE_STEPS,
+  US_STATES,
+  validateIntakeStep,
+  type IntakeAddress,
+  type IntakeDraft,
+  type IntakeDraftStore,
+  type IntakeStep,
+  type IntakeSubmission,
+} from "../../utils/intake";
+import { ErrorSummary } from "./ErrorSummary";
+import { CheckboxField, SelectField, TextField } from "./FormField";
+
+interface IntakeFormProps {
+  // Receives the completed intake, including the full SSN
+  onSubmit: (submission: IntakeSubmission) => void;
+  // Named in the FCRA authorization and the CROA cancellation notice
+  organization: { name: string; mailingAddress?: string };
+  draftStore?: IntakeDraftStore;
+  jurisdiction?: string;
+  now?: () => Date;
+}
+
+function loadDraft(store: IntakeDraftStore): IntakeDraft {
+  try {
+    return store.load() ?? createEmptyIntakeDraft();
+  } catch {
+    // A corrupt draft is discarded rather than blocking sign-up
+    store.clear();
+    return createEmptyIntakeDraft();
+  }
+}
+
+/**
+ * IntakeForm collects a new consumer's details across five steps, validating
+ * each step against the FCRA/CROA intake rules before moving on
+ * Drafts autosave on every change, without the SSN or date of birth
+ */
+export const IntakeForm: React.FC<IntakeFormProps> = ({
+  onSubmit,
+  organization,
+  draftStore,
+  jurisdiction,
+  now = () => new Date(),
+}) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [store] = useState(() => draftStore ?? createIntakeDraftStore());
+  const [draft, setDraft] = useState(() => loadDraft(store));
+  const [attempted, setAttempted] = useState(false);
+  const [attempts, setAttempts] = useState(0);
+  const [saved, setSaved] = useState(false);
+  const [submitted, setSubmitted] = useState<IntakeSubmission | null>(null);
+  const summaryRef = useRef<HTMLDivElement>(null);
+  const headingRef = useRef<HTMLHeadingElement>(null);
+  const firstStep = useRef(true);
+
+  const ruleOptions = { now: now(), jurisdiction, translate: i18n.lookup };
+  const stepIndex = INTAKE_STEPS.indexOf(draft.step);
+  const result = validateIntakeStep(draft.step, draft, ruleOptions);
+  const errors = result.issues.filter((issue) => issue.severity === "error");
+  const errorFor = (field: string) =>
+    attempted
+      ? errors.find((issue) => issue.field === field)?.message
+      : undefined;
+
+  // Move focus to the summary after a failed attempt, and to the step
+  // heading when the step changes, so screen readers announce both
+  useEffect(() => {
+    if (attempts > 0) summaryRef.current?.focus();
+  }, [attempts]);
+
+  useEffect(() => {
+    if (firstStep.current) {
+      firstStep.current = false;
+      return;
+    }
+    headingRef.current?.focus();
+  }, [draft.step]);
+
+  const update = (next: IntakeDraft) => {
+    setDraft(next);
+    store.save(next);
+    setSaved(true);
+  };
+
+  const goTo = (step: IntakeStep) => {
+    setAttempted(false);
+    update({ ...draft, step });
+  };
+
+  const setIdentity = (field: keyof IntakeDraft["identity"], value: string) =>
+    update({ ...draft, identity: { ...draft.identity, [field]: value } });
+
+  const setAddress = (
+    index: number,
+    field: keyof IntakeAddress,
+    value: string
+  ) =>
+    update({
+      ...draft,
+      addresses: draft.addresses.map((address, i) =>
+        i === index ? { ...address, [field]: value } : address
+      ),
+    });
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (errors.length > 0) {
+      setAttempted(true);
+      setAttempts((count) => count + 1);
+      return;
+    }
+    if (stepIndex < INTAKE_STEPS.length - 1) {
+      goTo(INTAKE_STEPS[stepIndex + 1]);
+      return;
+    }
+    // A restored draft may have skipped steps; send the user to the first gap
+    const incomplete = INTAKE_STEPS.find(
+      (step) => !validateIntakeStep(step, draft, ruleOptions).isValid
+    );
+    if (incomplete) {
+      update({ ...draft, step: incomplete });
+      setAttempted(true);
+      setAttempts((count) => count + 1);
+      return;
+    }
+    const submission = completeIntake(draft, ruleOptions.now);
+    store.clear();
+    setSubmitted(submission);
+    onSubmit(submission);
+  };
+
+  const formatDeadline = (date: string) =>
+    i18n.formatDate(date, {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      timeZone: "UTC",
+    });
+
+  if (submitted) {
+    return (
+      <section
+        className="intake-form submitted"
+        role="status"
+        data-testid="intake-submitted"
+      >
+        <h2>{t("intake.submitted.title")}</h2>
+        <p>
+          {t("intake.submitted.body", {
+            date: formatDeadline(submitted.cancellationDeadline),
+          })}
+        </p>
+      </section>
+    );
+  }
+
+  const renderIdentity = () => (
+    <>
+      <TextField
+        field="identity.firstName"
+        label={t("intake.firstName")}
+        value={draft.identity.firstName}
+        onChange={(value) => setIdentity("firstName", value)}
+        error={errorFor("identity.firstName")}
+        autoComplete="given-name"
+        required
+      />
+      <TextField
+        field="identity.lastName"
+        label={t("intake.lastName")}
+        value={draft.identity.lastName}
+        onChange={(value) => setIdentity("lastName", value)}
+        error={errorFor("identity.lastName")}
+        autoComplete="family-name"
+        required
+      />
+      <TextField
+        field="identity.dateOfBirth"
+        label={t("intake.dateOfBirth")}
+        type="date"
+        value={draft.identity.dateOfBirth}
+        onChange={(value) => setIdentity("dateOfBirth", value)}
+        error={errorFor("identity.dateOfBirth")}
+        autoComplete="bday"
+        required
+      />
+      <TextField
+        field="identity.ssn"
+        label={t("intake.ssn")}
+        hint={t("intake.ssnHint")}
+        value={draft.identity.ssn}
+        onChange={(value) => setIdentity("ssn", value)}
+        error={errorFor("identity.ssn")}
+        inputMode="numeric"
+        mask="ssn"
+        required
+      />
+      <TextField
+        field="identity.email"
+        label={t("intake.email")}
+        type="email"
+        value={draft.identity.email}
+        onChange={(value) => setIdentity("email", value)}
+        error={errorFor("identity.email")}
+        autoComplete="email"
+        required
+      />
+      <TextField
+        field="identity.phone"
+        label={t("intake.phone")}
+        type="tel"
+        value={draft.identity.phone}
+        onChange={(value) => setIdentity("phone", value)}
+        error={errorFor("identity.phone")}
+        autoComplete="tel"
+      />
+    </>
+  );
+
+  const renderAddresses = () => (
+    <>
+      <p id="intake-addresses" tabIndex={-1}>
+        {t("intake.addressHint", { years: ADDRESS_HISTORY_YEARS })}
+      </p>
+      {draft.addresses.map((address, index) => (
+        <fieldset key={index} data-testid="intake-address">
+          <legend>
+            {index === 0
+              ? t("intake.currentAddress")
+              : t("intake.previousAddress", { number: index })}
+          </legend>
+          <TextField
+            field={`addresses.${index}.line1`}
+            label={t("intake.line1")}
+            value={address.line1}
+            onChange={(value) => setAddress(index, "line1", value)}
+            error={errorFor(`addresses.${index}.line1`)}
+            autoComplete={index === 0 ? "address-line1" : "off"}
+            required
+          />
+          <TextField
+            field={`addresses.${index}.line2`}
+            label={t("intake.line2")}
+            value={address.line2}
+            onChange={(value) => setAddress(index, "line2", value)}
+            autoComplete={index === 0 ? "address-line2" : "off"}
+          />
+          <TextField
+            field={`addresses.${index}.city`}
+            label={t("intake.city")}
+            value={address.city}
+            onChange={(value) => setAddress(index, "city", value)}
+            error={errorFor(`addresses.${index}.city`)}
+            autoComplete={index === 0 ? "address-level2" : "off"}
+            required
+          />
+          <SelectField
+            field={`addresses.${index}.state`}
+            label={t("intake.state")}
+            placeholder={t("intake.statePlaceholder")}
+            value={address.state}
+            onChange={(value) => setAddress(index, "state", value)}
+            options={US_STATES.map((state) => ({ value: state, label: state }))}
+            error={errorFor(`addresses.${index}.state`)}
+            required
+          />
+          <TextField
+            field={`addresses.${index}.postalCode`}
+            label={t("intake.postalCode")}
+            value={address.postalCode}
+            onChange={(value) => setAddress(index, "postalCode", value)}
+            error={errorFor(`addresses.${index}.postalCode`)}
+            autoComplete={index === 0 ? "postal-code" : "off"}
+            inputMode="numeric"
+            required
+          />
+          <TextField
+            field={`addresses.${index}.movedInDate`}
+            label={t("intake.movedInDate")}
+            type="date"
+            value={address.movedInDate}
+            onChange={(value) => setAddress(index, "movedInDate", value)}
+            error={errorFor(`addresses.${index}.movedInDate`)}
+            required
+          />
+          {index > 0 && (
+            <button
+              type="button"
+              onClick={() =>
+                update({
+                  ...draft,
+                  addresses: draft.addresses.filter((_, i) => i !== index),
+                })
+              }
+            >
+              {t("intake.removeAddress", { number: index })}
+            </button>
+          )}
+        </fieldset>
+      ))}
+      {errorFor("addresses") && (
+        <p style={{ color: "#b91c1c", fontSize: "14px" }}>
+          {errorFor("addresses")}
+        </p>
+      )}
+      <button
+        type="button"
+        onClick={() =>
+          update({
+            ...draft,
+            addresses: [...draft.addresses, createEmptyAddress()],
+          })
+        }
+        data-testid="intake-add-address"
+      >
+        {t("intake.addAddress")}
+      </button>
+    </>
+  );
+
+  const renderConsent = () => (
+    <>
+      <CheckboxField
+        field="consent.creditPullAuthorized"
+        label={t("intake.creditPullAuthorization", {
+          organization: organization.name,
+        })}
+        checked={draft.consent.creditPullAuthorized}
+        onChange={(checked) =>
+          update({
+            ...draft,
+            consent: { ...draft.consent, creditPullAuthorized: checked },
+          })
+        }
+        error={errorFor("consent.creditPullAuthorized")}
+      />
+      <TextField
+        field="consent.signature"
+        label={t("intake.signature")}
+        hint={t("intake.signatureHint")}
+        value={draft.consent.signature}
+        onChange={(value) =>
+          update({ ...draft, consent: { ...draft.consent, signature: value } })
+        }
+        error={errorFor("consent.signature")}
+        autoComplete="name"
+        required
+      />
+    </>
+  );
+
+  const renderPurpose = () => {
+    const warnings = result.issues.filter(
+      (issue) => issue.severity === "warning"
+    );
+    return (
+      <>
+        <SelectField
+          field="permissiblePurpose"
+          label={t("intake.purpose")}
+          placeholder={t("intake.purposePlaceholder")}
+          value={draft.permissiblePurpose}
+          onChange={(value) => update({ ...draft, permissiblePurpose: value })}
+          options={PERMISSIBLE_PURPOSES.map((purpose) => ({
+            value: purpose,
+            label: t(`purpose.${purpose}`),
+          }))}
+          error={errorFor("permissiblePurpose")}
+          required
+        />
+        {warnings.length > 0 && (
+          <ul
+            role="note"
+            data-testid="purpose-warnings"
+            style={{ fontSize: "14px" }}
+          >
+            {warnings.map((warning) => (
+              <li key={warning.code}>{warning.message}</li>
+            ))}
+          </ul>
+        )}
+      </>
+    );
+  };
+
+  const renderDisclosures = () => {
+    const deadline = formatDeadline(
+      computeCancellationDeadline(ruleOptions.now)
+    );
+    const recipient = [organization.name, organization.mailingAddress]
+      .filter(Boolean)
+      .join(", ");
+    return (
+      <>
+        <section
+          aria-labelledby="intake-croa-title"
+          data-testid="croa-disclosure"
+        >
+          <h3 id="intake-croa-title">{CROA_DISCLOSURE_TITLE}</h3>
+          {CROA_DISCLOSURE.map((paragraph, index) => (
+            <p key={index}>{paragraph}</p>
+          ))}
+        </section>
+        <CheckboxField
+          field="disclosures.croaDisclosureAcknowledged"
+          label={t("intake.croaAcknowledgement")}
+          checked={draft.disclosures.croaDisclosureAcknowledged}
+          onChange={(checked) =>
+            update({
+              ...draft,
+              disclosures: {
+                ...draft.disclosures,
+                croaDisclosureAcknowledged: checked,
+              },
+            })
+          }
+          error={errorFor("disclosures.croaDisclosureAcknowledged")}
+        />
+        <section
+          aria-labelledby="intake-cancellation-title"
+          data-testid="cancellation-notice"
+        >
+          <h3 id="intake-cancellation-title">
+            {t("intake.cancellationTitle")}
+          </h3>
+          <p>{t("intake.cancellationNotice")}</p>
+          <p>
+            {t("intake.cancellationInstructions", {
+              recipient,
+              date: deadline,
+            })}
+          </p>
+        </section>
+        <CheckboxField
+          field="disclosures.cancellationNoticeAcknowledged"
+          label={t("intake.cancellationAcknowledgement")}
+          checked={draft.disclosures.cancellationNoticeAcknowledged}
+          onChange={(checked) =>
+            update({
+              ...draft,
+              disclosures: {
+                ...draft.disclosures,
+                cancellationNoticeAcknowledged: checked,
+              },
+            })
+          }
+          error={errorFor("disclosures.cancellationNoticeAcknowledged")}
+        />
+      </>
+    );
+  };
+
+  const STEP_CONTENT: Record<IntakeStep, () => React.ReactNode> = {
+    identity: renderIdentity,
+    addresses: renderAddresses,
+    consent: renderConsent,
+    purpose: renderPurpose,
+    disclosures: renderDisclosures,
+  };
+
+  const isLastStep = stepIndex === INTAKE_STEPS.length - 1;
+
+  return (
+    <form
+      className="intake-form"
+      noValidate
+      onSubmit={handleSubmit}
+      aria-labelledby="intake-title"
+      data-testid="intake-form"
+      style={{ maxWidth: "560px" }}
+    >
+      <h1 id="intake-title" style={{ fontSize: "24px" }}>
+        {t("intake.title")}
+      </h1>
+      <p data-testid="intake-progress">
+        {t("intake.progress", {
+          current: stepIndex + 1,
+          total: INTAKE_STEPS.length,
+        })}
+      </p>
+      <h2 ref={headingRef} tabIndex={-1} data-testid="intake-step-title">
+        {t(`intake.step.${draft.step}`)}
+      </h2>
+
+      {attempted && errors.length > 0 && (
+        <ErrorSummary ref={summaryRef} issues={errors} />
+      )}
+
+      {STEP_CONTENT[draft.step]()}
+
+      <div style={{ display: "flex", gap: "8px", marginTop: "16px" }}>
+        {stepIndex > 0 && (
+          <button
+            type="button"
+            onClick={() => goTo(INTAKE_STEPS[stepIndex - 1])}
+            data-testid="intake-back"
+          >
+            {t("intake.back")}
+          </button>
+        )}
+        <button type="submit" data-testid="intake-next">
+          {t(isLastStep ? "intake.submit" : "intake.next")}
+        </button>
+      </div>
+
+      <p
+        role="status"
+        aria-live="polite"
+        data-testid="intake-draft-status"
+        style={{ color: "#6b7280", fontSize: "14px" }}
+      >
+        {saved ? t("intake.draftSaved", { hours: INTAKE_DRAFT_TTL_HOURS }) : ""}
+      </p>
+    </form>
+  );
+};
+
+export default IntakeForm;
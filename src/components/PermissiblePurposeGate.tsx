@@ -0,0 +1,115 @@
+import React, { createContext, useContext, useState } from "react";
+import { useI18n } from "./I18nProvider";
+import { SelectField } from "./Onboarding/FormField";
+import { useParams } from "./Router";
+import {
+  PERMISSIBLE_PURPOSES,
+  validatePermissiblePurpose,
+} from "../utils/creditValidation";
+
+interface PurposeSelection {
+  consumerId: string;
+  purpose: string;
+}
+
+interface PurposeState {
+  selection: PurposeSelection | null;
+  select: (selection: PurposeSelection) => void;
+  clear: () => void;
+}
+
+const PurposeContext = createContext<PurposeState | null>(null);
+
+/**
+ * Holds the permissible purpose chosen for the consumer being viewed
+ * Kept in memory only, so every session has to choose again
+ */
+export const PurposeProvider: React.FC<{ children: React.ReactNode }> = ({
+  children,
+}) => {
+  const [selection, setSelection] = useState<PurposeSelection | null>(null);
+  return (
+    <PurposeContext.Provider
+      value={{
+        selection,
+        select: setSelection,
+        clear: () => setSelection(null),
+      }}
+    >
+      {children}
+    </PurposeContext.Provider>
+  );
+};
+
+/**
+ * Current purpose selection; throws outside a PurposeProvider
+ */
+export function usePermissiblePurpose(): PurposeState {
+  const state = useContext(PurposeContext);
+  if (!state) {
+    throw new Error(
+      "usePermissiblePurpose must be used within a PurposeProvider"
+    );
+  }
+  return state;
+}
+
+/**
+ * FCRA Section 604 route guard: credit pages render only after a valid
+ * permissible purpose is selected for the consumer in the URL
+ */
+export const RequirePermissiblePurpose: React.FC<{
+  children: React.ReactNode;
+}> = ({ children }) => {
+  const { t, lookup } = useI18n();
+  const { consumerId = "" } = useParams();
+  const { selection, select } = usePermissiblePurpose();
+  const [purpose, setPurpose] = useState("");
+  const [error, setError] = useState<string | undefined>();
+
+  if (
+    selection?.consumerId === consumerId &&
+    validatePermissiblePurpose(selection.purpose).isValid
+  ) {
+    return <>{children}</>;
+  }
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    const result = validatePermissiblePurpose(purpose, { translate: lookup });
+    if (!result.isValid) {
+      setError(result.errors[0]);
+      return;
+    }
+    select({ consumerId, purpose });
+  };
+
+  return (
+    <form
+      className="purpose-gate"
+      onSubmit={handleSubmit}
+      noValidate
+      aria-labelledby="purpose-gate-title"
+      data-testid="purpose-gate"
+    >
+      <h1 id="purpose-gate-title">{t("purposeGate.title")}</h1>
+      <p>{t("purposeGate.body", { consumerId })}</p>
+      <SelectField
+        field="permissiblePurpose"
+        label={t("intake.purpose")}
+        placeholder={t("intake.purposePlaceholder")}
+        value={purpose}
+        onChange={setPurpose}
+        options={PERMISSIBLE_PURPOSES.map((value) => ({
+          value,
+          label: t(`purpose.${value}`),
+        }))}
+        error={error}
+        required
+      />
+      <button type="submit" data-testid="purpose-gate-submit">
+        {t("purposeGate.submit")}
+      </button>
+    </form>
+  );
+};
@@ -0,0 +1,80 @@
+import React, { createContext, useContext } from "react";
+import { useI18n } from "./I18nProvider";
+import { useParams } from "./Router";
+import {
+  can,
+  type Capability,
+  type PermissionResource,
+  type Principal,
+} from "../utils/permissions";
+
+const PrincipalContext = createContext<Principal | null>(null);
+
+/**
+ * Supplies the signed-in principal; without one every check is denied
+ */
+export const PermissionProvider: React.FC<{
+  principal: Principal | null;
+  children: React.ReactNode;
+}> = ({ principal, children }) => (
+  <PrincipalContext.Provider value={principal}>
+    {children}
+  </PrincipalContext.Provider>
+);
+
+export function usePrincipal(): Principal | null {
+  return useContext(PrincipalContext);
+}
+
+/**
+ * Whether the principal holds the capability; the resource defaults to the
+ * consumer in the current route
+ */
+export function useCan(
+  capability: Capability,
+  resource?: PermissionResource
+): boolean {
+  const principal = usePrincipal();
+  const { consumerId } = useParams();
+  return can(principal, capability, resource ?? { consumerId });
+}
+
+interface RequirePermissionProps {
+  capability: Capability;
+  consumerId?: string;
+  // Rendered instead of the children when denied
+  fallback?: React.ReactNode;
+  children: React.ReactNode;
+}
+
+/**
+ * Renders the children only when the principal holds the capability
+ * This hides data the role may not see; the API enforces it as well
+ */
+export const RequirePermission: React.FC<RequirePermissionProps> = ({
+  capability,
+  consumerId,
+  fallback,
+  children,
+}) => {
+  const allowed = useCan(
+    capability,
+    consumerId === undefined ? undefined : { consumerId }
+  );
+  if (allowed) return <>{children}</>;
+  return <>{fallback === undefined ? <PermissionDenied /> : fallback}</>;
+};
+
+/**
+ * Shown in place of anything the principal may not see
+ */
+export const PermissionDenied: React.FC = () => {
+  const { t } = useI18n();
+  return (
+    <p role="status" data-testid="permission-denied">
+      {t("permission.denied")}
+    </p>
+  );
+};
+
+export default PermissionProvider;
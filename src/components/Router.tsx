@@ -0,0 +1,175 @@
+import React, {
+  createContext,
+  Suspense,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import type { Capability } from "../utils/permissions";
+import { matchRoute, type RouteParams } from "../utils/routes";
+
+interface RouterState {
+  pathname: string;
+  navigate: (to: string, options?: { replace?: boolean }) => void;
+}
+
+const RouterContext = createContext<RouterState | null>(null);
+
+const ParamsContext = createContext<RouteParams>({});
+
+/**
+ * Keeps the current pathname in sync with the History API
+ */
+export const Router: React.FC<{ children: React.ReactNode }> = ({
+  children,
+}) => {
+  const [pathname, setPathname] = useState(() => window.location.pathname);
+
+  useEffect(() => {
+    const handlePopState = () => setPathname(window.location.pathname);
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  const navigate = useCallback(
+    (to: string, { replace = false }: { replace?: boolean } = {}) => {
+      if (replace) {
+        window.history.replaceState(null, "", to);
+      } else {
+        window.history.pushState(null, "", to);
+      }
+      setPathname(new URL(to, window.location.origin).pathname);
+    },
+    []
+  );
+
+  const value = useMemo(() => ({ pathname, navigate }), [pathname, navigate]);
+  return (
+    <RouterContext.Provider value={value}>{children}</RouterContext.Provider>
+  );
+};
+
+/**
+ * Current pathname and navigate; throws outside a Router
+ */
+export function useRouter(): RouterState {
+  const router = useContext(RouterContext);
+  if (!router) {
+    throw new Error("useRouter must be used within a Router");
+  }
+  return router;
+}
+
+/**
+ * Params of the route being rendered, e.g. { consumerId }
+ */
+export function useParams(): RouteParams {
+  return useContext(ParamsContext);
+}
+
+export interface AppRoute {
+  id: string;
+  path: string;
+  component: React.ComponentType;
+  // Credit pages render only once a permissible purpose is selected
+  requiresPurpose?: boolean;
+  // Capability the signed-in role needs before anything else is asked
+  capability?: Capability;
+}
+
+interface RoutesProps {
+  routes: AppRoute[];
+  notFound: React.ComponentType;
+  // Wraps every route flagged requiresPurpose
+  guard?: React.ComponentType<{ children: React.ReactNode }>;
+  // Wraps every route with a capability, outside the guard
+  authorize?: React.ComponentType<{
+    capability: Capability;
+    children: React.ReactNode;
+  }>;
+  fallback?: React.ReactNode;
+}
+
+/**
+ * Renders the first matching route; lazy route components suspend into
+ * the fallback while their chunk loads
+ */
+export const Routes: React.FC<RoutesProps> = ({
+  routes,
+  notFound: NotFound,
+  guard: Guard,
+  authorize: Authorize,
+  fallback = null,
+}) => {
+  const { pathname } = useRouter();
+  const match = matchRoute(routes, pathname);
+
+  if (!match) {
+    return (
+      <Suspense fallback={fallback}>
+        <NotFound />
+      </Suspense>
+    );
+  }
+
+  const { route, params } = match;
+  const Page = route.component;
+  const page = (
+    <Suspense fallback={fallback}>
+      <Page />
+    </Suspense>
+  );
+
+  const guarded = route.requiresPurpose && Guard ? <Guard>{page}</Guard> : page;
+
+  return (
+    <ParamsContext.Provider value={params}>
+      {route.capability && Authorize ? (
+        <Authorize capability={route.capability}>{guarded}</Authorize>
+      ) : (
+        guarded
+      )}
+    </ParamsContext.Provider>
+  );
+};
+
+interface LinkProps extends React.AnchorHTMLAttributes<HTMLAnchorElement> {
+  to: string;
+}
+
+/**
+ * Anchor that navigates client-side; modified clicks (new tab, etc.) fall
+ * through to the browser. Marks itself aria-current when active
+ */
+export const Link: React.FC<LinkProps> = ({ to, onClick, ...rest }) => {
+  const { pathname, navigate } = useRouter();
+
+  const handleClick = (e: React.MouseEvent<HTMLAnchorElement>) => {
+    onClick?.(e);
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey ||
+      e.ctrlKey ||
+      e.shiftKey ||
+      e.altKey
+    ) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a
+      href={to}
+      onClick={handleClick}
+      aria-current={pathname === to ? "page" : undefined}
+      {...rest}
+    />
+  );
+};
+
+export default Router;
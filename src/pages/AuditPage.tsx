@@ -0,0 +1,115 @@
+import React, { useState } from "react";
+import { useAppServices } from "../components/AppServices";
+import { useI18n } from "../components/I18nProvider";
+import {
+  RequirePermission,
+  usePrincipal,
+} from "../components/PermissionProvider";
+import {
+  exportAuditLog,
+  verifyAuditChain,
+  type AuditEntry,
+  type AuditLog,
+} from "../utils/auditTrail";
+
+type ExportFormat = "json" | "csv";
+
+const MEDIA_TYPES: Record<ExportFormat, string> = {
+  json: "application/json",
+  csv: "text/csv",
+};
+
+function loadEntries(log: AuditLog): readonly AuditEntry[] {
+  try {
+    return log.entries();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The access log with its chain status; exports need audit:export
+ */
+const AuditPage: React.FC = () => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const { auditLog } = useAppServices();
+  const principal = usePrincipal();
+  const [entries] = useState(() => loadEntries(auditLog));
+  const [download, setDownload] = useState<{
+    file: string;
+    href: string;
+  } | null>(null);
+  const verification = verifyAuditChain(entries);
+
+  const handleExport = (format: ExportFormat) => {
+    const content = exportAuditLog(entries, format, { principal });
+    setDownload({
+      file: `audit-log.${format}`,
+      href: `data:${MEDIA_TYPES[format]};charset=utf-8,${encodeURIComponent(content)}`,
+    });
+  };
+
+  return (
+    <section aria-labelledby="audit-title">
+      <h1 id="audit-title">{t("audit.title")}</h1>
+      {entries.length === 0 ? (
+        <p data-testid="audit-empty">{t("audit.empty")}</p>
+      ) : (
+        <>
+          <p role="status" data-testid="audit-verification">
+            {verification.valid
+              ? t("audit.valid", { count: verification.checked })
+              : t("audit.broken", {
+                  sequence: verification.brokenAt ?? 0,
+                  reason: verification.reason ?? "",
+                })}
+          </p>
+          <table data-testid="audit-table">
+            <thead>
+              <tr>
+                <th scope="col">{t("audit.timestamp")}</th>
+                <th scope="col">{t("audit.actor")}</th>
+                <th scope="col">{t("audit.action")}</th>
+                <th scope="col">{t("audit.outcome")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.auditId}>
+                  <th scope="row">
+                    {i18n.formatDate(new Date(entry.timestamp))}
+                  </th>
+                  <td>{entry.actor.id}</td>
+                  <td>{entry.action}</td>
+                  <td>{entry.outcome}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <RequirePermission capability="audit:export" fallback={null}>
+            <button type="button" onClick={() => handleExport("json")}>
+              {t("audit.exportJson")}
+            </button>{" "}
+            <button type="button" onClick={() => handleExport("csv")}>
+              {t("audit.exportCsv")}
+            </button>
+            {download && (
+              <p>
+                <a
+                  href={download.href}
+                  download={download.file}
+                  data-testid="audit-download"
+                >
+                  {t("audit.download", { file: download.file })}
+                </a>
+              </p>
+            )}
+          </RequirePermission>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default AuditPage;
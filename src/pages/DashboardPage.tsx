@@ -0,0 +1,66 @@
+import React, { useMemo } from "react";
+import { useAppServices } from "../components/AppServices";
+import { CreditScore } from "../components/CreditScore";
+import { TriBureauScores } from "../components/CreditScore/TriBureauScores";
+import { CreditScoreErrorBoundary } from "../components/CreditScore/CreditScoreErrorBoundary";
+import { useI18n } from "../components/I18nProvider";
+import { usePermissiblePurpose } from "../components/PermissiblePurposeGate";
+import {
+  RequirePermission,
+  usePrincipal,
+} from "../components/PermissionProvider";
+import { useParams } from "../components/Router";
+import { createScoreRefresher } from "../api/scoreRefresh";
+import { DEMO_BUREAU_SCORES, DEMO_FACTORS, DEMO_SCORE } from "./demoData";
+
+/**
+ * Consumer dashboard; score refreshes go through the shared client and are
+ * checked against intake consent and audited
+ */
+const DashboardPage: React.FC = () => {
+  const { t } = useI18n();
+  const { consumerId = "" } = useParams();
+  const { apiClient, auditLog, consentRegistry } = useAppServices();
+  const principal = usePrincipal();
+  const { selection } = usePermissiblePurpose();
+  const purpose =
+    selection?.consumerId === consumerId ? selection.purpose : undefined;
+
+  const refresher = useMemo(
+    () =>
+      principal && purpose
+        ? createScoreRefresher({
+            client: apiClient,
+            auditLog,
+            actor: { id: principal.id, role: principal.role },
+            consumerId,
+            permissiblePurpose: purpose,
+            consent: consentRegistry,
+          })
+        : null,
+    [apiClient, auditLog, consentRegistry, principal, consumerId, purpose]
+  );
+
+  return (
+    <section aria-labelledby="dashboard-title">
+      <h1 id="dashboard-title">{t("dashboard.title", { consumerId })}</h1>
+      <RequirePermission capability="credit:view">
+        <CreditScoreErrorBoundary>
+          {/* No refresh is offered until the client has an API session */}
+          <CreditScore
+            score={DEMO_SCORE}
+            factors={DEMO_FACTORS}
+            onRefresh={
+              apiClient.isAuthenticated() ? refresher?.refresh : undefined
+            }
+          />
+        </CreditScoreErrorBoundary>
+        <CreditScoreErrorBoundary>
+          <TriBureauScores scores={DEMO_BUREAU_SCORES} />
+        </CreditScoreErrorBoundary>
+      </RequirePermission>
+    </section>
+  );
+};
+
+export default DashboardPage;
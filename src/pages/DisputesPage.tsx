@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+import { useI18n } from "../components/I18nProvider";
+import { useParams } from "../components/Router";
+import {
+  computeInvestigationDeadline,
+  createLocalStorageDisputeStore,
+  type DisputeCase,
+} from "../utils/disputeTracker";
+
+function loadDisputes(consumerId: string): DisputeCase[] {
+  try {
+    return createLocalStorageDisputeStore()
+      .load()
+      .filter((dispute) => dispute.consumerId === consumerId);
+  } catch {
+    return [];
+  }
+}
+
+const DisputesPage: React.FC = () => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const { consumerId = "" } = useParams();
+  const [disputes] = useState(() => loadDisputes(consumerId));
+
+  return (
+    <section aria-labelledby="disputes-title">
+      <h1 id="disputes-title">{t("disputes.title", { consumerId })}</h1>
+      {disputes.length === 0 ? (
+        <p data-testid="disputes-empty">{t("disputes.empty")}</p>
+      ) : (
+        <table data-testid="disputes-table">
+          <thead>
+            <tr>
+              <th scope="col">{t("disputes.recipient")}</th>
+              <th scope="col">{t("disputes.status")}</th>
+              <th scope="col">{t("disputes.deadline")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {disputes.map((dispute) => {
+              const deadline = computeInvestigationDeadline(dispute);
+              return (
+                <tr key={dispute.id}>
+                  <th scope="row">{dispute.bureau ?? dispute.furnisherName}</th>
+                  <td>{t(`disputeStatus.${dispute.status}`)}</td>
+                  <td>{deadline ? i18n.formatDate(deadline.deadline) : "-"}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+export default DisputesPage;
@@ -0,0 +1,43 @@
+import React, { useState } from "react";
+import { useI18n } from "../components/I18nProvider";
+import { TextField } from "../components/Onboarding/FormField";
+import { useRouter } from "../components/Router";
+import { buildPath } from "../utils/routes";
+
+/**
+ * Consumer lookup; opens the deep-linkable dashboard for an id
+ */
+const HomePage: React.FC = () => {
+  const { t } = useI18n();
+  const { navigate } = useRouter();
+  const [consumerId, setConsumerId] = useState("");
+  const [error, setError] = useState<string | undefined>();
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (consumerId.trim() === "") {
+      setError(t("home.consumerIdRequired"));
+      return;
+    }
+    navigate(
+      buildPath("/consumers/:consumerId", { consumerId: consumerId.trim() })
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate aria-labelledby="home-title">
+      <h1 id="home-title">{t("home.title")}</h1>
+      <TextField
+        field="consumerId"
+        label={t("home.consumerId")}
+        value={consumerId}
+        onChange={setConsumerId}
+        error={error}
+        required
+      />
+      <button type="submit">{t("home.open")}</button>
+    </form>
+  );
+};
+
+export default HomePage;
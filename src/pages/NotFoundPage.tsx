@@ -0,0 +1,18 @@
+import React from "react";
+import { useI18n } from "../components/I18nProvider";
+import { Link, useRouter } from "../components/Router";
+
+const NotFoundPage: React.FC = () => {
+  const { t } = useI18n();
+  const { pathname } = useRouter();
+
+  return (
+    <section aria-labelledby="not-found-title" data-testid="not-found">
+      <h1 id="not-found-title">{t("notFound.title")}</h1>
+      <p>{t("notFound.body", { path: pathname })}</p>
+      <Link to="/">{t("notFound.home")}</Link>
+    </section>
+  );
+};
+
+export default NotFoundPage;
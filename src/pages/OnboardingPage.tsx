@@ -0,0 +1,48 @@
+import React, { useState } from "react";
+import { CONSUMER_PATH } from "../components/AppShell";
+import { useAppServices } from "../components/AppServices";
+import { useI18n } from "../components/I18nProvider";
+import { IntakeForm } from "../components/Onboarding/IntakeForm";
+import { usePermissiblePurpose } from "../components/PermissiblePurposeGate";
+import { Link } from "../components/Router";
+import { toConsentGrant, type IntakeSubmission } from "../utils/intake";
+import { buildPath } from "../utils/routes";
+
+/**
+ * Sign-up: the authorization signed at intake is recorded in the consent
+ * registry under a new consumer id, whose dashboard opens with the chosen
+ * purpose already selected
+ */
+const OnboardingPage: React.FC = () => {
+  const { t } = useI18n();
+  const { consentRegistry, generateConsumerId } = useAppServices();
+  const { select } = usePermissiblePurpose();
+  const [consumerId, setConsumerId] = useState<string | null>(null);
+
+  // Never log the submission itself - it carries the full SSN
+  const handleSubmit = (submission: IntakeSubmission) => {
+    const id = generateConsumerId();
+    consentRegistry.grant(toConsentGrant(submission, id));
+    select({ consumerId: id, purpose: submission.permissiblePurpose });
+    setConsumerId(id);
+  };
+
+  return (
+    <>
+      <IntakeForm
+        organization={{ name: "The Credit Pros" }}
+        onSubmit={handleSubmit}
+      />
+      {consumerId && (
+        <Link
+          to={buildPath(CONSUMER_PATH, { consumerId })}
+          data-testid="onboarding-dashboard"
+        >
+          {t("onboarding.openDashboard")}
+        </Link>
+      )}
+    </>
+  );
+};
+
+export default OnboardingPage;
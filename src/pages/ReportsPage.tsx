@@ -0,0 +1,25 @@
+import React from "react";
+import { CreditScoreHistory } from "../components/CreditScore/CreditScoreHistory";
+import { useI18n } from "../components/I18nProvider";
+import { RequirePermission } from "../components/PermissionProvider";
+import { useParams } from "../components/Router";
+import { DEMO_HISTORY } from "./demoData";
+
+const ReportsPage: React.FC = () => {
+  const { t } = useI18n();
+  const { consumerId } = useParams();
+
+  return (
+    <section aria-labelledby="reports-title">
+      <h1 id="reports-title">{t("reports.title", { consumerId })}</h1>
+      <RequirePermission capability="credit:view">
+        <CreditScoreHistory
+          series={DEMO_HISTORY}
+          title={t("reports.history")}
+        />
+      </RequirePermission>
+    </section>
+  );
+};
+
+export default ReportsPage;
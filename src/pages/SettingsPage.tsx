@@ -0,0 +1,43 @@
+import React from "react";
+import { useAppSettings } from "../components/AppShell";
+import { useI18n } from "../components/I18nProvider";
+import { SelectField } from "../components/Onboarding/FormField";
+import { resolveLocale, SUPPORTED_LOCALES } from "../utils/i18n";
+import { isRole, ROLES } from "../utils/permissions";
+
+const SettingsPage: React.FC = () => {
+  const { t } = useI18n();
+  const { locale, setLocale, role, setRole } = useAppSettings();
+
+  return (
+    <section aria-labelledby="settings-title">
+      <h1 id="settings-title">{t("settings.title")}</h1>
+      <SelectField
+        field="locale"
+        label={t("settings.language")}
+        placeholder={t("settings.languagePlaceholder")}
+        value={locale}
+        onChange={(value) => setLocale(resolveLocale(value))}
+        options={SUPPORTED_LOCALES.map((value) => ({
+          value,
+          label: t(`language.${value}`),
+        }))}
+      />
+      <SelectField
+        field="role"
+        label={t("settings.role")}
+        placeholder={t("settings.rolePlaceholder")}
+        value={role}
+        onChange={(value) => {
+          if (isRole(value)) setRole(value);
+        }}
+        options={ROLES.map((value) => ({
+          value,
+          label: t(`role.${value}`),
+        }))}
+      />
+    </section>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,53 @@
+/**
+ * Sample data for the demo pages until they are wired to the credit API
+ */
+
+import type { BureauScore } from "../components/CreditScore/TriBureauScores";
+import type { ScoreHistorySeries } from "../components/CreditScore/CreditScoreHistory";
+import type { ScoreFactorDetail } from "../utils/scoreFactors";
+
+// The file a demo consumer sign-in is bound to
+export const DEMO_CONSUMER_ID = "c-42";
+
+export const DEMO_SCORE = 720;
+
+export const DEMO_BUREAU_SCORES: BureauScore[] = [
+  { bureau: "Experian", score: 720, date: "2025-08-01T12:00:00Z" },
+  { bureau: "Equifax", score: 708, date: "2025-08-01T12:00:00Z" },
+  { bureau: "TransUnion", score: 731, date: "2025-08-01T12:00:00Z" },
+];
+
+export const DEMO_FACTORS: ScoreFactorDetail[] = [
+  {
+    category: "utilization",
+    impact: "negative",
+    severity: "high",
+    reasonCode: "10",
+  },
+  {
+    category: "new_credit",
+    impact: "negative",
+    severity: "low",
+    reasonCode: "08",
+  },
+  { category: "payment_history", impact: "positive", severity: "high" },
+];
+
+export const DEMO_HISTORY: ScoreHistorySeries[] = [
+  {
+    bureau: "Experian",
+    points: [
+      { date: "2025-02-01", score: 664 },
+      { date: "2025-05-01", score: 691 },
+      { date: "2025-08-01", score: 720 },
+    ],
+  },
+  {
+    bureau: "Equifax",
+    points: [
+      { date: "2025-02-01", score: 655 },
+      { date: "2025-05-01", score: 683 },
+      { date: "2025-08-01", score: 708 },
+    ],
+  },
+];
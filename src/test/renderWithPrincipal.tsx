@@ -0,0 +1,23 @@
+import React from "react";
+import { render, type RenderOptions } from "@testing-library/react";
+import { PermissionProvider } from "../components/PermissionProvider";
+import type { Principal } from "../utils/permissions";
+
+// Holds credit:view and credit:pull for every consumer
+export const TEST_AGENT: Principal = { id: "agent-7", role: "agent" };
+
+/**
+ * Renders inside a PermissionProvider, so permission-gated components show
+ */
+export function renderWithPrincipal(
+  ui: React.ReactElement,
+  principal: Principal | null = TEST_AGENT,
+  options?: Omit<RenderOptions, "wrapper">
+) {
+  return render(ui, {
+    ...options,
+    wrapper: ({ children }) => (
+      <PermissionProvider principal={principal}>{children}</PermissionProvider>
+    ),
+  });
+}
@@ -0,0 +1,317 @@
+/**
+ * Adverse action notice generator
+ * FCRA Section 615(a) notices with the Section 609(f) credit score
+ * disclosure for every score relied on, rendered to plain text, HTML and PDF
+ */
+
+import {
+  formatMailingAddress,
+  getBureauContact,
+  type MailingAddress,
+} from "./bureauDirectory";
+import {
+  createRuleSet,
+  FCRA,
+  mergeValidationResults,
+  type RuleEvaluationOptions,
+  type ValidationResult,
+} from "./complianceRules";
+import type { Bureau } from "./creditReport";
+import { validateCreditData, type CreditData } from "./creditValidation";
+import type { ConsumerProfile } from "./disputeLetters";
+import {
+  formatLetterDate,
+  renderDocumentHtml,
+  renderDocumentPdf,
+  renderDocumentText,
+  type DocumentBlock,
+  type RenderableDocument,
+} from "./documentRenderer";
+import {
+  toKeyFactors,
+  validateScoreFactors,
+  type ReasonCode,
+  type ScoreFactorDetail,
+} from "./scoreFactors";
+import { getScoringModel } from "./scoringModels";
+
+// One score the decision relied on, with the factors behind it
+export interface AdverseActionSource {
+  creditData: CreditData;
+  factors: ScoreFactorDetail[];
+}
+
+export interface AdverseActionInput {
+  consumer: Pick<ConsumerProfile, "fullName" | "address">;
+  // The creditor, insurer or landlord taking the action
+  creditor: MailingAddress;
+  // What was decided, e.g. "Your application for a credit card was declined"
+  action: string;
+  sources: AdverseActionSource[];
+  date?: Date;
+}
+
+export interface ScoreDisclosure {
+  bureau: Bureau;
+  score: number;
+  min: number;
+  max: number;
+  scoreModel: string;
+  scoreDate: string;
+  keyFactors: ReasonCode[];
+}
+
+export interface AdverseActionNotice extends RenderableDocument {
+  recipient: Pick<ConsumerProfile, "fullName" | "address">;
+  disclosures: ScoreDisclosure[];
+  bureaus: Bureau[];
+}
+
+const isBlank = (value: unknown) =>
+  typeof value !== "string" || value.trim() === "";
+
+export const adverseActionRules = createRuleSet<AdverseActionInput>([
+  {
+    id: "ADVERSE_ACTION_CONSUMER_NAME_REQUIRED",
+    citation: FCRA("615(a)"),
+    severity: "error",
+    field: "consumer.fullName",
+    message: "Consumer name is required",
+    check: ({ consumer }) => isBlank(consumer?.fullName),
+  },
+  {
+    id: "ADVERSE_ACTION_CONSUMER_ADDRESS_INCOMPLETE",
+    citation: FCRA("615(a)"),
+    severity: "error",
+    field: "consumer.address",
+    message: "Consumer mailing address is incomplete",
+    check: ({ consumer }) =>
+      !consumer?.address ||
+      isBlank(consumer.address.line1) ||
+      isBlank(consumer.address.city) ||
+      !/^[A-Z]{2}$/.test(consumer.address.state) ||
+      !/^\d{5}(-\d{4})?$/.test(consumer.address.postalCode),
+  },
+  {
+    id: "ADVERSE_ACTION_CREDITOR_REQUIRED",
+    citation: FCRA("615(a)"),
+    severity: "error",
+    field: "creditor",
+    message: "The name and address of whoever took the action are required",
+    check: ({ creditor }) =>
+      isBlank(creditor?.name) ||
+      isBlank(creditor.city) ||
+      isBlank(creditor.postalCode),
+  },
+  {
+    id: "ADVERSE_ACTION_STATEMENT_REQUIRED",
+    citation: FCRA("615(a)(1)"),
+    severity: "error",
+    field: "action",
+    message: "Describe the adverse action taken",
+    check: ({ action }) => isBlank(action),
+  },
+  {
+    id: "ADVERSE_ACTION_SOURCE_REQUIRED",
+    citation: FCRA("615(a)(3)"),
+    severity: "error",
+    field: "sources",
+    message: "At least one consumer report the decision relied on is required",
+    check: ({ sources }) => !sources || sources.length === 0,
+  },
+  {
+    id: "ADVERSE_ACTION_KEY_FACTORS_REQUIRED",
+    citation: FCRA("609(f)(1)(C)"),
+    severity: "error",
+    field: "sources",
+    message:
+      "The {bureau} score needs at least one key factor with a reason code",
+    check: ({ sources = [] }) =>
+      sources.flatMap((source, index) =>
+        (source.factors ?? []).some(
+          (factor) => factor.impact === "negative" && factor.reasonCode
+        )
+          ? []
+          : [
+              {
+                field: `sources[${index}].factors`,
+                params: { bureau: source.creditData.bureauSource },
+              },
+            ]
+      ),
+  },
+]);
+
+/**
+ * Validates the notice input, including each score through the credit data
+ * rules and each factor's reason code
+ */
+export function validateAdverseActionInput(
+  input: AdverseActionInput,
+  options?: RuleEvaluationOptions
+): ValidationResult {
+  return mergeValidationResults([
+    adverseActionRules.evaluate(input, options),
+    ...(input.sources ?? []).flatMap((source, index) => [
+      mergeValidationResults(
+        [validateCreditData(source.creditData, options)],
+        `sources[${index}].creditData`
+      ),
+      mergeValidationResults(
+        [validateScoreFactors(source.factors ?? [], options)],
+        `sources[${index}]`
+      ),
+    ]),
+  ]);
+}
+
+/**
+ * Score, range, date, model and key factors for one score (FCRA §609(f))
+ */
+export function toScoreDisclosure(
+  source: AdverseActionSource
+): ScoreDisclosure {
+  const { creditData } = source;
+  const model = getScoringModel(creditData.scoreModel);
+  return {
+    bureau: creditData.bureauSource,
+    score: creditData.score,
+    min: model.min,
+    max: model.max,
+    scoreModel: model.name,
+    scoreDate: creditData.reportDate,
+    keyFactors: toKeyFactors(source.factors),
+  };
+}
+
+function disclosureBlocks(disclosure: ScoreDisclosure): DocumentBlock[] {
+  return [
+    { type: "heading", text: `Your credit score from ${disclosure.bureau}` },
+    {
+      type: "lines",
+      lines: [
+        `Your credit score: ${disclosure.score}`,
+        `Scores range from a low of ${disclosure.min} to a high of ${disclosure.max}`,
+        `Date of score: ${formatLetterDate(new Date(disclosure.scoreDate))}`,
+        `Scoring model: ${disclosure.scoreModel}`,
+      ],
+    },
+    {
+      type: "paragraph",
+      text: "Key factors that adversely affected your credit score:",
+    },
+    {
+      type: "list",
+      ordered: true,
+      items: disclosure.keyFactors.map((reason) => reason.statement),
+    },
+  ];
+}
+
+function bureauBlocks(bureau: Bureau): DocumentBlock[] {
+  const contact = getBureauContact(bureau);
+  return [
+    {
+      type: "lines",
+      lines: [
+        contact.legalName,
+        ...formatMailingAddress(contact.disputeAddress),
+        `Toll-free: ${contact.phone}`,
+        contact.website,
+      ],
+    },
+  ];
+}
+
+/**
+ * Builds a validated adverse action notice ready for rendering
+ * Throws when the input fails validation
+ */
+export function buildAdverseActionNotice(
+  input: AdverseActionInput
+): AdverseActionNotice {
+  const validation = validateAdverseActionInput(input, { now: input.date });
+  if (!validation.isValid) {
+    throw new Error(
+      `Cannot generate adverse action notice: ${validation.errors.join("; ")}`
+    );
+  }
+
+  const { consumer } = input;
+  const disclosures = input.sources.map(toScoreDisclosure);
+  const bureaus = [
+    ...new Set(disclosures.map((disclosure) => disclosure.bureau)),
+  ];
+  const plural = bureaus.length > 1;
+
+  const blocks: DocumentBlock[] = [
+    { type: "lines", lines: formatMailingAddress(input.creditor) },
+    { type: "lines", lines: [formatLetterDate(input.date ?? new Date())] },
+    {
+      type: "lines",
+      lines: [
+        consumer.fullName,
+        consumer.address.line1,
+        ...(consumer.address.line2 ? [consumer.address.line2] : []),
+        `${consumer.address.city}, ${consumer.address.state} ${consumer.address.postalCode}`,
+      ],
+    },
+    { type: "heading", text: "Notice of adverse action" },
+    { type: "paragraph", text: `Dear ${consumer.fullName},` },
+    { type: "paragraph", text: input.action.trim() },
+    {
+      type: "paragraph",
+      text: plural
+        ? "Our decision was based in whole or in part on information obtained in reports from the consumer reporting agencies listed below."
+        : "Our decision was based in whole or in part on information obtained in a report from the consumer reporting agency listed below.",
+    },
+    ...disclosures.flatMap(disclosureBlocks),
+    {
+      type: "heading",
+      text: plural
+        ? "Consumer reporting agencies"
+        : "Consumer reporting agency",
+    },
+    ...bureaus.flatMap(bureauBlocks),
+    {
+      type: "paragraph",
+      text: plural
+        ? "These consumer reporting agencies played no part in our decision and are unable to provide you the specific reasons why the action was taken."
+        : "This consumer reporting agency played no part in our decision and is unable to provide you the specific reasons why the action was taken.",
+    },
+    {
+      type: "heading",
+      text: "Your rights under the Fair Credit Reporting Act",
+    },
+    {
+      type: "list",
+      items: [
+        `You have a right to a free copy of your report from ${plural ? "each" : "the"} consumer reporting agency if you request it within 60 days of receiving this notice (Section 612).`,
+        "You have a right to dispute with the consumer reporting agency the accuracy or completeness of any information in your report (Section 611).",
+      ],
+    },
+  ];
+
+  return {
+    title: "Notice of adverse action",
+    recipient: consumer,
+    disclosures,
+    bureaus,
+    blocks,
+  };
+}
+
+export function renderAdverseActionText(input: AdverseActionInput): string {
+  return renderDocumentText(buildAdverseActionNotice(input));
+}
+
+export function renderAdverseActionHtml(input: AdverseActionInput): string {
+  return renderDocumentHtml(
+    buildAdverseActionNotice(input),
+    "adverse-action-notice"
+  );
+}
+
+export function renderAdverseActionPdf(input: AdverseActionInput): Uint8Array {
+  return renderDocumentPdf(buildAdverseActionNotice(input));
+}
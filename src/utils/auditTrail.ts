@@ -0,0 +1,370 @@
+/**
+ * Append-only, hash-chained audit trail for credit data access
+ * FCRA Section 604 - every access must be attributable to a user and a
+ * permissible purpose; each entry commits to the hash of the one before it
+ */
+
+import { sha256 } from "./sha256";
+import { validatePermissiblePurpose } from "./creditValidation";
+import {
+  CONSENT_DENIAL_MESSAGES,
+  type ConsentCheck,
+  type ConsentChecker,
+  type ConsentScope,
+} from "./consent";
+import { assertCan, type Principal } from "./permissions";
+
+export interface AuditActor {
+  id: string;
+  role?: string;
+}
+
+export type AuditOutcome = "success" | "denied" | "error";
+
+export interface AuditEvent {
+  actor: AuditActor;
+  action: string;
+  consumerId: string;
+  permissiblePurpose: string;
+  // Written authorization the access relied on
+  consentId?: string;
+  outcome: AuditOutcome;
+  // SHA-256 of the returned data, so the log never holds consumer PII
+  resultHash?: string;
+  resultSummary?: Record<string, unknown>;
+  reason?: string;
+}
+
+export interface AuditEntry extends AuditEvent {
+  sequence: number;
+  auditId: string;
+  timestamp: string;
+  previousHash: string;
+  hash: string;
+}
+
+export const GENESIS_HASH = "0".repeat(64);
+
+/**
+ * Serializes a value with sorted keys so equal data always hashes equally
+ */
+export function canonicalJson(value: unknown): string {
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    return JSON.stringify(value) ?? "null";
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+
+  const record = value as Record<string, unknown>;
+  const fields = Object.keys(record)
+    .filter((key) => record[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalJson(record[key])}`);
+  return `{${fields.join(",")}}`;
+}
+
+export function hashAuditEntry(entry: Omit<AuditEntry, "hash">): string {
+  return sha256(canonicalJson({ ...entry, hash: undefined }));
+}
+
+export interface AuditVerification {
+  valid: boolean;
+  checked: number;
+  brokenAt?: number;
+  reason?: string;
+}
+
+/**
+ * Recomputes the chain and reports the first entry that does not match
+ */
+export function verifyAuditChain(
+  entries: readonly AuditEntry[]
+): AuditVerification {
+  let previousHash = GENESIS_HASH;
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    const broken = (reason: string): AuditVerification => ({
+      valid: false,
+      checked: index,
+      brokenAt: index,
+      reason,
+    });
+
+    if (entry.sequence !== index) {
+      return broken(`Expected sequence ${index}, found ${entry.sequence}`);
+    }
+    if (entry.previousHash !== previousHash) {
+      return broken("Previous hash does not match the prior entry");
+    }
+    if (hashAuditEntry(entry) !== entry.hash) {
+      return broken("Entry contents do not match its hash");
+    }
+    previousHash = entry.hash;
+  }
+
+  return { valid: true, checked: entries.length };
+}
+
+export interface AuditStore {
+  append: (entry: AuditEntry) => void;
+  load: () => AuditEntry[];
+}
+
+export function createMemoryAuditStore(): AuditStore {
+  const entries: AuditEntry[] = [];
+  return {
+    append: (entry) => {
+      entries.push(entry);
+    },
+    load: () => [...entries],
+  };
+}
+
+/**
+ * Persists the audit chain to browser localStorage (or any Storage-like object)
+ */
+export function createLocalStorageAuditStore(
+  key = "tcp.audit",
+  storage: Pick<Storage, "getItem" | "setItem"> = localStorage
+): AuditStore {
+  const load = (): AuditEntry[] => {
+    const raw = storage.getItem(key);
+    if (!raw) return [];
+    try {
+      return JSON.parse(raw) as AuditEntry[];
+    } catch {
+      throw new Error(`Corrupt audit store: ${key}`);
+    }
+  };
+
+  return {
+    append: (entry) => storage.setItem(key, JSON.stringify([...load(), entry])),
+    load,
+  };
+}
+
+export interface AuditLogOptions {
+  store?: AuditStore;
+  now?: () => Date;
+  generateId?: () => string;
+}
+
+export interface AuditLog {
+  record: (event: AuditEvent) => AuditEntry;
+  entries: () => readonly AuditEntry[];
+  verify: () => AuditVerification;
+}
+
+export function createAuditLog(options: AuditLogOptions = {}): AuditLog {
+  const store = options.store ?? createMemoryAuditStore();
+  const now = options.now ?? (() => new Date());
+  const generateId =
+    options.generateId ??
+    (() =>
+      `aud-${sha256(`${now().toISOString()}:${Math.random()}`).slice(0, 24)}`);
+
+  return {
+    record: (event) => {
+      const entries = store.load();
+      const previous = entries[entries.length - 1];
+      const unsigned = {
+        ...event,
+        sequence: entries.length,
+        auditId: generateId(),
+        timestamp: now().toISOString(),
+        previousHash: previous ? previous.hash : GENESIS_HASH,
+      };
+      const entry = Object.freeze({
+        ...unsigned,
+        hash: hashAuditEntry(unsigned),
+      });
+      store.append(entry);
+      return entry;
+    },
+    entries: () =>
+      Object.freeze(store.load().map((entry) => Object.freeze(entry))),
+    verify: () => verifyAuditChain(store.load()),
+  };
+}
+
+export interface AuditContext {
+  actor: AuditActor;
+  consumerId: string;
+  permissiblePurpose: string;
+  jurisdiction?: string;
+}
+
+export interface AuditTrailOptions<TArgs extends unknown[], TResult> {
+  log: AuditLog;
+  action: string;
+  context: (...args: TArgs) => AuditContext;
+  summarize?: (result: Awaited<TResult>) => Record<string, unknown>;
+  // When set, access also needs an active consumer consent for the scope
+  consent?: ConsentChecker;
+  consentScope?: ConsentScope;
+}
+
+/**
+ * Wraps a credit access function so every call is checked for a permissible
+ * purpose (and consent, when configured) and recorded, including denials
+ * and failures
+ */
+export function withAuditTrail<TArgs extends unknown[], TResult>(
+  access: (...args: TArgs) => TResult,
+  options: AuditTrailOptions<TArgs, TResult>
+): (...args: TArgs) => TResult {
+  const { log, action, summarize } = options;
+
+  return (...args: TArgs): TResult => {
+    const context = options.context(...args);
+    const base: Omit<AuditEvent, "outcome"> = {
+      actor: context.actor,
+      action,
+      consumerId: context.consumerId,
+      permissiblePurpose: context.permissiblePurpose,
+    };
+
+    const purpose = validatePermissiblePurpose(context.permissiblePurpose, {
+      jurisdiction: context.jurisdiction,
+    });
+    if (!purpose.isValid) {
+      const reason = purpose.errors.join("; ");
+      log.record({ ...base, outcome: "denied", reason });
+      throw new Error(`Credit data access denied: ${reason}`);
+    }
+
+    if (options.consent) {
+      let consent: ConsentCheck;
+      try {
+        consent = options.consent.check(
+          context.consumerId,
+          context.permissiblePurpose,
+          options.consentScope ?? "credit_report"
+        );
+      } catch (error) {
+        // An unreadable consent ledger is a failed access, not a silent one
+        log.record({
+          ...base,
+          outcome: "error",
+          reason: error instanceof Error ? error.message : String(error),
+        });
+        throw error;
+      }
+      if (!consent.allowed) {
+        const reason = CONSENT_DENIAL_MESSAGES[consent.reason];
+        log.record({
+          ...base,
+          ...(consent.consent && { consentId: consent.consent.id }),
+          outcome: "denied",
+          reason,
+        });
+        throw new Error(`Credit data access denied: ${reason}`);
+      }
+      base.consentId = consent.consent.id;
+    }
+
+    const recordSuccess = (result: Awaited<TResult>) => {
+      log.record({
+        ...base,
+        outcome: "success",
+        resultHash: sha256(canonicalJson(result)),
+        ...(summarize && { resultSummary: summarize(result) }),
+      });
+      return result;
+    };
+    const recordError = (error: unknown): never => {
+      log.record({
+        ...base,
+        outcome: "error",
+        reason: error instanceof Error ? error.message : String(error),
+      });
+      throw error;
+    };
+
+    let result: TResult;
+    try {
+      result = access(...args);
+    } catch (error) {
+      return recordError(error);
+    }
+
+    if (result instanceof Promise) {
+      return result.then(recordSuccess, recordError) as TResult;
+    }
+    return recordSuccess(result as Awaited<TResult>) as TResult;
+  };
+}
+
+const CSV_COLUMNS = [
+  "sequence",
+  "auditId",
+  "timestamp",
+  "actorId",
+  "actorRole",
+  "action",
+  "consumerId",
+  "permissiblePurpose",
+  "consentId",
+  "outcome",
+  "reason",
+  "resultSummary",
+  "resultHash",
+  "previousHash",
+  "hash",
+  // Whether the chain is intact up to and including this entry
+  "verified",
+] as const;
+
+function csvCell(value: unknown): string {
+  const raw = value === undefined ? "" : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports the chain for examiners, with its verification status attached
+ * CSV cells are escaped so spreadsheets never run them as formulas
+ * Throws unless the principal holds audit:export
+ */
+export function exportAuditLog(
+  entries: readonly AuditEntry[],
+  format: "json" | "csv",
+  options: { principal: Principal | null; exportedAt?: Date }
+): string {
+  assertCan(options.principal, "audit:export");
+  const exportedAt = options.exportedAt ?? new Date();
+
+  const verification = verifyAuditChain(entries);
+
+  if (format === "csv") {
+    const rows = entries.map((entry, index) =>
+      CSV_COLUMNS.map((column) => {
+        if (column === "actorId") return csvCell(entry.actor.id);
+        if (column === "actorRole") return csvCell(entry.actor.role);
+        if (column === "resultSummary") {
+          return csvCell(
+            entry.resultSummary && canonicalJson(entry.resultSummary)
+          );
+        }
+        if (column === "verified") {
+          return csvCell(verification.valid || index < verification.checked);
+        }
+        return csvCell(entry[column]);
+      }).join(",")
+    );
+    return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+  }
+
+  return JSON.stringify(
+    {
+      exportedAt: exportedAt.toISOString(),
+      verification,
+      entries,
+    },
+    null,
+    2
+  );
+}
@@ -0,0 +1,81 @@
+/**
+ * Nationwide consumer reporting agency contact directory
+ * Local table so letters render without a network lookup
+ */
+
+import type { Bureau } from "./creditReport";
+
+export interface MailingAddress {
+  name: string;
+  lines: string[];
+  city: string;
+  state: string;
+  postalCode: string;
+}
+
+export interface BureauContact {
+  bureau: Bureau;
+  legalName: string;
+  // FCRA Section 611 disputes
+  disputeAddress: MailingAddress;
+  phone: string;
+  website: string;
+}
+
+export const BUREAU_DIRECTORY: Record<Bureau, BureauContact> = {
+  Experian: {
+    bureau: "Experian",
+    legalName: "Experian Information Solutions, Inc.",
+    disputeAddress: {
+      name: "Experian",
+      lines: ["P.O. Box 4500"],
+      city: "Allen",
+      state: "TX",
+      postalCode: "75013",
+    },
+    phone: "1-888-397-3742",
+    website: "www.experian.com/disputes",
+  },
+  Equifax: {
+    bureau: "Equifax",
+    legalName: "Equifax Information Services LLC",
+    disputeAddress: {
+      name: "Equifax Information Services LLC",
+      lines: ["P.O. Box 740256"],
+      city: "Atlanta",
+      state: "GA",
+      postalCode: "30374-0256",
+    },
+    phone: "1-866-349-5191",
+    website: "www.equifax.com/personal/credit-report-services",
+  },
+  TransUnion: {
+    bureau: "TransUnion",
+    legalName: "TransUnion LLC",
+    disputeAddress: {
+      name: "TransUnion Consumer Solutions",
+      lines: ["P.O. Box 2000"],
+      city: "Chester",
+      state: "PA",
+      postalCode: "19016-2000",
+    },
+    phone: "1-800-916-8800",
+    website: "www.transunion.com/credit-disputes",
+  },
+};
+
+export function getBureauContact(bureau: Bureau): BureauContact {
+  const contact = BUREAU_DIRECTORY[bureau];
+  if (!contact) {
+    throw new Error(`Unknown bureau: ${bureau}`);
+  }
+  return contact;
+}
+
+export function formatMailingAddress(address: MailingAddress): string[] {
+  return [
+    address.name,
+    ...address.lines,
+    `${address.city}, ${address.state} ${address.postalCode}`,
+  ];
+}
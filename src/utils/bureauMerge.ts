@@ -0,0 +1,422 @@
+/**
+ * Tri-bureau merge engine
+ * Matches the same item across Experian, Equifax and TransUnion
+ * and flags where the bureaus disagree
+ */
+
+import {
+  BUREAUS,
+  type Bureau,
+  type CollectionAccount,
+  type CreditReport,
+  type Inquiry,
+  type PersonalInfo,
+  type PublicRecord,
+  type Tradeline,
+} from "./creditReport";
+
+export type MergedItemType =
+  | "tradeline"
+  | "collection"
+  | "public_record"
+  | "inquiry"
+  | "personal_info";
+
+export interface Discrepancy {
+  itemType: MergedItemType;
+  itemKey: string;
+  // "presence" flags an item missing from one or more bureaus
+  field: string;
+  values: Partial<Record<Bureau, unknown>>;
+}
+
+export interface MergedItem<T> {
+  key: string;
+  byBureau: Partial<Record<Bureau, T>>;
+  reportedBy: Bureau[];
+  discrepancies: Discrepancy[];
+}
+
+export interface MergedPersonalInfo {
+  names: string[];
+  addresses: PersonalInfo["addresses"];
+  byBureau: Partial<Record<Bureau, PersonalInfo>>;
+}
+
+export interface MergedCreditReport {
+  bureaus: Bureau[];
+  personalInfo: MergedPersonalInfo;
+  tradelines: MergedItem<Tradeline>[];
+  collections: MergedItem<CollectionAccount>[];
+  publicRecords: MergedItem<PublicRecord>[];
+  inquiries: MergedItem<Inquiry>[];
+  discrepancies: Discrepancy[];
+}
+
+export interface MergeOptions {
+  // Balance differences at or below this amount are not flagged
+  balanceTolerance?: number;
+}
+
+// Bureaus abbreviate furnisher names differently
+const CREDITOR_ALIASES: Record<string, string> = {
+  CAPONE: "CAPITALONE",
+  CAPITALONEBANKUSA: "CAPITALONE",
+  JPMCB: "CHASE",
+  JPMCBCARD: "CHASE",
+  SYNCB: "SYNCHRONY",
+  SYNCHRONYBANK: "SYNCHRONY",
+  AMEX: "AMERICANEXPRESS",
+  CITICARDS: "CITI",
+  CITIBANK: "CITI",
+  DISCOVERBANK: "DISCOVER",
+  DISCOVERFINSVCS: "DISCOVER",
+};
+
+// Corporate designators dropped from the end of a name, one whole word at a time
+const NAME_SUFFIXES = new Set([
+  "BANK",
+  "NA",
+  "USA",
+  "INC",
+  "CORP",
+  "LLC",
+  "FSB",
+]);
+
+export function normalizeCreditorName(name: string): string {
+  const tokens = name.toUpperCase().match(/[A-Z0-9]+/g) ?? [];
+  const compact = tokens.join("");
+  if (CREDITOR_ALIASES[compact]) return CREDITOR_ALIASES[compact];
+
+  let end = tokens.length;
+  while (end > 1 && NAME_SUFFIXES.has(tokens[end - 1])) end -= 1;
+  const stripped = tokens.slice(0, end).join("");
+  return CREDITOR_ALIASES[stripped] ?? stripped;
+}
+
+// Names match only when every remaining word agrees, so "CAPITAL" is not
+// "CAPITAL ONE"
+function creditorNamesMatch(a: string, b: string): boolean {
+  return normalizeCreditorName(a) === normalizeCreditorName(b);
+}
+
+/**
+ * Compares masked account numbers using only the digits both bureaus reveal
+ * e.g. "517805XXXXXX1234" matches "XXXXXXXXXXXX1234"; at least one revealed
+ * digit must line up
+ */
+export function accountNumbersCompatible(a: string, b: string): boolean {
+  const left = a.replace(/[\s-]/g, "").toUpperCase();
+  const right = b.replace(/[\s-]/g, "").toUpperCase();
+
+  const leadingA = left.match(/^\d+/)?.[0] ?? "";
+  const leadingB = right.match(/^\d+/)?.[0] ?? "";
+  const trailingA = left.match(/\d+$/)?.[0] ?? "";
+  const trailingB = right.match(/\d+$/)?.[0] ?? "";
+
+  const leadingLength = Math.min(leadingA.length, leadingB.length);
+  const trailingLength = Math.min(trailingA.length, trailingB.length);
+  // Fully masked numbers, or masks that reveal different ends, prove nothing
+  if (leadingLength === 0 && trailingLength === 0) return false;
+
+  return (
+    leadingA.slice(0, leadingLength) === leadingB.slice(0, leadingLength) &&
+    trailingA.slice(trailingA.length - trailingLength) ===
+      trailingB.slice(trailingB.length - trailingLength)
+  );
+}
+
+function normalizeValue(value: unknown): unknown {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+  return value;
+}
+
+function daysBetween(a: string, b: string): number {
+  return Math.abs(new Date(a).getTime() - new Date(b).getTime()) / 86400000;
+}
+
+interface MatchSpec<T> {
+  itemType: MergedItemType;
+  keyOf: (item: T) => string;
+  matches: (a: T, b: T) => boolean;
+  // Lower is a closer match when several candidates qualify
+  distance: (a: T, b: T) => number;
+  comparedFields: Array<keyof T>;
+  flagPresence: boolean;
+}
+
+function mergeItems<T>(
+  reports: CreditReport[],
+  select: (report: CreditReport) => T[],
+  spec: MatchSpec<T>,
+  options: MergeOptions
+): MergedItem<T>[] {
+  const merged: MergedItem<T>[] = [];
+
+  reports.forEach((report) => {
+    select(report).forEach((item) => {
+      const candidates = merged.filter((group) => {
+        if (group.byBureau[report.bureau]) return false;
+        const existing = group.byBureau[group.reportedBy[0]] as T;
+        return spec.matches(existing, item);
+      });
+      candidates.sort(
+        (a, b) =>
+          spec.distance(a.byBureau[a.reportedBy[0]] as T, item) -
+          spec.distance(b.byBureau[b.reportedBy[0]] as T, item)
+      );
+
+      const group = candidates[0];
+      if (group) {
+        group.byBureau[report.bureau] = item;
+        group.reportedBy.push(report.bureau);
+      } else {
+        merged.push({
+          key: spec.keyOf(item),
+          byBureau: { [report.bureau]: item } as Partial<Record<Bureau, T>>,
+          reportedBy: [report.bureau],
+          discrepancies: [],
+        });
+      }
+    });
+  });
+
+  const tolerance = options.balanceTolerance ?? 0;
+  const bureaus = reports.map((report) => report.bureau);
+
+  merged.forEach((group) => {
+    if (spec.flagPresence && group.reportedBy.length < bureaus.length) {
+      const values: Partial<Record<Bureau, unknown>> = {};
+      bureaus.forEach((bureau) => {
+        values[bureau] = group.reportedBy.includes(bureau);
+      });
+      group.discrepancies.push({
+        itemType: spec.itemType,
+        itemKey: group.key,
+        field: "presence",
+        values,
+      });
+    }
+
+    if (group.reportedBy.length < 2) return;
+
+    spec.comparedFields.forEach((field) => {
+      const values: Partial<Record<Bureau, unknown>> = {};
+      group.reportedBy.forEach((bureau) => {
+        values[bureau] = normalizeValue((group.byBureau[bureau] as T)[field]);
+      });
+
+      const distinct = new Set(Object.values(values).map(String));
+      if (distinct.size < 2) return;
+
+      if (field === "balance") {
+        const balances = Object.values(values) as number[];
+        if (Math.max(...balances) - Math.min(...balances) <= tolerance) {
+          return;
+        }
+      }
+
+      group.discrepancies.push({
+        itemType: spec.itemType,
+        itemKey: group.key,
+        field: String(field),
+        values,
+      });
+    });
+  });
+
+  return merged;
+}
+
+function lastDigits(accountNumber: string): string {
+  return accountNumber.match(/\d{1,4}$/)?.[0] ?? "";
+}
+
+const TRADELINE_SPEC: MatchSpec<Tradeline> = {
+  itemType: "tradeline",
+  keyOf: (t) =>
+    `${normalizeCreditorName(t.creditorName)}-${lastDigits(t.accountNumber)}`,
+  matches: (a, b) =>
+    creditorNamesMatch(a.creditorName, b.creditorName) &&
+    accountNumbersCompatible(a.accountNumber, b.accountNumber),
+  distance: (a, b) => daysBetween(a.dateOpened, b.dateOpened),
+  comparedFields: [
+    "accountType",
+    "ownership",
+    "status",
+    "paymentStatus",
+    "balance",
+    "creditLimit",
+    "highBalance",
+    "dateOpened",
+    "dateClosed",
+    "dateOfFirstDelinquency",
+  ],
+  flagPresence: true,
+};
+
+const COLLECTION_SPEC: MatchSpec<CollectionAccount> = {
+  itemType: "collection",
+  keyOf: (c) =>
+    `${normalizeCreditorName(c.agencyName)}-${lastDigits(c.accountNumber)}`,
+  matches: (a, b) =>
+    creditorNamesMatch(a.agencyName, b.agencyName) &&
+    accountNumbersCompatible(a.accountNumber, b.accountNumber),
+  distance: (a, b) => daysBetween(a.dateAssigned, b.dateAssigned),
+  comparedFields: [
+    "originalCreditor",
+    "status",
+    "balance",
+    "originalAmount",
+    "dateAssigned",
+    "dateOfFirstDelinquency",
+  ],
+  flagPresence: true,
+};
+
+const PUBLIC_RECORD_SPEC: MatchSpec<PublicRecord> = {
+  itemType: "public_record",
+  keyOf: (p) => `${p.type}-${p.referenceNumber ?? p.filedDate.slice(0, 10)}`,
+  matches: (a, b) =>
+    a.type === b.type &&
+    (a.referenceNumber && b.referenceNumber
+      ? a.referenceNumber === b.referenceNumber
+      : daysBetween(a.filedDate, b.filedDate) <= 31),
+  distance: (a, b) => daysBetween(a.filedDate, b.filedDate),
+  comparedFields: ["status", "filedDate", "resolvedDate", "amount"],
+  flagPresence: true,
+};
+
+// Inquiries are bureau-specific by nature, so absence is not a discrepancy
+const INQUIRY_SPEC: MatchSpec<Inquiry> = {
+  itemType: "inquiry",
+  keyOf: (i) => `${normalizeCreditorName(i.creditorName)}-${i.date}`,
+  matches: (a, b) =>
+    creditorNamesMatch(a.creditorName, b.creditorName) &&
+    a.type === b.type &&
+    daysBetween(a.date, b.date) <= 1,
+  distance: (a, b) => daysBetween(a.date, b.date),
+  comparedFields: [],
+  flagPresence: false,
+};
+
+function mergePersonalInfo(reports: CreditReport[]): {
+  personalInfo: MergedPersonalInfo;
+  discrepancies: Discrepancy[];
+} {
+  const byBureau: Partial<Record<Bureau, PersonalInfo>> = {};
+  const names = new Map<string, string>();
+  const addresses = new Map<string, PersonalInfo["addresses"][number]>();
+
+  reports.forEach(({ bureau, personalInfo }) => {
+    byBureau[bureau] = personalInfo;
+    personalInfo.names.forEach((name) => {
+      names.set(name.toUpperCase().replace(/\s+/g, " ").trim(), name);
+    });
+    personalInfo.addresses.forEach((address) => {
+      const key = [address.line1, address.postalCode.slice(0, 5)]
+        .join("|")
+        .toUpperCase()
+        .replace(/[^A-Z0-9|]/g, "");
+      if (!addresses.has(key)) addresses.set(key, address);
+    });
+  });
+
+  const discrepancies: Discrepancy[] = [];
+  (["dateOfBirth", "ssnLast4"] as const).forEach((field) => {
+    const values: Partial<Record<Bureau, unknown>> = {};
+    reports.forEach(({ bureau, personalInfo }) => {
+      if (personalInfo[field]) {
+        values[bureau] = normalizeValue(personalInfo[field]);
+      }
+    });
+    if (new Set(Object.values(values)).size > 1) {
+      discrepancies.push({
+        itemType: "personal_info",
+        itemKey: "consumer",
+        field,
+        values,
+      });
+    }
+  });
+
+  return {
+    personalInfo: {
+      names: [...names.values()],
+      addresses: [...addresses.values()],
+      byBureau,
+    },
+    discrepancies,
+  };
+}
+
+/**
+ * Merges one report per bureau into a single tri-bureau view
+ * Every discrepancy is a candidate for a FCRA Section 611 dispute
+ */
+export function mergeBureauReports(
+  reports: CreditReport[],
+  options: MergeOptions = {}
+): MergedCreditReport {
+  if (reports.length === 0) {
+    throw new Error("At least one bureau report is required");
+  }
+
+  const seen = new Set<Bureau>();
+  reports.forEach(({ bureau }) => {
+    if (seen.has(bureau)) {
+      throw new Error(`Duplicate report for bureau: ${bureau}`);
+    }
+    seen.add(bureau);
+  });
+
+  // Stable bureau order keeps merge results deterministic
+  const ordered = [...reports].sort(
+    (a, b) => BUREAUS.indexOf(a.bureau) - BUREAUS.indexOf(b.bureau)
+  );
+
+  const { personalInfo, discrepancies: personalDiscrepancies } =
+    mergePersonalInfo(ordered);
+  const tradelines = mergeItems(
+    ordered,
+    (r) => r.tradelines,
+    TRADELINE_SPEC,
+    options
+  );
+  const collections = mergeItems(
+    ordered,
+    (r) => r.collections,
+    COLLECTION_SPEC,
+    options
+  );
+  const publicRecords = mergeItems(
+    ordered,
+    (r) => r.publicRecords,
+    PUBLIC_RECORD_SPEC,
+    options
+  );
+  const inquiries = mergeItems(
+    ordered,
+    (r) => r.inquiries,
+    INQUIRY_SPEC,
+    options
+  );
+
+  return {
+    bureaus: ordered.map((report) => report.bureau),
+    personalInfo,
+    tradelines,
+    collections,
+    publicRecords,
+    inquiries,
+    discrepancies: [
+      ...personalDiscrepancies,
+      ...[...tradelines, ...collections, ...publicRecords].flatMap(
+        (item) => item.discrepancies
+      ),
+    ],
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Business day arithmetic for statutory deadlines
+ * Business days are weekdays that are not US federal holidays; counting only
+ * weekdays gives consumers the longer of the common interpretations
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toIsoDate = (date: Date) => date.toISOString().slice(0, 10);
+
+const utcDate = (year: number, month: number, day: number) =>
+  new Date(Date.UTC(year, month, day));
+
+// nth weekday of a month, e.g. the 3rd Monday; n = -1 is the last one
+function nthWeekday(year: number, month: number, weekday: number, n: number) {
+  if (n < 0) {
+    const last = utcDate(year, month + 1, 0);
+    const offset = (last.getUTCDay() - weekday + 7) % 7;
+    return utcDate(year, month, last.getUTCDate() - offset);
+  }
+  const first = utcDate(year, month, 1);
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return utcDate(year, month, 1 + offset + (n - 1) * 7);
+}
+
+// Fixed-date holidays on a weekend are observed on the nearest weekday
+function observed(date: Date): Date {
+  const day = date.getUTCDay();
+  if (day === 6) return new Date(date.getTime() - DAY_MS);
+  if (day === 0) return new Date(date.getTime() + DAY_MS);
+  return date;
+}
+
+/**
+ * Observed US federal holidays for a year as ISO dates (5 U.S.C. §6103)
+ * New Year's Day observed on Dec 31 belongs to the following year's list
+ */
+export function federalHolidays(year: number): string[] {
+  return [
+    observed(utcDate(year, 0, 1)),
+    nthWeekday(year, 0, 1, 3), // Martin Luther King Jr. Day
+    nthWeekday(year, 1, 1, 3), // Washington's Birthday
+    nthWeekday(year, 4, 1, -1), // Memorial Day
+    observed(utcDate(year, 5, 19)), // Juneteenth
+    observed(utcDate(year, 6, 4)),
+    nthWeekday(year, 8, 1, 1), // Labor Day
+    nthWeekday(year, 9, 1, 2), // Columbus Day
+    observed(utcDate(year, 10, 11)), // Veterans Day
+    nthWeekday(year, 10, 4, 4), // Thanksgiving
+    observed(utcDate(year, 11, 25)),
+  ].map(toIsoDate);
+}
+
+/**
+ * Whether a calendar date (read in UTC) is a business day
+ */
+export function isBusinessDay(date: Date): boolean {
+  const day = date.getUTCDay();
+  if (day === 0 || day === 6) return false;
+  const iso = toIsoDate(date);
+  const year = date.getUTCFullYear();
+  return ![...federalHolidays(year), ...federalHolidays(year + 1)].includes(
+    iso
+  );
+}
+
+/**
+ * The date `days` business days after the given date; the start date itself
+ * is never counted. Returns an ISO date (YYYY-MM-DD)
+ */
+export function addBusinessDays(date: Date | string, days: number): string {
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`Business days must be a non-negative integer: ${days}`);
+  }
+  const start = new Date(date);
+  if (Number.isNaN(start.getTime())) {
+    throw new Error(`Invalid date: ${String(date)}`);
+  }
+  let current = utcDate(
+    start.getUTCFullYear(),
+    start.getUTCMonth(),
+    start.getUTCDate()
+  );
+  let remaining = days;
+  while (remaining > 0) {
+    current = new Date(current.getTime() + DAY_MS);
+    if (isBusinessDay(current)) remaining--;
+  }
+  return toIsoDate(current);
+}
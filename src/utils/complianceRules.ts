@@ -0,0 +1,212 @@
+/**
+ * Declarative compliance rules engine
+ * Each rule carries its FCRA/CROA/state citation so the UI and audit log
+ * can act on structured results instead of bare strings
+ */
+
+export type RuleSeverity = "error" | "warning";
+
+export interface Citation {
+  source: "FCRA" | "CROA" | "STATE";
+  section: string;
+  // Human readable form, e.g. "FCRA §604" or "Cal. Lab. Code §1024.5"
+  label: string;
+}
+
+export interface ValidationIssue {
+  code: string;
+  field: string;
+  message: string;
+  severity: RuleSeverity;
+  citation: Citation;
+  params?: Record<string, unknown>;
+}
+
+export interface ValidationResult {
+  isValid: boolean;
+  // Message lists derived from issues, kept for existing callers
+  errors: string[];
+  warnings: string[];
+  issues: ValidationIssue[];
+}
+
+export interface RuleContext {
+  jurisdiction?: string;
+  now: Date;
+}
+
+export interface RuleFinding {
+  field?: string;
+  params?: Record<string, unknown>;
+}
+
+export interface ComplianceRule<T> {
+  id: string;
+  citation: Citation;
+  severity: RuleSeverity;
+  field: string;
+  // Template with {param} placeholders filled from the finding
+  message: string;
+  // Omitted means the rule applies in every jurisdiction
+  jurisdictions?: string[];
+  check: (
+    subject: T,
+    context: RuleContext
+  ) => boolean | RuleFinding | RuleFinding[] | undefined;
+}
+
+export interface RuleEvaluationOptions {
+  jurisdiction?: string;
+  disabledRules?: string[];
+  now?: Date;
+  // Localized message for "validation.{RULE_ID}"; undefined keeps the
+  // rule's own English message
+  translate?: (
+    key: string,
+    params?: Record<string, unknown>
+  ) => string | undefined;
+}
+
+export interface RuleSet<T> {
+  readonly rules: ReadonlyArray<ComplianceRule<T>>;
+  register: (rule: ComplianceRule<T>) => void;
+  unregister: (ruleId: string) => void;
+  evaluate: (subject: T, options?: RuleEvaluationOptions) => ValidationResult;
+}
+
+export const FCRA = (section: string): Citation => ({
+  source: "FCRA",
+  section,
+  label: `FCRA §${section}`,
+});
+
+export const CROA = (section: string): Citation => ({
+  source: "CROA",
+  section,
+  label: `CROA §${section}`,
+});
+
+export const STATE = (section: string, label: string): Citation => ({
+  source: "STATE",
+  section,
+  label,
+});
+
+/**
+ * Fills {param} placeholders in a rule message template
+ * Unknown placeholders are left as-is so missing params are visible
+ */
+export function formatRuleMessage(
+  template: string,
+  params: Record<string, unknown> = {}
+): string {
+  return template.replace(/\{(\w+)\}/g, (match, key: string) =>
+    key in params ? String(params[key]) : match
+  );
+}
+
+export function buildValidationResult(
+  issues: ValidationIssue[]
+): ValidationResult {
+  const errors = issues
+    .filter((issue) => issue.severity === "error")
+    .map((issue) => issue.message);
+  const warnings = issues
+    .filter((issue) => issue.severity === "warning")
+    .map((issue) => issue.message);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    issues,
+  };
+}
+
+/**
+ * Combines several validation results into one
+ * Optionally nests every issue field under a path prefix
+ */
+export function mergeValidationResults(
+  results: ValidationResult[],
+  fieldPrefix?: string
+): ValidationResult {
+  const issues = results.flatMap((result) =>
+    result.issues.map((issue) =>
+      fieldPrefix ? { ...issue, field: `${fieldPrefix}.${issue.field}` } : issue
+    )
+  );
+  return buildValidationResult(issues);
+}
+
+function isRuleActive<T>(
+  rule: ComplianceRule<T>,
+  options: RuleEvaluationOptions
+): boolean {
+  if (options.disabledRules?.includes(rule.id)) return false;
+  if (!rule.jurisdictions) return true;
+  return (
+    !!options.jurisdiction &&
+    rule.jurisdictions.includes(options.jurisdiction.toUpperCase())
+  );
+}
+
+function toFindings(
+  outcome: boolean | RuleFinding | RuleFinding[] | undefined
+): RuleFinding[] {
+  if (!outcome) return [];
+  if (outcome === true) return [{}];
+  return Array.isArray(outcome) ? outcome : [outcome];
+}
+
+/**
+ * Creates a pluggable rule set for one kind of subject
+ * Rules run in registration order and never short-circuit each other
+ */
+export function createRuleSet<T>(
+  initialRules: ComplianceRule<T>[] = []
+): RuleSet<T> {
+  const rules: ComplianceRule<T>[] = [];
+
+  const register = (rule: ComplianceRule<T>) => {
+    if (rules.some((existing) => existing.id === rule.id)) {
+      throw new Error(`Duplicate compliance rule: ${rule.id}`);
+    }
+    rules.push(rule);
+  };
+
+  const unregister = (ruleId: string) => {
+    const index = rules.findIndex((rule) => rule.id === ruleId);
+    if (index >= 0) rules.splice(index, 1);
+  };
+
+  const evaluate = (subject: T, options: RuleEvaluationOptions = {}) => {
+    const context: RuleContext = {
+      jurisdiction: options.jurisdiction?.toUpperCase(),
+      now: options.now ?? new Date(),
+    };
+
+    const issues = rules
+      .filter((rule) => isRuleActive(rule, options))
+      .flatMap((rule) =>
+        toFindings(rule.check(subject, context)).map(
+          (finding): ValidationIssue => ({
+            code: rule.id,
+            field: finding.field ?? rule.field,
+            message:
+              options.translate?.(`validation.${rule.id}`, finding.params) ??
+              formatRuleMessage(rule.message, finding.params),
+            severity: rule.severity,
+            citation: rule.citation,
+            ...(finding.params && { params: finding.params }),
+          })
+        )
+      );
+
+    return buildValidationResult(issues);
+  };
+
+  initialRules.forEach(register);
+
+  return { rules, register, unregister, evaluate };
+}
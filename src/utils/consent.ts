@@ -0,0 +1,361 @@
+/**
+ * Consumer consent ledger for credit pulls
+ * FCRA Section 604(a)(2) - a report may be obtained on the consumer's written
+ * instructions; each authorization is tied to one consumer and permissible
+ * purpose, covers a set of scopes and lapses when revoked or expired
+ */
+
+import {
+  createRuleSet,
+  FCRA,
+  mergeValidationResults,
+  type RuleEvaluationOptions,
+  type ValidationResult,
+} from "./complianceRules";
+import { validatePermissiblePurpose } from "./creditValidation";
+
+export const CONSENT_SCOPES = ["credit_report", "credit_score"] as const;
+
+export type ConsentScope = (typeof CONSENT_SCOPES)[number];
+
+// E-SIGN Act electronic signatures, or a scanned paper form
+export const SIGNATURE_METHODS = [
+  "typed_name",
+  "drawn_signature",
+  "wet_ink",
+] as const;
+
+export type SignatureMethod = (typeof SIGNATURE_METHODS)[number];
+
+// Version of the authorization text the consumer signs; bump on any change
+export const CONSENT_DOCUMENT_VERSION = "2025-08";
+
+export const DEFAULT_CONSENT_VALIDITY_DAYS = 365;
+
+export interface ConsentRecord {
+  id: string;
+  consumerId: string;
+  permissiblePurpose: string;
+  scope: ConsentScope[];
+  signatureMethod: SignatureMethod;
+  signature: string;
+  documentVersion: string;
+  grantedAt: string;
+  expiresAt: string;
+  revokedAt?: string;
+  revokedBy?: string;
+  revocationReason?: string;
+}
+
+export type NewConsent = Pick<
+  ConsentRecord,
+  | "consumerId"
+  | "permissiblePurpose"
+  | "scope"
+  | "signatureMethod"
+  | "signature"
+  | "documentVersion"
+> & {
+  // Defaults to DEFAULT_CONSENT_VALIDITY_DAYS after it is granted
+  expiresAt?: string;
+};
+
+export type ConsentStatus = "active" | "revoked" | "expired";
+
+export type ConsentDenialReason = "absent" | "revoked" | "expired";
+
+export const CONSENT_DENIAL_MESSAGES: Record<ConsentDenialReason, string> = {
+  absent: "No written authorization from the consumer is on file",
+  revoked: "The consumer revoked their written authorization",
+  expired: "The consumer's written authorization has expired",
+};
+
+export type ConsentCheck =
+  | { allowed: true; consent: ConsentRecord }
+  | { allowed: false; reason: ConsentDenialReason; consent?: ConsentRecord };
+
+const isBlank = (value: unknown) =>
+  typeof value !== "string" || value.trim() === "";
+
+const consentRules = createRuleSet<NewConsent>([
+  {
+    id: "CONSENT_CONSUMER_REQUIRED",
+    citation: FCRA("604(a)(2)"),
+    severity: "error",
+    field: "consumerId",
+    message: "Consent must identify the consumer",
+    check: ({ consumerId }) => isBlank(consumerId),
+  },
+  {
+    id: "CONSENT_SCOPE_REQUIRED",
+    citation: FCRA("604(a)(2)"),
+    severity: "error",
+    field: "scope",
+    message: "Consent must cover at least one scope",
+    check: ({ scope }) => !Array.isArray(scope) || scope.length === 0,
+  },
+  {
+    id: "CONSENT_SCOPE_INVALID",
+    citation: FCRA("604(a)(2)"),
+    severity: "error",
+    field: "scope",
+    message: "Unknown consent scope: {scope}",
+    check: ({ scope }) =>
+      (Array.isArray(scope) ? scope : [])
+        .filter((item) => !CONSENT_SCOPES.includes(item))
+        .map((item) => ({ params: { scope: item } })),
+  },
+  {
+    id: "CONSENT_SIGNATURE_REQUIRED",
+    citation: FCRA("604(a)(2)"),
+    severity: "error",
+    field: "signature",
+    message: "Consent must be signed by the consumer",
+    check: ({ signature }) => isBlank(signature),
+  },
+  {
+    id: "CONSENT_SIGNATURE_METHOD_INVALID",
+    citation: FCRA("604(a)(2)"),
+    severity: "error",
+    field: "signatureMethod",
+    message: "Unknown signature method: {method}",
+    check: ({ signatureMethod }) =>
+      !SIGNATURE_METHODS.includes(signatureMethod) && {
+        params: { method: signatureMethod },
+      },
+  },
+  {
+    id: "CONSENT_DOCUMENT_VERSION_REQUIRED",
+    citation: FCRA("604(a)(2)"),
+    severity: "error",
+    field: "documentVersion",
+    message: "Record which version of the authorization was signed",
+    check: ({ documentVersion }) => isBlank(documentVersion),
+  },
+  {
+    id: "CONSENT_EXPIRY_INVALID",
+    citation: FCRA("604(a)(2)"),
+    severity: "error",
+    field: "expiresAt",
+    message: "Consent must expire after it is granted",
+    check: ({ expiresAt }, { now }) => {
+      if (expiresAt === undefined) return false;
+      const time = new Date(expiresAt).getTime();
+      return Number.isNaN(time) || time <= now.getTime();
+    },
+  },
+]);
+
+/**
+ * Validates a consent before it is granted, including its permissible purpose
+ */
+export function validateConsent(
+  consent: NewConsent,
+  options?: RuleEvaluationOptions
+): ValidationResult {
+  return mergeValidationResults([
+    consentRules.evaluate(consent, options),
+    validatePermissiblePurpose(consent.permissiblePurpose, options),
+  ]);
+}
+
+/**
+ * Revocation wins over expiry; expiresAt itself is already expired
+ */
+export function consentStatus(
+  consent: ConsentRecord,
+  now: Date = new Date()
+): ConsentStatus {
+  if (consent.revokedAt) return "revoked";
+  if (new Date(consent.expiresAt).getTime() <= now.getTime()) return "expired";
+  return "active";
+}
+
+/**
+ * Finds an active consent for the pull; otherwise reports why the most
+ * recent matching consent no longer applies, or that there is none
+ */
+export function checkConsent(
+  consents: readonly ConsentRecord[],
+  request: {
+    consumerId: string;
+    permissiblePurpose: string;
+    scope: ConsentScope;
+  },
+  now: Date = new Date()
+): ConsentCheck {
+  const matching = consents
+    .filter(
+      (consent) =>
+        consent.consumerId === request.consumerId &&
+        consent.permissiblePurpose === request.permissiblePurpose &&
+        consent.scope.includes(request.scope)
+    )
+    .sort((a, b) => b.grantedAt.localeCompare(a.grantedAt));
+
+  const active = matching.find(
+    (consent) => consentStatus(consent, now) === "active"
+  );
+  if (active) return { allowed: true, consent: active };
+  if (matching.length === 0) return { allowed: false, reason: "absent" };
+
+  const [latest] = matching;
+  return {
+    allowed: false,
+    reason: consentStatus(latest, now) as ConsentDenialReason,
+    consent: latest,
+  };
+}
+
+export interface ConsentStore {
+  load: () => ConsentRecord[];
+  save: (consents: ConsentRecord[]) => void;
+}
+
+export function createMemoryConsentStore(
+  initial: ConsentRecord[] = []
+): ConsentStore {
+  let consents = [...initial];
+  return {
+    load: () => [...consents],
+    save: (next) => {
+      consents = [...next];
+    },
+  };
+}
+
+/**
+ * Persists consents to browser localStorage (or any Storage-like object)
+ */
+export function createLocalStorageConsentStore(
+  key = "tcp.consents",
+  storage: Pick<Storage, "getItem" | "setItem"> = localStorage
+): ConsentStore {
+  return {
+    load: () => {
+      const raw = storage.getItem(key);
+      if (!raw) return [];
+      try {
+        return JSON.parse(raw) as ConsentRecord[];
+      } catch {
+        throw new Error(`Corrupt consent store: ${key}`);
+      }
+    },
+    save: (consents) => storage.setItem(key, JSON.stringify(consents)),
+  };
+}
+
+// What credit access code needs: a yes/no answer for one pull
+export interface ConsentChecker {
+  check: (
+    consumerId: string,
+    permissiblePurpose: string,
+    scope: ConsentScope
+  ) => ConsentCheck;
+}
+
+export interface ConsentRegistryOptions {
+  store?: ConsentStore;
+  now?: () => Date;
+  generateId?: () => string;
+  validityDays?: number;
+}
+
+export interface ConsentRegistry extends ConsentChecker {
+  grant: (consent: NewConsent) => ConsentRecord;
+  revoke: (
+    id: string,
+    details?: { actor?: string; reason?: string }
+  ) => ConsentRecord;
+  get: (id: string) => ConsentRecord | undefined;
+  list: (consumerId?: string) => ConsentRecord[];
+  // Throws unless check allows the pull
+  assertConsent: (
+    consumerId: string,
+    permissiblePurpose: string,
+    scope: ConsentScope
+  ) => ConsentRecord;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a consent registry backed by a persistent store
+ * Records are never deleted; revocation is kept for the audit trail
+ */
+export function createConsentRegistry(
+  options: ConsentRegistryOptions = {}
+): ConsentRegistry {
+  const store = options.store ?? createMemoryConsentStore();
+  const now = options.now ?? (() => new Date());
+  const validityDays = options.validityDays ?? DEFAULT_CONSENT_VALIDITY_DAYS;
+  let sequence = 0;
+  const generateId =
+    options.generateId ??
+    (() => `cns-${now().getTime().toString(36)}-${++sequence}`);
+
+  const check: ConsentChecker["check"] = (consumerId, purpose, scope) =>
+    checkConsent(
+      store.load(),
+      { consumerId, permissiblePurpose: purpose, scope },
+      now()
+    );
+
+  return {
+    grant: (consent) => {
+      const grantedAt = now();
+      const result = validateConsent(consent, { now: grantedAt });
+      if (!result.isValid) {
+        throw new Error(`Invalid consent: ${result.errors.join("; ")}`);
+      }
+
+      const created: ConsentRecord = {
+        ...consent,
+        scope: [...consent.scope],
+        id: generateId(),
+        grantedAt: grantedAt.toISOString(),
+        expiresAt:
+          consent.expiresAt ??
+          new Date(grantedAt.getTime() + validityDays * DAY_MS).toISOString(),
+      };
+      store.save([...store.load(), created]);
+      return created;
+    },
+
+    revoke: (id, details = {}) => {
+      const consents = store.load();
+      const index = consents.findIndex((consent) => consent.id === id);
+      if (index < 0) {
+        throw new Error(`Consent not found: ${id}`);
+      }
+      if (consents[index].revokedAt) {
+        throw new Error(`Consent already revoked: ${id}`);
+      }
+      consents[index] = {
+        ...consents[index],
+        revokedAt: now().toISOString(),
+        ...(details.actor && { revokedBy: details.actor }),
+        ...(details.reason && { revocationReason: details.reason }),
+      };
+      store.save(consents);
+      return consents[index];
+    },
+
+    get: (id) => store.load().find((consent) => consent.id === id),
+
+    list: (consumerId) =>
+      store
+        .load()
+        .filter((consent) => !consumerId || consent.consumerId === consumerId),
+
+    check,
+
+    assertConsent: (consumerId, purpose, scope) => {
+      const result = check(consumerId, purpose, scope);
+      if (!result.allowed) {
+        throw new Error(CONSENT_DENIAL_MESSAGES[result.reason]);
+      }
+      return result.consent;
+    },
+  };
+}
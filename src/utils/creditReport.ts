@@ -0,0 +1,384 @@
+/**
+ * Bureau credit report model
+ * The Credit Pros - Credit Repair Domain
+ */
+
+import {
+  createRuleSet,
+  FCRA,
+  type RuleEvaluationOptions,
+  type RuleFinding,
+  type ValidationResult,
+} from "./complianceRules";
+import { findObsoleteItems } from "./obsolescence";
+
+export type Bureau = "Experian" | "Equifax" | "TransUnion";
+
+export const BUREAUS: Bureau[] = ["Experian", "Equifax", "TransUnion"];
+
+export interface Address {
+  line1: string;
+  line2?: string;
+  city: string;
+  state: string;
+  postalCode: string;
+  reportedDate?: string;
+}
+
+export interface PersonalInfo {
+  names: string[];
+  dateOfBirth?: string;
+  // Bureaus only ever disclose the last four digits
+  ssnLast4?: string;
+  addresses: Address[];
+  employers?: string[];
+}
+
+export type AccountType = "revolving" | "installment" | "mortgage" | "open";
+
+export type AccountOwnership = "individual" | "joint" | "authorized_user";
+
+export type AccountStatus =
+  | "open"
+  | "closed"
+  | "paid"
+  | "charged_off"
+  | "collection"
+  | "transferred";
+
+export type PaymentStatus =
+  | "current"
+  | "late_30"
+  | "late_60"
+  | "late_90"
+  | "late_120"
+  | "charge_off"
+  | "collection"
+  | "repossession"
+  | "foreclosure";
+
+export interface Tradeline {
+  id: string;
+  creditorName: string;
+  // Masked as reported by the bureau, e.g. "XXXXXXXX1234" or "517805XX"
+  accountNumber: string;
+  accountType: AccountType;
+  ownership?: AccountOwnership;
+  status: AccountStatus;
+  paymentStatus: PaymentStatus;
+  balance: number;
+  creditLimit?: number;
+  highBalance?: number;
+  monthlyPayment?: number;
+  dateOpened: string;
+  dateClosed?: string;
+  dateReported: string;
+  dateOfFirstDelinquency?: string;
+  remarks?: string[];
+}
+
+export interface Inquiry {
+  id: string;
+  creditorName: string;
+  date: string;
+  type: "hard" | "soft";
+}
+
+export type PublicRecordType =
+  | "bankruptcy_ch7"
+  | "bankruptcy_ch11"
+  | "bankruptcy_ch13"
+  | "civil_judgment"
+  | "tax_lien";
+
+export interface PublicRecord {
+  id: string;
+  type: PublicRecordType;
+  status:
+    | "filed"
+    | "discharged"
+    | "dismissed"
+    | "paid"
+    | "unpaid"
+    | "satisfied";
+  filedDate: string;
+  resolvedDate?: string;
+  amount?: number;
+  court?: string;
+  referenceNumber?: string;
+}
+
+export interface CollectionAccount {
+  id: string;
+  agencyName: string;
+  originalCreditor?: string;
+  accountNumber: string;
+  balance: number;
+  originalAmount?: number;
+  dateAssigned: string;
+  dateOfFirstDelinquency?: string;
+  status: "unpaid" | "paid" | "settled";
+}
+
+export interface CreditReport {
+  bureau: Bureau;
+  reportDate: string;
+  personalInfo: PersonalInfo;
+  tradelines: Tradeline[];
+  inquiries: Inquiry[];
+  publicRecords: PublicRecord[];
+  collections: CollectionAccount[];
+}
+
+function isValidDate(value: string | undefined): boolean {
+  return !!value && !Number.isNaN(new Date(value).getTime());
+}
+
+// FCRA Section 607(b) - reasonable procedures for maximum possible accuracy
+export const creditReportRules = createRuleSet<CreditReport>([
+  {
+    id: "REPORT_BUREAU_UNKNOWN",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "bureau",
+    message: "Unknown bureau: {bureau}",
+    check: ({ bureau }) => !BUREAUS.includes(bureau) && { params: { bureau } },
+  },
+  {
+    id: "REPORT_DATE_INVALID",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "reportDate",
+    message: "Report date is required",
+    check: ({ reportDate }) => !isValidDate(reportDate),
+  },
+  {
+    id: "REPORT_DATE_IN_FUTURE",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "reportDate",
+    message: "Report date cannot be in the future",
+    check: ({ reportDate }, { now }) =>
+      isValidDate(reportDate) && new Date(reportDate).getTime() > now.getTime(),
+  },
+  {
+    id: "REPORT_CONSUMER_NAME_REQUIRED",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "personalInfo.names",
+    message: "Personal information must include the consumer name",
+    check: ({ personalInfo }) =>
+      !personalInfo || personalInfo.names.length === 0,
+  },
+  {
+    id: "REPORT_ITEM_ID_MISSING",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "id",
+    message: "{label} is missing an id",
+    check: (report) =>
+      reportItems(report)
+        .filter(({ id }) => !id)
+        .map(({ field, label }) => ({
+          field: `${field}.id`,
+          params: { label },
+        })),
+  },
+  {
+    id: "REPORT_ITEM_ID_DUPLICATE",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "id",
+    message: "Duplicate report item id: {id}",
+    check: (report) => {
+      const seen = new Set<string>();
+      return reportItems(report).flatMap(({ id, field }) => {
+        const duplicate = !!id && seen.has(id);
+        seen.add(id);
+        return duplicate ? [{ field: `${field}.id`, params: { id } }] : [];
+      });
+    },
+  },
+  {
+    id: "TRADELINE_CREDITOR_REQUIRED",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "tradelines",
+    message: "Tradeline {id} is missing a creditor name",
+    check: ({ tradelines }) =>
+      findItems(
+        tradelines,
+        "tradelines",
+        "creditorName",
+        (tradeline) => !tradeline.creditorName
+      ),
+  },
+  {
+    id: "TRADELINE_OPEN_DATE_INVALID",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "tradelines",
+    message: "Tradeline {id} has an invalid open date",
+    check: ({ tradelines }) =>
+      findItems(
+        tradelines,
+        "tradelines",
+        "dateOpened",
+        (tradeline) => !isValidDate(tradeline.dateOpened)
+      ),
+  },
+  {
+    id: "TRADELINE_NEGATIVE_BALANCE",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "tradelines",
+    message: "Tradeline {id} has a negative balance",
+    check: ({ tradelines }) =>
+      findItems(
+        tradelines,
+        "tradelines",
+        "balance",
+        (tradeline) => tradeline.balance < 0
+      ),
+  },
+  {
+    id: "TRADELINE_DOFD_MISSING",
+    citation: FCRA("623(a)(5)"),
+    severity: "warning",
+    field: "tradelines",
+    message: "Tradeline {id} is delinquent without a date of first delinquency",
+    check: ({ tradelines }) =>
+      findItems(
+        tradelines,
+        "tradelines",
+        "dateOfFirstDelinquency",
+        (tradeline) =>
+          tradeline.paymentStatus !== "current" &&
+          !tradeline.dateOfFirstDelinquency
+      ),
+  },
+  {
+    id: "COLLECTION_NEGATIVE_BALANCE",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "collections",
+    message: "Collection {id} has a negative balance",
+    check: ({ collections }) =>
+      findItems(
+        collections,
+        "collections",
+        "balance",
+        (collection) => collection.balance < 0
+      ),
+  },
+  {
+    id: "COLLECTION_DOFD_MISSING",
+    citation: FCRA("623(a)(5)"),
+    severity: "warning",
+    field: "collections",
+    message: "Collection {id} is missing a date of first delinquency",
+    check: ({ collections }) =>
+      findItems(
+        collections,
+        "collections",
+        "dateOfFirstDelinquency",
+        (collection) => !collection.dateOfFirstDelinquency
+      ),
+  },
+  {
+    id: "PUBLIC_RECORD_FILED_DATE_INVALID",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "publicRecords",
+    message: "Public record {id} has an invalid filing date",
+    check: ({ publicRecords }) =>
+      findItems(
+        publicRecords,
+        "publicRecords",
+        "filedDate",
+        (record) => !isValidDate(record.filedDate)
+      ),
+  },
+  {
+    id: "ITEM_PAST_REPORTING_PERIOD",
+    citation: FCRA("605(a)"),
+    severity: "warning",
+    field: "items",
+    message:
+      "{description} is past its reporting period under {rule} (purge date {purgeDate}) - dispute as obsolete",
+    check: (report, { now }) =>
+      findObsoleteItems(report, { asOf: now }).map((item) => ({
+        field: itemPath(report, item.itemType, item.itemId),
+        params: {
+          description: item.description,
+          rule: item.citation.label,
+          purgeDate: item.purgeDate,
+        },
+      })),
+  },
+]);
+
+function itemPath(
+  report: CreditReport,
+  itemType: "tradeline" | "collection" | "public_record",
+  itemId: string
+): string {
+  const collection = {
+    tradeline: "tradelines",
+    collection: "collections",
+    public_record: "publicRecords",
+  }[itemType] as "tradelines" | "collections" | "publicRecords";
+  const index = report[collection].findIndex((item) => item.id === itemId);
+  return `${collection}[${index}]`;
+}
+
+function findItems<T extends { id: string }>(
+  items: T[],
+  collection: string,
+  field: keyof T & string,
+  predicate: (item: T) => boolean
+): RuleFinding[] {
+  return items.flatMap((item, index) =>
+    predicate(item)
+      ? [{ field: `${collection}[${index}].${field}`, params: { id: item.id } }]
+      : []
+  );
+}
+
+function reportItems(
+  report: CreditReport
+): Array<{ id: string; field: string; label: string }> {
+  return [
+    ...report.tradelines.map((t, i) => ({
+      id: t.id,
+      field: `tradelines[${i}]`,
+      label: "Tradeline",
+    })),
+    ...report.collections.map((c, i) => ({
+      id: c.id,
+      field: `collections[${i}]`,
+      label: "Collection",
+    })),
+    ...report.publicRecords.map((p, i) => ({
+      id: p.id,
+      field: `publicRecords[${i}]`,
+      label: "Public record",
+    })),
+    ...report.inquiries.map((q, i) => ({
+      id: q.id,
+      field: `inquiries[${i}]`,
+      label: "Inquiry",
+    })),
+  ];
+}
+
+/**
+ * Validates a single-bureau credit report structure
+ * Required before merging or disputing any reported item
+ */
+export function validateCreditReport(
+  report: CreditReport,
+  options?: RuleEvaluationOptions
+): ValidationResult {
+  return creditReportRules.evaluate(report, options);
+}
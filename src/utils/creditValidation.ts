@@ -3,73 +3,258 @@
  * The Credit Pros - Credit Repair Domain
  */
 
+import {
+  createRuleSet,
+  FCRA,
+  mergeValidationResults,
+  STATE,
+  type RuleEvaluationOptions,
+  type ValidationResult,
+} from "./complianceRules";
+import {
+  validateCreditReport,
+  type Bureau,
+  type CreditReport,
+} from "./creditReport";
+import { projectNegativeItemRemoval } from "./scoreSimulator";
+import {
+  DEFAULT_SCORE_MODEL,
+  getScoringModel,
+  isScoreModelId,
+  type ScoreModelId,
+  type ScoringModel,
+} from "./scoringModels";
+
 export interface CreditData {
   score: number;
+  scoreModel?: ScoreModelId;
   reportDate: string;
-  bureauSource: "Experian" | "Equifax" | "TransUnion";
+  bureauSource: Bureau;
   permissiblePurpose: string;
+  report?: CreditReport;
+}
+
+export type { ValidationIssue, ValidationResult } from "./complianceRules";
+
+export const PERMISSIBLE_PURPOSES = [
+  "credit_application",
+  "account_review",
+  "collection_activity",
+  "employment_screening",
+  "insurance_underwriting",
+  "tenant_screening",
+  "legitimate_business_need",
+] as const;
+
+export type PermissiblePurpose = (typeof PERMISSIBLE_PURPOSES)[number];
+
+interface ScoreSubject {
+  score: unknown;
+  model: ScoringModel;
 }
 
-export interface ValidationResult {
-  isValid: boolean;
-  errors: string[];
-  warnings: string[];
+// FCRA Section 607 - Credit score range validation
+export const creditScoreRules = createRuleSet<ScoreSubject>([
+  {
+    id: "SCORE_NOT_NUMERIC",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "score",
+    message: "Credit score must be a number",
+    check: ({ score }) => typeof score !== "number" || Number.isNaN(score),
+  },
+  {
+    id: "SCORE_OUT_OF_RANGE",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "score",
+    message: "Invalid {family} score: {score}. Must be between {min}-{max}.",
+    check: ({ score, model }) =>
+      typeof score === "number" &&
+      (score < model.min || score > model.max) && {
+        params: {
+          score,
+          family: model.family,
+          min: model.min,
+          max: model.max,
+        },
+      },
+  },
+  {
+    id: "SCORE_EXTREMELY_LOW",
+    citation: FCRA("607(b)"),
+    severity: "warning",
+    field: "score",
+    message: "Extremely low credit score - verify data accuracy",
+    check: ({ score, model }) =>
+      typeof score === "number" && score >= model.min && score < model.min + 50,
+  },
+]);
+
+function isKnownPurpose(purpose: unknown): boolean {
+  return (PERMISSIBLE_PURPOSES as readonly unknown[]).includes(purpose);
 }
 
+// FCRA Section 604 - Permissible purpose, plus state employment limits
+export const permissiblePurposeRules = createRuleSet<{ purpose: unknown }>([
+  {
+    id: "PURPOSE_REQUIRED",
+    citation: FCRA("604(a)"),
+    severity: "error",
+    field: "permissiblePurpose",
+    message: "Permissible purpose is required per FCRA Section 604",
+    check: ({ purpose }) => !purpose || typeof purpose !== "string",
+  },
+  {
+    id: "PURPOSE_INVALID",
+    citation: FCRA("604(a)"),
+    severity: "error",
+    field: "permissiblePurpose",
+    message: "Invalid permissible purpose: {purpose}",
+    check: ({ purpose }) =>
+      !!purpose &&
+      typeof purpose === "string" &&
+      !isKnownPurpose(purpose) && { params: { purpose } },
+  },
+  {
+    id: "PURPOSE_INVALID_GUIDANCE",
+    citation: FCRA("604(a)"),
+    severity: "warning",
+    field: "permissiblePurpose",
+    message: "Ensure compliance with FCRA Section 604 requirements",
+    check: ({ purpose }) =>
+      !!purpose && typeof purpose === "string" && !isKnownPurpose(purpose),
+  },
+  {
+    id: "EMPLOYMENT_AUTHORIZATION_REQUIRED",
+    citation: FCRA("604(b)(2)"),
+    severity: "warning",
+    field: "permissiblePurpose",
+    message:
+      "Employment screening requires a stand-alone disclosure and written authorization",
+    check: ({ purpose }) => purpose === "employment_screening",
+  },
+  {
+    id: "CA_EMPLOYMENT_CREDIT_CHECK_LIMITED",
+    citation: STATE("1024.5", "Cal. Lab. Code §1024.5"),
+    severity: "warning",
+    field: "permissiblePurpose",
+    message:
+      "California limits employment credit checks to exempt positions - document the exemption",
+    jurisdictions: ["CA"],
+    check: ({ purpose }) => purpose === "employment_screening",
+  },
+  {
+    id: "IL_EMPLOYMENT_CREDIT_CHECK_LIMITED",
+    citation: STATE("70/10", "820 ILCS 70/10"),
+    severity: "warning",
+    field: "permissiblePurpose",
+    message:
+      "Illinois limits employment credit checks to positions with a bona fide occupational requirement",
+    jurisdictions: ["IL"],
+    check: ({ purpose }) => purpose === "employment_screening",
+  },
+]);
+
+// Structure-level checks; score, purpose and report have their own rule sets
+export const creditDataRules = createRuleSet<Partial<CreditData>>([
+  {
+    id: "SCORE_MODEL_UNKNOWN",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "scoreModel",
+    message: "Unknown scoring model: {scoreModel}",
+    check: ({ scoreModel }) =>
+      scoreModel !== undefined &&
+      !isScoreModelId(scoreModel) && { params: { scoreModel } },
+  },
+  {
+    id: "SCORE_REQUIRED",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "score",
+    message: "Credit score is required",
+    check: ({ score, scoreModel }) =>
+      (scoreModel === undefined || isScoreModelId(scoreModel)) && !score,
+  },
+  {
+    id: "DATA_PURPOSE_REQUIRED",
+    citation: FCRA("604(a)"),
+    severity: "error",
+    field: "permissiblePurpose",
+    message: "Permissible purpose is required",
+    check: ({ permissiblePurpose }) => !permissiblePurpose,
+  },
+  {
+    id: "REPORT_DATE_REQUIRED",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "reportDate",
+    message: "Report date is required",
+    check: ({ reportDate }) => !reportDate,
+  },
+  {
+    id: "REPORT_STALE",
+    citation: FCRA("607(b)"),
+    severity: "warning",
+    field: "reportDate",
+    message: "Credit report is older than 90 days - consider refreshing",
+    check: ({ reportDate }, { now }) => {
+      if (!reportDate) return false;
+      const daysDiff =
+        (now.getTime() - new Date(reportDate).getTime()) /
+        (1000 * 60 * 60 * 24);
+      return daysDiff > 90;
+    },
+  },
+  {
+    id: "BUREAU_REQUIRED",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "bureauSource",
+    message: "Bureau source is required",
+    check: ({ bureauSource }) => !bureauSource,
+  },
+  {
+    id: "REPORT_BUREAU_MISMATCH",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "report.bureau",
+    message:
+      "Report bureau {reportBureau} does not match bureau source {bureauSource}",
+    check: ({ report, bureauSource }) =>
+      !!report &&
+      !!bureauSource &&
+      report.bureau !== bureauSource && {
+        params: { reportBureau: report.bureau, bureauSource },
+      },
+  },
+]);
+
 /**
- * Validates FICO credit score range (300-850)
- * Per FCRA Section 607 requirements
+ * Validates a credit score against its scoring model's range
+ * Defaults to FICO 8 (300-850) per FCRA Section 607 requirements
  */
-export function validateCreditScore(score: number): ValidationResult {
-  const errors: string[] = [];
-  const warnings: string[] = [];
-
-  // FCRA Section 607 - Credit score range validation
-  if (typeof score !== "number") {
-    errors.push("Credit score must be a number");
-  } else if (score < 300 || score > 850) {
-    errors.push(`Invalid FICO score: ${score}. Must be between 300-850.`);
-  } else if (score < 350) {
-    warnings.push("Extremely low credit score - verify data accuracy");
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors,
-    warnings,
-  };
+export function validateCreditScore(
+  score: number,
+  modelId: ScoreModelId = DEFAULT_SCORE_MODEL,
+  options?: RuleEvaluationOptions
+): ValidationResult {
+  return creditScoreRules.evaluate(
+    { score, model: getScoringModel(modelId) },
+    options
+  );
 }
 
 /**
  * Validates permissible purpose per FCRA Section 604
  * Required for all credit report access
  */
-export function validatePermissiblePurpose(purpose: string): ValidationResult {
-  const errors: string[] = [];
-  const warnings: string[] = [];
-
-  const validPurposes = [
-    "credit_application",
-    "account_review",
-    "collection_activity",
-    "employment_screening",
-    "insurance_underwriting",
-    "tenant_screening",
-    "legitimate_business_need",
-  ];
-
-  if (!purpose || typeof purpose !== "string") {
-    errors.push("Permissible purpose is required per FCRA Section 604");
-  } else if (!validPurposes.includes(purpose)) {
-    errors.push(`Invalid permissible purpose: ${purpose}`);
-    warnings.push("Ensure compliance with FCRA Section 604 requirements");
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors,
-    warnings,
-  };
+export function validatePermissiblePurpose(
+  purpose: string,
+  options?: RuleEvaluationOptions
+): ValidationResult {
+  return permissiblePurposeRules.evaluate({ purpose }, options);
 }
 
 /**
@@ -77,78 +262,56 @@ export function validatePermissiblePurpose(purpose: string): ValidationResult {
  * Ensures FCRA compliance across all fields
  */
 export function validateCreditData(
-  data: Partial<CreditData>
+  data: Partial<CreditData>,
+  options?: RuleEvaluationOptions
 ): ValidationResult {
-  const errors: string[] = [];
-  const warnings: string[] = [];
-
-  // Validate required fields
-  if (!data.score) {
-    errors.push("Credit score is required");
-  } else {
-    const scoreValidation = validateCreditScore(data.score);
-    errors.push(...scoreValidation.errors);
-    warnings.push(...scoreValidation.warnings);
-  }
+  const results = [creditDataRules.evaluate(data, options)];
 
-  if (!data.permissiblePurpose) {
-    errors.push("Permissible purpose is required");
-  } else {
-    const purposeValidation = validatePermissiblePurpose(
-      data.permissiblePurpose
-    );
-    errors.push(...purposeValidation.errors);
-    warnings.push(...purposeValidation.warnings);
+  const modelIsKnown =
+    data.scoreModel === undefined || isScoreModelId(data.scoreModel);
+  if (data.score && modelIsKnown) {
+    results.push(validateCreditScore(data.score, data.scoreModel, options));
   }
 
-  if (!data.reportDate) {
-    errors.push("Report date is required");
-  } else {
-    const reportDate = new Date(data.reportDate);
-    const now = new Date();
-    const daysDiff =
-      (now.getTime() - reportDate.getTime()) / (1000 * 60 * 60 * 24);
-
-    if (daysDiff > 90) {
-      warnings.push(
-        "Credit report is older than 90 days - consider refreshing"
-      );
-    }
+  if (data.permissiblePurpose) {
+    results.push(validatePermissiblePurpose(data.permissiblePurpose, options));
   }
 
-  if (!data.bureauSource) {
-    errors.push("Bureau source is required");
+  const combined = mergeValidationResults(results);
+  if (!data.report) {
+    return combined;
   }
 
-  return {
-    isValid: errors.length === 0,
-    errors,
-    warnings,
-  };
+  return mergeValidationResults([
+    combined,
+    mergeValidationResults(
+      [validateCreditReport(data.report, options)],
+      "report"
+    ),
+  ]);
 }
 
 /**
  * Calculates credit score improvement potential
- * Used for dispute resolution planning
+ * Used for dispute resolution planning - returns the simulator's expected
+ * projection; use simulateScoreScenario for a full range with explanations
  */
 export function calculateScoreImprovement(
   currentScore: number,
-  negativeItems: number
+  negativeItems: number,
+  modelId: ScoreModelId = DEFAULT_SCORE_MODEL
 ): { potentialScore: number; improvementPoints: number } {
-  const scoreValidation = validateCreditScore(currentScore);
+  const scoreValidation = validateCreditScore(currentScore, modelId);
 
   if (!scoreValidation.isValid) {
     throw new Error("Invalid current credit score");
   }
 
-  // Conservative improvement calculation
-  // Each negative item removal can improve score by 10-50 points
-  const averageImprovement = 25;
-  const potentialImprovement = Math.min(
-    negativeItems * averageImprovement,
-    200
-  );
-  const potentialScore = Math.min(currentScore + potentialImprovement, 850);
+  const potentialScore = projectNegativeItemRemoval(
+    currentScore,
+    negativeItems,
+    modelId
+  ).expected;
 
   return {
     potentialScore,
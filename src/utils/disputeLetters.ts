@@ -0,0 +1,447 @@
+/**
+ * Dispute letter generator
+ * FCRA Section 611 bureau disputes and Section 623 direct furnisher
+ * disputes, rendered to plain text, HTML and PDF
+ */
+
+import {
+  formatMailingAddress,
+  getBureauContact,
+  type MailingAddress,
+} from "./bureauDirectory";
+import {
+  createRuleSet,
+  FCRA,
+  type Citation,
+  type RuleEvaluationOptions,
+  type ValidationResult,
+} from "./complianceRules";
+import type { Bureau } from "./creditReport";
+import {
+  formatLetterDate,
+  renderDocumentHtml,
+  renderDocumentPdf,
+  renderDocumentText,
+  type DocumentBlock,
+  type RenderableDocument,
+} from "./documentRenderer";
+
+export type DisputeReasonCode =
+  | "not_mine"
+  | "inaccurate_balance"
+  | "obsolete"
+  | "identity_theft";
+
+export type DisputeLetterType = "bureau" | "furnisher";
+
+export interface ConsumerProfile {
+  fullName: string;
+  address: {
+    line1: string;
+    line2?: string;
+    city: string;
+    state: string;
+    postalCode: string;
+  };
+  dateOfBirth: string;
+  // Letters never carry the full SSN
+  ssnLast4: string;
+}
+
+export interface DisputedItem {
+  itemId: string;
+  creditorName: string;
+  // Masked account number as shown on the report
+  accountNumber: string;
+  reportedBalance?: number;
+  correctBalance?: number;
+  // From the FCRA Section 605 obsolescence checker
+  purgeDate?: string;
+  notes?: string;
+}
+
+export interface DisputeLetterInput {
+  type: DisputeLetterType;
+  reason: DisputeReasonCode;
+  consumer: ConsumerProfile;
+  items: DisputedItem[];
+  bureau?: Bureau;
+  furnisher?: MailingAddress;
+  date?: Date;
+  enclosures?: string[];
+}
+
+export interface DisputeLetter extends RenderableDocument {
+  type: DisputeLetterType;
+  reason: DisputeReasonCode;
+  recipient: MailingAddress;
+  citation: Citation;
+}
+
+interface ReasonTemplate {
+  summary: string;
+  itemDetail: (item: DisputedItem) => string;
+  request: string;
+  // Replaces request in letters sent directly to the furnisher
+  furnisherRequest?: string;
+  enclosures: string[];
+}
+
+const REASON_TEMPLATES: Record<DisputeReasonCode, ReasonTemplate> = {
+  not_mine: {
+    summary:
+      "The following {{itemCount}} reported in my credit file {{doNot}} belong to me. I have never opened, authorized or been responsible for {{itThem}}.",
+    itemDetail: () => "Not my account",
+    request:
+      "Please delete {{itThem}} from my file, or provide documentation proving that I am responsible for {{itThem}}.",
+    enclosures: ["Copy of government-issued photo ID", "Proof of address"],
+  },
+  inaccurate_balance: {
+    summary:
+      "The balance reported for the following {{itemCount}} is inaccurate.",
+    itemDetail: (item) =>
+      [
+        item.reportedBalance !== undefined &&
+          `reported balance ${formatCurrency(item.reportedBalance)}`,
+        item.correctBalance !== undefined &&
+          `correct balance ${formatCurrency(item.correctBalance)}`,
+      ]
+        .filter(Boolean)
+        .join(", ") || "Inaccurate balance",
+    request:
+      "Please correct the reported balance or delete the information if it cannot be verified.",
+    enclosures: [
+      "Copy of government-issued photo ID",
+      "Proof of address",
+      "Statements showing the correct balance",
+    ],
+  },
+  obsolete: {
+    summary:
+      "The following {{itemCount}} {{isAre}} past the reporting period permitted by Section 605 of the Fair Credit Reporting Act.",
+    itemDetail: (item) => `Reporting period ended ${item.purgeDate}`,
+    request:
+      "Obsolete information may not be reported. Please delete {{itThem}} from my file.",
+    enclosures: ["Copy of government-issued photo ID", "Proof of address"],
+  },
+  identity_theft: {
+    summary:
+      "The following {{itemCount}} resulted from identity theft and {{isAre}} not the result of any transaction I made or authorized.",
+    itemDetail: () => "Result of identity theft",
+    request:
+      "Please block this information from my file as required by Section 605B of the Fair Credit Reporting Act, within four business days of receiving this request, and notify the furnisher of the block.",
+    furnisherRequest:
+      "Please stop furnishing this information to any consumer reporting agency, and notify every consumer reporting agency to which you reported it that the information resulted from identity theft so that it can be deleted.",
+    enclosures: [
+      "Identity theft report (FTC IdentityTheft.gov report)",
+      "Copy of government-issued photo ID",
+      "Proof of address",
+    ],
+  },
+};
+
+const LEGAL_TEXT: Record<DisputeLetterType, string> = {
+  bureau:
+    "Under Section 611 of the Fair Credit Reporting Act, you must conduct a reasonable reinvestigation free of charge and record the current status of the disputed information, or delete it, within 30 days of receiving this letter. Please also notify me of the results, send me a free copy of my updated credit report, and describe the procedure used to determine the accuracy of the information.",
+  furnisher:
+    "I am disputing this information directly with you under Section 623(a)(8) of the Fair Credit Reporting Act and 12 CFR 1022.43. You must investigate this dispute, review all relevant information I have provided, and report the results to me within 30 days. If the information is inaccurate, you must notify every consumer reporting agency to which you furnished it.",
+};
+
+// Identity theft reports to a furnisher fall under 623(a)(6)(B), not the
+// 623(a)(8) direct dispute process
+const FURNISHER_IDENTITY_THEFT_TEXT =
+  "I am submitting this identity theft report under Section 623(a)(6)(B) of the Fair Credit Reporting Act. You may not furnish information that resulted from identity theft to any consumer reporting agency unless you later know, or are told by me, that it is correct. If you have already reported it, you must promptly notify each consumer reporting agency that the information is not accurate.";
+
+function legalTextFor(input: DisputeLetterInput): string {
+  return input.reason === "identity_theft" && input.type === "furnisher"
+    ? FURNISHER_IDENTITY_THEFT_TEXT
+    : LEGAL_TEXT[input.type];
+}
+
+function citationFor(input: DisputeLetterInput): Citation {
+  if (input.reason === "identity_theft") {
+    return input.type === "bureau" ? FCRA("605B") : FCRA("623(a)(6)(B)");
+  }
+  return input.type === "bureau" ? FCRA("611") : FCRA("623(a)(8)");
+}
+
+function formatCurrency(amount: number): string {
+  return amount.toLocaleString("en-US", {
+    style: "currency",
+    currency: "USD",
+  });
+}
+
+/**
+ * Fills {{field}} merge fields and refuses to leave any unresolved
+ */
+export function fillMergeFields(
+  template: string,
+  fields: Record<string, string>
+): string {
+  return template.replace(/\{\{(\w+)\}\}/g, (_, key: string) => {
+    if (!(key in fields)) {
+      throw new Error(`Missing merge field: ${key}`);
+    }
+    return fields[key];
+  });
+}
+
+const isBlank = (value: string | undefined) => !value || !value.trim();
+
+// Merge fields are validated before anything is rendered
+export const disputeLetterRules = createRuleSet<DisputeLetterInput>([
+  {
+    id: "LETTER_CONSUMER_NAME_REQUIRED",
+    citation: FCRA("611(a)(1)"),
+    severity: "error",
+    field: "consumer.fullName",
+    message: "Consumer name is required",
+    check: ({ consumer }) => isBlank(consumer?.fullName),
+  },
+  {
+    id: "LETTER_CONSUMER_ADDRESS_INCOMPLETE",
+    citation: FCRA("611(a)(1)"),
+    severity: "error",
+    field: "consumer.address",
+    message: "Consumer mailing address is incomplete",
+    check: ({ consumer }) =>
+      !consumer?.address ||
+      isBlank(consumer.address.line1) ||
+      isBlank(consumer.address.city) ||
+      !/^[A-Z]{2}$/.test(consumer.address.state) ||
+      !/^\d{5}(-\d{4})?$/.test(consumer.address.postalCode),
+  },
+  {
+    id: "LETTER_CONSUMER_DOB_INVALID",
+    citation: FCRA("611(a)(1)"),
+    severity: "error",
+    field: "consumer.dateOfBirth",
+    message: "Consumer date of birth is missing or invalid",
+    check: ({ consumer }) =>
+      !consumer?.dateOfBirth ||
+      Number.isNaN(new Date(consumer.dateOfBirth).getTime()),
+  },
+  {
+    id: "LETTER_SSN_LAST4_INVALID",
+    citation: FCRA("611(a)(1)"),
+    severity: "error",
+    field: "consumer.ssnLast4",
+    message: "Only the last four digits of the SSN may be included",
+    check: ({ consumer }) => !/^\d{4}$/.test(consumer?.ssnLast4 ?? ""),
+  },
+  {
+    id: "LETTER_ITEMS_REQUIRED",
+    citation: FCRA("611(a)(1)"),
+    severity: "error",
+    field: "items",
+    message: "At least one disputed item is required",
+    check: ({ items }) => !items || items.length === 0,
+  },
+  {
+    id: "LETTER_ITEM_CREDITOR_REQUIRED",
+    citation: FCRA("611(a)(1)"),
+    severity: "error",
+    field: "items",
+    message: "Disputed item {itemId} is missing a creditor name",
+    check: ({ items = [] }) =>
+      items.flatMap((item, index) =>
+        isBlank(item.creditorName)
+          ? [
+              {
+                field: `items[${index}].creditorName`,
+                params: { itemId: item.itemId },
+              },
+            ]
+          : []
+      ),
+  },
+  {
+    id: "LETTER_ACCOUNT_NUMBER_UNMASKED",
+    citation: FCRA("607(b)"),
+    severity: "error",
+    field: "items",
+    message: "Account number for {itemId} must be masked",
+    check: ({ items = [] }) =>
+      items.flatMap((item, index) =>
+        (item.accountNumber.match(/\d/g) ?? []).length > 6 &&
+        !/[X*]/i.test(item.accountNumber)
+          ? [
+              {
+                field: `items[${index}].accountNumber`,
+                params: { itemId: item.itemId },
+              },
+            ]
+          : []
+      ),
+  },
+  {
+    id: "LETTER_PURGE_DATE_REQUIRED",
+    citation: FCRA("605(a)"),
+    severity: "error",
+    field: "items",
+    message: "Obsolete item {itemId} needs its purge date",
+    check: ({ reason, items = [] }) =>
+      reason === "obsolete" &&
+      items.flatMap((item, index) =>
+        item.purgeDate
+          ? []
+          : [
+              {
+                field: `items[${index}].purgeDate`,
+                params: { itemId: item.itemId },
+              },
+            ]
+      ),
+  },
+  {
+    id: "LETTER_BALANCE_DETAILS_MISSING",
+    citation: FCRA("611(a)(1)"),
+    severity: "warning",
+    field: "items",
+    message: "Balance dispute for {itemId} does not state the correct balance",
+    check: ({ reason, items = [] }) =>
+      reason === "inaccurate_balance" &&
+      items.flatMap((item, index) =>
+        item.correctBalance === undefined
+          ? [
+              {
+                field: `items[${index}].correctBalance`,
+                params: { itemId: item.itemId },
+              },
+            ]
+          : []
+      ),
+  },
+  {
+    id: "LETTER_BUREAU_REQUIRED",
+    citation: FCRA("611(a)(1)"),
+    severity: "error",
+    field: "bureau",
+    message: "Bureau letters require a bureau",
+    check: ({ type, bureau }) => type === "bureau" && !bureau,
+  },
+  {
+    id: "LETTER_FURNISHER_ADDRESS_REQUIRED",
+    citation: FCRA("623(a)(8)"),
+    severity: "error",
+    field: "furnisher",
+    message: "Furnisher letters require the furnisher's dispute address",
+    check: ({ type, furnisher }) =>
+      type === "furnisher" &&
+      (!furnisher ||
+        isBlank(furnisher.name) ||
+        furnisher.lines.length === 0 ||
+        isBlank(furnisher.city) ||
+        isBlank(furnisher.postalCode)),
+  },
+]);
+
+export function validateDisputeLetterInput(
+  input: DisputeLetterInput,
+  options?: RuleEvaluationOptions
+): ValidationResult {
+  return disputeLetterRules.evaluate(input, options);
+}
+
+/**
+ * Builds a validated dispute letter ready for rendering
+ * Throws when any merge field fails validation
+ */
+export function buildDisputeLetter(input: DisputeLetterInput): DisputeLetter {
+  const validation = validateDisputeLetterInput(input);
+  if (!validation.isValid) {
+    throw new Error(
+      `Cannot generate dispute letter: ${validation.errors.join("; ")}`
+    );
+  }
+
+  const { consumer, items } = input;
+  const template = REASON_TEMPLATES[input.reason];
+  const recipient =
+    input.type === "bureau"
+      ? getBureauContact(input.bureau as Bureau).disputeAddress
+      : (input.furnisher as MailingAddress);
+  const citation = citationFor(input);
+  const plural = items.length > 1;
+  const fields: Record<string, string> = {
+    itemCount: plural ? `${items.length} items` : "item",
+    doNot: plural ? "do not" : "does not",
+    isAre: plural ? "are" : "is",
+    itThem: plural ? "them" : "it",
+  };
+
+  const enclosures = [
+    ...new Set([...template.enclosures, ...(input.enclosures ?? [])]),
+  ];
+  const subject =
+    input.type === "bureau"
+      ? `Re: Request for reinvestigation of disputed information (${citation.label})`
+      : `Re: Direct dispute of information furnished to consumer reporting agencies (${citation.label})`;
+
+  const blocks: DocumentBlock[] = [
+    {
+      type: "lines",
+      lines: [
+        consumer.fullName,
+        consumer.address.line1,
+        ...(consumer.address.line2 ? [consumer.address.line2] : []),
+        `${consumer.address.city}, ${consumer.address.state} ${consumer.address.postalCode}`,
+      ],
+    },
+    { type: "lines", lines: [formatLetterDate(input.date ?? new Date())] },
+    { type: "lines", lines: formatMailingAddress(recipient) },
+    { type: "heading", text: subject },
+    {
+      type: "lines",
+      lines: [
+        `Date of birth: ${consumer.dateOfBirth}`,
+        `SSN: XXX-XX-${consumer.ssnLast4}`,
+      ],
+    },
+    { type: "paragraph", text: "To whom it may concern:" },
+    { type: "paragraph", text: fillMergeFields(template.summary, fields) },
+    {
+      type: "list",
+      ordered: true,
+      items: items.map(
+        (item) =>
+          `${item.creditorName} - Account ${item.accountNumber}: ${template.itemDetail(item)}` +
+          (item.notes ? `. ${item.notes}` : "")
+      ),
+    },
+    {
+      type: "paragraph",
+      text: fillMergeFields(
+        (input.type === "furnisher" && template.furnisherRequest) ||
+          template.request,
+        fields
+      ),
+    },
+    { type: "paragraph", text: legalTextFor(input) },
+    { type: "lines", lines: ["Sincerely,", "", consumer.fullName] },
+    { type: "heading", text: "Enclosures" },
+    { type: "list", items: enclosures },
+  ];
+
+  return {
+    title: `Dispute letter - ${recipient.name}`,
+    type: input.type,
+    reason: input.reason,
+    recipient,
+    citation,
+    blocks,
+  };
+}
+
+export function renderDisputeLetterText(input: DisputeLetterInput): string {
+  return renderDocumentText(buildDisputeLetter(input));
+}
+
+export function renderDisputeLetterHtml(input: DisputeLetterInput): string {
+  return renderDocumentHtml(buildDisputeLetter(input), "dispute-letter");
+}
+
+export function renderDisputeLetterPdf(input: DisputeLetterInput): Uint8Array {
+  return renderDocumentPdf(buildDisputeLetter(input));
+}
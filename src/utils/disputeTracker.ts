@@ -0,0 +1,335 @@
+/**
+ * Dispute case lifecycle tracker
+ * FCRA Section 611(a)(1) - 30 day reinvestigation period, extended to 45
+ * days when the consumer sends additional information during the period
+ */
+
+import type { Bureau } from "./creditReport";
+import type { DisputeReasonCode } from "./disputeLetters";
+import { assertCan, type Principal } from "./permissions";
+
+export type DisputeStatus =
+  | "draft"
+  | "sent"
+  | "in_investigation"
+  | "verified"
+  | "deleted"
+  | "updated"
+  | "escalated";
+
+export interface DisputeHistoryEntry {
+  at: string;
+  from: DisputeStatus | null;
+  to: DisputeStatus;
+  actor?: string;
+  note?: string;
+}
+
+export interface DisputeCase {
+  id: string;
+  consumerId: string;
+  recipientType: "bureau" | "furnisher";
+  bureau?: Bureau;
+  furnisherName?: string;
+  reason: DisputeReasonCode;
+  itemIds: string[];
+  status: DisputeStatus;
+  createdAt: string;
+  sentAt?: string;
+  receivedAt?: string;
+  additionalInfoAt?: string;
+  // FCRA 612(a) - disputes following the free annual report get 45 days
+  annualFreeReport?: boolean;
+  resolvedAt?: string;
+  history: DisputeHistoryEntry[];
+}
+
+export interface InvestigationDeadline {
+  startsAt: string;
+  deadline: string;
+  days: 30 | 45;
+}
+
+export const DISPUTE_TRANSITIONS: Record<DisputeStatus, DisputeStatus[]> = {
+  draft: ["sent"],
+  sent: ["in_investigation", "verified", "deleted", "updated", "escalated"],
+  in_investigation: ["verified", "deleted", "updated", "escalated"],
+  verified: ["escalated"],
+  updated: ["escalated"],
+  deleted: [],
+  escalated: ["verified", "deleted", "updated"],
+};
+
+const OPEN_STATUSES: DisputeStatus[] = ["sent", "in_investigation"];
+const RESOLVED_STATUSES: DisputeStatus[] = ["verified", "deleted", "updated"];
+
+// Receipt is assumed this many days after mailing until it is recorded
+export const DEFAULT_MAIL_DAYS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date: string, days: number): string {
+  return new Date(new Date(date).getTime() + days * DAY_MS).toISOString();
+}
+
+/**
+ * Computes when the bureau or furnisher must complete its investigation
+ * Returns null until the dispute has been sent
+ */
+export function computeInvestigationDeadline(
+  dispute: DisputeCase
+): InvestigationDeadline | null {
+  if (!dispute.sentAt) return null;
+
+  const startsAt =
+    dispute.receivedAt ?? addDays(dispute.sentAt, DEFAULT_MAIL_DAYS);
+  const standardDeadline = addDays(startsAt, 30);
+  const extended =
+    dispute.annualFreeReport ||
+    (!!dispute.additionalInfoAt &&
+      new Date(dispute.additionalInfoAt).getTime() <=
+        new Date(standardDeadline).getTime());
+
+  return {
+    startsAt,
+    deadline: extended ? addDays(startsAt, 45) : standardDeadline,
+    days: extended ? 45 : 30,
+  };
+}
+
+export function isDisputeOverdue(
+  dispute: DisputeCase,
+  now: Date = new Date()
+): boolean {
+  const deadline = computeInvestigationDeadline(dispute);
+  return (
+    !!deadline &&
+    OPEN_STATUSES.includes(dispute.status) &&
+    now.getTime() > new Date(deadline.deadline).getTime()
+  );
+}
+
+export function canTransition(from: DisputeStatus, to: DisputeStatus): boolean {
+  return DISPUTE_TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Moves a dispute to a new status and appends to its history
+ * Returns a new case; the original is never mutated
+ */
+export function transitionDispute(
+  dispute: DisputeCase,
+  to: DisputeStatus,
+  details: { at?: Date; actor?: string; note?: string } = {}
+): DisputeCase {
+  if (!canTransition(dispute.status, to)) {
+    throw new Error(`Invalid dispute transition: ${dispute.status} -> ${to}`);
+  }
+
+  const at = (details.at ?? new Date()).toISOString();
+  return {
+    ...dispute,
+    status: to,
+    ...(to === "sent" && { sentAt: at }),
+    ...(RESOLVED_STATUSES.includes(to) && { resolvedAt: at }),
+    history: [
+      ...dispute.history,
+      {
+        at,
+        from: dispute.status,
+        to,
+        ...(details.actor && { actor: details.actor }),
+        ...(details.note && { note: details.note }),
+      },
+    ],
+  };
+}
+
+export interface DisputeStore {
+  load: () => DisputeCase[];
+  save: (disputes: DisputeCase[]) => void;
+}
+
+export function createMemoryDisputeStore(
+  initial: DisputeCase[] = []
+): DisputeStore {
+  let disputes = [...initial];
+  return {
+    load: () => [...disputes],
+    save: (next) => {
+      disputes = [...next];
+    },
+  };
+}
+
+/**
+ * Persists disputes to browser localStorage (or any Storage-like object)
+ */
+export function createLocalStorageDisputeStore(
+  key = "tcp.disputes",
+  storage: Pick<Storage, "getItem" | "setItem"> = localStorage
+): DisputeStore {
+  return {
+    load: () => {
+      const raw = storage.getItem(key);
+      if (!raw) return [];
+      try {
+        return JSON.parse(raw) as DisputeCase[];
+      } catch {
+        throw new Error(`Corrupt dispute store: ${key}`);
+      }
+    },
+    save: (disputes) => storage.setItem(key, JSON.stringify(disputes)),
+  };
+}
+
+export type NewDispute = Pick<
+  DisputeCase,
+  | "consumerId"
+  | "recipientType"
+  | "bureau"
+  | "furnisherName"
+  | "reason"
+  | "itemIds"
+  | "annualFreeReport"
+>;
+
+export interface DisputeTrackerOptions {
+  store?: DisputeStore;
+  now?: () => Date;
+  generateId?: () => string;
+  // Signed-in principal; changes need dispute:create, sending needs
+  // dispute:send, and without a principal every change is refused
+  principal?: () => Principal | null;
+}
+
+export interface DisputeTracker {
+  create: (dispute: NewDispute, actor?: string) => DisputeCase;
+  get: (id: string) => DisputeCase | undefined;
+  list: (filter?: {
+    consumerId?: string;
+    status?: DisputeStatus;
+  }) => DisputeCase[];
+  transition: (
+    id: string,
+    to: DisputeStatus,
+    details?: { actor?: string; note?: string }
+  ) => DisputeCase;
+  recordReceipt: (id: string, receivedAt: Date) => DisputeCase;
+  recordAdditionalInfo: (id: string, actor?: string) => DisputeCase;
+  overdue: () => DisputeCase[];
+}
+
+/**
+ * Creates a dispute tracker backed by a persistent store
+ * Reads are left to the caller's dispute:view check; every change is
+ * checked here
+ */
+export function createDisputeTracker(
+  options: DisputeTrackerOptions = {}
+): DisputeTracker {
+  const store = options.store ?? createMemoryDisputeStore();
+  const now = options.now ?? (() => new Date());
+  let sequence = 0;
+  const generateId =
+    options.generateId ??
+    (() => `dsp-${now().getTime().toString(36)}-${++sequence}`);
+
+  const principal = options.principal ?? (() => null);
+
+  const update = (
+    id: string,
+    capability: "dispute:create" | "dispute:send",
+    change: (dispute: DisputeCase) => DisputeCase
+  ) => {
+    const disputes = store.load();
+    const index = disputes.findIndex((dispute) => dispute.id === id);
+    if (index < 0) {
+      throw new Error(`Dispute not found: ${id}`);
+    }
+    assertCan(principal(), capability, {
+      consumerId: disputes[index].consumerId,
+    });
+    disputes[index] = change(disputes[index]);
+    store.save(disputes);
+    return disputes[index];
+  };
+
+  return {
+    create: (dispute, actor) => {
+      assertCan(principal(), "dispute:create", {
+        consumerId: dispute.consumerId,
+      });
+      if (dispute.itemIds.length === 0) {
+        throw new Error("A dispute must include at least one item");
+      }
+      if (dispute.recipientType === "bureau" && !dispute.bureau) {
+        throw new Error("Bureau disputes require a bureau");
+      }
+
+      const createdAt = now().toISOString();
+      const created: DisputeCase = {
+        ...dispute,
+        id: generateId(),
+        status: "draft",
+        createdAt,
+        history: [
+          { at: createdAt, from: null, to: "draft", ...(actor && { actor }) },
+        ],
+      };
+      store.save([...store.load(), created]);
+      return created;
+    },
+
+    get: (id) => store.load().find((dispute) => dispute.id === id),
+
+    list: (filter = {}) =>
+      store
+        .load()
+        .filter(
+          (dispute) =>
+            (!filter.consumerId || dispute.consumerId === filter.consumerId) &&
+            (!filter.status || dispute.status === filter.status)
+        ),
+
+    transition: (id, to, details = {}) =>
+      update(id, to === "sent" ? "dispute:send" : "dispute:create", (dispute) =>
+        transitionDispute(dispute, to, { ...details, at: now() })
+      ),
+
+    recordReceipt: (id, receivedAt) =>
+      update(id, "dispute:create", (dispute) => {
+        if (!dispute.sentAt) {
+          throw new Error("Cannot record receipt before the dispute is sent");
+        }
+        return { ...dispute, receivedAt: receivedAt.toISOString() };
+      }),
+
+    recordAdditionalInfo: (id, actor) =>
+      update(id, "dispute:create", (dispute) => {
+        if (!OPEN_STATUSES.includes(dispute.status)) {
+          throw new Error(
+            `Cannot add information to a ${dispute.status} dispute`
+          );
+        }
+        const at = now().toISOString();
+        return {
+          ...dispute,
+          additionalInfoAt: at,
+          history: [
+            ...dispute.history,
+            {
+              at,
+              from: dispute.status,
+              to: dispute.status,
+              note: "Consumer provided additional information",
+              ...(actor && { actor }),
+            },
+          ],
+        };
+      }),
+
+    overdue: () =>
+      store.load().filter((dispute) => isDisputeOverdue(dispute, now())),
+  };
+}
@@ -0,0 +1,262 @@
+/**
+ * Consumer document rendering - plain text, HTML and PDF
+ * Letters and notices are built once as blocks and rendered to every
+ * format from the same content so the versions never drift apart
+ */
+
+export type DocumentBlock =
+  | { type: "lines"; lines: string[] }
+  | { type: "heading"; text: string }
+  | { type: "paragraph"; text: string }
+  | { type: "list"; items: string[]; ordered?: boolean }
+  | { type: "spacer" };
+
+export interface RenderableDocument {
+  title: string;
+  blocks: DocumentBlock[];
+}
+
+/**
+ * Long-form US date used in letter headers, e.g. "August 1, 2025"
+ */
+export function formatLetterDate(date: Date): string {
+  return date.toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Wraps text to a fixed column width on word boundaries
+ */
+export function wrapText(text: string, width: number): string[] {
+  const lines: string[] = [];
+  let current = "";
+
+  text.split(/\s+/).forEach((word) => {
+    if (!word) return;
+    if (current && current.length + word.length + 1 > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines.length ? lines : [""];
+}
+
+export function renderDocumentText(
+  document: RenderableDocument,
+  width = 80
+): string {
+  const output: string[] = [];
+
+  document.blocks.forEach((block) => {
+    switch (block.type) {
+      case "lines":
+        output.push(...block.lines, "");
+        break;
+      case "heading":
+        output.push(block.text.toUpperCase(), "");
+        break;
+      case "paragraph":
+        output.push(...wrapText(block.text, width), "");
+        break;
+      case "list":
+        block.items.forEach((item, index) => {
+          const marker = block.ordered ? `${index + 1}. ` : "- ";
+          const [first, ...rest] = wrapText(item, width - marker.length);
+          output.push(
+            marker + first,
+            ...rest.map((line) => " ".repeat(marker.length) + line)
+          );
+        });
+        output.push("");
+        break;
+      case "spacer":
+        output.push("");
+        break;
+    }
+  });
+
+  return output.join("\n").trimEnd() + "\n";
+}
+
+const HTML_ESCAPES: Record<string, string> = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+export function escapeHtml(value: string): string {
+  return value.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+export function renderDocumentHtml(
+  document: RenderableDocument,
+  className = "consumer-document"
+): string {
+  const body = document.blocks
+    .map((block) => {
+      switch (block.type) {
+        case "lines":
+          return `<p>${block.lines.map(escapeHtml).join("<br />")}</p>`;
+        case "heading":
+          return `<h2>${escapeHtml(block.text)}</h2>`;
+        case "paragraph":
+          return `<p>${escapeHtml(block.text)}</p>`;
+        case "list": {
+          const tag = block.ordered ? "ol" : "ul";
+          const items = block.items
+            .map((item) => `<li>${escapeHtml(item)}</li>`)
+            .join("");
+          return `<${tag}>${items}</${tag}>`;
+        }
+        case "spacer":
+          return "<br />";
+      }
+    })
+    .join("\n");
+
+  return [
+    "<!doctype html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8" />',
+    `<title>${escapeHtml(document.title)}</title>`,
+    "</head>",
+    "<body>",
+    `<article class="${escapeHtml(className)}">`,
+    body,
+    "</article>",
+    "</body>",
+    "</html>",
+  ].join("\n");
+}
+
+// US Letter at 72dpi with one-inch margins, Helvetica 11pt
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+const FONT_SIZE = 11;
+const LEADING = 14;
+const PDF_COLUMNS = 85;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - MARGIN * 2) / LEADING);
+
+interface PdfLine {
+  text: string;
+  bold: boolean;
+}
+
+function toPdfLines(document: RenderableDocument): PdfLine[] {
+  const lines: PdfLine[] = [];
+  const push = (text: string, bold = false) => lines.push({ text, bold });
+
+  document.blocks.forEach((block) => {
+    switch (block.type) {
+      case "lines":
+        block.lines.forEach((line) => push(line));
+        break;
+      case "heading":
+        push(block.text, true);
+        break;
+      case "paragraph":
+        wrapText(block.text, PDF_COLUMNS).forEach((line) => push(line));
+        break;
+      case "list":
+        block.items.forEach((item, index) => {
+          const marker = block.ordered ? `${index + 1}. ` : "- ";
+          wrapText(item, PDF_COLUMNS - marker.length).forEach((line, i) =>
+            push((i === 0 ? marker : " ".repeat(marker.length)) + line)
+          );
+        });
+        break;
+      case "spacer":
+        break;
+    }
+    push("");
+  });
+
+  return lines;
+}
+
+// PDF standard fonts use WinAnsi; anything outside Latin-1 is replaced
+function escapePdfText(text: string): string {
+  return text
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Renders a minimal, dependency-free PDF 1.4 document
+ */
+export function renderDocumentPdf(document: RenderableDocument): Uint8Array {
+  const lines = toPdfLines(document);
+  const pages: PdfLine[][] = [];
+  for (let i = 0; i < lines.length; i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+  if (pages.length === 0) pages.push([]);
+
+  // Objects 1-4 are fixed: catalog, page tree and the two fonts
+  const objects: string[] = [];
+  const pageObjectIds = pages.map((_, index) => 5 + index * 2);
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageObjectIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pages.length} >>`;
+  objects[3] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[4] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageObjectIds[index];
+    const content = [
+      "BT",
+      `${LEADING} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...pageLines.map(
+        (line) =>
+          `/${line.bold ? "F2" : "F1"} ${FONT_SIZE} Tf (${escapePdfText(line.text)}) Tj T*`
+      ),
+      "ET",
+    ].join("\n");
+
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] =
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = "%PDF-1.4\n%\xE2\xE3\xCF\xD3\n";
+  const offsets: number[] = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  pdf +=
+    `trailer\n<< /Size ${objects.length} /Root 1 0 R ` +
+    `/Info << /Title (${escapePdfText(document.title)}) >> >>\n` +
+    `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  // Every character is Latin-1, so string offsets equal byte offsets
+  return Uint8Array.from(pdf, (char) => char.charCodeAt(0) & 0xff);
+}
@@ -0,0 +1,114 @@
+/**
+ * Lightweight i18n layer: message catalogs, pluralization and locale-aware
+ * date and number formatting built on Intl
+ */
+
+import { en } from "./locales/en";
+import { es } from "./locales/es";
+
+export type Locale = "en" | "es";
+
+export type MessageCatalog = Record<string, string>;
+
+export type MessageParams = Record<string, unknown>;
+
+export const SUPPORTED_LOCALES: readonly Locale[] = ["en", "es"];
+
+export const DEFAULT_LOCALE: Locale = "en";
+
+export const MESSAGES: Record<Locale, MessageCatalog> = { en, es };
+
+// Region used for Intl formatting; our customers are US consumers
+const LOCALE_TAGS: Record<Locale, string> = { en: "en-US", es: "es-US" };
+
+const DEFAULT_DATE_FORMAT: Intl.DateTimeFormatOptions = {
+  year: "numeric",
+  month: "short",
+  day: "numeric",
+};
+
+export interface I18n {
+  locale: Locale;
+  // BCP 47 tag handed to Intl, e.g. "es-US"
+  tag: string;
+  // Localized message, falling back to English and then to the key itself
+  t: (key: string, params?: MessageParams) => string;
+  // Like t, but undefined for keys missing from every catalog
+  lookup: (key: string, params?: MessageParams) => string | undefined;
+  formatDate: (
+    date: string | Date,
+    options?: Intl.DateTimeFormatOptions
+  ) => string;
+  formatNumber: (value: number, options?: Intl.NumberFormatOptions) => string;
+}
+
+export interface I18nOptions {
+  // Per-locale overrides merged over the built-in catalogs
+  messages?: Partial<Record<Locale, MessageCatalog>>;
+}
+
+/**
+ * Maps a requested locale such as "es-MX" or navigator.language onto a
+ * supported locale, defaulting to English
+ */
+export function resolveLocale(requested?: string | null): Locale {
+  const language = requested?.toLowerCase().split(/[-_]/)[0];
+  return (
+    SUPPORTED_LOCALES.find((locale) => locale === language) ?? DEFAULT_LOCALE
+  );
+}
+
+/**
+ * Creates a translator and formatters for one locale
+ * Messages with a numeric count param resolve "{key}.{plural category}"
+ * first, e.g. "points.one" / "points.other"
+ */
+export function createI18n(
+  requested: string = DEFAULT_LOCALE,
+  options: I18nOptions = {}
+): I18n {
+  const locale = resolveLocale(requested);
+  const tag = LOCALE_TAGS[locale];
+  const catalog: MessageCatalog = {
+    ...MESSAGES.en,
+    ...options.messages?.en,
+    ...MESSAGES[locale],
+    ...options.messages?.[locale],
+  };
+  const pluralRules = new Intl.PluralRules(tag);
+
+  const formatNumber = (value: number, format?: Intl.NumberFormatOptions) =>
+    new Intl.NumberFormat(tag, format).format(value);
+
+  const formatDate = (
+    date: string | Date,
+    format: Intl.DateTimeFormatOptions = DEFAULT_DATE_FORMAT
+  ) => {
+    const value = typeof date === "string" ? new Date(date) : date;
+    if (Number.isNaN(value.getTime())) return String(date);
+    return value.toLocaleDateString(tag, format);
+  };
+
+  const interpolate = (template: string, params: MessageParams = {}) =>
+    template.replace(/\{(\w+)\}/g, (match, name: string) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === "number" ? formatNumber(value) : String(value);
+    });
+
+  const lookup = (key: string, params?: MessageParams) => {
+    const count = params?.count;
+    const candidates =
+      typeof count === "number"
+        ? [`${key}.${pluralRules.select(count)}`, `${key}.other`, key]
+        : [key];
+    const template = candidates
+      .map((candidate) => catalog[candidate])
+      .find((message) => message !== undefined);
+    return template === undefined ? undefined : interpolate(template, params);
+  };
+
+  const t = (key: string, params?: MessageParams) => lookup(key, params) ?? key;
+
+  return { locale, tag, t, lookup, formatDate, formatNumber };
+}
@@ -0,0 +1,531 @@
+/**
+ * Consumer onboarding intake
+ * Step-by-step validation for identity, address history, FCRA authorization,
+ * permissible purpose and the CROA disclosures, plus a draft store that never
+ * persists the full SSN
+ */
+
+import { addBusinessDays } from "./businessDays";
+import {
+  createRuleSet,
+  CROA,
+  FCRA,
+  mergeValidationResults,
+  type RuleEvaluationOptions,
+  type RuleFinding,
+  type ValidationResult,
+} from "./complianceRules";
+import {
+  CONSENT_DOCUMENT_VERSION,
+  CONSENT_SCOPES,
+  type NewConsent,
+} from "./consent";
+import { validatePermissiblePurpose } from "./creditValidation";
+import { isValidSsn } from "./pii";
+
+export type IntakeStep =
+  | "identity"
+  | "addresses"
+  | "consent"
+  | "purpose"
+  | "disclosures";
+
+export const INTAKE_STEPS: IntakeStep[] = [
+  "identity",
+  "addresses",
+  "consent",
+  "purpose",
+  "disclosures",
+];
+
+export interface IntakeIdentity {
+  firstName: string;
+  lastName: string;
+  dateOfBirth: string;
+  ssn: string;
+  email: string;
+  // Optional; validated only when provided
+  phone: string;
+}
+
+export interface IntakeAddress {
+  line1: string;
+  line2: string;
+  city: string;
+  state: string;
+  postalCode: string;
+  movedInDate: string;
+}
+
+export interface IntakeConsent {
+  creditPullAuthorized: boolean;
+  // Typed full name, compared against the identity step
+  signature: string;
+}
+
+export interface IntakeDisclosures {
+  croaDisclosureAcknowledged: boolean;
+  cancellationNoticeAcknowledged: boolean;
+}
+
+export interface IntakeDraft {
+  step: IntakeStep;
+  identity: IntakeIdentity;
+  // Current address first, then previous addresses
+  addresses: IntakeAddress[];
+  consent: IntakeConsent;
+  permissiblePurpose: string;
+  disclosures: IntakeDisclosures;
+}
+
+export interface IntakeSubmission extends Omit<IntakeDraft, "step"> {
+  signedAt: string;
+  // Last day the consumer may cancel without penalty (CROA §407)
+  cancellationDeadline: string;
+}
+
+export const US_STATES = [
+  "AL", "AK", "AZ", "AR", "CA", "CO", "CT", "DE", "DC", "FL", "GA", "HI",
+  "ID", "IL", "IN", "IA", "KS", "KY", "LA", "ME", "MD", "MA", "MI", "MN",
+  "MS", "MO", "MT", "NE", "NV", "NH", "NJ", "NM", "NY", "NC", "ND", "OH",
+  "OK", "OR", "PA", "RI", "SC", "SD", "TN", "TX", "UT", "VT", "VA", "WA",
+  "WV", "WI", "WY",
+]; // prettier-ignore
+
+// Bureaus match consumers against every address from the past two years
+export const ADDRESS_HISTORY_YEARS = 2;
+
+export const CANCELLATION_BUSINESS_DAYS = 3;
+
+// CROA §405 (15 U.S.C. §1679c) requires this statement verbatim, in a
+// separate document, before any contract is signed
+export const CROA_DISCLOSURE_TITLE =
+  "Consumer Credit File Rights Under State and Federal Law";
+
+export const CROA_DISCLOSURE = [
+  'You have a right to dispute inaccurate information in your credit report by contacting the credit bureau directly. However, neither you nor any "credit repair" company or credit repair organization has the right to have accurate, current, and verifiable information removed from your credit report. The credit bureau must remove accurate, negative information from your report only if it is over 7 years old. Bankruptcy information can be reported for 10 years.',
+  "You have a right to obtain a copy of your credit report from a credit bureau. You may be charged a reasonable fee. There is no fee, however, if you have been turned down for credit, employment, insurance, or a rental dwelling because of information in your credit report within the preceding 60 days. The credit bureau must provide someone to help you interpret the information in your credit file. You are entitled to receive a free copy of your credit report if you are unemployed and intend to apply for employment in the next 60 days, if you are a recipient of public welfare assistance, or if you have reason to believe that there is inaccurate information in your credit report due to fraud.",
+  "You have a right to sue a credit repair organization that violates the Credit Repair Organization Act. This law prohibits deceptive practices by credit repair organizations.",
+  "You have the right to cancel your contract with any credit repair organization for any reason within 3 business days from the date you signed it.",
+  "Credit bureaus are required to follow reasonable procedures to ensure that the information they report is accurate. However, mistakes may occur.",
+  "You may, on your own, notify a credit bureau in writing that you dispute the accuracy of information in your credit file. The credit bureau must then reinvestigate and modify or remove inaccurate or incomplete information. The credit bureau may not charge any fee for this service. Any pertinent information and copies of all documents you have concerning an error should be given to the credit bureau.",
+  "If the credit bureau's reinvestigation does not resolve the dispute to your satisfaction, you may send a brief statement to the credit bureau, to be kept in your file, explaining why you think the record is inaccurate. The credit bureau must include a summary of your statement about disputed information with any report it issues about you.",
+  "The Federal Trade Commission regulates credit bureaus and credit repair organizations. For more information contact: The Public Reference Branch, Federal Trade Commission, Washington, D.C. 20580.",
+];
+
+export function createEmptyAddress(): IntakeAddress {
+  return {
+    line1: "",
+    line2: "",
+    city: "",
+    state: "",
+    postalCode: "",
+    movedInDate: "",
+  };
+}
+
+export function createEmptyIntakeDraft(): IntakeDraft {
+  return {
+    step: "identity",
+    identity: {
+      firstName: "",
+      lastName: "",
+      dateOfBirth: "",
+      ssn: "",
+      email: "",
+      phone: "",
+    },
+    addresses: [createEmptyAddress()],
+    consent: { creditPullAuthorized: false, signature: "" },
+    permissiblePurpose: "",
+    disclosures: {
+      croaDisclosureAcknowledged: false,
+      cancellationNoticeAcknowledged: false,
+    },
+  };
+}
+
+const isBlank = (value: string) => value.trim() === "";
+
+const parseDate = (value: string) => {
+  const date = new Date(value);
+  return isBlank(value) || Number.isNaN(date.getTime()) ? null : date;
+};
+
+const yearsBefore = (now: Date, years: number) => {
+  const date = new Date(now);
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  return date;
+};
+
+// One finding per address that fails the check
+function addressFindings(
+  addresses: IntakeAddress[],
+  field: keyof IntakeAddress,
+  fails: (address: IntakeAddress) => boolean
+): RuleFinding[] {
+  return addresses.flatMap((address, index) =>
+    fails(address) ? [{ field: `addresses.${index}.${field}` }] : []
+  );
+}
+
+const identityRules = createRuleSet<IntakeDraft>([
+  {
+    id: "INTAKE_FIRST_NAME_REQUIRED",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "identity.firstName",
+    message: "First name is required",
+    check: ({ identity }) => isBlank(identity.firstName),
+  },
+  {
+    id: "INTAKE_LAST_NAME_REQUIRED",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "identity.lastName",
+    message: "Last name is required",
+    check: ({ identity }) => isBlank(identity.lastName),
+  },
+  {
+    id: "INTAKE_DOB_INVALID",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "identity.dateOfBirth",
+    message: "Enter a valid date of birth",
+    check: ({ identity }, { now }) => {
+      const dob = parseDate(identity.dateOfBirth);
+      return !dob || dob.getTime() > now.getTime();
+    },
+  },
+  {
+    id: "INTAKE_UNDERAGE",
+    citation: CROA("406"),
+    severity: "error",
+    field: "identity.dateOfBirth",
+    message: "You must be at least 18 years old to sign up",
+    check: ({ identity }, { now }) => {
+      const dob = parseDate(identity.dateOfBirth);
+      return (
+        !!dob &&
+        dob.getTime() <= now.getTime() &&
+        dob.getTime() > yearsBefore(now, 18).getTime()
+      );
+    },
+  },
+  {
+    id: "INTAKE_SSN_INVALID",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "identity.ssn",
+    message: "Enter a valid 9-digit Social Security number",
+    check: ({ identity }) => !isValidSsn(identity.ssn),
+  },
+  {
+    id: "INTAKE_EMAIL_INVALID",
+    citation: CROA("406"),
+    severity: "error",
+    field: "identity.email",
+    message: "Enter a valid email address",
+    check: ({ identity }) =>
+      !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(identity.email.trim()),
+  },
+  {
+    id: "INTAKE_PHONE_INVALID",
+    citation: CROA("406"),
+    severity: "error",
+    field: "identity.phone",
+    message: "Enter a 10-digit phone number",
+    check: ({ identity }) =>
+      !isBlank(identity.phone) &&
+      identity.phone.replace(/\D/g, "").replace(/^1(?=\d{10}$)/, "").length !==
+        10,
+  },
+]);
+
+const addressRules = createRuleSet<IntakeDraft>([
+  {
+    id: "INTAKE_ADDRESS_REQUIRED",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "addresses",
+    message: "Add your current address",
+    check: ({ addresses }) => addresses.length === 0,
+  },
+  {
+    id: "INTAKE_STREET_REQUIRED",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "addresses",
+    message: "Street address is required",
+    check: ({ addresses }) =>
+      addressFindings(addresses, "line1", (a) => isBlank(a.line1)),
+  },
+  {
+    id: "INTAKE_CITY_REQUIRED",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "addresses",
+    message: "City is required",
+    check: ({ addresses }) =>
+      addressFindings(addresses, "city", (a) => isBlank(a.city)),
+  },
+  {
+    id: "INTAKE_STATE_INVALID",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "addresses",
+    message: "Select a state",
+    check: ({ addresses }) =>
+      addressFindings(addresses, "state", (a) => !US_STATES.includes(a.state)),
+  },
+  {
+    id: "INTAKE_ZIP_INVALID",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "addresses",
+    message: "Enter a 5-digit ZIP code",
+    check: ({ addresses }) =>
+      addressFindings(
+        addresses,
+        "postalCode",
+        (a) => !/^\d{5}(-\d{4})?$/.test(a.postalCode.trim())
+      ),
+  },
+  {
+    id: "INTAKE_MOVE_IN_INVALID",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "addresses",
+    message: "Enter the date you moved in",
+    check: ({ addresses }, { now }) =>
+      addressFindings(addresses, "movedInDate", (a) => {
+        const date = parseDate(a.movedInDate);
+        return !date || date.getTime() > now.getTime();
+      }),
+  },
+  {
+    id: "INTAKE_ADDRESS_HISTORY_SHORT",
+    citation: FCRA("610(a)(1)"),
+    severity: "error",
+    field: "addresses",
+    message: "Add previous addresses to cover the last {years} years",
+    check: ({ addresses }, { now }) => {
+      const dates = addresses.map((a) => parseDate(a.movedInDate));
+      // Incomplete dates are reported by INTAKE_MOVE_IN_INVALID
+      if (dates.length === 0 || dates.some((date) => !date)) return false;
+      const earliest = Math.min(...dates.map((date) => date?.getTime() ?? 0));
+      return (
+        earliest > yearsBefore(now, ADDRESS_HISTORY_YEARS).getTime() && {
+          params: { years: ADDRESS_HISTORY_YEARS },
+        }
+      );
+    },
+  },
+]);
+
+const consentRules = createRuleSet<IntakeDraft>([
+  {
+    id: "INTAKE_CREDIT_PULL_AUTHORIZATION_REQUIRED",
+    citation: FCRA("604(a)(2)"),
+    severity: "error",
+    field: "consent.creditPullAuthorized",
+    message: "Authorize us to obtain your credit reports to continue",
+    check: ({ consent }) => !consent.creditPullAuthorized,
+  },
+  {
+    id: "INTAKE_SIGNATURE_REQUIRED",
+    citation: CROA("406"),
+    severity: "error",
+    field: "consent.signature",
+    message: "Type your full name to sign",
+    check: ({ consent }) => isBlank(consent.signature),
+  },
+  {
+    id: "INTAKE_SIGNATURE_MISMATCH",
+    citation: CROA("406"),
+    severity: "error",
+    field: "consent.signature",
+    message: "Your signature must match the name you entered",
+    check: ({ consent, identity }) => {
+      const normalize = (value: string) =>
+        value.trim().replace(/\s+/g, " ").toLowerCase();
+      return (
+        !isBlank(consent.signature) &&
+        normalize(consent.signature) !==
+          normalize(`${identity.firstName} ${identity.lastName}`)
+      );
+    },
+  },
+]);
+
+const disclosureRules = createRuleSet<IntakeDraft>([
+  {
+    id: "INTAKE_CROA_DISCLOSURE_REQUIRED",
+    citation: CROA("405"),
+    severity: "error",
+    field: "disclosures.croaDisclosureAcknowledged",
+    message: "Confirm you have read your credit file rights",
+    check: ({ disclosures }) => !disclosures.croaDisclosureAcknowledged,
+  },
+  {
+    id: "INTAKE_CANCELLATION_NOTICE_REQUIRED",
+    citation: CROA("407"),
+    severity: "error",
+    field: "disclosures.cancellationNoticeAcknowledged",
+    message: "Confirm you have received the notice of your right to cancel",
+    check: ({ disclosures }) => !disclosures.cancellationNoticeAcknowledged,
+  },
+]);
+
+export const intakeRules = {
+  identity: identityRules,
+  addresses: addressRules,
+  consent: consentRules,
+  disclosures: disclosureRules,
+};
+
+/**
+ * Validates one step of the intake; the purpose step reuses the FCRA §604
+ * permissible purpose rules
+ */
+export function validateIntakeStep(
+  step: IntakeStep,
+  draft: IntakeDraft,
+  options?: RuleEvaluationOptions
+): ValidationResult {
+  if (step === "purpose") {
+    return validatePermissiblePurpose(draft.permissiblePurpose, options);
+  }
+  return intakeRules[step].evaluate(draft, options);
+}
+
+/**
+ * Validates every step of the intake
+ */
+export function validateIntake(
+  draft: IntakeDraft,
+  options?: RuleEvaluationOptions
+): ValidationResult {
+  return mergeValidationResults(
+    INTAKE_STEPS.map((step) => validateIntakeStep(step, draft, options))
+  );
+}
+
+/**
+ * Last day to cancel: midnight of the 3rd business day after signing
+ * (CROA §407); the signing day itself is not counted
+ */
+export function computeCancellationDeadline(signedAt: Date | string): string {
+  return addBusinessDays(signedAt, CANCELLATION_BUSINESS_DAYS);
+}
+
+/**
+ * Finalizes a fully valid intake; throws when any step still has errors
+ */
+export function completeIntake(
+  draft: IntakeDraft,
+  now: Date = new Date()
+): IntakeSubmission {
+  const result = validateIntake(draft, { now });
+  if (!result.isValid) {
+    throw new Error(`Intake is incomplete: ${result.errors.join("; ")}`);
+  }
+  const { step: _step, ...submission } = draft;
+  return {
+    ...submission,
+    signedAt: now.toISOString(),
+    cancellationDeadline: computeCancellationDeadline(now),
+  };
+}
+
+/**
+ * The credit pull authorization signed at intake, ready for the consent
+ * registry once the consumer has an id
+ */
+export function toConsentGrant(
+  submission: IntakeSubmission,
+  consumerId: string
+): NewConsent {
+  return {
+    consumerId,
+    permissiblePurpose: submission.permissiblePurpose,
+    scope: [...CONSENT_SCOPES],
+    signatureMethod: "typed_name",
+    signature: submission.consent.signature,
+    documentVersion: CONSENT_DOCUMENT_VERSION,
+  };
+}
+
+export interface IntakeDraftStore {
+  load: () => IntakeDraft | null;
+  save: (draft: IntakeDraft) => void;
+  clear: () => void;
+}
+
+// Drafts untouched for longer than this are discarded on load
+export const INTAKE_DRAFT_TTL_HOURS = 72;
+
+interface SavedIntakeDraft {
+  savedAt: string;
+  draft: Partial<IntakeDraft>;
+}
+
+/**
+ * Autosaves intake drafts to browser localStorage (or any Storage-like
+ * object). The SSN and date of birth are dropped before saving and must be
+ * re-entered; the rest, including addresses and the typed signature, is kept
+ * for INTAKE_DRAFT_TTL_HOURS after the last save and then discarded
+ */
+export function createIntakeDraftStore(
+  key = "tcp.intakeDraft",
+  storage: Pick<Storage, "getItem" | "setItem" | "removeItem"> = localStorage,
+  now: () => Date = () => new Date()
+): IntakeDraftStore {
+  return {
+    load: () => {
+      const raw = storage.getItem(key);
+      if (!raw) return null;
+      let saved: Partial<SavedIntakeDraft>;
+      try {
+        saved = JSON.parse(raw) as Partial<SavedIntakeDraft>;
+      } catch {
+        throw new Error(`Corrupt intake draft: ${key}`);
+      }
+      const savedAt = new Date(saved.savedAt ?? "").getTime();
+      // Unstamped drafts predate the expiry and are discarded as well
+      if (
+        !saved.draft ||
+        Number.isNaN(savedAt) ||
+        now().getTime() - savedAt > INTAKE_DRAFT_TTL_HOURS * 60 * 60 * 1000
+      ) {
+        storage.removeItem(key);
+        return null;
+      }
+      const { draft } = saved;
+      const empty = createEmptyIntakeDraft();
+      return {
+        ...empty,
+        ...draft,
+        identity: {
+          ...empty.identity,
+          ...draft.identity,
+          ssn: "",
+          dateOfBirth: "",
+        },
+        consent: { ...empty.consent, ...draft.consent },
+        disclosures: { ...empty.disclosures, ...draft.disclosures },
+      };
+    },
+    save: (draft) => {
+      const saved: SavedIntakeDraft = {
+        savedAt: now().toISOString(),
+        draft: {
+          ...draft,
+          identity: { ...draft.identity, ssn: "", dateOfBirth: "" },
+        },
+      };
+      storage.setItem(key, JSON.stringify(saved));
+    },
+    clear: () => storage.removeItem(key),
+  };
+}
@@ -0,0 +1,188 @@
+import type { MessageCatalog } from "../i18n";
+import { SCORE_BAND_MESSAGES } from "../scoreBands";
+
+// English catalog. Compliance rule messages ("validation.{RULE_ID}") are
+// omitted on purpose: each rule's own message is the English source of truth
+export const en: MessageCatalog = {
+  ...SCORE_BAND_MESSAGES,
+  "creditScore.title": "Credit Score",
+  "creditScore.ariaLabel": "Credit score {score}, {band} range",
+  "creditScore.updated": "Updated: {date}",
+  "creditScore.keyFactors": "Key Factors:",
+  "creditScore.refresh": "Refresh Score",
+  "creditScore.refreshing": "Refreshing...",
+  "creditScore.delta.none": "No change since your last score",
+  "creditScore.delta.up.one": "+{count} point since your last score",
+  "creditScore.delta.up.other": "+{count} points since your last score",
+  "creditScore.delta.down.one": "-{count} point since your last score",
+  "creditScore.delta.down.other": "-{count} points since your last score",
+  "scoreFactors.title": "What's affecting your score",
+  "scoreFactors.weight": "({percent}% of score)",
+  "scoreFactors.impact.negative": "Hurting your score",
+  "scoreFactors.impact.positive": "Helping your score",
+  "scoreFactors.severity.high": "High impact",
+  "scoreFactors.severity.medium": "Medium impact",
+  "scoreFactors.severity.low": "Low impact",
+  "scoreFactors.reasonCode": "Reason code {code}",
+  "scoreFactors.category.payment_history": "Payment history",
+  "scoreFactors.category.utilization": "Amounts owed",
+  "scoreFactors.category.credit_age": "Length of credit history",
+  "scoreFactors.category.credit_mix": "Credit mix",
+  "scoreFactors.category.new_credit": "New credit",
+  "triBureau.label": "Credit scores by bureau",
+  "refreshError.limit":
+    "Refresh limit reached. Your next refresh is available {date}.",
+  "refreshError.purpose":
+    "A permissible purpose is required to refresh this score.",
+  "refreshError.unauthorized": "Please sign in again to refresh your score.",
+  "refreshError.permission": "Your role cannot refresh credit scores.",
+  "refreshError.consent.absent":
+    "The consumer has not authorized a credit pull for this purpose.",
+  "refreshError.consent.revoked":
+    "The consumer revoked their authorization for this purpose.",
+  "refreshError.consent.expired":
+    "The consumer's authorization for this purpose has expired.",
+  "refreshError.generic":
+    "We could not refresh your score. Please try again later.",
+  "scoreUnavailable.title": "Credit score unavailable",
+  "scoreUnavailable.invalid":
+    "This score needs verification before we can show it. We have flagged it for review.",
+  "scoreUnavailable.error":
+    "We could not display your credit score right now. Please try again later.",
+  "intake.title": "Start your credit review",
+  "intake.progress": "Step {current} of {total}",
+  "intake.step.identity": "Your identity",
+  "intake.step.addresses": "Address history",
+  "intake.step.consent": "Authorization",
+  "intake.step.purpose": "Purpose",
+  "intake.step.disclosures": "Your rights",
+  "intake.firstName": "First name",
+  "intake.lastName": "Last name",
+  "intake.dateOfBirth": "Date of birth",
+  "intake.ssn": "Social Security number",
+  "intake.ssnHint":
+    "We use it only to find your credit file. It is never saved with your draft.",
+  "intake.email": "Email",
+  "intake.phone": "Phone (optional)",
+  "intake.addressHint":
+    "List every address from the last {years} years, starting with where you live now.",
+  "intake.currentAddress": "Current address",
+  "intake.previousAddress": "Previous address {number}",
+  "intake.line1": "Street address",
+  "intake.line2": "Apartment or suite (optional)",
+  "intake.city": "City",
+  "intake.state": "State",
+  "intake.statePlaceholder": "Select a state",
+  "intake.postalCode": "ZIP code",
+  "intake.movedInDate": "Date you moved in",
+  "intake.addAddress": "Add a previous address",
+  "intake.removeAddress": "Remove previous address {number}",
+  "intake.creditPullAuthorization":
+    "I authorize {organization} to obtain my consumer credit reports from Equifax, Experian and TransUnion. This is my written instruction under FCRA Section 604(a)(2).",
+  "intake.signature": "Signature",
+  "intake.signatureHint": "Type your full name exactly as entered above",
+  "intake.purpose": "Why are your credit reports being requested?",
+  "intake.purposePlaceholder": "Select a purpose",
+  "purpose.credit_application": "Credit application",
+  "purpose.account_review": "Account review",
+  "purpose.collection_activity": "Collection activity",
+  "purpose.employment_screening": "Employment screening",
+  "purpose.insurance_underwriting": "Insurance underwriting",
+  "purpose.tenant_screening": "Tenant screening",
+  "purpose.legitimate_business_need": "Legitimate business need",
+  "intake.croaAcknowledgement":
+    "I have read the Consumer Credit File Rights disclosure",
+  "intake.cancellationTitle": "Notice of right to cancel",
+  "intake.cancellationNotice":
+    "You may cancel this contract, without any penalty or obligation, at any time before midnight of the 3rd business day which begins after the date the contract is signed by you.",
+  "intake.cancellationInstructions":
+    "To cancel, mail or deliver a signed, dated copy of this notice, or any other written notice, to {recipient} before midnight on {date}.",
+  "intake.cancellationAcknowledgement":
+    "I have received the notice of my right to cancel",
+  "intake.back": "Back",
+  "intake.next": "Continue",
+  "intake.submit": "Sign and submit",
+  "intake.draftSaved":
+    "Draft saved for {hours} hours. Your Social Security number and date of birth are never saved.",
+  "intake.errorSummary.title.one": "There is {count} problem to fix",
+  "intake.errorSummary.title.other": "There are {count} problems to fix",
+  "intake.submitted.title": "You're all set",
+  "intake.submitted.body":
+    "We received your information. You may cancel without penalty until midnight on {date}.",
+  "app.title": "AI-SDLC Framework Demo",
+  "app.loading": "Loading...",
+  "app.purpose": "Purpose: {purpose}",
+  "app.changePurpose": "Change purpose",
+  "nav.label": "Main",
+  "nav.dashboard": "Dashboard",
+  "nav.reports": "Reports",
+  "nav.disputes": "Disputes",
+  "nav.onboarding": "Sign up",
+  "nav.settings": "Settings",
+  "nav.audit": "Audit log",
+  "purposeGate.title": "Select a permissible purpose",
+  "purposeGate.body":
+    "FCRA Section 604 requires a permissible purpose before credit information for consumer {consumerId} can be shown.",
+  "purposeGate.submit": "Continue",
+  "home.title": "Find a consumer",
+  "home.consumerId": "Consumer ID",
+  "home.consumerIdRequired": "Enter a consumer ID",
+  "home.open": "Open dashboard",
+  "onboarding.openDashboard": "Go to your dashboard",
+  "dashboard.title": "Dashboard for {consumerId}",
+  "reports.title": "Credit reports for {consumerId}",
+  "reports.history": "Score history",
+  "history.title": "Credit score history",
+  "history.empty": "No score history yet",
+  "history.date": "Date",
+  "history.milestones": "Milestones",
+  "history.pointLabel": "{bureau} {score}, {band} range, {date}",
+  "history.trend": "{bureau} from {from} to {to}.",
+  "history.omitted.one":
+    "{count} score could not be verified and is not shown.",
+  "history.omitted.other":
+    "{count} scores could not be verified and are not shown.",
+  "history.milestone.sent": "Dispute sent",
+  "history.milestone.deleted": "Item deleted",
+  "history.milestone.updated": "Item updated",
+  "history.milestone.verified": "Item verified",
+  "disputes.title": "Disputes for {consumerId}",
+  "disputes.empty": "No disputes yet",
+  "disputes.recipient": "Recipient",
+  "disputes.status": "Status",
+  "disputes.deadline": "Response due",
+  "disputeStatus.draft": "Draft",
+  "disputeStatus.sent": "Sent",
+  "disputeStatus.in_investigation": "In investigation",
+  "disputeStatus.verified": "Verified",
+  "disputeStatus.deleted": "Deleted",
+  "disputeStatus.updated": "Updated",
+  "disputeStatus.escalated": "Escalated",
+  "audit.title": "Audit log",
+  "audit.empty": "No audit entries yet",
+  "audit.valid.one": "Chain verified: {count} entry intact.",
+  "audit.valid.other": "Chain verified: {count} entries intact.",
+  "audit.broken": "Chain broken at entry {sequence}: {reason}",
+  "audit.timestamp": "Time",
+  "audit.actor": "Actor",
+  "audit.action": "Action",
+  "audit.outcome": "Outcome",
+  "audit.exportJson": "Export JSON",
+  "audit.exportCsv": "Export CSV",
+  "audit.download": "Download {file}",
+  "settings.title": "Settings",
+  "settings.language": "Language",
+  "settings.languagePlaceholder": "Select a language",
+  "settings.role": "Demo role",
+  "settings.rolePlaceholder": "Select a role",
+  "role.consumer": "Consumer",
+  "role.agent": "Agent",
+  "role.supervisor": "Supervisor",
+  "role.compliance": "Compliance",
+  "permission.denied": "Your role does not have access to this information.",
+  "language.en": "English",
+  "language.es": "Español",
+  "notFound.title": "Page not found",
+  "notFound.body": "We could not find {path}.",
+  "notFound.home": "Go to the home page",
+};
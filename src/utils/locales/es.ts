@@ -0,0 +1,333 @@
+import type { MessageCatalog } from "../i18n";
+
+// Spanish catalog, including translations of the credit validation rules
+export const es: MessageCatalog = {
+  "scoreBand.EXCELLENT.label": "Excelente",
+  "scoreBand.EXCELLENT.description":
+    "Crédito excelente - las mejores tasas disponibles",
+  "scoreBand.VERY_GOOD.label": "Muy bueno",
+  "scoreBand.VERY_GOOD.description": "Crédito muy bueno - tasas favorables",
+  "scoreBand.GOOD.label": "Bueno",
+  "scoreBand.GOOD.description": "Buen crédito - tasas competitivas",
+  "scoreBand.FAIR.label": "Regular",
+  "scoreBand.FAIR.description":
+    "Crédito regular - pueden aplicarse tasas más altas",
+  "scoreBand.POOR.label": "Malo",
+  "scoreBand.POOR.description": "Crédito malo - opciones limitadas",
+  "scoreBand.VERY_POOR.label": "Muy malo",
+  "scoreBand.VERY_POOR.description":
+    "Crédito muy malo - la prioridad es reconstruirlo",
+  "creditScore.title": "Puntaje de crédito",
+  "creditScore.ariaLabel": "Puntaje de crédito {score}, rango {band}",
+  "creditScore.updated": "Actualizado: {date}",
+  "creditScore.keyFactors": "Factores clave:",
+  "creditScore.refresh": "Actualizar puntaje",
+  "creditScore.refreshing": "Actualizando...",
+  "creditScore.delta.none": "Sin cambios desde su último puntaje",
+  "creditScore.delta.up.one": "+{count} punto desde su último puntaje",
+  "creditScore.delta.up.other": "+{count} puntos desde su último puntaje",
+  "creditScore.delta.down.one": "-{count} punto desde su último puntaje",
+  "creditScore.delta.down.other": "-{count} puntos desde su último puntaje",
+  "scoreFactors.title": "Qué está afectando su puntaje",
+  "scoreFactors.weight": "({percent}% del puntaje)",
+  "scoreFactors.impact.negative": "Perjudica su puntaje",
+  "scoreFactors.impact.positive": "Ayuda a su puntaje",
+  "scoreFactors.severity.high": "Impacto alto",
+  "scoreFactors.severity.medium": "Impacto medio",
+  "scoreFactors.severity.low": "Impacto bajo",
+  "scoreFactors.reasonCode": "Código de razón {code}",
+  "scoreFactors.category.payment_history": "Historial de pagos",
+  "scoreFactors.category.utilization": "Montos adeudados",
+  "scoreFactors.category.credit_age": "Antigüedad del historial de crédito",
+  "scoreFactors.category.credit_mix": "Combinación de créditos",
+  "scoreFactors.category.new_credit": "Crédito nuevo",
+  "triBureau.label": "Puntajes de crédito por buró",
+  "refreshError.limit":
+    "Alcanzó el límite de actualizaciones. Su próxima actualización estará disponible el {date}.",
+  "refreshError.purpose":
+    "Se requiere un propósito permisible para actualizar este puntaje.",
+  "refreshError.unauthorized":
+    "Inicie sesión de nuevo para actualizar su puntaje.",
+  "refreshError.permission": "Su rol no puede actualizar puntajes de crédito.",
+  "refreshError.consent.absent":
+    "El consumidor no ha autorizado una consulta de crédito para este fin.",
+  "refreshError.consent.revoked":
+    "El consumidor revocó su autorización para este fin.",
+  "refreshError.consent.expired":
+    "La autorización del consumidor para este fin ha vencido.",
+  "refreshError.generic":
+    "No pudimos actualizar su puntaje. Inténtelo de nuevo más tarde.",
+  "scoreUnavailable.title": "Puntaje de crédito no disponible",
+  "scoreUnavailable.invalid":
+    "Este puntaje necesita verificación antes de poder mostrarlo. Lo marcamos para revisión.",
+  "scoreUnavailable.error":
+    "No pudimos mostrar su puntaje de crédito en este momento. Inténtelo de nuevo más tarde.",
+  "intake.title": "Comience la revisión de su crédito",
+  "intake.progress": "Paso {current} de {total}",
+  "intake.step.identity": "Su identidad",
+  "intake.step.addresses": "Historial de domicilios",
+  "intake.step.consent": "Autorización",
+  "intake.step.purpose": "Propósito",
+  "intake.step.disclosures": "Sus derechos",
+  "intake.firstName": "Nombre",
+  "intake.lastName": "Apellido",
+  "intake.dateOfBirth": "Fecha de nacimiento",
+  "intake.ssn": "Número de Seguro Social",
+  "intake.ssnHint":
+    "Solo lo usamos para encontrar su expediente de crédito. Nunca se guarda con su borrador.",
+  "intake.email": "Correo electrónico",
+  "intake.phone": "Teléfono (opcional)",
+  "intake.addressHint":
+    "Indique todos sus domicilios de los últimos {years} años, comenzando por donde vive ahora.",
+  "intake.currentAddress": "Domicilio actual",
+  "intake.previousAddress": "Domicilio anterior {number}",
+  "intake.line1": "Calle y número",
+  "intake.line2": "Apartamento o suite (opcional)",
+  "intake.city": "Ciudad",
+  "intake.state": "Estado",
+  "intake.statePlaceholder": "Seleccione un estado",
+  "intake.postalCode": "Código postal",
+  "intake.movedInDate": "Fecha en que se mudó",
+  "intake.addAddress": "Agregar un domicilio anterior",
+  "intake.removeAddress": "Eliminar domicilio anterior {number}",
+  "intake.creditPullAuthorization":
+    "Autorizo a {organization} a obtener mis reportes de crédito de Equifax, Experian y TransUnion. Esta es mi instrucción por escrito según la Sección 604(a)(2) de la FCRA.",
+  "intake.signature": "Firma",
+  "intake.signatureHint":
+    "Escriba su nombre completo tal como lo ingresó arriba",
+  "intake.purpose": "¿Por qué se solicitan sus reportes de crédito?",
+  "intake.purposePlaceholder": "Seleccione un propósito",
+  "purpose.credit_application": "Solicitud de crédito",
+  "purpose.account_review": "Revisión de cuenta",
+  "purpose.collection_activity": "Actividad de cobranza",
+  "purpose.employment_screening": "Evaluación para empleo",
+  "purpose.insurance_underwriting": "Suscripción de seguros",
+  "purpose.tenant_screening": "Evaluación de inquilinos",
+  "purpose.legitimate_business_need": "Necesidad comercial legítima",
+  "intake.croaAcknowledgement":
+    "He leído la divulgación sobre los derechos de mi expediente de crédito",
+  "intake.cancellationTitle": "Aviso del derecho a cancelar",
+  "intake.cancellationNotice":
+    "Puede cancelar este contrato, sin ninguna penalidad u obligación, en cualquier momento antes de la medianoche del tercer día hábil que comienza después de la fecha en que usted firmó el contrato.",
+  "intake.cancellationInstructions":
+    "Para cancelar, envíe por correo o entregue una copia firmada y fechada de este aviso, o cualquier otro aviso por escrito, a {recipient} antes de la medianoche del {date}.",
+  "intake.cancellationAcknowledgement":
+    "He recibido el aviso de mi derecho a cancelar",
+  "intake.back": "Atrás",
+  "intake.next": "Continuar",
+  "intake.submit": "Firmar y enviar",
+  "intake.draftSaved":
+    "Borrador guardado por {hours} horas. Su número de Seguro Social y su fecha de nacimiento nunca se guardan.",
+  "intake.errorSummary.title.one": "Hay {count} problema por corregir",
+  "intake.errorSummary.title.other": "Hay {count} problemas por corregir",
+  "intake.submitted.title": "Todo listo",
+  "intake.submitted.body":
+    "Recibimos su información. Puede cancelar sin penalidad hasta la medianoche del {date}.",
+  "validation.INTAKE_FIRST_NAME_REQUIRED": "El nombre es obligatorio",
+  "validation.INTAKE_LAST_NAME_REQUIRED": "El apellido es obligatorio",
+  "validation.INTAKE_DOB_INVALID": "Ingrese una fecha de nacimiento válida",
+  "validation.INTAKE_UNDERAGE": "Debe tener al menos 18 años para inscribirse",
+  "validation.INTAKE_SSN_INVALID":
+    "Ingrese un número de Seguro Social válido de 9 dígitos",
+  "validation.INTAKE_EMAIL_INVALID": "Ingrese un correo electrónico válido",
+  "validation.INTAKE_PHONE_INVALID":
+    "Ingrese un número de teléfono de 10 dígitos",
+  "validation.INTAKE_ADDRESS_REQUIRED": "Agregue su domicilio actual",
+  "validation.INTAKE_STREET_REQUIRED": "La calle y el número son obligatorios",
+  "validation.INTAKE_CITY_REQUIRED": "La ciudad es obligatoria",
+  "validation.INTAKE_STATE_INVALID": "Seleccione un estado",
+  "validation.INTAKE_ZIP_INVALID": "Ingrese un código postal de 5 dígitos",
+  "validation.INTAKE_MOVE_IN_INVALID": "Ingrese la fecha en que se mudó",
+  "validation.INTAKE_ADDRESS_HISTORY_SHORT":
+    "Agregue domicilios anteriores hasta cubrir los últimos {years} años",
+  "validation.INTAKE_CREDIT_PULL_AUTHORIZATION_REQUIRED":
+    "Autorícenos a obtener sus reportes de crédito para continuar",
+  "validation.INTAKE_SIGNATURE_REQUIRED":
+    "Escriba su nombre completo para firmar",
+  "validation.INTAKE_SIGNATURE_MISMATCH":
+    "Su firma debe coincidir con el nombre que ingresó",
+  "validation.INTAKE_CROA_DISCLOSURE_REQUIRED":
+    "Confirme que leyó sus derechos sobre su expediente de crédito",
+  "validation.INTAKE_CANCELLATION_NOTICE_REQUIRED":
+    "Confirme que recibió el aviso de su derecho a cancelar",
+  "app.title": "Demostración del marco AI-SDLC",
+  "app.loading": "Cargando...",
+  "app.purpose": "Propósito: {purpose}",
+  "app.changePurpose": "Cambiar propósito",
+  "nav.label": "Principal",
+  "nav.dashboard": "Panel",
+  "nav.reports": "Reportes",
+  "nav.disputes": "Disputas",
+  "nav.onboarding": "Inscribirse",
+  "nav.settings": "Configuración",
+  "nav.audit": "Registro de auditoría",
+  "purposeGate.title": "Seleccione un propósito permisible",
+  "purposeGate.body":
+    "La Sección 604 de la FCRA exige un propósito permisible antes de mostrar la información de crédito del consumidor {consumerId}.",
+  "purposeGate.submit": "Continuar",
+  "home.title": "Buscar un consumidor",
+  "home.consumerId": "ID del consumidor",
+  "home.consumerIdRequired": "Ingrese un ID de consumidor",
+  "home.open": "Abrir panel",
+  "onboarding.openDashboard": "Ir a su panel",
+  "dashboard.title": "Panel de {consumerId}",
+  "reports.title": "Reportes de crédito de {consumerId}",
+  "reports.history": "Historial del puntaje",
+  "history.title": "Historial de puntaje de crédito",
+  "history.empty": "Aún no hay historial de puntaje",
+  "history.date": "Fecha",
+  "history.milestones": "Hitos",
+  "history.pointLabel": "{bureau} {score}, rango {band}, {date}",
+  "history.trend": "{bureau} de {from} a {to}.",
+  "history.omitted.one":
+    "{count} puntaje no se pudo verificar y no se muestra.",
+  "history.omitted.other":
+    "{count} puntajes no se pudieron verificar y no se muestran.",
+  "history.milestone.sent": "Disputa enviada",
+  "history.milestone.deleted": "Elemento eliminado",
+  "history.milestone.updated": "Elemento actualizado",
+  "history.milestone.verified": "Elemento verificado",
+  "disputes.title": "Disputas de {consumerId}",
+  "disputes.empty": "Aún no hay disputas",
+  "disputes.recipient": "Destinatario",
+  "disputes.status": "Estado",
+  "disputes.deadline": "Respuesta debida",
+  "disputeStatus.draft": "Borrador",
+  "disputeStatus.sent": "Enviada",
+  "disputeStatus.in_investigation": "En investigación",
+  "disputeStatus.verified": "Verificada",
+  "disputeStatus.deleted": "Eliminada",
+  "disputeStatus.updated": "Actualizada",
+  "disputeStatus.escalated": "Escalada",
+  "audit.title": "Registro de auditoría",
+  "audit.empty": "Aún no hay entradas de auditoría",
+  "audit.valid.one": "Cadena verificada: {count} entrada intacta.",
+  "audit.valid.other": "Cadena verificada: {count} entradas intactas.",
+  "audit.broken": "Cadena rota en la entrada {sequence}: {reason}",
+  "audit.timestamp": "Hora",
+  "audit.actor": "Actor",
+  "audit.action": "Acción",
+  "audit.outcome": "Resultado",
+  "audit.exportJson": "Exportar JSON",
+  "audit.exportCsv": "Exportar CSV",
+  "audit.download": "Descargar {file}",
+  "settings.title": "Configuración",
+  "settings.language": "Idioma",
+  "settings.languagePlaceholder": "Seleccione un idioma",
+  "settings.role": "Rol de demostración",
+  "settings.rolePlaceholder": "Seleccione un rol",
+  "role.consumer": "Consumidor",
+  "role.agent": "Agente",
+  "role.supervisor": "Supervisor",
+  "role.compliance": "Cumplimiento",
+  "permission.denied": "Su rol no tiene acceso a esta información.",
+  "language.en": "English",
+  "language.es": "Español",
+  "notFound.title": "Página no encontrada",
+  "notFound.body": "No pudimos encontrar {path}.",
+  "notFound.home": "Ir a la página de inicio",
+  "validation.SCORE_NOT_NUMERIC": "El puntaje de crédito debe ser un número",
+  "validation.SCORE_OUT_OF_RANGE":
+    "Puntaje {family} no válido: {score}. Debe estar entre {min}-{max}.",
+  "validation.SCORE_EXTREMELY_LOW":
+    "Puntaje de crédito extremadamente bajo - verifique la exactitud de los datos",
+  "validation.PURPOSE_REQUIRED":
+    "Se requiere un propósito permisible según la Sección 604 de la FCRA",
+  "validation.PURPOSE_INVALID": "Propósito permisible no válido: {purpose}",
+  "validation.PURPOSE_INVALID_GUIDANCE":
+    "Asegúrese de cumplir con los requisitos de la Sección 604 de la FCRA",
+  "validation.EMPLOYMENT_AUTHORIZATION_REQUIRED":
+    "La evaluación para empleo requiere una divulgación independiente y autorización por escrito",
+  "validation.CA_EMPLOYMENT_CREDIT_CHECK_LIMITED":
+    "California limita las verificaciones de crédito para empleo a puestos exentos - documente la exención",
+  "validation.IL_EMPLOYMENT_CREDIT_CHECK_LIMITED":
+    "Illinois limita las verificaciones de crédito para empleo a puestos con un requisito ocupacional de buena fe",
+  "validation.SCORE_MODEL_UNKNOWN":
+    "Modelo de puntaje desconocido: {scoreModel}",
+  "validation.SCORE_REQUIRED": "Se requiere el puntaje de crédito",
+  "validation.DATA_PURPOSE_REQUIRED": "Se requiere un propósito permisible",
+  "validation.REPORT_DATE_REQUIRED": "Se requiere la fecha del reporte",
+  "validation.REPORT_STALE":
+    "El reporte de crédito tiene más de 90 días - considere actualizarlo",
+  "validation.BUREAU_REQUIRED": "Se requiere el buró de origen",
+  "validation.REPORT_BUREAU_MISMATCH":
+    "El buró del reporte {reportBureau} no coincide con el buró de origen {bureauSource}",
+  "validation.REPORT_BUREAU_UNKNOWN": "Buró desconocido: {bureau}",
+  "validation.REPORT_DATE_INVALID": "Se requiere la fecha del reporte",
+  "validation.REPORT_DATE_IN_FUTURE":
+    "La fecha del reporte no puede ser una fecha futura",
+  "validation.REPORT_CONSUMER_NAME_REQUIRED":
+    "La información personal debe incluir el nombre del consumidor",
+  "validation.REPORT_ITEM_ID_MISSING":
+    "A un elemento del reporte le falta el identificador",
+  "validation.REPORT_ITEM_ID_DUPLICATE":
+    "Identificador de elemento del reporte duplicado: {id}",
+  "validation.TRADELINE_CREDITOR_REQUIRED":
+    "A la cuenta {id} le falta el nombre del acreedor",
+  "validation.TRADELINE_OPEN_DATE_INVALID":
+    "La cuenta {id} tiene una fecha de apertura no válida",
+  "validation.TRADELINE_NEGATIVE_BALANCE":
+    "La cuenta {id} tiene un saldo negativo",
+  "validation.TRADELINE_DOFD_MISSING":
+    "La cuenta {id} está morosa sin fecha de primera morosidad",
+  "validation.COLLECTION_NEGATIVE_BALANCE":
+    "La cobranza {id} tiene un saldo negativo",
+  "validation.COLLECTION_DOFD_MISSING":
+    "A la cobranza {id} le falta la fecha de primera morosidad",
+  "validation.PUBLIC_RECORD_FILED_DATE_INVALID":
+    "El registro público {id} tiene una fecha de presentación no válida",
+  "validation.ITEM_PAST_REPORTING_PERIOD":
+    "{description} superó su período de reporte según {rule} (fecha de eliminación {purgeDate}) - dispútelo como obsoleto",
+  "validation.LETTER_CONSUMER_NAME_REQUIRED":
+    "Se requiere el nombre del consumidor",
+  "validation.LETTER_CONSUMER_ADDRESS_INCOMPLETE":
+    "La dirección postal del consumidor está incompleta",
+  "validation.LETTER_CONSUMER_DOB_INVALID":
+    "Falta la fecha de nacimiento del consumidor o no es válida",
+  "validation.LETTER_SSN_LAST4_INVALID":
+    "Solo se pueden incluir los últimos cuatro dígitos del SSN",
+  "validation.LETTER_ITEMS_REQUIRED":
+    "Se requiere al menos un elemento en disputa",
+  "validation.LETTER_ITEM_CREDITOR_REQUIRED":
+    "Al elemento en disputa {itemId} le falta el nombre del acreedor",
+  "validation.LETTER_ACCOUNT_NUMBER_UNMASKED":
+    "El número de cuenta de {itemId} debe estar enmascarado",
+  "validation.LETTER_PURGE_DATE_REQUIRED":
+    "El elemento obsoleto {itemId} necesita su fecha de eliminación",
+  "validation.LETTER_BALANCE_DETAILS_MISSING":
+    "La disputa de saldo de {itemId} no indica el saldo correcto",
+  "validation.LETTER_BUREAU_REQUIRED":
+    "Las cartas a un buró requieren indicar el buró",
+  "validation.LETTER_FURNISHER_ADDRESS_REQUIRED":
+    "Las cartas al proveedor de información requieren su dirección para disputas",
+  "validation.CONSENT_CONSUMER_REQUIRED":
+    "El consentimiento debe identificar al consumidor",
+  "validation.CONSENT_SCOPE_REQUIRED":
+    "El consentimiento debe cubrir al menos un alcance",
+  "validation.CONSENT_SCOPE_INVALID":
+    "Alcance de consentimiento desconocido: {scope}",
+  "validation.CONSENT_SIGNATURE_REQUIRED":
+    "El consentimiento debe estar firmado por el consumidor",
+  "validation.CONSENT_SIGNATURE_METHOD_INVALID":
+    "Método de firma desconocido: {method}",
+  "validation.CONSENT_DOCUMENT_VERSION_REQUIRED":
+    "Registre qué versión de la autorización se firmó",
+  "validation.CONSENT_EXPIRY_INVALID":
+    "El consentimiento debe vencer después de otorgarse",
+  "validation.SCORE_FACTOR_REASON_CODE_UNKNOWN":
+    "Código de razón desconocido: {code}",
+  "validation.SCORE_FACTOR_REASON_CODE_MISMATCH":
+    "El código de razón {code} pertenece a {expected}, no a {category}",
+  "validation.ADVERSE_ACTION_CONSUMER_NAME_REQUIRED":
+    "Se requiere el nombre del consumidor",
+  "validation.ADVERSE_ACTION_CONSUMER_ADDRESS_INCOMPLETE":
+    "La dirección postal del consumidor está incompleta",
+  "validation.ADVERSE_ACTION_CREDITOR_REQUIRED":
+    "Se requieren el nombre y la dirección de quien tomó la acción",
+  "validation.ADVERSE_ACTION_STATEMENT_REQUIRED":
+    "Describa la acción adversa tomada",
+  "validation.ADVERSE_ACTION_SOURCE_REQUIRED":
+    "Se requiere al menos un informe del consumidor en el que se basó la decisión",
+  "validation.ADVERSE_ACTION_KEY_FACTORS_REQUIRED":
+    "El puntaje de {bureau} necesita al menos un factor clave con código de razón",
+};
@@ -0,0 +1,304 @@
+/**
+ * Obsolescence checker for negative items
+ * FCRA Section 605 - Requirements relating to information contained in
+ * consumer reports (seven and ten-year reporting periods)
+ */
+
+import { FCRA, type Citation } from "./complianceRules";
+import type {
+  CollectionAccount,
+  CreditReport,
+  PublicRecord,
+  Tradeline,
+} from "./creditReport";
+
+export type ObsolescenceRuleId =
+  | "BANKRUPTCY_10_YEAR"
+  | "BANKRUPTCY_CH13_7_YEAR"
+  | "CIVIL_JUDGMENT_7_YEAR"
+  | "PAID_TAX_LIEN_7_YEAR"
+  | "COLLECTION_CHARGE_OFF_7_YEAR"
+  | "ADVERSE_ITEM_7_YEAR";
+
+export type ObsolescenceItemType = "tradeline" | "collection" | "public_record";
+
+interface ObsolescenceRule {
+  id: ObsolescenceRuleId;
+  citation: Citation;
+  years: number;
+  // FCRA 605(c) - collection/charge-off periods start 180 days after DOFD
+  graceDays: number;
+}
+
+export const OBSOLESCENCE_RULES: Record<ObsolescenceRuleId, ObsolescenceRule> =
+  {
+    BANKRUPTCY_10_YEAR: {
+      id: "BANKRUPTCY_10_YEAR",
+      citation: FCRA("605(a)(1)"),
+      years: 10,
+      graceDays: 0,
+    },
+    // Bureau policy: completed Chapter 13 cases drop after seven years
+    BANKRUPTCY_CH13_7_YEAR: {
+      id: "BANKRUPTCY_CH13_7_YEAR",
+      citation: FCRA("605(a)(1)"),
+      years: 7,
+      graceDays: 0,
+    },
+    CIVIL_JUDGMENT_7_YEAR: {
+      id: "CIVIL_JUDGMENT_7_YEAR",
+      citation: FCRA("605(a)(2)"),
+      years: 7,
+      graceDays: 0,
+    },
+    PAID_TAX_LIEN_7_YEAR: {
+      id: "PAID_TAX_LIEN_7_YEAR",
+      citation: FCRA("605(a)(3)"),
+      years: 7,
+      graceDays: 0,
+    },
+    COLLECTION_CHARGE_OFF_7_YEAR: {
+      id: "COLLECTION_CHARGE_OFF_7_YEAR",
+      citation: FCRA("605(a)(4)"),
+      years: 7,
+      graceDays: 180,
+    },
+    ADVERSE_ITEM_7_YEAR: {
+      id: "ADVERSE_ITEM_7_YEAR",
+      citation: FCRA("605(a)(5)"),
+      years: 7,
+      graceDays: 0,
+    },
+  };
+
+export interface ObsolescenceResult {
+  itemId: string;
+  itemType: ObsolescenceItemType;
+  description: string;
+  rule: ObsolescenceRuleId;
+  citation: Citation;
+  periodStart: string;
+  purgeDate: string;
+  isObsolete: boolean;
+  daysUntilPurge: number;
+}
+
+export interface UndeterminedItem {
+  itemId: string;
+  itemType: ObsolescenceItemType;
+  description: string;
+  reason: string;
+}
+
+export interface ObsolescenceReport {
+  asOf: string;
+  exempt: boolean;
+  items: ObsolescenceResult[];
+  obsolete: ObsolescenceResult[];
+  undetermined: UndeterminedItem[];
+}
+
+export interface ObsolescenceOptions {
+  asOf?: Date;
+  // FCRA 605(b) - the periods do not apply to large transactions
+  exemption?: {
+    kind: "credit" | "life_insurance" | "employment";
+    amount: number;
+  };
+}
+
+const EXEMPTION_THRESHOLDS = {
+  credit: 150000,
+  life_insurance: 150000,
+  employment: 75000,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toIsoDate(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+function computePurgeDate(start: string, rule: ObsolescenceRule): Date {
+  const date = new Date(start);
+  return new Date(
+    Date.UTC(
+      date.getUTCFullYear() + rule.years,
+      date.getUTCMonth(),
+      date.getUTCDate() + rule.graceDays
+    )
+  );
+}
+
+export function isExemptTransaction(
+  exemption: ObsolescenceOptions["exemption"]
+): boolean {
+  return (
+    !!exemption && exemption.amount >= EXEMPTION_THRESHOLDS[exemption.kind]
+  );
+}
+
+type Classification =
+  | { rule: ObsolescenceRuleId; start: string | undefined }
+  | { reason: string }
+  | null;
+
+function classifyTradeline(tradeline: Tradeline): Classification {
+  const chargedOff =
+    tradeline.status === "charged_off" ||
+    tradeline.status === "collection" ||
+    tradeline.paymentStatus === "charge_off" ||
+    tradeline.paymentStatus === "collection";
+
+  if (chargedOff) {
+    return {
+      rule: "COLLECTION_CHARGE_OFF_7_YEAR",
+      start: tradeline.dateOfFirstDelinquency,
+    };
+  }
+  if (
+    tradeline.paymentStatus !== "current" ||
+    tradeline.dateOfFirstDelinquency
+  ) {
+    return {
+      rule: "ADVERSE_ITEM_7_YEAR",
+      start: tradeline.dateOfFirstDelinquency,
+    };
+  }
+  // Positive accounts are not subject to FCRA 605
+  return null;
+}
+
+function classifyCollection(collection: CollectionAccount): Classification {
+  return {
+    rule: "COLLECTION_CHARGE_OFF_7_YEAR",
+    start: collection.dateOfFirstDelinquency,
+  };
+}
+
+function classifyPublicRecord(record: PublicRecord): Classification {
+  switch (record.type) {
+    case "bankruptcy_ch13":
+      return record.status === "discharged"
+        ? { rule: "BANKRUPTCY_CH13_7_YEAR", start: record.filedDate }
+        : { rule: "BANKRUPTCY_10_YEAR", start: record.filedDate };
+    case "bankruptcy_ch7":
+    case "bankruptcy_ch11":
+      return { rule: "BANKRUPTCY_10_YEAR", start: record.filedDate };
+    case "civil_judgment":
+      return { rule: "CIVIL_JUDGMENT_7_YEAR", start: record.filedDate };
+    case "tax_lien":
+      if (record.status === "paid" || record.status === "satisfied") {
+        return { rule: "PAID_TAX_LIEN_7_YEAR", start: record.resolvedDate };
+      }
+      return { reason: "Unpaid tax liens have no FCRA reporting limit" };
+  }
+}
+
+/**
+ * Computes the FCRA Section 605 reporting period for every negative item
+ * Items without a determinable start date are returned as undetermined
+ */
+export function checkObsolescence(
+  report: Pick<CreditReport, "tradelines" | "collections" | "publicRecords">,
+  options: ObsolescenceOptions = {}
+): ObsolescenceReport {
+  const asOf = options.asOf ?? new Date();
+  const exempt = isExemptTransaction(options.exemption);
+  const items: ObsolescenceResult[] = [];
+  const undetermined: UndeterminedItem[] = [];
+
+  const evaluate = (
+    itemId: string,
+    itemType: ObsolescenceItemType,
+    description: string,
+    classification: Classification
+  ) => {
+    if (!classification) return;
+
+    if ("reason" in classification) {
+      undetermined.push({
+        itemId,
+        itemType,
+        description,
+        reason: classification.reason,
+      });
+      return;
+    }
+
+    const rule = OBSOLESCENCE_RULES[classification.rule];
+    const start = classification.start;
+    if (!start || Number.isNaN(new Date(start).getTime())) {
+      undetermined.push({
+        itemId,
+        itemType,
+        description,
+        reason: "Reporting period start date is missing or invalid",
+      });
+      return;
+    }
+
+    const purgeDate = computePurgeDate(start, rule);
+    const daysUntilPurge = Math.ceil(
+      (purgeDate.getTime() - asOf.getTime()) / DAY_MS
+    );
+
+    items.push({
+      itemId,
+      itemType,
+      description,
+      rule: rule.id,
+      citation: rule.citation,
+      periodStart: start.slice(0, 10),
+      purgeDate: toIsoDate(purgeDate),
+      isObsolete: !exempt && daysUntilPurge <= 0,
+      daysUntilPurge,
+    });
+  };
+
+  report.tradelines.forEach((tradeline) =>
+    evaluate(
+      tradeline.id,
+      "tradeline",
+      `${tradeline.creditorName} ${tradeline.accountNumber}`,
+      classifyTradeline(tradeline)
+    )
+  );
+  report.collections.forEach((collection) =>
+    evaluate(
+      collection.id,
+      "collection",
+      `${collection.agencyName} ${collection.accountNumber}`,
+      classifyCollection(collection)
+    )
+  );
+  report.publicRecords.forEach((record) =>
+    evaluate(
+      record.id,
+      "public_record",
+      `${record.type} ${record.referenceNumber ?? record.filedDate}`,
+      classifyPublicRecord(record)
+    )
+  );
+
+  return {
+    asOf: toIsoDate(asOf),
+    exempt,
+    items,
+    obsolete: items.filter((item) => item.isObsolete),
+    undetermined,
+  };
+}
+
+/**
+ * Lists items that should be disputed as obsolete
+ * Sorted by purge date so the longest-overdue items come first
+ */
+export function findObsoleteItems(
+  report: Pick<CreditReport, "tradelines" | "collections" | "publicRecords">,
+  options: ObsolescenceOptions = {}
+): ObsolescenceResult[] {
+  return checkObsolescence(report, options).obsolete.sort((a, b) =>
+    a.purgeDate.localeCompare(b.purgeDate)
+  );
+}
@@ -0,0 +1,90 @@
+/**
+ * Role-based access to credit data
+ * Every role is granted an explicit list of capabilities; anything not
+ * listed is denied, as is any role or capability this module does not know
+ */
+
+import type { AuditActor } from "./auditTrail";
+
+export const ROLES = ["consumer", "agent", "supervisor", "compliance"] as const;
+
+export type Role = (typeof ROLES)[number];
+
+export const CAPABILITIES = [
+  "credit:view",
+  "credit:pull",
+  "dispute:view",
+  "dispute:create",
+  "dispute:send",
+  "audit:view",
+  "audit:export",
+] as const;
+
+export type Capability = (typeof CAPABILITIES)[number];
+
+// Doubles as the audit actor, so access is attributed to the same identity
+export interface Principal extends AuditActor {
+  role: Role;
+  // Consumers are bound to their own credit file
+  consumerId?: string;
+}
+
+export interface PermissionResource {
+  consumerId?: string;
+}
+
+/**
+ * The policy matrix. Compliance can read and export but never pulls credit
+ * or sends disputes, keeping review separate from the work it reviews
+ */
+export const ROLE_CAPABILITIES: Record<Role, readonly Capability[]> = {
+  consumer: ["credit:view", "dispute:view", "dispute:create"],
+  agent: ["credit:view", "credit:pull", "dispute:view", "dispute:create"],
+  supervisor: [
+    "credit:view",
+    "credit:pull",
+    "dispute:view",
+    "dispute:create",
+    "dispute:send",
+    "audit:view",
+  ],
+  compliance: ["credit:view", "dispute:view", "audit:view", "audit:export"],
+};
+
+export function isRole(value: unknown): value is Role {
+  return ROLES.includes(value as Role);
+}
+
+/**
+ * Whether the principal holds the capability for the resource
+ * A consumer only ever matches a resource carrying their own consumerId
+ */
+export function can(
+  principal: Principal | null | undefined,
+  capability: Capability,
+  resource: PermissionResource = {}
+): boolean {
+  if (!principal || !isRole(principal.role)) return false;
+  if (!ROLE_CAPABILITIES[principal.role].includes(capability)) return false;
+  if (principal.role === "consumer") {
+    return (
+      principal.consumerId !== undefined &&
+      principal.consumerId === resource.consumerId
+    );
+  }
+  return true;
+}
+
+/**
+ * Throws unless `can` allows the access; API callers raise
+ * PermissionDeniedError from `can` themselves
+ */
+export function assertCan(
+  principal: Principal | null | undefined,
+  capability: Capability,
+  resource: PermissionResource = {}
+): void {
+  if (!can(principal, capability, resource)) {
+    throw new Error(`Missing permission: ${capability}`);
+  }
+}
@@ -0,0 +1,373 @@
+/**
+ * PII detection and masking
+ * GLBA Safeguards Rule / FCRA Section 607(a) - consumer identifiers must
+ * not leak into logs, API responses or test fixtures
+ */
+
+import { sha256 } from "./sha256";
+
+export type PiiType =
+  | "ssn"
+  | "card_number"
+  | "date_of_birth"
+  | "bank_account"
+  | "routing_number"
+  | "email"
+  | "phone";
+
+export interface PiiMatch {
+  type: PiiType;
+  value: string;
+  start: number;
+  end: number;
+  // Dotted path when found inside an object, e.g. "consumer.ssn"
+  path?: string;
+}
+
+export type MaskPolicy = "last4" | "hash" | "redact";
+
+export interface PiiOptions {
+  types?: PiiType[];
+}
+
+export interface MaskOptions extends PiiOptions {
+  policy?: MaskPolicy | Partial<Record<PiiType, MaskPolicy>>;
+  // Mixed into hashes so tokens cannot be reversed by brute-forcing SSNs
+  salt?: string;
+}
+
+export const PII_TYPES: PiiType[] = [
+  "ssn",
+  "card_number",
+  "date_of_birth",
+  "bank_account",
+  "routing_number",
+  "email",
+  "phone",
+];
+
+const PII_LABELS: Record<PiiType, string> = {
+  ssn: "SSN",
+  card_number: "CARD",
+  date_of_birth: "DOB",
+  bank_account: "ACCOUNT",
+  routing_number: "ROUTING",
+  email: "EMAIL",
+  phone: "PHONE",
+};
+
+/**
+ * SSA rules: area 000, 666 and 900-999, group 00 and serial 0000 are never issued
+ */
+export function isValidSsn(value: string): boolean {
+  const digits = value.replace(/\D/g, "");
+  if (digits.length !== 9) return false;
+
+  const area = Number(digits.slice(0, 3));
+  const group = digits.slice(3, 5);
+  const serial = digits.slice(5);
+  return (
+    area !== 0 &&
+    area !== 666 &&
+    area < 900 &&
+    group !== "00" &&
+    serial !== "0000"
+  );
+}
+
+export function passesLuhn(value: string): boolean {
+  const digits = value.replace(/\D/g, "");
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * ABA routing number checksum plus Federal Reserve prefix ranges
+ */
+export function isValidRoutingNumber(value: string): boolean {
+  if (!/^\d{9}$/.test(value)) return false;
+
+  const prefix = Number(value.slice(0, 2));
+  const validPrefix =
+    prefix <= 12 ||
+    (prefix >= 21 && prefix <= 32) ||
+    (prefix >= 61 && prefix <= 72) ||
+    prefix === 80;
+  const d = value.split("").map(Number);
+  const checksum =
+    3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+  return validPrefix && checksum % 10 === 0;
+}
+
+interface Detector {
+  type: PiiType;
+  pattern: RegExp;
+  // Capture group holding the value when the pattern includes a keyword
+  group?: number;
+  isValid?: (value: string) => boolean;
+}
+
+const DATE_PATTERN = String.raw`\d{4}-\d{2}-\d{2}|\d{1,2}[/-]\d{1,2}[/-]\d{2,4}`;
+
+// Ordered by priority; earlier detectors win when matches overlap
+const DETECTORS: Detector[] = [
+  {
+    type: "card_number",
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    isValid: passesLuhn,
+  },
+  {
+    type: "ssn",
+    pattern: /\b\d{3}([- ])\d{2}\1\d{4}\b/g,
+    isValid: isValidSsn,
+  },
+  {
+    type: "ssn",
+    pattern:
+      /\b(?:ssn|social security(?: number)?)\s*(?:#|no\.?)?\s*[:=]?\s*(\d{9})\b/gi,
+    group: 1,
+    isValid: isValidSsn,
+  },
+  {
+    type: "email",
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  },
+  {
+    type: "phone",
+    pattern: /(?:\+1[-.\s]?)?(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b/g,
+    isValid: (value) =>
+      /^[2-9]/.test(value.replace(/^\+1/, "").replace(/\D/g, "")),
+  },
+  {
+    type: "date_of_birth",
+    pattern: new RegExp(
+      String.raw`\b(?:dob|d\.o\.b\.|date of birth|birth ?date|born(?: on)?)\s*[:=]?\s*(${DATE_PATTERN})\b`,
+      "gi"
+    ),
+    group: 1,
+  },
+  {
+    type: "bank_account",
+    pattern:
+      /\b(?:account|acct)(?:\s*(?:number|no\.?|#))?\s*[:=]?\s*(\d{6,17})\b/gi,
+    group: 1,
+  },
+  {
+    type: "routing_number",
+    pattern: /\b\d{9}\b/g,
+    isValid: isValidRoutingNumber,
+  },
+];
+
+/**
+ * Finds PII in free text, returning non-overlapping matches in order
+ */
+export function detectPii(text: string, options: PiiOptions = {}): PiiMatch[] {
+  const types = options.types ?? PII_TYPES;
+  const matches: PiiMatch[] = [];
+
+  DETECTORS.filter((detector) => types.includes(detector.type)).forEach(
+    (detector) => {
+      for (const match of text.matchAll(detector.pattern)) {
+        const value = detector.group ? match[detector.group] : match[0];
+        if (detector.isValid && !detector.isValid(value)) continue;
+
+        const start = (match.index ?? 0) + match[0].lastIndexOf(value);
+        const end = start + value.length;
+        const overlaps = matches.some((m) => start < m.end && end > m.start);
+        if (!overlaps) {
+          matches.push({ type: detector.type, value, start, end });
+        }
+      }
+    }
+  );
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+// Field names that identify PII even when the value alone is ambiguous
+const KEY_TYPES: Array<[RegExp, PiiType]> = [
+  [/^(ssn|socialsecurity(number)?|taxpayerid)$/, "ssn"],
+  [/^(cardnumber|creditcard(number)?|pan|ccnumber)$/, "card_number"],
+  [/^(dob|dateofbirth|birthdate|birthday)$/, "date_of_birth"],
+  [/^(routing(number)?|aba(number)?)$/, "routing_number"],
+  [/^(bankaccount(number)?|accountnumber|acctnumber|acctno)$/, "bank_account"],
+  [/email/, "email"],
+  [/phone|mobile/, "phone"],
+];
+
+// Values that are already masked, e.g. "XXXXXXXXXXXX1234", "***-**-6789"
+// or a "[REDACTED SSN]" / "[SSN:...]" token from this module
+const ALREADY_MASKED = /[*Xx•]{3,}|^\[(REDACTED )?[A-Z]+[:\]]/;
+
+function typeForKey(key: string): PiiType | undefined {
+  const normalized = key.toLowerCase().replace(/[^a-z0-9]/g, "");
+  return KEY_TYPES.find(([pattern]) => pattern.test(normalized))?.[1];
+}
+
+function keyedMatch(
+  key: string | undefined,
+  value: string,
+  types: PiiType[]
+): PiiMatch | undefined {
+  const type = key ? typeForKey(key) : undefined;
+  if (!type || !types.includes(type) || !value.trim()) return undefined;
+  if (ALREADY_MASKED.test(value)) return undefined;
+  const plausible =
+    type === "email"
+      ? value.includes("@")
+      : /\d{4}/.test(value.replace(/\D/g, ""));
+  if (!plausible) return undefined;
+  return { type, value, start: 0, end: value.length };
+}
+
+function walk(
+  value: unknown,
+  path: string,
+  key: string | undefined,
+  visit: (text: string, path: string, key: string | undefined) => unknown
+): unknown {
+  if (typeof value === "string" || typeof value === "number") {
+    return visit(String(value), path, key) ?? value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) =>
+      walk(item, `${path}[${index}]`, key, visit)
+    );
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([childKey, child]) => [
+        childKey,
+        walk(child, path ? `${path}.${childKey}` : childKey, childKey, visit),
+      ])
+    );
+  }
+  return value;
+}
+
+function matchesIn(
+  text: string,
+  key: string | undefined,
+  types: PiiType[]
+): PiiMatch[] {
+  const found = detectPii(text, { types });
+  if (found.length) return found;
+  const keyed = keyedMatch(key, text, types);
+  return keyed ? [keyed] : [];
+}
+
+/**
+ * Finds PII in every string and number of a nested object or array,
+ * using field names to recognise values that are ambiguous on their own
+ */
+export function findPiiInObject(
+  value: unknown,
+  options: PiiOptions = {}
+): PiiMatch[] {
+  const types = options.types ?? PII_TYPES;
+  const matches: PiiMatch[] = [];
+
+  walk(value, "", undefined, (text, path, key) => {
+    matchesIn(text, key, types).forEach((match) =>
+      matches.push({ ...match, path })
+    );
+    return undefined;
+  });
+  return matches;
+}
+
+export function containsPii(value: unknown, options: PiiOptions = {}): boolean {
+  return typeof value === "string"
+    ? detectPii(value, options).length > 0
+    : findPiiInObject(value, options).length > 0;
+}
+
+function maskLast4(value: string, type: PiiType): string {
+  if (type === "email") {
+    const [local, domain] = value.split("@");
+    if (!domain) return "***";
+    return `${local[0]}***@${domain}`;
+  }
+  if (type === "date_of_birth") {
+    // Keep only the birth year
+    return value
+      .replace(/\d/g, "*")
+      .replace(/\*{4}/, value.match(/\d{4}/)?.[0] ?? "****");
+  }
+
+  const keep = 4;
+  let remaining = value.replace(/\D/g, "").length - keep;
+  return value.replace(/\d/g, (digit) => (remaining-- > 0 ? "*" : digit));
+}
+
+/**
+ * Masks a single value of a known PII type
+ */
+export function maskPiiValue(
+  value: string,
+  type: PiiType,
+  policy: MaskPolicy = "last4",
+  salt = ""
+): string {
+  switch (policy) {
+    case "last4":
+      return maskLast4(value, type);
+    case "hash": {
+      const normalized =
+        type === "email" ? value.toLowerCase() : value.replace(/\D/g, "");
+      return `[${PII_LABELS[type]}:${sha256(salt + normalized).slice(0, 12)}]`;
+    }
+    case "redact":
+      return `[REDACTED ${PII_LABELS[type]}]`;
+  }
+}
+
+function policyFor(type: PiiType, options: MaskOptions): MaskPolicy {
+  const policy = options.policy ?? "last4";
+  return typeof policy === "string" ? policy : (policy[type] ?? "last4");
+}
+
+function applyMasks(text: string, matches: PiiMatch[], options: MaskOptions) {
+  let masked = text;
+  [...matches]
+    .sort((a, b) => b.start - a.start)
+    .forEach((match) => {
+      masked =
+        masked.slice(0, match.start) +
+        maskPiiValue(
+          match.value,
+          match.type,
+          policyFor(match.type, options),
+          options.salt
+        ) +
+        masked.slice(match.end);
+    });
+  return masked;
+}
+
+export function maskPii(text: string, options: MaskOptions = {}): string {
+  return applyMasks(text, detectPii(text, options), options);
+}
+
+/**
+ * Returns a deep copy with every detected PII value masked; numbers that
+ * hold PII come back as masked strings
+ */
+export function maskPiiInObject<T>(value: T, options: MaskOptions = {}): T {
+  const types = options.types ?? PII_TYPES;
+  return walk(value, "", undefined, (text, _path, key) => {
+    const matches = matchesIn(text, key, types);
+    return matches.length ? applyMasks(text, matches, options) : undefined;
+  }) as T;
+}
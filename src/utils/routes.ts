@@ -0,0 +1,70 @@
+/**
+ * Path matching for the client-side router
+ * Patterns use ":name" segments for params and a trailing "*" for catch-all
+ */
+
+export type RouteParams = Record<string, string>;
+
+const segmentsOf = (path: string) => path.split("/").filter(Boolean);
+
+/**
+ * Matches a pathname against a pattern, returning decoded params or null
+ * Trailing slashes are ignored; matching is case-sensitive
+ */
+export function matchPath(
+  pattern: string,
+  pathname: string
+): RouteParams | null {
+  const expected = segmentsOf(pattern);
+  const actual = segmentsOf(pathname);
+  const params: RouteParams = {};
+
+  for (let i = 0; i < expected.length; i++) {
+    const segment = expected[i];
+    if (segment === "*") return params;
+    if (i >= actual.length) return null;
+    if (segment.startsWith(":")) {
+      try {
+        params[segment.slice(1)] = decodeURIComponent(actual[i]);
+      } catch {
+        // Malformed escapes never match rather than crashing the shell
+        return null;
+      }
+    } else if (segment !== actual[i]) {
+      return null;
+    }
+  }
+
+  return expected.length === actual.length ? params : null;
+}
+
+/**
+ * First route whose path matches, in declaration order
+ */
+export function matchRoute<T extends { path: string }>(
+  routes: T[],
+  pathname: string
+): { route: T; params: RouteParams } | null {
+  for (const route of routes) {
+    const params = matchPath(route.path, pathname);
+    if (params) return { route, params };
+  }
+  return null;
+}
+
+/**
+ * Fills a pattern's params; throws when one is missing
+ */
+export function buildPath(pattern: string, params: RouteParams = {}): string {
+  const path = segmentsOf(pattern)
+    .map((segment) => {
+      if (!segment.startsWith(":")) return segment;
+      const value = params[segment.slice(1)];
+      if (!value) {
+        throw new Error(`Missing route param: ${segment.slice(1)}`);
+      }
+      return encodeURIComponent(value);
+    })
+    .join("/");
+  return `/${path}`;
+}
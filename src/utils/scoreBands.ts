@@ -0,0 +1,134 @@
+/**
+ * Shared score banding for every score component
+ * Bands come from the scoring model's published tiers; colors come from a
+ * theme and labels from message keys so both can be swapped per deployment
+ */
+
+import {
+  DEFAULT_SCORE_MODEL,
+  getScoringModel,
+  type ScoreModelId,
+  type ScoreTierId,
+} from "./scoringModels";
+
+// Colors for everything around the score itself
+export interface ScoreSurfaceTheme {
+  border: string;
+  // Dashed outline of the needs-verification state
+  placeholderBorder: string;
+  heading: string;
+  muted: string;
+  error: string;
+  accent: string;
+  accentText: string;
+  needle: string;
+}
+
+// Color per band plus the surface tokens; override with a custom theme for
+// brand or contrast needs
+export type ScoreTheme = Record<ScoreTierId, string> & ScoreSurfaceTheme;
+
+export const DEFAULT_SCORE_THEME: ScoreTheme = {
+  EXCELLENT: "#22c55e",
+  VERY_GOOD: "#84cc16",
+  GOOD: "#eab308",
+  FAIR: "#f97316",
+  POOR: "#ef4444",
+  VERY_POOR: "#b91c1c",
+  border: "#e5e7eb",
+  placeholderBorder: "#d1d5db",
+  heading: "#374151",
+  muted: "#6b7280",
+  error: "#b91c1c",
+  accent: "#3b82f6",
+  accentText: "#ffffff",
+  needle: "#374151",
+};
+
+/**
+ * Fills the tokens a partial theme leaves out from the default theme
+ */
+export function resolveScoreTheme(theme: Partial<ScoreTheme> = {}): ScoreTheme {
+  return { ...DEFAULT_SCORE_THEME, ...theme };
+}
+
+// English defaults for the band message keys
+export const SCORE_BAND_MESSAGES: Record<string, string> = {
+  "scoreBand.EXCELLENT.label": "Excellent",
+  "scoreBand.EXCELLENT.description": "Excellent credit - best rates available",
+  "scoreBand.VERY_GOOD.label": "Very Good",
+  "scoreBand.VERY_GOOD.description": "Very good credit - favorable rates",
+  "scoreBand.GOOD.label": "Good",
+  "scoreBand.GOOD.description": "Good credit - competitive rates",
+  "scoreBand.FAIR.label": "Fair",
+  "scoreBand.FAIR.description": "Fair credit - higher rates may apply",
+  "scoreBand.POOR.label": "Poor",
+  "scoreBand.POOR.description": "Poor credit - limited options available",
+  "scoreBand.VERY_POOR.label": "Very Poor",
+  "scoreBand.VERY_POOR.description":
+    "Very poor credit - rebuilding is the priority",
+};
+
+export interface ScoreBand {
+  id: ScoreTierId;
+  min: number;
+  max: number;
+  label: string;
+  description: string;
+  color: string;
+  labelKey: string;
+  descriptionKey: string;
+}
+
+export interface ScoreBandOptions {
+  model?: ScoreModelId;
+  theme?: Partial<ScoreTheme>;
+  // Returns the localized message for a key, or undefined to use English
+  translate?: (key: string) => string | undefined;
+}
+
+/**
+ * All bands for a scoring model, highest first
+ */
+export function getScoreBands(options: ScoreBandOptions = {}): ScoreBand[] {
+  const { tiers } = getScoringModel(options.model ?? DEFAULT_SCORE_MODEL);
+  const message = (key: string) =>
+    options.translate?.(key) ?? SCORE_BAND_MESSAGES[key] ?? key;
+
+  return tiers.map((tier) => {
+    const labelKey = `scoreBand.${tier.id}.label`;
+    const descriptionKey = `scoreBand.${tier.id}.description`;
+    return {
+      id: tier.id,
+      min: tier.min,
+      max: tier.max,
+      label: message(labelKey),
+      description: message(descriptionKey),
+      color: options.theme?.[tier.id] ?? DEFAULT_SCORE_THEME[tier.id],
+      labelKey,
+      descriptionKey,
+    };
+  });
+}
+
+/**
+ * Resolves the band for a score; out-of-range scores take the nearest band
+ */
+export function getScoreBand(
+  score: number,
+  options: ScoreBandOptions = {}
+): ScoreBand {
+  const bands = getScoreBands(options);
+  return bands.find((band) => score >= band.min) ?? bands[bands.length - 1];
+}
+
+/**
+ * Clamps a score into the model's valid range
+ */
+export function clampScore(
+  score: number,
+  model: ScoreModelId = DEFAULT_SCORE_MODEL
+): number {
+  const { min, max } = getScoringModel(model);
+  return Math.min(Math.max(score, min), max);
+}
@@ -0,0 +1,361 @@
+/**
+ * Structured credit score factors
+ * Each negative factor maps to a standard adverse action reason code so the
+ * same data drives the score breakdown UI and adverse action notices
+ * (FCRA Section 615(a) / 609(f) key factor disclosure)
+ */
+
+import {
+  createRuleSet,
+  FCRA,
+  type RuleEvaluationOptions,
+  type ValidationResult,
+} from "./complianceRules";
+import type { ScoreFactor } from "./scoreSimulator";
+
+export type FactorImpactDirection = "positive" | "negative";
+
+export type FactorSeverity = "low" | "medium" | "high";
+
+export interface ScoreFactorDetail {
+  category: ScoreFactor;
+  impact: FactorImpactDirection;
+  severity: FactorSeverity;
+  // Required for negative factors that should appear on a notice
+  reasonCode?: string;
+  // Consumer-facing wording; defaults to the reason code statement
+  description?: string;
+}
+
+export interface FactorCategory {
+  label: string;
+  // Share of a FICO score attributed to the category
+  weight: number;
+  explanation: string;
+}
+
+export interface ReasonCode {
+  code: string;
+  category: ScoreFactor;
+  statement: string;
+  explanation: string;
+}
+
+export interface RankedScoreFactor extends ScoreFactorDetail {
+  rank: number;
+  statement: string;
+  explanation: string;
+}
+
+export interface ScoreFactorGroup {
+  category: ScoreFactor;
+  label: string;
+  weight: number;
+  explanation: string;
+  factors: RankedScoreFactor[];
+}
+
+export const FACTOR_CATEGORIES: Record<ScoreFactor, FactorCategory> = {
+  payment_history: {
+    label: "Payment history",
+    weight: 0.35,
+    explanation: "Whether past accounts were paid on time",
+  },
+  utilization: {
+    label: "Amounts owed",
+    weight: 0.3,
+    explanation: "How much of your available revolving credit is in use",
+  },
+  credit_age: {
+    label: "Length of credit history",
+    weight: 0.15,
+    explanation: "How long your accounts have been open",
+  },
+  credit_mix: {
+    label: "Credit mix",
+    weight: 0.1,
+    explanation: "The variety of account types on your report",
+  },
+  new_credit: {
+    label: "New credit",
+    weight: 0.1,
+    explanation: "Recent applications and newly opened accounts",
+  },
+};
+
+// Standard FICO reason codes used on adverse action and score disclosures
+export const REASON_CODES: Record<string, ReasonCode> = {
+  "01": {
+    code: "01",
+    category: "utilization",
+    statement: "Amount owed on accounts is too high",
+    explanation: "Paying down balances lowers the amount you owe",
+  },
+  "02": {
+    code: "02",
+    category: "payment_history",
+    statement: "Level of delinquency on accounts",
+    explanation: "Late payments on open accounts weigh on your score",
+  },
+  "03": {
+    code: "03",
+    category: "credit_mix",
+    statement: "Too few bank revolving accounts",
+    explanation: "A well-managed credit card can strengthen your mix",
+  },
+  "05": {
+    code: "05",
+    category: "utilization",
+    statement: "Too many accounts with balances",
+    explanation: "Carrying balances on fewer accounts can help",
+  },
+  "08": {
+    code: "08",
+    category: "new_credit",
+    statement: "Too many inquiries last 12 months",
+    explanation: "Hard inquiries stop counting after 12 months",
+  },
+  "09": {
+    code: "09",
+    category: "new_credit",
+    statement: "Too many accounts recently opened",
+    explanation: "New accounts lower your average account age",
+  },
+  "10": {
+    code: "10",
+    category: "utilization",
+    statement:
+      "Proportion of balances to credit limits on revolving accounts is too high",
+    explanation: "Keeping utilization under 30% is generally recommended",
+  },
+  "13": {
+    code: "13",
+    category: "payment_history",
+    statement: "Time since delinquency is too recent or unknown",
+    explanation: "The impact of a late payment fades as it ages",
+  },
+  "14": {
+    code: "14",
+    category: "credit_age",
+    statement: "Length of time accounts have been established",
+    explanation: "Your history gets stronger as your accounts age",
+  },
+  "18": {
+    code: "18",
+    category: "payment_history",
+    statement: "Number of accounts with delinquency",
+    explanation: "Several accounts with late payments count against you",
+  },
+  "20": {
+    code: "20",
+    category: "payment_history",
+    statement:
+      "Length of time since derogatory public record or collection is too short",
+    explanation: "Recent collections and public records weigh most heavily",
+  },
+  "21": {
+    code: "21",
+    category: "payment_history",
+    statement: "Amount past due on accounts",
+    explanation: "Bringing past-due accounts current stops further damage",
+  },
+  "38": {
+    code: "38",
+    category: "payment_history",
+    statement: "Serious delinquency, and public record or collection filed",
+    explanation:
+      "Inaccurate collections or public records can be disputed with the bureau",
+  },
+  "39": {
+    code: "39",
+    category: "payment_history",
+    statement: "Serious delinquency",
+    explanation: "Accounts 90 or more days late have a major impact",
+  },
+  "40": {
+    code: "40",
+    category: "payment_history",
+    statement: "Derogatory public record or collection filed",
+    explanation:
+      "Inaccurate collections or public records can be disputed with the bureau",
+  },
+};
+
+const SEVERITY_WEIGHT: Record<FactorSeverity, number> = {
+  high: 3,
+  medium: 2,
+  low: 1,
+};
+
+/**
+ * Looks up a reason code; throws for codes missing from the catalogue
+ */
+export function getReasonCode(code: string): ReasonCode {
+  const reason = REASON_CODES[code];
+  if (!reason) {
+    throw new Error(`Unknown reason code: ${code}`);
+  }
+  return reason;
+}
+
+function factorImpactScore(factor: ScoreFactorDetail): number {
+  return (
+    SEVERITY_WEIGHT[factor.severity] * FACTOR_CATEGORIES[factor.category].weight
+  );
+}
+
+/**
+ * The catalogue entry behind a factor's reason code, or undefined when the
+ * code is unknown or belongs to another category
+ */
+export function resolveReasonCode(
+  factor: ScoreFactorDetail
+): ReasonCode | undefined {
+  const reason = factor.reasonCode
+    ? REASON_CODES[factor.reasonCode]
+    : undefined;
+  return reason?.category === factor.category ? reason : undefined;
+}
+
+const scoreFactorRules = createRuleSet<ScoreFactorDetail[]>([
+  {
+    id: "SCORE_FACTOR_REASON_CODE_UNKNOWN",
+    citation: FCRA("609(f)(1)(C)"),
+    severity: "error",
+    field: "reasonCode",
+    message: "Unknown reason code: {code}",
+    check: (factors) =>
+      factors.flatMap((factor, index) =>
+        factor.reasonCode && !REASON_CODES[factor.reasonCode]
+          ? [
+              {
+                field: `factors[${index}].reasonCode`,
+                params: { code: factor.reasonCode },
+              },
+            ]
+          : []
+      ),
+  },
+  {
+    id: "SCORE_FACTOR_REASON_CODE_MISMATCH",
+    citation: FCRA("609(f)(1)(C)"),
+    severity: "error",
+    field: "reasonCode",
+    message: "Reason code {code} belongs to {expected}, not {category}",
+    check: (factors) =>
+      factors.flatMap((factor, index) => {
+        const reason = factor.reasonCode
+          ? REASON_CODES[factor.reasonCode]
+          : undefined;
+        return reason && reason.category !== factor.category
+          ? [
+              {
+                field: `factors[${index}].reasonCode`,
+                params: {
+                  code: reason.code,
+                  expected: reason.category,
+                  category: factor.category,
+                },
+              },
+            ]
+          : [];
+      }),
+  },
+]);
+
+/**
+ * Checks each factor's reason code against the catalogue; ranking and the
+ * breakdown fall back to generic wording instead of throwing
+ */
+export function validateScoreFactors(
+  factors: ScoreFactorDetail[],
+  options?: RuleEvaluationOptions
+): ValidationResult {
+  return scoreFactorRules.evaluate(factors, options);
+}
+
+/**
+ * Orders factors by impact: negatives first, then by severity weighted by
+ * the category's share of the score
+ */
+export function rankScoreFactors(
+  factors: ScoreFactorDetail[]
+): RankedScoreFactor[] {
+  return factors
+    .map((factor) => {
+      const reason = resolveReasonCode(factor);
+      return {
+        ...factor,
+        statement:
+          factor.description ??
+          reason?.statement ??
+          FACTOR_CATEGORIES[factor.category].label,
+        explanation:
+          reason?.explanation ?? FACTOR_CATEGORIES[factor.category].explanation,
+      };
+    })
+    .sort((a, b) => {
+      if (a.impact !== b.impact) return a.impact === "negative" ? -1 : 1;
+      return factorImpactScore(b) - factorImpactScore(a);
+    })
+    .map((factor, index) => ({ ...factor, rank: index + 1 }));
+}
+
+/**
+ * Groups ranked factors by category, most impactful group first
+ */
+export function groupScoreFactors(
+  factors: ScoreFactorDetail[]
+): ScoreFactorGroup[] {
+  const groups = new Map<ScoreFactor, ScoreFactorGroup>();
+  for (const factor of rankScoreFactors(factors)) {
+    const group = groups.get(factor.category) ?? {
+      category: factor.category,
+      ...FACTOR_CATEGORIES[factor.category],
+      factors: [],
+    };
+    group.factors.push(factor);
+    groups.set(factor.category, group);
+  }
+  // Ranked input means insertion order already follows each group's top factor
+  return [...groups.values()];
+}
+
+/**
+ * Key factor reason codes for an adverse action or score disclosure,
+ * most impactful first and without duplicates; codes that fail
+ * validateScoreFactors are left out
+ */
+export function toAdverseActionReasons(
+  factors: ScoreFactorDetail[],
+  limit = 4
+): ReasonCode[] {
+  const reasons = new Map<string, ReasonCode>();
+  for (const factor of rankScoreFactors(factors)) {
+    const reason = resolveReasonCode(factor);
+    if (factor.impact === "negative" && reason) {
+      reasons.set(reason.code, reason);
+    }
+  }
+  return [...reasons.values()].slice(0, limit);
+}
+
+// Most key factors a score disclosure lists, before the inquiry exception
+export const KEY_FACTOR_LIMIT = 4;
+
+// Reason codes that report the number of inquiries
+export const INQUIRY_REASON_CODES = ["08"];
+
+/**
+ * Key factors for a credit score disclosure (FCRA §609(f)(1)(C)): the top
+ * four reasons, plus inquiries as a fifth when they adversely affected the
+ * score but rank lower (§609(f)(9))
+ */
+export function toKeyFactors(factors: ScoreFactorDetail[]): ReasonCode[] {
+  const reasons = toAdverseActionReasons(factors, Infinity);
+  const keyFactors = reasons.slice(0, KEY_FACTOR_LIMIT);
+  const inquiry = reasons
+    .slice(KEY_FACTOR_LIMIT)
+    .find((reason) => INQUIRY_REASON_CODES.includes(reason.code));
+  return inquiry ? [...keyFactors, inquiry] : keyFactors;
+}
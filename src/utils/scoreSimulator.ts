@@ -0,0 +1,479 @@
+/**
+ * Factor-based credit score simulator
+ * Projects a low/expected/high range for what-if scenarios used in
+ * dispute resolution planning. Estimates only - never a guarantee.
+ */
+
+import { CROA, type Citation } from "./complianceRules";
+import type { CreditReport, Tradeline } from "./creditReport";
+import {
+  DEFAULT_SCORE_MODEL,
+  getScoringModel,
+  type ScoreModelId,
+} from "./scoringModels";
+
+export type ScoreFactor =
+  | "payment_history"
+  | "utilization"
+  | "credit_age"
+  | "credit_mix"
+  | "new_credit";
+
+export type NegativeItemKind =
+  | "bankruptcy"
+  | "public_record"
+  | "charge_off"
+  | "collection"
+  | "late_90_plus"
+  | "late_60"
+  | "late_30"
+  | "unknown";
+
+export interface NegativeItem {
+  id: string;
+  kind: NegativeItemKind;
+  // Undefined when the report has no date of first delinquency
+  monthsSince?: number;
+}
+
+export interface CreditFactorProfile {
+  negativeItems: NegativeItem[];
+  revolvingBalance: number;
+  revolvingLimit: number;
+  utilization: number;
+  // Highest single-card utilization
+  maxCardUtilization: number;
+  averageAgeMonths: number;
+  accountTypes: Array<Tradeline["accountType"]>;
+  hardInquiries12Months: number;
+}
+
+export type SimulationAction =
+  | { type: "remove_items"; itemIds: string[] }
+  | { type: "pay_down"; tradelineId: string; targetUtilization: number }
+  | { type: "remove_inquiries"; inquiryIds: string[] };
+
+export interface SimulationScenario {
+  label: string;
+  actions: SimulationAction[];
+}
+
+export interface ScoreRange {
+  low: number;
+  expected: number;
+  high: number;
+}
+
+export interface FactorImpact {
+  factor: ScoreFactor;
+  points: ScoreRange;
+  explanation: string;
+}
+
+export interface ScoreSimulation {
+  scenario: string;
+  scoreModel: ScoreModelId;
+  currentScore: number;
+  projected: ScoreRange;
+  change: ScoreRange;
+  factors: FactorImpact[];
+  disclaimer: string;
+  citation: Citation;
+}
+
+// CROA 404(a) - no untrue or misleading representations of results
+export const SIMULATION_DISCLAIMER =
+  "Score projections are estimates for planning purposes only. Under the Credit Repair Organizations Act, no specific score increase or outcome is guaranteed, and actual results depend on bureau investigations and scoring model behavior.";
+
+// Typical point weight of each item type on a mid-range base FICO file
+const NEGATIVE_ITEM_WEIGHTS: Record<NegativeItemKind, number> = {
+  bankruptcy: 130,
+  public_record: 70,
+  charge_off: 60,
+  collection: 50,
+  late_90_plus: 45,
+  late_60: 35,
+  late_30: 25,
+  unknown: 35,
+};
+
+// Uncertainty band applied to every factor estimate
+const RANGE_LOW = 0.5;
+const RANGE_HIGH = 1.4;
+
+// Base FICO span that the point weights above are calibrated against
+const CALIBRATION_SPAN = 550;
+
+const MONTH_MS = 30.4375 * 24 * 60 * 60 * 1000;
+
+function monthsBetween(from: string, to: Date): number {
+  return Math.max(0, (to.getTime() - new Date(from).getTime()) / MONTH_MS);
+}
+
+/**
+ * Older items weigh less on the score as they age
+ */
+function recencyFactor(monthsSince: number | undefined): number {
+  if (monthsSince === undefined) return 0.5;
+  if (monthsSince < 12) return 1;
+  if (monthsSince < 24) return 0.8;
+  if (monthsSince < 48) return 0.55;
+  if (monthsSince < 84) return 0.35;
+  return 0.2;
+}
+
+function utilizationPenalty(ratio: number, maxCard: number): number {
+  let penalty: number;
+  if (ratio === 0) penalty = 10;
+  else if (ratio < 0.1) penalty = 0;
+  else if (ratio < 0.3) penalty = 15;
+  else if (ratio < 0.5) penalty = 35;
+  else if (ratio < 0.75) penalty = 55;
+  else if (ratio < 0.9) penalty = 70;
+  else penalty = 85;
+  return maxCard >= 0.9 ? penalty + 10 : penalty;
+}
+
+function inquiryPenalty(count: number): number {
+  return Math.min(count * 5, 30);
+}
+
+function classifyTradeline(tradeline: Tradeline): NegativeItemKind | null {
+  if (
+    tradeline.status === "charged_off" ||
+    tradeline.paymentStatus === "charge_off"
+  ) {
+    return "charge_off";
+  }
+  switch (tradeline.paymentStatus) {
+    case "collection":
+      return "collection";
+    case "repossession":
+    case "foreclosure":
+    case "late_90":
+    case "late_120":
+      return "late_90_plus";
+    case "late_60":
+      return "late_60";
+    case "late_30":
+      return "late_30";
+    default:
+      return null;
+  }
+}
+
+/**
+ * Extracts the scoring factors the simulator works from
+ */
+export function analyzeCreditFactors(
+  report: Pick<
+    CreditReport,
+    "tradelines" | "collections" | "publicRecords" | "inquiries"
+  >,
+  asOf: Date = new Date()
+): CreditFactorProfile {
+  const since = (date?: string) =>
+    date ? monthsBetween(date, asOf) : undefined;
+
+  const negativeItems: NegativeItem[] = [
+    ...report.tradelines.flatMap((tradeline) => {
+      const kind = classifyTradeline(tradeline);
+      return kind
+        ? [
+            {
+              id: tradeline.id,
+              kind,
+              monthsSince: since(tradeline.dateOfFirstDelinquency),
+            },
+          ]
+        : [];
+    }),
+    ...report.collections
+      .filter((collection) => collection.status === "unpaid")
+      .map((collection) => ({
+        id: collection.id,
+        kind: "collection" as const,
+        monthsSince: since(
+          collection.dateOfFirstDelinquency ?? collection.dateAssigned
+        ),
+      })),
+    ...report.publicRecords
+      .filter((record) => record.status !== "dismissed")
+      .map((record) => ({
+        id: record.id,
+        kind: record.type.startsWith("bankruptcy")
+          ? ("bankruptcy" as const)
+          : ("public_record" as const),
+        monthsSince: since(record.filedDate),
+      })),
+  ];
+
+  const revolving = report.tradelines.filter(
+    (tradeline) =>
+      tradeline.accountType === "revolving" && (tradeline.creditLimit ?? 0) > 0
+  );
+  const revolvingBalance = revolving.reduce((sum, t) => sum + t.balance, 0);
+  const revolvingLimit = revolving.reduce(
+    (sum, t) => sum + (t.creditLimit ?? 0),
+    0
+  );
+
+  const ages = report.tradelines.map((t) => monthsBetween(t.dateOpened, asOf));
+
+  return {
+    negativeItems,
+    revolvingBalance,
+    revolvingLimit,
+    utilization: revolvingLimit > 0 ? revolvingBalance / revolvingLimit : 0,
+    maxCardUtilization: Math.max(
+      0,
+      ...revolving.map((t) => t.balance / (t.creditLimit as number))
+    ),
+    averageAgeMonths: ages.length
+      ? ages.reduce((sum, age) => sum + age, 0) / ages.length
+      : 0,
+    accountTypes: [...new Set(report.tradelines.map((t) => t.accountType))],
+    hardInquiries12Months: report.inquiries.filter(
+      (inquiry) =>
+        inquiry.type === "hard" && monthsBetween(inquiry.date, asOf) < 12
+    ).length,
+  };
+}
+
+function toRange(points: number): ScoreRange {
+  return {
+    low: Math.round(points * RANGE_LOW),
+    expected: Math.round(points),
+    high: Math.round(points * RANGE_HIGH),
+  };
+}
+
+/**
+ * Expected gain from removing negative items
+ * Remaining derogatory marks keep holding the score down, so partial
+ * cleanups earn less than a clean file
+ */
+export function estimateItemRemovalGain(
+  removed: NegativeItem[],
+  remainingCount: number
+): number {
+  const raw = removed.reduce(
+    (sum, item) =>
+      sum + NEGATIVE_ITEM_WEIGHTS[item.kind] * recencyFactor(item.monthsSince),
+    0
+  );
+  return remainingCount === 0 ? raw : raw * 0.6;
+}
+
+// Each further removal in a count-only projection is worth this share of the
+// previous one, and the total is capped like the original flat estimate
+const COUNT_ONLY_DECAY = 0.9;
+const MAX_COUNT_ONLY_GAIN = 200;
+
+/**
+ * Projects removing a number of negative items when only a count is known
+ * Item type and age are unknown, so each uses a neutral weight with
+ * diminishing returns
+ */
+export function projectNegativeItemRemoval(
+  currentScore: number,
+  negativeItemCount: number,
+  scoreModel: ScoreModelId = DEFAULT_SCORE_MODEL
+): ScoreRange {
+  if (!Number.isSafeInteger(negativeItemCount) || negativeItemCount < 0) {
+    throw new Error("Negative item count must be a whole number of items");
+  }
+
+  const model = getScoringModel(scoreModel);
+  const perItem = NEGATIVE_ITEM_WEIGHTS.unknown * recencyFactor(undefined);
+  const raw =
+    (perItem * (1 - COUNT_ONLY_DECAY ** negativeItemCount)) /
+    (1 - COUNT_ONLY_DECAY);
+  const scale = (model.max - model.min) / CALIBRATION_SPAN;
+  const gain = toRange(raw * scale);
+  const clamp = (points: number) =>
+    Math.min(
+      currentScore + Math.min(points, Math.round(MAX_COUNT_ONLY_GAIN * scale)),
+      model.max
+    );
+
+  return {
+    low: clamp(gain.low),
+    expected: clamp(gain.expected),
+    high: clamp(gain.high),
+  };
+}
+
+function pluralize(count: number, noun: string): string {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+function percent(ratio: number): string {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Projects a score range for a what-if scenario against a bureau report
+ */
+export function simulateScoreScenario(params: {
+  currentScore: number;
+  report: Pick<
+    CreditReport,
+    "tradelines" | "collections" | "publicRecords" | "inquiries"
+  >;
+  scenario: SimulationScenario;
+  scoreModel?: ScoreModelId;
+  asOf?: Date;
+}): ScoreSimulation {
+  const {
+    currentScore,
+    report,
+    scenario,
+    scoreModel = DEFAULT_SCORE_MODEL,
+    asOf = new Date(),
+  } = params;
+  const model = getScoringModel(scoreModel);
+
+  if (currentScore < model.min || currentScore > model.max) {
+    throw new Error("Invalid current credit score");
+  }
+
+  const removedItemIds = new Set(
+    scenario.actions.flatMap((action) =>
+      action.type === "remove_items" ? action.itemIds : []
+    )
+  );
+  const removedInquiryIds = new Set(
+    scenario.actions.flatMap((action) =>
+      action.type === "remove_inquiries" ? action.inquiryIds : []
+    )
+  );
+  const payDowns = new Map(
+    scenario.actions.flatMap((action) =>
+      action.type === "pay_down"
+        ? [[action.tradelineId, action.targetUtilization] as const]
+        : []
+    )
+  );
+
+  const adjusted = {
+    tradelines: report.tradelines
+      .filter((tradeline) => !removedItemIds.has(tradeline.id))
+      .map((tradeline) =>
+        payDowns.has(tradeline.id) && tradeline.creditLimit
+          ? {
+              ...tradeline,
+              balance: Math.min(
+                tradeline.balance,
+                tradeline.creditLimit * (payDowns.get(tradeline.id) as number)
+              ),
+            }
+          : tradeline
+      ),
+    collections: report.collections.filter(
+      (collection) => !removedItemIds.has(collection.id)
+    ),
+    publicRecords: report.publicRecords.filter(
+      (record) => !removedItemIds.has(record.id)
+    ),
+    inquiries: report.inquiries.filter(
+      (inquiry) => !removedInquiryIds.has(inquiry.id)
+    ),
+  };
+
+  const before = analyzeCreditFactors(report, asOf);
+  const after = analyzeCreditFactors(adjusted, asOf);
+  const scale = (model.max - model.min) / CALIBRATION_SPAN;
+  const factors: FactorImpact[] = [];
+
+  const removedNegatives = before.negativeItems.filter((item) =>
+    removedItemIds.has(item.id)
+  );
+  if (removedNegatives.length > 0) {
+    const remaining = after.negativeItems.length;
+    factors.push({
+      factor: "payment_history",
+      points: toRange(
+        estimateItemRemovalGain(removedNegatives, remaining) * scale
+      ),
+      explanation:
+        `Removing ${pluralize(removedNegatives.length, "negative item")} improves payment history` +
+        (remaining > 0
+          ? `; ${pluralize(remaining, "remaining negative item")} will continue to limit the gain.`
+          : " and leaves no derogatory marks on the file."),
+    });
+  }
+
+  const utilizationGain =
+    utilizationPenalty(before.utilization, before.maxCardUtilization) -
+    utilizationPenalty(after.utilization, after.maxCardUtilization);
+  if (utilizationGain !== 0) {
+    factors.push({
+      factor: "utilization",
+      points: toRange(utilizationGain * scale),
+      explanation: `Revolving utilization moves from ${percent(before.utilization)} to ${percent(after.utilization)}.`,
+    });
+  }
+
+  const inquiryGain =
+    inquiryPenalty(before.hardInquiries12Months) -
+    inquiryPenalty(after.hardInquiries12Months);
+  if (inquiryGain !== 0) {
+    factors.push({
+      factor: "new_credit",
+      points: toRange(inquiryGain * scale),
+      explanation: `Hard inquiries in the last 12 months drop from ${before.hardInquiries12Months} to ${after.hardInquiries12Months}.`,
+    });
+  }
+
+  // Removing an old account can shorten history or thin the credit mix
+  const ageChange = after.averageAgeMonths - before.averageAgeMonths;
+  if (Math.abs(ageChange) >= 6) {
+    factors.push({
+      factor: "credit_age",
+      points: toRange(Math.max(-15, Math.min(15, ageChange / 6)) * scale),
+      explanation: `Average account age changes from ${Math.round(before.averageAgeMonths)} to ${Math.round(after.averageAgeMonths)} months.`,
+    });
+  }
+
+  const lostTypes = before.accountTypes.filter(
+    (type) => !after.accountTypes.includes(type)
+  );
+  if (lostTypes.length > 0) {
+    factors.push({
+      factor: "credit_mix",
+      points: toRange(-10 * lostTypes.length * scale),
+      explanation: `The file would no longer show ${lostTypes.join(", ")} accounts.`,
+    });
+  }
+
+  const clamp = (score: number) =>
+    Math.max(model.min, Math.min(model.max, score));
+  const total = (key: keyof ScoreRange) =>
+    factors.reduce((sum, factor) => sum + factor.points[key], 0);
+
+  // Range bounds stay ordered even when some factors are negative
+  const totals = [total("low"), total("expected"), total("high")].sort(
+    (a, b) => a - b
+  );
+  const projected: ScoreRange = {
+    low: clamp(currentScore + totals[0]),
+    expected: clamp(currentScore + total("expected")),
+    high: clamp(currentScore + totals[2]),
+  };
+
+  return {
+    scenario: scenario.label,
+    scoreModel,
+    currentScore,
+    projected,
+    change: {
+      low: projected.low - currentScore,
+      expected: projected.expected - currentScore,
+      high: projected.high - currentScore,
+    },
+    factors,
+    disclaimer: SIMULATION_DISCLAIMER,
+    citation: CROA("404(a)"),
+  };
+}
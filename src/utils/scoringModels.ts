@@ -0,0 +1,148 @@
+/**
+ * Credit scoring model registry
+ * The Credit Pros - Credit Repair Domain
+ */
+
+export type ScoreModelId =
+  | "FICO_8"
+  | "FICO_9"
+  | "FICO_10"
+  | "FICO_10T"
+  | "FICO_AUTO_8"
+  | "FICO_AUTO_9"
+  | "FICO_BANKCARD_8"
+  | "FICO_BANKCARD_9"
+  | "VANTAGESCORE_3"
+  | "VANTAGESCORE_4";
+
+export type ScoreTierId =
+  | "EXCELLENT"
+  | "VERY_GOOD"
+  | "GOOD"
+  | "FAIR"
+  | "POOR"
+  | "VERY_POOR";
+
+export interface ScoreTier {
+  id: ScoreTierId;
+  label: string;
+  min: number;
+  max: number;
+}
+
+export interface ScoringModel {
+  id: ScoreModelId;
+  family: "FICO" | "VantageScore";
+  name: string;
+  min: number;
+  max: number;
+  // Ordered from highest to lowest band
+  tiers: ScoreTier[];
+}
+
+export const DEFAULT_SCORE_MODEL: ScoreModelId = "FICO_8";
+
+// FICO base scores (300-850) - published FICO ranges
+const FICO_BASE_TIERS: ScoreTier[] = [
+  { id: "EXCELLENT", label: "Excellent", min: 800, max: 850 },
+  { id: "VERY_GOOD", label: "Very Good", min: 740, max: 799 },
+  { id: "GOOD", label: "Good", min: 670, max: 739 },
+  { id: "FAIR", label: "Fair", min: 580, max: 669 },
+  { id: "POOR", label: "Poor", min: 300, max: 579 },
+];
+
+// FICO industry-specific scores (Auto, Bankcard) use a 250-900 scale
+const FICO_INDUSTRY_TIERS: ScoreTier[] = [
+  { id: "EXCELLENT", label: "Excellent", min: 820, max: 900 },
+  { id: "VERY_GOOD", label: "Very Good", min: 750, max: 819 },
+  { id: "GOOD", label: "Good", min: 670, max: 749 },
+  { id: "FAIR", label: "Fair", min: 570, max: 669 },
+  { id: "POOR", label: "Poor", min: 250, max: 569 },
+];
+
+// VantageScore 3.0 and 4.0 (300-850) - published VantageScore ranges
+const VANTAGESCORE_TIERS: ScoreTier[] = [
+  { id: "EXCELLENT", label: "Excellent", min: 781, max: 850 },
+  { id: "GOOD", label: "Good", min: 661, max: 780 },
+  { id: "FAIR", label: "Fair", min: 601, max: 660 },
+  { id: "POOR", label: "Poor", min: 500, max: 600 },
+  { id: "VERY_POOR", label: "Very Poor", min: 300, max: 499 },
+];
+
+function ficoBase(id: ScoreModelId, name: string): ScoringModel {
+  return {
+    id,
+    family: "FICO",
+    name,
+    min: 300,
+    max: 850,
+    tiers: FICO_BASE_TIERS,
+  };
+}
+
+function ficoIndustry(id: ScoreModelId, name: string): ScoringModel {
+  return {
+    id,
+    family: "FICO",
+    name,
+    min: 250,
+    max: 900,
+    tiers: FICO_INDUSTRY_TIERS,
+  };
+}
+
+function vantageScore(id: ScoreModelId, name: string): ScoringModel {
+  return {
+    id,
+    family: "VantageScore",
+    name,
+    min: 300,
+    max: 850,
+    tiers: VANTAGESCORE_TIERS,
+  };
+}
+
+export const SCORING_MODELS: Record<ScoreModelId, ScoringModel> = {
+  FICO_8: ficoBase("FICO_8", "FICO Score 8"),
+  FICO_9: ficoBase("FICO_9", "FICO Score 9"),
+  FICO_10: ficoBase("FICO_10", "FICO Score 10"),
+  FICO_10T: ficoBase("FICO_10T", "FICO Score 10 T"),
+  FICO_AUTO_8: ficoIndustry("FICO_AUTO_8", "FICO Auto Score 8"),
+  FICO_AUTO_9: ficoIndustry("FICO_AUTO_9", "FICO Auto Score 9"),
+  FICO_BANKCARD_8: ficoIndustry("FICO_BANKCARD_8", "FICO Bankcard Score 8"),
+  FICO_BANKCARD_9: ficoIndustry("FICO_BANKCARD_9", "FICO Bankcard Score 9"),
+  VANTAGESCORE_3: vantageScore("VANTAGESCORE_3", "VantageScore 3.0"),
+  VANTAGESCORE_4: vantageScore("VANTAGESCORE_4", "VantageScore 4.0"),
+};
+
+export function isScoreModelId(value: unknown): value is ScoreModelId {
+  return (
+    typeof value === "string" &&
+    Object.prototype.hasOwnProperty.call(SCORING_MODELS, value)
+  );
+}
+
+/**
+ * Looks up a scoring model definition by id
+ * Throws for models we do not receive from any bureau
+ */
+export function getScoringModel(
+  modelId: ScoreModelId = DEFAULT_SCORE_MODEL
+): ScoringModel {
+  if (!isScoreModelId(modelId)) {
+    throw new Error(`Unknown scoring model: ${modelId}`);
+  }
+  return SCORING_MODELS[modelId];
+}
+
+/**
+ * Resolves the score tier for a score within its model's range
+ * Scores outside the range fall into the nearest tier
+ */
+export function getScoreTier(
+  score: number,
+  modelId: ScoreModelId = DEFAULT_SCORE_MODEL
+): ScoreTier {
+  const { tiers } = getScoringModel(modelId);
+  return tiers.find((tier) => score >= tier.min) ?? tiers[tiers.length - 1];
+}
@@ -0,0 +1,18 @@
+/**
+ * Contract suite setup
+ * Starts the local mock credit API unless API_BASE_URL points at a real one
+ */
+
+import MockCreditApiServer from "../../scripts/mock-credit-api.cjs";
+
+export default async function setup({ provide }) {
+  if (process.env.API_BASE_URL) {
+    provide("apiBaseUrl", process.env.API_BASE_URL);
+    return undefined;
+  }
+
+  // Port 0 picks a free port so a running dev API never collides
+  const server = new MockCreditApiServer({ port: 0 });
+  provide("apiBaseUrl", await server.start());
+  return () => server.stop();
+}
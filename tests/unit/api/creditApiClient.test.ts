@@ -0,0 +1,439 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  AxiosError,
+  AxiosHeaders,
+  type AxiosAdapter,
+  type AxiosResponse,
+  type InternalAxiosRequestConfig,
+} from "axios";
+import {
+  createBrowserSessionStore,
+  createCreditApiClient,
+  toCreditData,
+  toCreditScoreProps,
+} from "../../../src/api/creditApiClient";
+import {
+  ApiError,
+  ConsentRequiredError,
+  FcraViolationError,
+  ForbiddenError,
+  PermissionDeniedError,
+  ResponseValidationError,
+  UnauthorizedError,
+} from "../../../src/api/errors";
+import type { CreditReportResponse } from "../../../src/api/types";
+import { createConsentRegistry } from "../../../src/utils/consent";
+import type { Principal } from "../../../src/utils/permissions";
+
+type Reply = { status: number; data: unknown } | "network";
+
+const reportBody: CreditReportResponse = {
+  data: {
+    credit_score: 720,
+    score_model: "FICO_8",
+    score_date: "2024-03-01",
+  },
+  meta: {
+    audit_id: "aud-123",
+    retrieved_at: "2024-03-01T12:00:00Z",
+    compliance_validated: true,
+  },
+};
+
+// Serves replies in order and records each request the client made
+function createAdapter(...replies: Reply[]) {
+  const requests: InternalAxiosRequestConfig[] = [];
+  const adapter: AxiosAdapter = async (config) => {
+    requests.push(config);
+    const reply = replies.shift() ?? "network";
+    if (reply === "network") {
+      throw new AxiosError("Network Error", "ERR_NETWORK", config);
+    }
+    const response: AxiosResponse = {
+      ...reply,
+      statusText: String(reply.status),
+      headers: new AxiosHeaders(),
+      config,
+    };
+    if (reply.status >= 400) {
+      throw new AxiosError(
+        `Request failed with status code ${reply.status}`,
+        "ERR_BAD_RESPONSE",
+        config,
+        undefined,
+        response
+      );
+    }
+    return response;
+  };
+  return { adapter, requests };
+}
+
+const login = { status: 200, data: { token: "sess-1" } };
+
+const agent: Principal = { id: "agent-7", role: "agent" };
+
+// Active credit_application authorizations for the consumers used below
+function grantedConsent() {
+  const consent = createConsentRegistry();
+  for (const consumerId of ["consumer-123", "c-1"]) {
+    consent.grant({
+      consumerId,
+      permissiblePurpose: "credit_application",
+      scope: ["credit_report"],
+      signatureMethod: "drawn_signature",
+      signature: "Jane Doe",
+      documentVersion: "2025-08",
+    });
+  }
+  return consent;
+}
+
+function createClient(...replies: Reply[]) {
+  const { adapter, requests } = createAdapter(...replies);
+  const sleep = vi.fn(async () => {});
+  const client = createCreditApiClient({
+    adapter,
+    sleep,
+    principal: () => agent,
+    consent: grantedConsent(),
+  });
+  return { client, requests, sleep };
+}
+
+describe("Credit API Client", () => {
+  it("should sign in and send the bearer session with report requests", async () => {
+    const { client, requests } = createClient(login, {
+      status: 200,
+      data: reportBody,
+    });
+
+    await client.login("agent@example.com", "pw");
+    const report = await client.getCreditReport(
+      "consumer-123",
+      "credit_application"
+    );
+
+    expect(client.isAuthenticated()).toBe(true);
+    expect(report.meta.audit_id).toBe("aud-123");
+    expect(requests[1].url).toBe("/credit-reports/consumer-123");
+    expect(requests[1].params).toEqual({
+      permissible_purpose: "credit_application",
+    });
+    expect(requests[1].headers.Authorization).toBe("Bearer sess-1");
+  });
+
+  it("should reject an invalid permissible purpose without calling the API", async () => {
+    const { client, requests } = createClient(login);
+    await client.login("agent@example.com", "pw");
+
+    await expect(
+      client.getCreditReport("consumer-123", "curiosity")
+    ).rejects.toBeInstanceOf(FcraViolationError);
+    expect(requests).toHaveLength(1);
+  });
+
+  it("should require a session before requesting credit data", async () => {
+    const { client, requests } = createClient();
+
+    await expect(
+      client.getCreditReport("consumer-123", "credit_application")
+    ).rejects.toBeInstanceOf(UnauthorizedError);
+    expect(requests).toHaveLength(0);
+  });
+
+  it("should refuse credit calls the principal is not allowed to make", async () => {
+    const { adapter, requests } = createAdapter(login);
+    let principal: Principal = { id: "u-1", role: "compliance" };
+    const client = createCreditApiClient({
+      adapter,
+      sleep: async () => {},
+      principal: () => principal,
+      consent: grantedConsent(),
+    });
+    await client.login("compliance@example.com", "pw");
+
+    await expect(
+      client.getCreditReport("consumer-123", "credit_application")
+    ).rejects.toMatchObject({
+      name: "PermissionDeniedError",
+      code: "PERMISSION_DENIED",
+      status: 403,
+      capability: "credit:pull",
+    });
+    await expect(
+      client.calculateScore({
+        payment_history: 85,
+        credit_utilization: 20,
+        length_of_history: 75,
+        credit_mix: 60,
+        new_credit: 40,
+        permissible_purpose: "credit_application",
+      })
+    ).rejects.toBeInstanceOf(PermissionDeniedError);
+    expect(requests).toHaveLength(1);
+
+    // The principal is read per call, so a role change applies immediately
+    principal = { id: "u-1", role: "agent" };
+    await expect(
+      client.getCreditReport("consumer-123", "credit_application")
+    ).rejects.toMatchObject({ code: "NETWORK_ERROR" });
+    expect(requests).toHaveLength(4);
+  });
+
+  it("should refuse credit calls without a principal", async () => {
+    const { adapter, requests } = createAdapter(login);
+    const client = createCreditApiClient({ adapter });
+    await client.login("agent@example.com", "pw");
+
+    await expect(
+      client.getCreditReport("consumer-123", "credit_application")
+    ).rejects.toBeInstanceOf(PermissionDeniedError);
+
+    const signedOut = createCreditApiClient({ adapter, principal: () => null });
+    await expect(
+      signedOut.getCreditReport("consumer-123", "credit_application")
+    ).rejects.toBeInstanceOf(PermissionDeniedError);
+    expect(requests).toHaveLength(1);
+  });
+
+  it("should refuse report pulls without the consumer's active consent", async () => {
+    const { adapter, requests } = createAdapter(login, {
+      status: 200,
+      data: reportBody,
+    });
+    let now = new Date("2024-03-01T12:00:00Z");
+    const consent = createConsentRegistry({ now: () => now });
+    const client = createCreditApiClient({
+      adapter,
+      consent,
+      principal: () => agent,
+    });
+    await client.login("agent@example.com", "pw");
+
+    await expect(
+      client.getCreditReport("consumer-123", "credit_application")
+    ).rejects.toMatchObject({ code: "CONSENT_REQUIRED", reason: "absent" });
+
+    consent.grant({
+      consumerId: "consumer-123",
+      permissiblePurpose: "credit_application",
+      scope: ["credit_report"],
+      signatureMethod: "drawn_signature",
+      signature: "Jane Doe",
+      documentVersion: "2025-08",
+      expiresAt: "2024-04-01T00:00:00Z",
+    });
+    await expect(
+      client.getCreditReport("consumer-123", "credit_application")
+    ).resolves.toMatchObject({ meta: { audit_id: "aud-123" } });
+
+    now = new Date("2024-04-01T00:00:00Z");
+    await expect(
+      client.getCreditReport("consumer-123", "credit_application")
+    ).rejects.toBeInstanceOf(ConsentRequiredError);
+    await expect(
+      client.getCreditReport("consumer-123", "credit_application")
+    ).rejects.toMatchObject({ reason: "expired" });
+    expect(requests).toHaveLength(2);
+  });
+
+  it("should refuse report pulls without a consent ledger", async () => {
+    const { adapter, requests } = createAdapter(login);
+    const client = createCreditApiClient({ adapter, principal: () => agent });
+    await client.login("agent@example.com", "pw");
+
+    await expect(
+      client.getCreditReport("consumer-123", "credit_application")
+    ).rejects.toMatchObject({ code: "CONSENT_REQUIRED", reason: "absent" });
+    expect(requests).toHaveLength(1);
+  });
+
+  it("should reject, not throw, when the consent store cannot be read", async () => {
+    const { adapter, requests } = createAdapter(login);
+    const client = createCreditApiClient({
+      adapter,
+      principal: () => agent,
+      consent: createConsentRegistry({
+        store: {
+          load: () => {
+            throw new Error("Corrupt consent store: tcp.consents");
+          },
+          save: () => {},
+        },
+      }),
+    });
+    await client.login("agent@example.com", "pw");
+
+    let pull: Promise<unknown> | undefined;
+    expect(() => {
+      pull = client.getCreditReport("consumer-123", "credit_application");
+    }).not.toThrow();
+    await expect(pull).rejects.toThrow("Corrupt consent store: tcp.consents");
+    expect(requests).toHaveLength(1);
+  });
+
+  it("should map 401 and 403 responses onto typed errors", async () => {
+    const { client } = createClient(
+      login,
+      {
+        status: 403,
+        data: { error: "Purpose rejected", code: "FCRA_VIOLATION" },
+      },
+      { status: 403, data: { error: "Not your client", code: "FORBIDDEN" } },
+      { status: 401, data: { error: "Session expired", code: "UNAUTHORIZED" } }
+    );
+    await client.login("agent@example.com", "pw");
+
+    const fcra = client.getCreditReport("c-1", "credit_application");
+    await expect(fcra).rejects.toBeInstanceOf(FcraViolationError);
+    await expect(fcra).rejects.toMatchObject({
+      status: 403,
+      code: "FCRA_VIOLATION",
+      message: "Purpose rejected",
+    });
+
+    const forbidden = client.getCreditReport("c-1", "credit_application");
+    await expect(forbidden).rejects.toBeInstanceOf(ForbiddenError);
+    await expect(forbidden).rejects.not.toBeInstanceOf(FcraViolationError);
+
+    await expect(
+      client.getCreditReport("c-1", "credit_application")
+    ).rejects.toBeInstanceOf(UnauthorizedError);
+    expect(client.isAuthenticated()).toBe(false);
+  });
+
+  it("should retry reads on network errors and 5xx with backoff", async () => {
+    const { client, requests, sleep } = createClient(
+      login,
+      "network",
+      { status: 503, data: { error: "Unavailable", code: "UNAVAILABLE" } },
+      { status: 200, data: reportBody }
+    );
+    await client.login("agent@example.com", "pw");
+
+    const report = await client.getCreditReport("c-1", "credit_application");
+
+    expect(report.data.credit_score).toBe(720);
+    expect(requests).toHaveLength(4);
+    expect(sleep).toHaveBeenNthCalledWith(1, 300);
+    expect(sleep).toHaveBeenNthCalledWith(2, 600);
+  });
+
+  it("should send one idempotency key across the retries of a pull", async () => {
+    const { client, requests } = createClient(
+      login,
+      "network",
+      { status: 200, data: reportBody },
+      { status: 200, data: reportBody }
+    );
+    await client.login("agent@example.com", "pw");
+
+    await client.getCreditReport("c-1", "credit_application");
+    await client.getCreditReport("c-1", "credit_application");
+
+    const keys = requests
+      .slice(1)
+      .map((request) => request.headers["Idempotency-Key"]);
+    expect(keys[0]).toEqual(expect.any(String));
+    expect(keys[1]).toBe(keys[0]);
+    expect(keys[2]).not.toBe(keys[0]);
+  });
+
+  it("should give up after the retry budget", async () => {
+    const { client } = createClient(login, "network", "network", "network");
+    await client.login("agent@example.com", "pw");
+
+    await expect(
+      client.getCreditReport("c-1", "credit_application")
+    ).rejects.toMatchObject({ code: "NETWORK_ERROR" });
+  });
+
+  it("should not retry score calculations", async () => {
+    const { client, requests } = createClient(login, {
+      status: 500,
+      data: { error: "Calculation failed", code: "SERVER_ERROR" },
+    });
+    await client.login("agent@example.com", "pw");
+
+    const calculation = client.calculateScore({
+      payment_history: 85,
+      credit_utilization: 20,
+      length_of_history: 75,
+      credit_mix: 60,
+      new_credit: 40,
+      permissible_purpose: "credit_application",
+    });
+
+    await expect(calculation).rejects.toBeInstanceOf(ApiError);
+    await expect(calculation).rejects.toMatchObject({ status: 500 });
+    expect(requests).toHaveLength(2);
+  });
+
+  it("should reject responses that break the contract", async () => {
+    const { client } = createClient(login, {
+      status: 200,
+      data: { ...reportBody, data: { ...reportBody.data, credit_score: 900 } },
+    });
+    await client.login("agent@example.com", "pw");
+
+    await expect(
+      client.getCreditReport("c-1", "credit_application")
+    ).rejects.toBeInstanceOf(ResponseValidationError);
+  });
+
+  it("should drop expired sessions", async () => {
+    const { adapter } = createAdapter({
+      status: 200,
+      data: { token: "sess-1", expires_at: "2024-03-01T12:00:00Z" },
+    });
+    let now = new Date("2024-03-01T11:00:00Z");
+    const client = createCreditApiClient({ adapter, now: () => now });
+
+    await client.login("agent@example.com", "pw");
+    expect(client.isAuthenticated()).toBe(true);
+
+    now = new Date("2024-03-01T12:00:01Z");
+    expect(client.isAuthenticated()).toBe(false);
+  });
+
+  it("should keep the session in sessionStorage across clients", async () => {
+    sessionStorage.clear();
+    const { adapter } = createAdapter(login);
+    await createCreditApiClient({
+      adapter,
+      sessionStore: createBrowserSessionStore(),
+    }).login("agent@example.com", "pw");
+
+    const reloaded = createCreditApiClient({
+      sessionStore: createBrowserSessionStore(),
+    });
+    expect(reloaded.isAuthenticated()).toBe(true);
+    reloaded.logout();
+    expect(sessionStorage.length).toBe(0);
+  });
+
+  describe("mappers", () => {
+    it("should map a report response onto CreditData", () => {
+      expect(
+        toCreditData(reportBody, {
+          bureauSource: "Experian",
+          permissiblePurpose: "credit_application",
+        })
+      ).toEqual({
+        score: 720,
+        scoreModel: "FICO_8",
+        reportDate: "2024-03-01",
+        bureauSource: "Experian",
+        permissiblePurpose: "credit_application",
+      });
+    });
+
+    it("should map a report response onto component props", () => {
+      expect(toCreditScoreProps(reportBody)).toEqual({
+        score: 720,
+        date: "2024-03-01",
+      });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect } from "vitest";
+import {
+  getResponseSchema,
+  validateApiResponse,
+  validateSchema,
+  type OpenApiDocument,
+} from "../../../src/api/schemaValidator";
+import { API_SPEC } from "../../../src/api/validation";
+
+const document: OpenApiDocument = {
+  paths: {
+    "/items/{id}": {
+      get: {
+        responses: {
+          "200": {
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Item" },
+              },
+            },
+          },
+          "404": { $ref: "#/components/responses/NotFound" },
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Item: {
+        type: "object",
+        required: ["id", "tags"],
+        additionalProperties: false,
+        properties: {
+          id: { type: "integer", minimum: 1 },
+          tags: { type: "array", items: { type: "string" } },
+          kind: { type: "string", enum: ["a", "b"] },
+          closedAt: { type: "string", format: "date-time", nullable: true },
+        },
+      },
+    },
+    responses: {
+      NotFound: {
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["error"],
+              properties: { error: { type: "string" } },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const item = { $ref: "#/components/schemas/Item" };
+
+describe("OpenAPI Schema Validator", () => {
+  it("should accept conforming values", () => {
+    expect(
+      validateSchema(
+        { id: 3, tags: ["x"], kind: "a", closedAt: null },
+        item,
+        document
+      )
+    ).toEqual([]);
+  });
+
+  it("should report every violation with its path", () => {
+    expect(
+      validateSchema(
+        { id: 0, tags: ["x", 2], kind: "c", closedAt: "soon", extra: true },
+        item,
+        document
+      )
+    ).toEqual([
+      "id must be >= 1",
+      "tags[1] must be string, got number",
+      "kind must be one of a, b",
+      "closedAt must be an ISO date string",
+      "extra is not allowed",
+    ]);
+    expect(validateSchema({ id: 1.5 }, item, document)).toEqual([
+      "id must be integer, got number",
+      "tags is required",
+    ]);
+    expect(validateSchema([], item, document)).toEqual([
+      "body must be object, got array",
+    ]);
+  });
+
+  it("should resolve path templates and shared responses", () => {
+    expect(getResponseSchema(document, "GET", "/items/42?full=1", 200)).toEqual(
+      item
+    );
+    expect(
+      validateApiResponse(document, {
+        method: "get",
+        path: "/items/42",
+        status: 404,
+        body: { message: "gone" },
+      })
+    ).toEqual(["error is required"]);
+  });
+
+  it("should flag undocumented operations and statuses", () => {
+    expect(
+      validateApiResponse(document, {
+        method: "DELETE",
+        path: "/items/42",
+        status: 204,
+        body: undefined,
+      })
+    ).toEqual(["No operation for DELETE /items/42"]);
+    expect(
+      validateApiResponse(document, {
+        method: "GET",
+        path: "/items/42",
+        status: 500,
+        body: {},
+      })
+    ).toEqual(["Undocumented status 500 for GET /items/42"]);
+  });
+
+  it("should validate credit API responses against the shipped spec", () => {
+    expect(
+      validateApiResponse(API_SPEC, {
+        method: "GET",
+        path: "/credit-reports/test-consumer-123",
+        status: 403,
+        body: { error: "Permissible purpose required", code: "FCRA_VIOLATION" },
+      })
+    ).toEqual([]);
+    expect(
+      validateApiResponse(API_SPEC, {
+        method: "POST",
+        path: "/credit-score/calculate",
+        status: 200,
+        body: { score: 950, calculation_method: "FICO_8" },
+      })
+    ).toEqual([
+      "score must be <= 900",
+      "audit_id is required",
+      "timestamp is required",
+    ]);
+  });
+});
@@ -0,0 +1,275 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  ConsentRequiredError,
+  FcraViolationError,
+  RefreshLimitError,
+} from "../../../src/api/errors";
+import {
+  REFRESH_ACTION,
+  createScoreRefresher,
+} from "../../../src/api/scoreRefresh";
+import type { CreditReportResponse } from "../../../src/api/types";
+import { createAuditLog } from "../../../src/utils/auditTrail";
+import {
+  createConsentRegistry,
+  type ConsentChecker,
+} from "../../../src/utils/consent";
+
+function reportWith(score: number): CreditReportResponse {
+  return {
+    data: {
+      credit_score: score,
+      score_model: "FICO_8",
+      score_date: "2025-08-01",
+    },
+    meta: {
+      audit_id: "srv-1",
+      retrieved_at: "2025-08-01T00:00:00Z",
+      compliance_validated: true,
+    },
+  };
+}
+
+function setup(
+  options: {
+    purpose?: string;
+    scores?: number[];
+    consent?: ConsentChecker;
+  } = {}
+) {
+  let clock = new Date("2025-08-01T00:00:00Z");
+  const now = () => clock;
+  const advanceDays = (days: number) => {
+    clock = new Date(clock.getTime() + days * 24 * 60 * 60 * 1000);
+  };
+  const scores = [...(options.scores ?? [700, 712, 709, 720])];
+  const client = {
+    getCreditReport: vi.fn(async () => reportWith(scores.shift() ?? 700)),
+  };
+  const auditLog = createAuditLog({ now });
+  // An active authorization on file unless the test brings its own ledger
+  const registry = createConsentRegistry({ now });
+  registry.grant({
+    consumerId: "consumer-1",
+    permissiblePurpose: "account_review",
+    scope: ["credit_report"],
+    signatureMethod: "typed_name",
+    signature: "Jane Doe",
+    documentVersion: "2025-08",
+  });
+  const refresher = createScoreRefresher({
+    client,
+    auditLog,
+    actor: { id: "agent-7", role: "agent" },
+    consumerId: "consumer-1",
+    permissiblePurpose: options.purpose ?? "account_review",
+    maxPulls: 2,
+    periodDays: 30,
+    now,
+    consent: options.consent ?? registry,
+  });
+  return { client, auditLog, refresher, advanceDays };
+}
+
+describe("Score Refresh", () => {
+  it("should pull a new score and report the delta", async () => {
+    const { client, auditLog, refresher } = setup();
+
+    const result = await refresher.refresh(690);
+
+    expect(client.getCreditReport).toHaveBeenCalledWith(
+      "consumer-1",
+      "account_review"
+    );
+    expect(result).toMatchObject({
+      score: 700,
+      date: "2025-08-01",
+      previousScore: 690,
+      delta: 10,
+      remaining: 1,
+    });
+    const [entry] = auditLog.entries();
+    expect(entry).toMatchObject({
+      action: REFRESH_ACTION,
+      consumerId: "consumer-1",
+      outcome: "success",
+      resultSummary: { score: 700 },
+    });
+    expect(result.auditId).toBe(entry.auditId);
+  });
+
+  it("should omit the delta without a previous score", async () => {
+    const { refresher } = setup();
+    const result = await refresher.refresh();
+    expect(result).not.toHaveProperty("delta");
+  });
+
+  it("should cap pulls per rolling period and audit the denial", async () => {
+    const { client, auditLog, refresher, advanceDays } = setup();
+
+    await refresher.refresh();
+    advanceDays(10);
+    await refresher.refresh();
+    expect(refresher.remaining()).toBe(0);
+    expect(refresher.nextAvailableAt()).toBe("2025-08-31T00:00:00.000Z");
+
+    const denied = refresher.refresh();
+    await expect(denied).rejects.toBeInstanceOf(RefreshLimitError);
+    await expect(denied).rejects.toMatchObject({
+      status: 429,
+      retryAt: "2025-08-31T00:00:00.000Z",
+    });
+    expect(client.getCreditReport).toHaveBeenCalledTimes(2);
+    expect(auditLog.entries()[2]).toMatchObject({
+      outcome: "denied",
+      reason: expect.stringContaining("Refresh limit of 2 reached"),
+    });
+
+    advanceDays(21);
+    expect(refresher.remaining()).toBe(1);
+    await expect(refresher.refresh()).resolves.toMatchObject({ score: 709 });
+    expect(auditLog.verify().valid).toBe(true);
+  });
+
+  it("should reserve the limit for pulls still in flight", async () => {
+    const { client, auditLog, refresher } = setup();
+    const pending: ((report: CreditReportResponse) => void)[] = [];
+    client.getCreditReport.mockImplementation(
+      () => new Promise((resolve) => pending.push(resolve))
+    );
+
+    const first = refresher.refresh();
+    const second = refresher.refresh();
+    expect(refresher.remaining()).toBe(0);
+    expect(refresher.nextAvailableAt()).toBe("2025-08-31T00:00:00.000Z");
+    await expect(refresher.refresh()).rejects.toBeInstanceOf(RefreshLimitError);
+    expect(client.getCreditReport).toHaveBeenCalledTimes(2);
+
+    // The second pull finishes first; each result keeps its own audit entry
+    pending[1](reportWith(712));
+    const secondResult = await second;
+    pending[0](reportWith(700));
+    const firstResult = await first;
+
+    const success = auditLog
+      .entries()
+      .filter((entry) => entry.outcome === "success");
+    expect(success.map((entry) => entry.resultSummary)).toEqual([
+      { score: 712 },
+      { score: 700 },
+    ]);
+    expect(secondResult.auditId).toBe(success[0].auditId);
+    expect(firstResult.auditId).toBe(success[1].auditId);
+    expect(refresher.remaining()).toBe(0);
+  });
+
+  it("should refuse refreshes without a permissible purpose", async () => {
+    const { client, auditLog, refresher } = setup({ purpose: "curiosity" });
+
+    await expect(refresher.refresh()).rejects.toBeInstanceOf(
+      FcraViolationError
+    );
+    expect(client.getCreditReport).not.toHaveBeenCalled();
+    expect(auditLog.entries()[0]).toMatchObject({ outcome: "denied" });
+    // Denials do not use up the refresh allowance
+    expect(refresher.remaining()).toBe(2);
+  });
+
+  it("should record failed pulls and rethrow", async () => {
+    const { client, auditLog, refresher } = setup();
+    client.getCreditReport.mockRejectedValueOnce(new Error("bureau timeout"));
+
+    await expect(refresher.refresh()).rejects.toThrow("bureau timeout");
+    expect(auditLog.entries()[0]).toMatchObject({
+      outcome: "error",
+      reason: "bureau timeout",
+    });
+    expect(refresher.remaining()).toBe(2);
+  });
+
+  it("should refuse and audit refreshes without active consent", async () => {
+    const registry = createConsentRegistry({
+      now: () => new Date("2025-08-01T00:00:00Z"),
+      generateId: () => "cns-1",
+    });
+    const { client, auditLog, refresher } = setup({ consent: registry });
+
+    await expect(refresher.refresh()).rejects.toMatchObject({
+      name: "ConsentRequiredError",
+      reason: "absent",
+    });
+    expect(client.getCreditReport).not.toHaveBeenCalled();
+    expect(auditLog.entries()[0]).toMatchObject({
+      outcome: "denied",
+      reason: "No written authorization from the consumer is on file",
+    });
+
+    registry.grant({
+      consumerId: "consumer-1",
+      permissiblePurpose: "account_review",
+      scope: ["credit_report"],
+      signatureMethod: "typed_name",
+      signature: "Jane Doe",
+      documentVersion: "2025-08",
+    });
+    await expect(refresher.refresh()).resolves.toMatchObject({ score: 700 });
+    expect(auditLog.entries()[1]).toMatchObject({
+      outcome: "success",
+      consentId: "cns-1",
+    });
+
+    registry.revoke("cns-1");
+    await expect(refresher.refresh()).rejects.toBeInstanceOf(
+      ConsentRequiredError
+    );
+    expect(auditLog.entries()[2]).toMatchObject({
+      outcome: "denied",
+      consentId: "cns-1",
+    });
+    expect(client.getCreditReport).toHaveBeenCalledTimes(1);
+    expect(auditLog.verify().valid).toBe(true);
+  });
+
+  it("should audit a pull whose consent store cannot be read", async () => {
+    const { client, auditLog, refresher } = setup({
+      consent: createConsentRegistry({
+        store: {
+          load: () => {
+            throw new Error("Corrupt consent store: tcp.consents");
+          },
+          save: () => {},
+        },
+      }),
+    });
+
+    await expect(refresher.refresh()).rejects.toThrow(
+      "Corrupt consent store: tcp.consents"
+    );
+    expect(client.getCreditReport).not.toHaveBeenCalled();
+    expect(auditLog.entries()).toEqual([
+      expect.objectContaining({
+        outcome: "error",
+        reason: "Corrupt consent store: tcp.consents",
+      }),
+    ]);
+  });
+
+  it("should refuse every refresh without a consent ledger", async () => {
+    const client = { getCreditReport: vi.fn(async () => reportWith(700)) };
+    const auditLog = createAuditLog();
+    const refresher = createScoreRefresher({
+      client,
+      auditLog,
+      actor: { id: "agent-7", role: "agent" },
+      consumerId: "consumer-1",
+      permissiblePurpose: "account_review",
+    });
+
+    await expect(refresher.refresh()).rejects.toMatchObject({
+      name: "ConsentRequiredError",
+      reason: "absent",
+    });
+    expect(client.getCreditReport).not.toHaveBeenCalled();
+    expect(auditLog.entries()[0]).toMatchObject({ outcome: "denied" });
+  });
+});
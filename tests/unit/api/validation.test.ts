@@ -0,0 +1,97 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseCreditReportResponse,
+  parseLoginResponse,
+  parseScoreCalculationResponse,
+} from "../../../src/api/validation";
+import { ResponseValidationError } from "../../../src/api/errors";
+
+const report = {
+  data: {
+    credit_score: 720,
+    score_model: "FICO_8",
+    score_date: "2024-03-01",
+    trade_lines: [],
+  },
+  meta: {
+    audit_id: "aud-123",
+    retrieved_at: "2024-03-01T12:00:00Z",
+    compliance_validated: true,
+  },
+};
+
+function issuesOf(parse: () => unknown): string[] {
+  try {
+    parse();
+  } catch (error) {
+    if (error instanceof ResponseValidationError) return error.issues;
+    throw error;
+  }
+  return [];
+}
+
+describe("API Response Validation", () => {
+  it("should accept a contract-conforming credit report", () => {
+    expect(parseCreditReportResponse(report)).toBe(report);
+  });
+
+  it("should list every contract violation", () => {
+    const issues = issuesOf(() =>
+      parseCreditReportResponse({
+        data: { credit_score: "720", score_date: "yesterday" },
+        meta: { audit_id: 1, compliance_validated: false },
+      })
+    );
+
+    expect(issues).toEqual([
+      "data.credit_score must be number, got string",
+      "data.score_model is required",
+      "data.score_date must be an ISO date string",
+      "meta.audit_id must be string, got number",
+      "meta.retrieved_at is required",
+      "meta.compliance_validated must be true",
+    ]);
+  });
+
+  it("should check scores against the reported model range", () => {
+    const autoScore = {
+      ...report,
+      data: { ...report.data, score_model: "FICO_AUTO_8", credit_score: 880 },
+    };
+    expect(parseCreditReportResponse(autoScore).data.credit_score).toBe(880);
+    expect(
+      issuesOf(() =>
+        parseCreditReportResponse({
+          ...report,
+          data: { ...report.data, credit_score: 880 },
+        })
+      )
+    ).toEqual(["data.credit_score 880 is outside 300-850"]);
+  });
+
+  it("should reject responses exposing unmasked SSNs", () => {
+    expect(
+      issuesOf(() =>
+        parseCreditReportResponse({
+          ...report,
+          data: { ...report.data, trade_lines: [{ ssn: "123-45-6789" }] },
+        })
+      )
+    ).toEqual(["response contains unmasked SSN or card number"]);
+  });
+
+  it("should validate score calculation and login responses", () => {
+    expect(
+      parseScoreCalculationResponse({
+        score: 712,
+        calculation_method: "FICO_8",
+        audit_id: "aud-9",
+        timestamp: "2024-03-01T12:00:00Z",
+      }).score
+    ).toBe(712);
+    expect(() => parseScoreCalculationResponse({ score: 712 })).toThrow(
+      ResponseValidationError
+    );
+    expect(() => parseLoginResponse({})).toThrow("token is required");
+  });
+});
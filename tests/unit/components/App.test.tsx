@@ -0,0 +1,323 @@
+import { cleanup, fireEvent, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { App } from "../../../src/App";
+import {
+  createAuditLog,
+  createLocalStorageAuditStore,
+} from "../../../src/utils/auditTrail";
+
+function renderAt(path: string) {
+  window.history.replaceState(null, "", path);
+  return render(<App />);
+}
+
+async function selectPurpose(purpose: string) {
+  const user = userEvent.setup();
+  await user.selectOptions(
+    await screen.findByLabelText(
+      "Why are your credit reports being requested?"
+    ),
+    purpose
+  );
+  await user.click(screen.getByTestId("purpose-gate-submit"));
+}
+
+describe("App Shell", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("should open a consumer dashboard from the home page", async () => {
+    const user = userEvent.setup();
+    renderAt("/");
+
+    await user.type(await screen.findByLabelText("Consumer ID"), "c-42");
+    await user.click(screen.getByRole("button", { name: "Open dashboard" }));
+
+    expect(window.location.pathname).toBe("/consumers/c-42");
+    expect(await screen.findByTestId("purpose-gate")).toBeInTheDocument();
+  });
+
+  it("should require a permissible purpose before credit pages render", async () => {
+    const user = userEvent.setup();
+    renderAt("/consumers/c-42/reports");
+
+    await user.click(await screen.findByTestId("purpose-gate-submit"));
+    expect(
+      screen.getByText("Permissible purpose is required per FCRA Section 604")
+    ).toBeInTheDocument();
+    expect(
+      screen.queryByTestId("credit-score-history")
+    ).not.toBeInTheDocument();
+
+    await selectPurpose("account_review");
+
+    expect(
+      await screen.findByRole("heading", { name: "Credit reports for c-42" })
+    ).toBeInTheDocument();
+    expect(screen.getByTestId("credit-score-history")).toBeInTheDocument();
+    expect(screen.getByTestId("active-purpose")).toHaveTextContent(
+      "Purpose: Account review"
+    );
+  });
+
+  it("should keep the purpose while navigating within a consumer", async () => {
+    const user = userEvent.setup();
+    renderAt("/consumers/c-42");
+    await selectPurpose("account_review");
+    expect(await screen.findByTestId("credit-score")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("link", { name: "Disputes" }));
+
+    expect(window.location.pathname).toBe("/consumers/c-42/disputes");
+    expect(await screen.findByTestId("disputes-empty")).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Disputes" })).toHaveAttribute(
+      "aria-current",
+      "page"
+    );
+    expect(screen.getByRole("main")).toHaveFocus();
+
+    await user.click(screen.getByRole("button", { name: "Change purpose" }));
+    expect(screen.getByTestId("purpose-gate")).toBeInTheDocument();
+  });
+
+  it("should ask again for a different consumer", async () => {
+    renderAt("/consumers/c-1");
+    await selectPurpose("account_review");
+    expect(await screen.findByTestId("credit-score")).toBeInTheDocument();
+
+    window.history.pushState(null, "", "/consumers/c-2");
+    window.dispatchEvent(new PopStateEvent("popstate"));
+
+    expect(await screen.findByTestId("purpose-gate")).toHaveTextContent(
+      "consumer c-2"
+    );
+  });
+
+  it("should list stored disputes for the consumer", async () => {
+    localStorage.setItem(
+      "tcp.disputes",
+      JSON.stringify([
+        {
+          id: "d-1",
+          consumerId: "c-42",
+          recipientType: "bureau",
+          bureau: "Equifax",
+          reason: "not_mine",
+          itemIds: ["t-1"],
+          status: "sent",
+          createdAt: "2025-08-01T00:00:00Z",
+          sentAt: "2025-08-01T12:00:00Z",
+          history: [],
+        },
+        {
+          id: "d-2",
+          consumerId: "someone-else",
+          recipientType: "bureau",
+          bureau: "Experian",
+          reason: "not_mine",
+          itemIds: ["t-2"],
+          status: "draft",
+          createdAt: "2025-08-01T00:00:00Z",
+          history: [],
+        },
+      ])
+    );
+    renderAt("/consumers/c-42/disputes");
+    await selectPurpose("account_review");
+
+    const table = await screen.findByTestId("disputes-table");
+    expect(table).toHaveTextContent("Equifax");
+    expect(table).toHaveTextContent("Sent");
+    expect(table).toHaveTextContent("Sep 5, 2025");
+    expect(table).not.toHaveTextContent("Experian");
+  });
+
+  it("should render a 404 page for unknown paths", async () => {
+    const user = userEvent.setup();
+    renderAt("/nowhere");
+
+    expect(await screen.findByTestId("not-found")).toHaveTextContent(
+      "We could not find /nowhere."
+    );
+
+    await user.click(screen.getByRole("link", { name: "Go to the home page" }));
+    expect(await screen.findByLabelText("Consumer ID")).toBeInTheDocument();
+  });
+
+  it("should switch language from settings without a purpose", async () => {
+    const user = userEvent.setup();
+    renderAt("/settings");
+
+    await user.selectOptions(await screen.findByLabelText("Language"), "es");
+
+    expect(
+      screen.getByRole("heading", { name: "Configuración" })
+    ).toBeInTheDocument();
+    expect(localStorage.getItem("tcp.locale")).toBe("es");
+  });
+
+  it("should enforce the demo role on consumer pages", async () => {
+    const user = userEvent.setup();
+    renderAt("/settings");
+    await user.selectOptions(
+      await screen.findByLabelText("Demo role"),
+      "consumer"
+    );
+
+    await user.click(
+      screen.getByRole("link", { name: "AI-SDLC Framework Demo" })
+    );
+    await user.type(await screen.findByLabelText("Consumer ID"), "c-7");
+    await user.click(screen.getByRole("button", { name: "Open dashboard" }));
+
+    // Denied before any permissible purpose is asked for
+    expect(await screen.findByTestId("permission-denied")).toBeInTheDocument();
+    expect(screen.queryByTestId("purpose-gate")).not.toBeInTheDocument();
+    expect(
+      screen.queryByRole("link", { name: "Dashboard" })
+    ).not.toBeInTheDocument();
+
+    window.history.pushState(null, "", "/consumers/c-42");
+    window.dispatchEvent(new PopStateEvent("popstate"));
+    await selectPurpose("account_review");
+    expect(await screen.findByTestId("credit-score")).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Dashboard" })).toBeInTheDocument();
+  });
+
+  it("should show the audit log to compliance and export it", async () => {
+    createAuditLog({ store: createLocalStorageAuditStore() }).record({
+      actor: { id: "agent-7", role: "agent" },
+      action: "credit_report.view",
+      consumerId: "c-42",
+      permissiblePurpose: "account_review",
+      outcome: "success",
+    });
+    const user = userEvent.setup();
+    renderAt("/settings");
+    expect(
+      screen.queryByRole("link", { name: "Audit log" })
+    ).not.toBeInTheDocument();
+
+    await user.selectOptions(
+      await screen.findByLabelText("Demo role"),
+      "compliance"
+    );
+    await user.click(screen.getByRole("link", { name: "Audit log" }));
+
+    expect(await screen.findByTestId("audit-verification")).toHaveTextContent(
+      "Chain verified: 1 entry intact."
+    );
+    expect(screen.getByTestId("audit-table")).toHaveTextContent(
+      "credit_report.view"
+    );
+    await user.click(screen.getByRole("button", { name: "Export CSV" }));
+    expect(screen.getByTestId("audit-download")).toHaveAttribute(
+      "download",
+      "audit-log.csv"
+    );
+  });
+
+  it("should refuse the audit log to agents", async () => {
+    renderAt("/audit");
+
+    expect(await screen.findByTestId("permission-denied")).toBeInTheDocument();
+    expect(screen.queryByTestId("audit-table")).not.toBeInTheDocument();
+  });
+
+  it("should serve the intake form at /onboarding", async () => {
+    renderAt("/onboarding");
+
+    expect(await screen.findByTestId("intake-form")).toBeInTheDocument();
+  });
+
+  it("should record the intake authorization and open the new dashboard", async () => {
+    const user = userEvent.setup();
+    localStorage.setItem(
+      "tcp.intakeDraft",
+      JSON.stringify({
+        savedAt: new Date().toISOString(),
+        draft: {
+          step: "identity",
+          identity: {
+            firstName: "Jane",
+            lastName: "Doe",
+            email: "jane@example.com",
+          },
+          addresses: [
+            {
+              line1: "1 Main St",
+              line2: "",
+              city: "Austin",
+              state: "TX",
+              postalCode: "78701",
+              movedInDate: "2020-06-01",
+            },
+          ],
+          consent: { creditPullAuthorized: true, signature: "Jane Doe" },
+          permissiblePurpose: "account_review",
+        },
+      })
+    );
+    renderAt("/onboarding");
+
+    fireEvent.change(await screen.findByLabelText("Date of birth"), {
+      target: { value: "1985-04-12" },
+    });
+    await user.type(
+      screen.getByLabelText("Social Security number"),
+      "123456789"
+    );
+    for (let step = 0; step < 4; step++) {
+      await user.click(screen.getByTestId("intake-next"));
+    }
+    await user.click(
+      screen.getByLabelText(
+        "I have read the Consumer Credit File Rights disclosure"
+      )
+    );
+    await user.click(
+      screen.getByLabelText("I have received the notice of my right to cancel")
+    );
+    await user.click(screen.getByTestId("intake-next"));
+
+    const [consent] = JSON.parse(localStorage.getItem("tcp.consents") ?? "[]");
+    expect(consent).toMatchObject({
+      permissiblePurpose: "account_review",
+      signature: "Jane Doe",
+      consumerId: expect.stringMatching(/^c-/),
+    });
+
+    await user.click(screen.getByTestId("onboarding-dashboard"));
+    expect(window.location.pathname).toBe(`/consumers/${consent.consumerId}`);
+    // The purpose chosen at intake is already selected
+    expect(await screen.findByTestId("credit-score")).toBeInTheDocument();
+
+    // Without an API session there is nothing to refresh against
+    expect(screen.queryByTestId("update-score-btn")).not.toBeInTheDocument();
+  });
+
+  it("should refuse and audit refreshes for a consumer without consent", async () => {
+    sessionStorage.setItem("tcp.session", JSON.stringify({ token: "sess-1" }));
+    const user = userEvent.setup();
+    renderAt("/consumers/c-42");
+    await selectPurpose("account_review");
+
+    await user.click(await screen.findByTestId("update-score-btn"));
+    expect(await screen.findByTestId("refresh-error")).toHaveTextContent(
+      "The consumer has not authorized a credit pull for this purpose."
+    );
+    const [entry] = JSON.parse(localStorage.getItem("tcp.audit") ?? "[]");
+    expect(entry).toMatchObject({
+      consumerId: "c-42",
+      permissiblePurpose: "account_review",
+      outcome: "denied",
+    });
+  });
+});
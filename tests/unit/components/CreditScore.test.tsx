@@ -1,24 +1,60 @@
 // TODO: Validate permissible purpose for FCRA Section 604 compliance
 // React import not required with react-jsx runtime
-import { fireEvent, render, screen } from "@testing-library/react";
+import { act, fireEvent, screen, waitFor } from "@testing-library/react";
 import { describe, expect, it, vi } from "vitest";
+import {
+  ConsentRequiredError,
+  FcraViolationError,
+  PermissionDeniedError,
+  RefreshLimitError,
+} from "../../../src/api/errors";
+import type { ScoreRefreshResult } from "../../../src/api/scoreRefresh";
 import { CreditScore } from "../../../src/components/CreditScore";
+import { I18nProvider } from "../../../src/components/I18nProvider";
+import { renderWithPrincipal } from "../../../src/test/renderWithPrincipal";
 
 describe("CreditScore Component", () => {
   describe("FCRA Compliance", () => {
     it("should enforce 300-850 FICO score range", () => {
+      const onInvalidScore = vi.fn();
+
       // Valid score should render
-      const { rerender } = render(<CreditScore score={720} />);
+      const { rerender } = renderWithPrincipal(
+        <CreditScore score={720} onInvalidScore={onInvalidScore} />
+      );
       expect(screen.getByTestId("score-value")).toHaveTextContent("720");
+      expect(onInvalidScore).not.toHaveBeenCalled();
+
+      // Invalid scores are held for verification instead of thrown
+      rerender(<CreditScore score={900} onInvalidScore={onInvalidScore} />);
+      expect(
+        screen.getByTestId("credit-score-unavailable")
+      ).toBeInTheDocument();
+      expect(screen.queryByTestId("score-value")).not.toBeInTheDocument();
+      expect(onInvalidScore).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          isValid: false,
+          errors: ["Invalid FICO score: 900. Must be between 300-850."],
+        })
+      );
 
-      // Invalid scores should throw errors
-      expect(() => {
-        rerender(<CreditScore score={900} />);
-      }).toThrow("Invalid credit score: 900. Must be between 300-850.");
+      rerender(<CreditScore score={250} onInvalidScore={onInvalidScore} />);
+      expect(onInvalidScore).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          errors: ["Invalid FICO score: 250. Must be between 300-850."],
+        })
+      );
+      expect(onInvalidScore).toHaveBeenCalledTimes(2);
+    });
 
-      expect(() => {
-        rerender(<CreditScore score={250} />);
-      }).toThrow("Invalid credit score: 250. Must be between 300-850.");
+    it("should not echo the invalid score to the consumer", () => {
+      renderWithPrincipal(<CreditScore score={Number.NaN} />);
+      expect(screen.getByTestId("credit-score-unavailable")).toHaveTextContent(
+        "needs verification"
+      );
+      expect(
+        screen.getByTestId("credit-score-unavailable")
+      ).not.toHaveTextContent("NaN");
     });
 
     it("should log audit trail for credit score access", () => {
@@ -27,7 +63,7 @@ describe("CreditScore Component", () => {
         globalThis as unknown as { auditLogger: (message: unknown) => void }
       ).auditLogger = auditSpy;
 
-      render(<CreditScore score={720} />);
+      renderWithPrincipal(<CreditScore score={720} />);
 
       // In a real implementation, this would log to audit system
       expect(screen.getByTestId("credit-score")).toBeInTheDocument();
@@ -39,7 +75,9 @@ describe("CreditScore Component", () => {
         "Payment history: 35%",
       ];
 
-      render(<CreditScore score={720} factors={sensitiveFactors} />);
+      renderWithPrincipal(
+        <CreditScore score={720} factors={sensitiveFactors} />
+      );
 
       // Verify factors are displayed (in real app, would be encrypted)
       expect(screen.getByTestId("score-factors")).toBeInTheDocument();
@@ -48,7 +86,7 @@ describe("CreditScore Component", () => {
 
   describe("Score Display", () => {
     it("should render credit score correctly", () => {
-      render(<CreditScore score={720} />);
+      renderWithPrincipal(<CreditScore score={720} />);
 
       expect(screen.getByTestId("score-value")).toHaveTextContent("720");
       expect(screen.getByTestId("score-label")).toHaveTextContent("Good");
@@ -63,14 +101,14 @@ describe("CreditScore Component", () => {
       ];
 
       testCases.forEach(({ score, label }) => {
-        const { rerender } = render(<CreditScore score={score} />);
+        const { rerender } = renderWithPrincipal(<CreditScore score={score} />);
         expect(screen.getByTestId("score-label")).toHaveTextContent(label);
         rerender(<div />); // Clear for next test
       });
     });
 
     it("should apply correct colors based on score", () => {
-      const { rerender } = render(<CreditScore score={800} />);
+      const { rerender } = renderWithPrincipal(<CreditScore score={800} />);
       const scoreElement = screen.getByTestId("score-value");
 
       // Excellent score should be green
@@ -80,17 +118,67 @@ describe("CreditScore Component", () => {
       rerender(<CreditScore score={500} />);
       expect(scoreElement).toHaveStyle({ color: "#ef4444" });
     });
+
+    it("should take surface colors from the theme", async () => {
+      const onRefresh = vi
+        .fn()
+        .mockRejectedValue(new RefreshLimitError("2025-09-01T12:00:00Z"));
+      const { rerender } = renderWithPrincipal(
+        <CreditScore
+          score={720}
+          onRefresh={onRefresh}
+          theme={{ accent: "#1d4ed8", error: "#7f1d1d", heading: "#111827" }}
+        />
+      );
+
+      expect(screen.getByRole("heading", { level: 2 })).toHaveStyle({
+        color: "#111827",
+      });
+      expect(screen.getByTestId("update-score-btn")).toHaveStyle({
+        backgroundColor: "#1d4ed8",
+      });
+      fireEvent.click(screen.getByTestId("update-score-btn"));
+      expect(await screen.findByRole("alert")).toHaveStyle({
+        color: "#7f1d1d",
+      });
+
+      rerender(
+        <CreditScore score={900} theme={{ placeholderBorder: "#9ca3af" }} />
+      );
+      expect(screen.getByTestId("credit-score-unavailable")).toHaveStyle({
+        border: "2px dashed #9ca3af",
+      });
+    });
   });
 
   describe("Interactive Features", () => {
-    it("should handle score updates", () => {
+    it("should handle score updates", async () => {
       const mockUpdate = vi.fn();
-      render(<CreditScore score={720} onScoreUpdate={mockUpdate} />);
+      const onRefresh = vi.fn().mockResolvedValue({
+        score: 730,
+        date: "2025-08-23",
+        previousScore: 720,
+        delta: 10,
+        auditId: "aud-1",
+        remaining: 2,
+      });
+      renderWithPrincipal(
+        <CreditScore
+          score={720}
+          onRefresh={onRefresh}
+          onScoreUpdate={mockUpdate}
+        />
+      );
 
       const updateButton = screen.getByTestId("update-score-btn");
       fireEvent.click(updateButton);
 
+      expect(await screen.findByTestId("score-delta")).toHaveTextContent(
+        "+10 points since your last score"
+      );
+      expect(onRefresh).toHaveBeenCalledWith(720);
       expect(mockUpdate).toHaveBeenCalledWith(730);
+      expect(screen.getByTestId("score-value")).toHaveTextContent("730");
     });
 
     it("should display factors when provided", () => {
@@ -100,7 +188,7 @@ describe("CreditScore Component", () => {
         "Length of credit history: 15%",
       ];
 
-      render(<CreditScore score={720} factors={factors} />);
+      renderWithPrincipal(<CreditScore score={720} factors={factors} />);
 
       expect(screen.getByTestId("score-factors")).toBeInTheDocument();
       factors.forEach((factor) => {
@@ -109,22 +197,149 @@ describe("CreditScore Component", () => {
     });
 
     it("should not display factors section when empty", () => {
-      render(<CreditScore score={720} />);
+      renderWithPrincipal(<CreditScore score={720} />);
 
       expect(screen.queryByTestId("score-factors")).not.toBeInTheDocument();
     });
 
+    it("should show the skeleton while a refresh is in flight", async () => {
+      let resolve: (result: ScoreRefreshResult) => void = () => {};
+      const onRefresh = vi.fn(
+        () =>
+          new Promise<ScoreRefreshResult>((done) => {
+            resolve = done;
+          })
+      );
+      renderWithPrincipal(<CreditScore score={720} onRefresh={onRefresh} />);
+
+      fireEvent.click(screen.getByTestId("update-score-btn"));
+      expect(screen.getByTestId("credit-score-skeleton")).toBeInTheDocument();
+      expect(screen.getByTestId("update-score-btn")).toBeDisabled();
+
+      await act(async () =>
+        resolve({
+          score: 704,
+          date: "2025-08-23",
+          previousScore: 720,
+          delta: -16,
+          auditId: "aud-2",
+          remaining: 1,
+        })
+      );
+      expect(screen.getByTestId("score-delta")).toHaveTextContent(
+        "-16 points since your last score"
+      );
+    });
+
+    it("should explain refresh failures without losing the score", async () => {
+      const onRefresh = vi
+        .fn()
+        .mockRejectedValueOnce(new RefreshLimitError("2025-09-01T12:00:00Z"))
+        .mockRejectedValueOnce(new FcraViolationError());
+      renderWithPrincipal(<CreditScore score={720} onRefresh={onRefresh} />);
+
+      fireEvent.click(screen.getByTestId("update-score-btn"));
+      expect(await screen.findByRole("alert")).toHaveTextContent(
+        "Refresh limit reached. Your next refresh is available Sep 1, 2025."
+      );
+      expect(screen.getByTestId("score-value")).toHaveTextContent("720");
+
+      fireEvent.click(screen.getByTestId("update-score-btn"));
+      await waitFor(() =>
+        expect(screen.getByRole("alert")).toHaveTextContent(
+          "A permissible purpose is required to refresh this score."
+        )
+      );
+    });
+
+    it("should show a new score prop instead of an earlier refresh", async () => {
+      const onRefresh = vi.fn().mockResolvedValue({
+        score: 704,
+        date: "2025-08-23",
+        previousScore: 720,
+        delta: -16,
+        auditId: "aud-2",
+        remaining: 1,
+      });
+      const { rerender } = renderWithPrincipal(
+        <CreditScore score={720} onRefresh={onRefresh} />
+      );
+
+      fireEvent.click(screen.getByTestId("update-score-btn"));
+      expect(await screen.findByTestId("score-delta")).toBeInTheDocument();
+
+      // The parent passing the refreshed score back keeps the delta
+      rerender(<CreditScore score={704} onRefresh={onRefresh} />);
+      expect(screen.getByTestId("score-delta")).toBeInTheDocument();
+
+      rerender(<CreditScore score={735} onRefresh={onRefresh} />);
+      expect(screen.getByTestId("score-value")).toHaveTextContent("735");
+      expect(screen.queryByTestId("score-delta")).not.toBeInTheDocument();
+    });
+
     it("should not display update button when no callback provided", () => {
-      render(<CreditScore score={720} />);
+      renderWithPrincipal(<CreditScore score={720} />);
 
       expect(screen.queryByTestId("update-score-btn")).not.toBeInTheDocument();
     });
+
+    it("should explain permission and consent refusals", async () => {
+      const onRefresh = vi
+        .fn()
+        .mockRejectedValueOnce(new PermissionDeniedError("credit:pull"))
+        .mockRejectedValueOnce(new ConsentRequiredError("revoked"));
+      renderWithPrincipal(<CreditScore score={720} onRefresh={onRefresh} />);
+
+      fireEvent.click(screen.getByTestId("update-score-btn"));
+      expect(await screen.findByRole("alert")).toHaveTextContent(
+        "Your role cannot refresh credit scores."
+      );
+
+      fireEvent.click(screen.getByTestId("update-score-btn"));
+      await waitFor(() =>
+        expect(screen.getByRole("alert")).toHaveTextContent(
+          "The consumer revoked their authorization for this purpose."
+        )
+      );
+    });
+  });
+
+  describe("Permissions", () => {
+    it("should hide the refresh button from roles without credit:pull", () => {
+      renderWithPrincipal(<CreditScore score={720} onRefresh={vi.fn()} />, {
+        id: "cmp-1",
+        role: "compliance",
+      });
+
+      expect(screen.getByTestId("score-value")).toHaveTextContent("720");
+      expect(screen.queryByTestId("update-score-btn")).not.toBeInTheDocument();
+    });
+
+    it("should not render another consumer's score", () => {
+      const { rerender } = renderWithPrincipal(
+        <CreditScore score={720} consumerId="c-7" />,
+        { id: "u-2", role: "consumer", consumerId: "c-42" }
+      );
+
+      expect(screen.queryByTestId("score-value")).not.toBeInTheDocument();
+      expect(screen.getByTestId("permission-denied")).toBeInTheDocument();
+
+      rerender(<CreditScore score={720} consumerId="c-42" />);
+      expect(screen.getByTestId("score-value")).toHaveTextContent("720");
+    });
+
+    it("should render nothing but the denial without a principal", () => {
+      renderWithPrincipal(<CreditScore score={720} />, null);
+
+      expect(screen.queryByTestId("credit-score")).not.toBeInTheDocument();
+      expect(screen.getByTestId("permission-denied")).toBeInTheDocument();
+    });
   });
 
   describe("Edge Cases", () => {
     it("should handle boundary scores correctly", () => {
       // Test minimum valid score
-      const { rerender } = render(<CreditScore score={300} />);
+      const { rerender } = renderWithPrincipal(<CreditScore score={300} />);
       expect(screen.getByTestId("score-value")).toHaveTextContent("300");
 
       // Test maximum valid score
@@ -133,9 +348,61 @@ describe("CreditScore Component", () => {
     });
 
     it("should handle empty factors array", () => {
-      render(<CreditScore score={720} factors={[]} />);
+      renderWithPrincipal(<CreditScore score={720} factors={[]} />);
 
       expect(screen.queryByTestId("score-factors")).not.toBeInTheDocument();
     });
   });
+
+  describe("Localization", () => {
+    it("should render labels and refresh deltas in Spanish", async () => {
+      const onRefresh = vi.fn().mockResolvedValue({
+        score: 721,
+        date: "2025-08-01",
+        previousScore: 720,
+        delta: 1,
+        auditId: "audit-1",
+        remaining: 2,
+      });
+      renderWithPrincipal(
+        <I18nProvider locale="es-MX">
+          <CreditScore
+            score={720}
+            factors={["Historial de pagos"]}
+            onRefresh={onRefresh}
+          />
+        </I18nProvider>
+      );
+
+      expect(screen.getByText("Puntaje de crédito")).toBeInTheDocument();
+      expect(screen.getByTestId("score-label")).toHaveTextContent("Bueno");
+      expect(screen.getByText("Factores clave:")).toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId("update-score-btn"));
+
+      expect(await screen.findByTestId("score-delta")).toHaveTextContent(
+        "+1 punto desde su último puntaje"
+      );
+      expect(screen.getByTestId("update-score-btn")).toHaveTextContent(
+        "Actualizar puntaje"
+      );
+    });
+
+    it("should localize the refresh limit date", async () => {
+      const onRefresh = vi
+        .fn()
+        .mockRejectedValue(new RefreshLimitError("2025-09-01T12:00:00Z"));
+      renderWithPrincipal(
+        <I18nProvider locale="es">
+          <CreditScore score={720} onRefresh={onRefresh} />
+        </I18nProvider>
+      );
+
+      fireEvent.click(screen.getByTestId("update-score-btn"));
+
+      expect(await screen.findByTestId("refresh-error")).toHaveTextContent(
+        "estará disponible el 1 sept 2025."
+      );
+    });
+  });
 });
@@ -1,7 +1,10 @@
-import { cleanup, render, screen } from "@testing-library/react";
+import { cleanup, screen } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import { vi } from "vitest";
+import { CreditScore } from "../../../src/components/CreditScore";
 import { CreditScoreDisplay } from "../../../src/components/CreditScore/CreditScoreDisplay";
+import { I18nProvider } from "../../../src/components/I18nProvider";
+import { renderWithPrincipal } from "../../../src/test/renderWithPrincipal";
 
 describe("CreditScoreDisplay Component", () => {
   const defaultProps = {
@@ -19,28 +22,57 @@ describe("CreditScoreDisplay Component", () => {
   });
 
   it("should enforce FICO score range (300-850)", () => {
-    // Test minimum boundary
-    const { unmount: unmount1 } = render(
-      <CreditScoreDisplay {...defaultProps} score={200} />
+    const onInvalidScore = vi.fn();
+
+    // Out-of-range scores need verification rather than being clamped
+    const { unmount: unmount1 } = renderWithPrincipal(
+      <CreditScoreDisplay
+        {...defaultProps}
+        score={200}
+        onInvalidScore={onInvalidScore}
+      />
     );
-    expect(screen.getByTestId("credit-score-value")).toHaveTextContent("300");
+    expect(screen.getByTestId("credit-score-unavailable")).toBeInTheDocument();
+    expect(screen.queryByTestId("credit-score-value")).not.toBeInTheDocument();
     unmount1();
 
-    // Test maximum boundary
-    const { unmount: unmount2 } = render(
-      <CreditScoreDisplay {...defaultProps} score={900} />
+    const { unmount: unmount2 } = renderWithPrincipal(
+      <CreditScoreDisplay
+        {...defaultProps}
+        score={900}
+        onInvalidScore={onInvalidScore}
+      />
     );
-    expect(screen.getByTestId("credit-score-value")).toHaveTextContent("850");
+    expect(screen.getByTestId("credit-score-unavailable")).toBeInTheDocument();
     unmount2();
 
+    expect(onInvalidScore.mock.calls.map(([result]) => result.errors)).toEqual([
+      ["Invalid FICO score: 200. Must be between 300-850."],
+      ["Invalid FICO score: 900. Must be between 300-850."],
+    ]);
+
     // Test valid score
-    render(<CreditScoreDisplay {...defaultProps} score={720} />);
+    renderWithPrincipal(<CreditScoreDisplay {...defaultProps} score={720} />);
     expect(screen.getByTestId("credit-score-value")).toHaveTextContent("720");
   });
 
+  it("should not report placeholder scores while loading", () => {
+    const onInvalidScore = vi.fn();
+    renderWithPrincipal(
+      <CreditScoreDisplay
+        {...defaultProps}
+        score={0}
+        isLoading={true}
+        onInvalidScore={onInvalidScore}
+      />
+    );
+    expect(screen.getByTestId("credit-score-skeleton")).toBeInTheDocument();
+    expect(onInvalidScore).not.toHaveBeenCalled();
+  });
+
   it("should support keyboard navigation (WCAG 2.1 AA)", async () => {
     const user = userEvent.setup();
-    render(<CreditScoreDisplay {...defaultProps} />);
+    renderWithPrincipal(<CreditScoreDisplay {...defaultProps} />);
 
     const scoreElement = screen.getByTestId("credit-score-display");
     await user.tab();
@@ -51,7 +83,9 @@ describe("CreditScoreDisplay Component", () => {
   });
 
   it("should display loading state", () => {
-    render(<CreditScoreDisplay {...defaultProps} isLoading={true} />);
+    renderWithPrincipal(
+      <CreditScoreDisplay {...defaultProps} isLoading={true} />
+    );
     expect(screen.getByTestId("credit-score-skeleton")).toBeInTheDocument();
     expect(screen.queryByTestId("credit-score-value")).not.toBeInTheDocument();
   });
@@ -66,7 +100,7 @@ describe("CreditScoreDisplay Component", () => {
     ];
 
     testCases.forEach(({ score, expectedRange }) => {
-      const { unmount } = render(
+      const { unmount } = renderWithPrincipal(
         <CreditScoreDisplay {...defaultProps} score={score} />
       );
       expect(screen.getByTestId("credit-score-range")).toHaveTextContent(
@@ -75,4 +109,71 @@ describe("CreditScoreDisplay Component", () => {
       unmount();
     });
   });
+
+  it("should band scores the same way as CreditScore", () => {
+    renderWithPrincipal(<CreditScore score={760} />);
+    renderWithPrincipal(<CreditScoreDisplay {...defaultProps} score={760} />);
+
+    expect(screen.getByTestId("score-label")).toHaveTextContent("Very Good");
+    expect(screen.getByTestId("credit-score-display")).toHaveAttribute(
+      "aria-label",
+      "Credit score 760, Very Good range"
+    );
+  });
+
+  it("should use the scoring model range and theme colors", () => {
+    renderWithPrincipal(
+      <CreditScoreDisplay
+        {...defaultProps}
+        score={880}
+        model="FICO_AUTO_8"
+        theme={{ EXCELLENT: "#15803d" }}
+      />
+    );
+
+    expect(screen.getByTestId("credit-score-value")).toHaveTextContent("880");
+    expect(screen.getByTestId("credit-score-value")).toHaveStyle({
+      color: "#15803d",
+    });
+  });
+
+  it("should follow the active locale", () => {
+    renderWithPrincipal(
+      <I18nProvider locale="es">
+        <CreditScoreDisplay {...defaultProps} date="2025-08-23T12:00:00Z" />
+      </I18nProvider>
+    );
+
+    expect(screen.getByTestId("credit-score-display")).toHaveAttribute(
+      "aria-label",
+      "Puntaje de crédito 720, rango Bueno"
+    );
+    expect(screen.getByTestId("credit-score-date")).toHaveTextContent(
+      "Actualizado: 23 ago 2025"
+    );
+    expect(screen.getByTestId("credit-score-tooltip")).toHaveTextContent(
+      "Buen crédito - tasas competitivas"
+    );
+  });
+
+  it("should not render without credit:view", () => {
+    renderWithPrincipal(<CreditScoreDisplay {...defaultProps} />, null);
+
+    expect(
+      screen.queryByTestId("credit-score-display")
+    ).not.toBeInTheDocument();
+    expect(screen.getByTestId("permission-denied")).toBeInTheDocument();
+  });
+
+  it("should localize the needs-verification state", () => {
+    renderWithPrincipal(
+      <I18nProvider locale="es">
+        <CreditScoreDisplay {...defaultProps} score={900} />
+      </I18nProvider>
+    );
+
+    expect(
+      screen.getByText("Puntaje de crédito no disponible")
+    ).toBeInTheDocument();
+  });
 });
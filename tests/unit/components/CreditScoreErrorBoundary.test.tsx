@@ -0,0 +1,75 @@
+import { cleanup, render, screen } from "@testing-library/react";
+import { vi } from "vitest";
+import { CreditScoreErrorBoundary } from "../../../src/components/CreditScore/CreditScoreErrorBoundary";
+
+function Broken(): never {
+  throw new Error("score service returned 123-45-6789");
+}
+
+describe("CreditScoreErrorBoundary Component", () => {
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it("should render children when nothing fails", () => {
+    render(
+      <CreditScoreErrorBoundary>
+        <span data-testid="child">720</span>
+      </CreditScoreErrorBoundary>
+    );
+    expect(screen.getByTestId("child")).toHaveTextContent("720");
+  });
+
+  it("should contain render errors behind a compliant fallback", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const onError = vi.fn();
+
+    render(
+      <div>
+        <p data-testid="sibling">Dispute center</p>
+        <CreditScoreErrorBoundary onError={onError}>
+          <Broken />
+        </CreditScoreErrorBoundary>
+      </div>
+    );
+
+    const fallback = screen.getByTestId("credit-score-unavailable");
+    expect(fallback).toHaveAttribute("data-reason", "error");
+    expect(fallback).not.toHaveTextContent("123-45-6789");
+    expect(screen.getByTestId("sibling")).toBeInTheDocument();
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: "score service returned 123-45-6789",
+      }),
+      expect.objectContaining({ componentStack: expect.any(String) })
+    );
+  });
+
+  it("should accept a custom fallback", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    render(
+      <CreditScoreErrorBoundary
+        fallback={<p data-testid="custom">Try again</p>}
+        onError={vi.fn()}
+      >
+        <Broken />
+      </CreditScoreErrorBoundary>
+    );
+    expect(screen.getByTestId("custom")).toBeInTheDocument();
+  });
+
+  it("should report only through onError", () => {
+    const errors = vi.spyOn(console, "error").mockImplementation(() => {});
+    render(
+      <CreditScoreErrorBoundary>
+        <Broken />
+      </CreditScoreErrorBoundary>
+    );
+
+    expect(screen.getByTestId("credit-score-unavailable")).toBeInTheDocument();
+    expect(errors.mock.calls.flat().join(" ")).not.toContain(
+      "Credit score failed to render"
+    );
+  });
+});
@@ -0,0 +1,233 @@
+import { cleanup, render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import {
+  CreditScoreHistory,
+  disputeMilestones,
+} from "../../../src/components/CreditScore/CreditScoreHistory";
+import { I18nProvider } from "../../../src/components/I18nProvider";
+import type { DisputeCase } from "../../../src/utils/disputeTracker";
+import { createI18n } from "../../../src/utils/i18n";
+
+describe("CreditScoreHistory Component", () => {
+  const series = [
+    {
+      bureau: "Equifax" as const,
+      points: [
+        { date: "2024-03-01", score: 640 },
+        { date: "2024-01-01", score: 598 },
+        { date: "2024-05-01", score: 702 },
+      ],
+    },
+    {
+      bureau: "Experian" as const,
+      points: [
+        { date: "2024-01-01", score: 610 },
+        { date: "2024-05-01", score: 900 },
+      ],
+    },
+  ];
+  const milestones = [{ date: "2024-02-10", label: "Dispute sent - Equifax" }];
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("should draw a line per bureau over the score range bands", () => {
+    render(<CreditScoreHistory series={series} milestones={milestones} />);
+
+    expect(
+      screen.getByRole("group", { name: /Credit score history/ })
+    ).toBeInTheDocument();
+    expect(screen.getByTestId("score-line-Equifax")).toBeInTheDocument();
+    expect(screen.getByTestId("score-line-Experian")).toBeInTheDocument();
+    ["EXCELLENT", "VERY_GOOD", "GOOD", "FAIR", "POOR"].forEach((range) =>
+      expect(screen.getByTestId(`score-band-${range}`)).toBeInTheDocument()
+    );
+    expect(screen.getByTestId("score-history-milestone")).toHaveTextContent(
+      "Dispute sent - Equifax"
+    );
+  });
+
+  it("should leave out and report scores outside the model range", () => {
+    const onInvalidScore = vi.fn();
+    render(
+      <CreditScoreHistory series={series} onInvalidScore={onInvalidScore} />
+    );
+    const labels = screen
+      .getAllByTestId("score-history-point")
+      .map((point) => point.getAttribute("aria-label"));
+
+    expect(labels).toHaveLength(4);
+    expect(labels[0]).toMatch(/^Equifax 598, Fair range/);
+    expect(labels[2]).toMatch(/^Equifax 702, Good range/);
+    expect(labels[3]).toMatch(/^Experian 610, Fair range/);
+    expect(labels.join(" ")).not.toMatch(/850|900/);
+    expect(
+      screen.getByTestId("credit-score-history-omitted")
+    ).toHaveTextContent("1 score could not be verified and is not shown.");
+    expect(onInvalidScore).toHaveBeenCalledTimes(1);
+    expect(onInvalidScore).toHaveBeenCalledWith(
+      expect.objectContaining({ isValid: false }),
+      { bureau: "Experian", date: "2024-05-01", score: 900 }
+    );
+  });
+
+  it("should show a tooltip on hover and keyboard focus", async () => {
+    const user = userEvent.setup();
+    render(<CreditScoreHistory series={series} />);
+    const [first, second] = screen.getAllByTestId("score-history-point");
+
+    await user.hover(first);
+    expect(screen.getByRole("tooltip")).toHaveTextContent("Equifax 598");
+    await user.unhover(first);
+    expect(screen.queryByRole("tooltip")).not.toBeInTheDocument();
+
+    await user.tab();
+    await user.tab();
+    expect(second).toHaveFocus();
+    expect(screen.getByRole("tooltip")).toHaveTextContent("Equifax 640");
+    await user.keyboard("{Escape}");
+    expect(screen.queryByRole("tooltip")).not.toBeInTheDocument();
+  });
+
+  it("should provide a data table fallback for screen readers", () => {
+    render(<CreditScoreHistory series={series} milestones={milestones} />);
+    const table = screen.getByRole("table", { name: "Credit score history" });
+    const rows = within(table).getAllByRole("row");
+
+    expect(
+      within(rows[0])
+        .getAllByRole("columnheader")
+        .map((cell) => cell.textContent)
+    ).toEqual(["Date", "Equifax", "Experian", "Milestones"]);
+    // Jan, Feb milestone, Mar, May plus the header row
+    expect(rows).toHaveLength(5);
+    expect(rows[2]).toHaveTextContent("Dispute sent - Equifax");
+    expect(within(rows[3]).getAllByRole("cell")[1]).toHaveTextContent("-");
+  });
+
+  it("should band and scale by the scoring model", () => {
+    render(
+      <CreditScoreHistory
+        model="VANTAGESCORE_3"
+        theme={{ VERY_POOR: "#7f1d1d" }}
+        series={[
+          {
+            bureau: "TransUnion",
+            points: [{ date: "2024-01-01", score: 450 }],
+          },
+        ]}
+      />
+    );
+    expect(screen.getByTestId("score-band-VERY_POOR")).toBeInTheDocument();
+    expect(
+      screen.queryByTestId("score-band-VERY_GOOD")
+    ).not.toBeInTheDocument();
+    expect(
+      screen.getByTestId("score-band-VERY_POOR").querySelector("rect")
+    ).toHaveAttribute("fill", "#7f1d1d");
+    expect(screen.getByTestId("score-history-point")).toHaveAttribute(
+      "aria-label",
+      expect.stringMatching(/^TransUnion 450, Very Poor range/)
+    );
+  });
+
+  it("should render an empty state without points", () => {
+    render(
+      <CreditScoreHistory series={[{ bureau: "TransUnion", points: [] }]} />
+    );
+    expect(screen.getByTestId("credit-score-history-empty")).toHaveTextContent(
+      "No score history yet"
+    );
+  });
+
+  it("should skip points and milestones with unparseable dates", () => {
+    const errors = vi.spyOn(console, "error").mockImplementation(() => {});
+    render(
+      <CreditScoreHistory
+        series={[
+          {
+            bureau: "Equifax",
+            points: [
+              { date: "2024-01-01", score: 600 },
+              { date: "not a date", score: 610 },
+              { date: "2024-01-01", score: 620 },
+            ],
+          },
+        ]}
+        milestones={[{ date: "", label: "Broken" }]}
+      />
+    );
+
+    expect(screen.getAllByTestId("score-history-point")).toHaveLength(2);
+    expect(
+      screen.queryByTestId("score-history-milestone")
+    ).not.toBeInTheDocument();
+    expect(errors).not.toHaveBeenCalled();
+    errors.mockRestore();
+
+    render(
+      <CreditScoreHistory
+        series={[{ bureau: "Equifax", points: [{ date: "soon", score: 600 }] }]}
+      />
+    );
+    expect(
+      screen.getByTestId("credit-score-history-empty")
+    ).toBeInTheDocument();
+  });
+
+  it("should render in the active locale", () => {
+    render(
+      <I18nProvider locale="es">
+        <CreditScoreHistory series={series} milestones={milestones} />
+      </I18nProvider>
+    );
+    const table = screen.getByRole("table", {
+      name: "Historial de puntaje de crédito",
+    });
+
+    expect(
+      within(table)
+        .getAllByRole("columnheader")
+        .map((cell) => cell.textContent)
+    ).toEqual(["Fecha", "Equifax", "Experian", "Hitos"]);
+    expect(
+      screen.getAllByTestId("score-history-point")[0]
+    ).toHaveAccessibleName(/^Equifax 598, rango Regular, .*2024/);
+    expect(within(table).getAllByRole("row")[1]).toHaveTextContent("ene");
+
+    cleanup();
+    render(
+      <I18nProvider locale="es">
+        <CreditScoreHistory series={[{ bureau: "Equifax", points: [] }]} />
+      </I18nProvider>
+    );
+    expect(screen.getByTestId("credit-score-history-empty")).toHaveTextContent(
+      "Aún no hay historial de puntaje"
+    );
+  });
+
+  it("should derive milestones from dispute history", () => {
+    const dispute = {
+      bureau: "TransUnion",
+      history: [
+        { at: "2024-01-02T00:00:00Z", from: null, to: "draft" },
+        { at: "2024-01-05T00:00:00Z", from: "draft", to: "sent" },
+        { at: "2024-02-01T00:00:00Z", from: "sent", to: "deleted" },
+      ],
+    } as DisputeCase;
+
+    expect(disputeMilestones([dispute])).toEqual([
+      { date: "2024-01-05T00:00:00Z", label: "Dispute sent - TransUnion" },
+      { date: "2024-02-01T00:00:00Z", label: "Item deleted - TransUnion" },
+    ]);
+    expect(
+      disputeMilestones([dispute], createI18n("es").lookup).map(
+        (milestone) => milestone.label
+      )
+    ).toEqual([
+      "Disputa enviada - TransUnion",
+      "Elemento eliminado - TransUnion",
+    ]);
+  });
+});
@@ -0,0 +1,261 @@
+import { cleanup, fireEvent, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { I18nProvider } from "../../../src/components/I18nProvider";
+import { IntakeForm } from "../../../src/components/Onboarding/IntakeForm";
+import {
+  createEmptyIntakeDraft,
+  createIntakeDraftStore,
+  type IntakeDraft,
+} from "../../../src/utils/intake";
+
+const now = () => new Date("2025-08-28T15:00:00Z");
+const organization = { name: "The Credit Pros" };
+
+function createMemoryStorage() {
+  const items = new Map<string, string>();
+  return {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, value),
+    removeItem: (key: string) => void items.delete(key),
+  };
+}
+
+function createStore(draft?: IntakeDraft) {
+  const storage = createMemoryStorage();
+  const store = createIntakeDraftStore("draft", storage);
+  if (draft) store.save(draft);
+  return { store, storage };
+}
+
+function renderForm(draft?: IntakeDraft, locale = "en") {
+  const { store, storage } = createStore(draft);
+  const onSubmit = vi.fn();
+  render(
+    <I18nProvider locale={locale}>
+      <IntakeForm
+        onSubmit={onSubmit}
+        organization={organization}
+        draftStore={store}
+        now={now}
+      />
+    </I18nProvider>
+  );
+  return { onSubmit, storage };
+}
+
+// Everything filled in except the SSN and date of birth, which drafts never
+// keep
+function savedDraft(step: IntakeDraft["step"]): IntakeDraft {
+  return {
+    ...createEmptyIntakeDraft(),
+    step,
+    identity: {
+      firstName: "Jane",
+      lastName: "Doe",
+      dateOfBirth: "",
+      ssn: "",
+      email: "jane@example.com",
+      phone: "",
+    },
+    addresses: [
+      {
+        line1: "1 Main St",
+        line2: "",
+        city: "Austin",
+        state: "TX",
+        postalCode: "78701",
+        movedInDate: "2020-06-01",
+      },
+    ],
+    consent: { creditPullAuthorized: true, signature: "Jane Doe" },
+    permissiblePurpose: "account_review",
+  };
+}
+
+describe("IntakeForm Component", () => {
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("should summarize step errors and link to each field", async () => {
+    const user = userEvent.setup();
+    renderForm();
+
+    await user.click(screen.getByTestId("intake-next"));
+
+    const summary = screen.getByTestId("intake-error-summary");
+    expect(summary).toHaveFocus();
+    expect(summary).toHaveTextContent("There are 5 problems to fix");
+    expect(screen.getByLabelText("First name")).toHaveAttribute(
+      "aria-invalid",
+      "true"
+    );
+    expect(screen.getByLabelText("First name")).toHaveAccessibleDescription(
+      "First name is required"
+    );
+
+    await user.click(
+      screen.getByRole("link", { name: "Enter a valid email address" })
+    );
+    expect(screen.getByLabelText("Email")).toHaveFocus();
+    expect(screen.getByTestId("intake-progress")).toHaveTextContent(
+      "Step 1 of 5"
+    );
+  });
+
+  it("should mask the SSN unless the field is focused", async () => {
+    const user = userEvent.setup();
+    renderForm();
+    const ssn = screen.getByLabelText("Social Security number");
+
+    await user.type(ssn, "123-45-6789");
+    expect(ssn).toHaveValue("123-45-6789");
+
+    await user.tab();
+    expect(ssn).toHaveValue("***-**-6789");
+    expect(ssn).toHaveAttribute("autocomplete", "off");
+
+    await user.click(ssn);
+    expect(ssn).toHaveValue("123-45-6789");
+  });
+
+  it("should autosave drafts without the SSN", async () => {
+    const user = userEvent.setup();
+    const { storage } = renderForm();
+
+    await user.type(screen.getByLabelText("First name"), "Jane");
+    await user.type(
+      screen.getByLabelText("Social Security number"),
+      "123456789"
+    );
+
+    expect(screen.getByTestId("intake-draft-status")).toHaveTextContent(
+      "Draft saved"
+    );
+    const saved = JSON.parse(storage.getItem("draft") ?? "{}");
+    expect(saved.draft.identity).toMatchObject({ firstName: "Jane", ssn: "" });
+  });
+
+  it("should resume a saved draft on its step", () => {
+    renderForm(savedDraft("consent"));
+
+    expect(screen.getByTestId("intake-step-title")).toHaveTextContent(
+      "Authorization"
+    );
+    expect(screen.getByLabelText("Signature")).toHaveValue("Jane Doe");
+  });
+
+  it("should require two years of addresses", async () => {
+    const user = userEvent.setup();
+    const draft = savedDraft("addresses");
+    draft.addresses[0].movedInDate = "2024-06-01";
+    renderForm(draft);
+
+    await user.click(screen.getByTestId("intake-next"));
+    expect(screen.getByTestId("intake-error-summary")).toHaveTextContent(
+      "Add previous addresses to cover the last 2 years"
+    );
+
+    await user.click(screen.getByTestId("intake-add-address"));
+    expect(screen.getAllByTestId("intake-address")).toHaveLength(2);
+    expect(screen.getByText("Previous address 1")).toBeInTheDocument();
+  });
+
+  it("should show purpose guidance from the compliance rules", async () => {
+    const user = userEvent.setup();
+    renderForm(savedDraft("purpose"));
+
+    await user.selectOptions(
+      screen.getByLabelText("Why are your credit reports being requested?"),
+      "employment_screening"
+    );
+
+    expect(screen.getByTestId("purpose-warnings")).toHaveTextContent(
+      "Employment screening requires a stand-alone disclosure"
+    );
+  });
+
+  it("should send users back to steps they skipped", async () => {
+    const user = userEvent.setup();
+    renderForm(savedDraft("disclosures"));
+
+    await user.click(
+      screen.getByLabelText(
+        "I have read the Consumer Credit File Rights disclosure"
+      )
+    );
+    await user.click(
+      screen.getByLabelText("I have received the notice of my right to cancel")
+    );
+    await user.click(screen.getByTestId("intake-next"));
+
+    // The SSN and date of birth are never restored from a draft
+    expect(screen.getByTestId("intake-step-title")).toHaveTextContent(
+      "Your identity"
+    );
+    expect(screen.getByTestId("intake-error-summary")).toHaveTextContent(
+      "There are 2 problems to fix"
+    );
+  });
+
+  it("should show the CROA disclosures and submit", async () => {
+    const user = userEvent.setup();
+    const { onSubmit, storage } = renderForm(savedDraft("identity"));
+
+    fireEvent.change(screen.getByLabelText("Date of birth"), {
+      target: { value: "1985-04-12" },
+    });
+    await user.type(
+      screen.getByLabelText("Social Security number"),
+      "123456789"
+    );
+    for (let step = 0; step < 4; step++) {
+      await user.click(screen.getByTestId("intake-next"));
+    }
+
+    expect(screen.getByTestId("intake-step-title")).toHaveFocus();
+    expect(screen.getByTestId("croa-disclosure")).toHaveTextContent(
+      "Consumer Credit File Rights Under State and Federal Law"
+    );
+    expect(screen.getByTestId("cancellation-notice")).toHaveTextContent(
+      "to The Credit Pros before midnight on September 3, 2025."
+    );
+
+    fireEvent.click(
+      screen.getByLabelText(
+        "I have read the Consumer Credit File Rights disclosure"
+      )
+    );
+    fireEvent.click(
+      screen.getByLabelText("I have received the notice of my right to cancel")
+    );
+    await user.click(screen.getByTestId("intake-next"));
+
+    expect(onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        identity: expect.objectContaining({ ssn: "123456789" }),
+        signedAt: "2025-08-28T15:00:00.000Z",
+        cancellationDeadline: "2025-09-03",
+      })
+    );
+    expect(screen.getByTestId("intake-submitted")).toHaveTextContent(
+      "September 3, 2025"
+    );
+    expect(storage.getItem("draft")).toBeNull();
+  });
+
+  it("should render in Spanish", async () => {
+    const user = userEvent.setup();
+    renderForm(undefined, "es");
+
+    await user.click(screen.getByTestId("intake-next"));
+
+    expect(screen.getByTestId("intake-error-summary")).toHaveTextContent(
+      "Hay 5 problemas por corregir"
+    );
+    expect(screen.getByLabelText("Nombre")).toHaveAccessibleDescription(
+      "El nombre es obligatorio"
+    );
+  });
+});
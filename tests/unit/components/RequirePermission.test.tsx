@@ -0,0 +1,112 @@
+import React from "react";
+import { cleanup, render, screen } from "@testing-library/react";
+import { afterEach, describe, expect, it } from "vitest";
+import { CreditScore } from "../../../src/components/CreditScore";
+import { CreditScoreDisplay } from "../../../src/components/CreditScore/CreditScoreDisplay";
+import { I18nProvider } from "../../../src/components/I18nProvider";
+import {
+  PermissionProvider,
+  RequirePermission,
+  useCan,
+} from "../../../src/components/PermissionProvider";
+import type { Capability, Principal } from "../../../src/utils/permissions";
+
+const CanProbe: React.FC<{ capability: Capability; consumerId?: string }> = ({
+  capability,
+  consumerId,
+}) => {
+  const allowed = useCan(capability, { consumerId });
+  return <span data-testid="can">{String(allowed)}</span>;
+};
+
+function renderAs(principal: Principal | null, ui: React.ReactElement) {
+  return render(
+    <PermissionProvider principal={principal}>{ui}</PermissionProvider>
+  );
+}
+
+describe("RequirePermission", () => {
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("should render credit scores for a role with credit:view", () => {
+    renderAs(
+      { id: "u-1", role: "agent" },
+      <RequirePermission capability="credit:view">
+        <CreditScore score={720} />
+        <CreditScoreDisplay score={720} date="2025-08-01T12:00:00Z" />
+      </RequirePermission>
+    );
+
+    expect(screen.getByTestId("credit-score")).toBeInTheDocument();
+    expect(screen.getByTestId("credit-score-display")).toBeInTheDocument();
+    expect(screen.queryByTestId("permission-denied")).not.toBeInTheDocument();
+  });
+
+  it("should hide credit scores from another consumer", () => {
+    renderAs(
+      { id: "u-2", role: "consumer", consumerId: "c-42" },
+      <RequirePermission capability="credit:view" consumerId="c-7">
+        <CreditScore score={720} />
+      </RequirePermission>
+    );
+
+    expect(screen.queryByTestId("credit-score")).not.toBeInTheDocument();
+    expect(screen.getByTestId("permission-denied")).toHaveTextContent(
+      "Your role does not have access to this information."
+    );
+  });
+
+  it("should deny everything without a principal", () => {
+    render(
+      <RequirePermission capability="credit:view">
+        <CreditScoreDisplay score={720} date="2025-08-01T12:00:00Z" />
+      </RequirePermission>
+    );
+
+    expect(
+      screen.queryByTestId("credit-score-display")
+    ).not.toBeInTheDocument();
+    expect(screen.getByTestId("permission-denied")).toBeInTheDocument();
+  });
+
+  it("should render a custom or localized fallback", () => {
+    const { rerender } = renderAs(
+      { id: "u-3", role: "agent" },
+      <RequirePermission capability="audit:export" fallback={null}>
+        <button type="button">Export</button>
+      </RequirePermission>
+    );
+    expect(screen.queryByRole("button")).not.toBeInTheDocument();
+    expect(screen.queryByTestId("permission-denied")).not.toBeInTheDocument();
+
+    rerender(
+      <I18nProvider locale="es">
+        <PermissionProvider principal={{ id: "u-3", role: "agent" }}>
+          <RequirePermission capability="audit:export">
+            <button type="button">Export</button>
+          </RequirePermission>
+        </PermissionProvider>
+      </I18nProvider>
+    );
+    expect(screen.getByTestId("permission-denied")).toHaveTextContent(
+      "Su rol no tiene acceso a esta información."
+    );
+  });
+
+  it("should answer capability checks through useCan", () => {
+    const { rerender } = renderAs(
+      { id: "u-4", role: "supervisor" },
+      <CanProbe capability="dispute:send" />
+    );
+    expect(screen.getByTestId("can")).toHaveTextContent("true");
+
+    rerender(
+      <PermissionProvider principal={{ id: "u-4", role: "compliance" }}>
+        <CanProbe capability="dispute:send" />
+      </PermissionProvider>
+    );
+    expect(screen.getByTestId("can")).toHaveTextContent("false");
+  });
+});
@@ -0,0 +1,125 @@
+import { cleanup, screen, within } from "@testing-library/react";
+import { CreditScore } from "../../../src/components/CreditScore";
+import { I18nProvider } from "../../../src/components/I18nProvider";
+import { ScoreFactorBreakdown } from "../../../src/components/CreditScore/ScoreFactorBreakdown";
+import type { ScoreFactorDetail } from "../../../src/utils/scoreFactors";
+import { renderWithPrincipal } from "../../../src/test/renderWithPrincipal";
+
+describe("ScoreFactorBreakdown Component", () => {
+  const factors: ScoreFactorDetail[] = [
+    { category: "credit_age", impact: "positive", severity: "high" },
+    {
+      category: "utilization",
+      impact: "negative",
+      severity: "high",
+      reasonCode: "10",
+    },
+    {
+      category: "payment_history",
+      impact: "negative",
+      severity: "medium",
+      reasonCode: "13",
+    },
+  ];
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("should group factors by category in impact order", () => {
+    renderWithPrincipal(<ScoreFactorBreakdown factors={factors} />);
+
+    const groups = screen.getAllByTestId(/^factor-group-/);
+    expect(groups.map((group) => group.dataset.testid)).toEqual([
+      "factor-group-utilization",
+      "factor-group-payment_history",
+      "factor-group-credit_age",
+    ]);
+    expect(groups[0]).toHaveTextContent("Amounts owed (30% of score)");
+  });
+
+  it("should describe impact, severity and reason code for each factor", () => {
+    renderWithPrincipal(<ScoreFactorBreakdown factors={factors} />);
+
+    const [top] = screen.getAllByTestId("score-factor");
+    expect(top).toHaveAttribute("data-impact", "negative");
+    expect(top).toHaveTextContent("Hurting your score");
+    expect(top).toHaveTextContent(
+      "Proportion of balances to credit limits on revolving accounts is too high"
+    );
+    expect(top).toHaveTextContent("High impact");
+    expect(top).toHaveTextContent("Reason code 10");
+
+    const positive = within(
+      screen.getByTestId("factor-group-credit_age")
+    ).getByTestId("score-factor");
+    expect(positive).toHaveTextContent("Helping your score");
+  });
+
+  it("should hide reason codes when asked", () => {
+    renderWithPrincipal(
+      <ScoreFactorBreakdown factors={factors} showReasonCodes={false} />
+    );
+    expect(screen.queryByText(/Reason code/)).not.toBeInTheDocument();
+  });
+
+  it("should report invalid reason codes instead of showing them", () => {
+    const onInvalidFactors = vi.fn();
+    renderWithPrincipal(
+      <ScoreFactorBreakdown
+        factors={[
+          ...factors,
+          {
+            category: "credit_mix",
+            impact: "negative",
+            severity: "low",
+            reasonCode: "99",
+          },
+        ]}
+        onInvalidFactors={onInvalidFactors}
+      />
+    );
+
+    expect(
+      within(screen.getByTestId("factor-group-credit_mix")).getByTestId(
+        "score-factor"
+      )
+    ).toHaveTextContent("Credit mix");
+    expect(screen.queryByText("Reason code 99")).not.toBeInTheDocument();
+    expect(onInvalidFactors).toHaveBeenCalledTimes(1);
+    expect(onInvalidFactors.mock.calls[0][0].issues).toMatchObject([
+      {
+        code: "SCORE_FACTOR_REASON_CODE_UNKNOWN",
+        field: "factors[3].reasonCode",
+      },
+    ]);
+  });
+
+  it("should translate labels, weights and reason codes", () => {
+    renderWithPrincipal(
+      <I18nProvider locale="es">
+        <ScoreFactorBreakdown factors={factors} />
+      </I18nProvider>
+    );
+
+    expect(
+      screen.getByRole("region", { name: "Qué está afectando su puntaje" })
+    ).toBeInTheDocument();
+    expect(screen.getByTestId("factor-group-utilization")).toHaveTextContent(
+      "Montos adeudados (30% del puntaje)"
+    );
+    const [top] = screen.getAllByTestId("score-factor");
+    expect(top).toHaveTextContent("Perjudica su puntaje");
+    expect(top).toHaveTextContent("Impacto alto");
+    expect(top).toHaveTextContent("Código de razón 10");
+  });
+
+  it("should render structured factors inside CreditScore", () => {
+    renderWithPrincipal(<CreditScore score={650} factors={factors} />);
+    expect(
+      within(screen.getByTestId("score-factors")).getByTestId(
+        "score-factor-breakdown"
+      )
+    ).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,190 @@
+import { act, cleanup, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { vi } from "vitest";
+import { CreditScoreDisplay } from "../../../src/components/CreditScore/CreditScoreDisplay";
+import { TriBureauScores } from "../../../src/components/CreditScore/TriBureauScores";
+import { I18nProvider } from "../../../src/components/I18nProvider";
+import { renderWithPrincipal } from "../../../src/test/renderWithPrincipal";
+
+function mockReducedMotion(matches: boolean) {
+  vi.stubGlobal(
+    "matchMedia",
+    vi.fn().mockImplementation((query: string) => ({
+      matches,
+      media: query,
+      addEventListener: vi.fn(),
+      removeEventListener: vi.fn(),
+    }))
+  );
+}
+
+describe("CreditScoreDisplay gauge variant", () => {
+  const defaultProps = { score: 740, date: "2025-08-23" };
+
+  afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+  });
+
+  it("should keep the existing test ids and ARIA label", () => {
+    renderWithPrincipal(
+      <CreditScoreDisplay {...defaultProps} variant="gauge" />
+    );
+
+    expect(screen.getByTestId("credit-score-gauge")).toHaveAttribute(
+      "aria-hidden",
+      "true"
+    );
+    expect(screen.getByTestId("credit-score-value")).toHaveTextContent("740");
+    expect(screen.getByTestId("credit-score-range")).toHaveTextContent(
+      "VERY_GOOD"
+    );
+    expect(screen.getByTestId("credit-score-display")).toHaveAttribute(
+      "aria-label",
+      "Credit score 740, Very Good range"
+    );
+  });
+
+  it("should draw one arc per band of the scoring model", () => {
+    renderWithPrincipal(
+      <CreditScoreDisplay
+        {...defaultProps}
+        variant="gauge"
+        model="VANTAGESCORE_3"
+      />
+    );
+    expect(
+      screen.getAllByTestId(/^gauge-band-/).map((arc) => arc.dataset.testid)
+    ).toEqual([
+      "gauge-band-EXCELLENT",
+      "gauge-band-GOOD",
+      "gauge-band-FAIR",
+      "gauge-band-POOR",
+      "gauge-band-VERY_POOR",
+    ]);
+  });
+
+  it("should animate the needle from the minimum to the score", async () => {
+    mockReducedMotion(false);
+    vi.stubGlobal("requestAnimationFrame", (callback: FrameRequestCallback) =>
+      setTimeout(() => callback(0), 0)
+    );
+    renderWithPrincipal(
+      <CreditScoreDisplay {...defaultProps} score={850} variant="gauge" />
+    );
+
+    const needle = screen.getByTestId("gauge-needle");
+    expect(needle).toHaveAttribute("data-angle", "-90");
+    expect(needle.style.transition).toContain("transform");
+
+    await act(() => new Promise((resolve) => setTimeout(resolve, 5)));
+    expect(needle).toHaveAttribute("data-angle", "90");
+  });
+
+  it("should place the needle without motion when reduced motion is preferred", () => {
+    mockReducedMotion(true);
+    renderWithPrincipal(
+      <CreditScoreDisplay {...defaultProps} score={575} variant="gauge" />
+    );
+
+    const needle = screen.getByTestId("gauge-needle");
+    expect(needle).toHaveAttribute("data-angle", "0");
+    expect(needle.style.transition).toBe("none");
+  });
+
+  it("should color the needle from the theme", () => {
+    renderWithPrincipal(
+      <CreditScoreDisplay
+        {...defaultProps}
+        variant="gauge"
+        theme={{ needle: "#111827" }}
+      />
+    );
+
+    const needle = screen.getByTestId("gauge-needle");
+    expect(needle.querySelector("line")).toHaveAttribute("stroke", "#111827");
+    expect(needle.querySelector("circle")).toHaveAttribute("fill", "#111827");
+  });
+
+  it("should render compact and large sizes", () => {
+    const { rerender } = renderWithPrincipal(
+      <CreditScoreDisplay {...defaultProps} variant="gauge" size="compact" />
+    );
+    expect(screen.getByTestId("credit-score-gauge")).toHaveAttribute(
+      "width",
+      "160"
+    );
+    rerender(<CreditScoreDisplay {...defaultProps} variant="gauge" />);
+    expect(screen.getByTestId("credit-score-gauge")).toHaveAttribute(
+      "width",
+      "280"
+    );
+  });
+
+  it("should not render a gauge in the default variant", () => {
+    renderWithPrincipal(<CreditScoreDisplay {...defaultProps} />);
+    expect(screen.queryByTestId("credit-score-gauge")).not.toBeInTheDocument();
+  });
+});
+
+describe("TriBureauScores Component", () => {
+  const scores = [
+    { bureau: "Experian" as const, score: 712, date: "2025-08-01" },
+    { bureau: "Equifax" as const, score: 698, date: "2025-08-02" },
+    { bureau: "TransUnion" as const, score: 905, date: "2025-08-03" },
+  ];
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("should show each bureau side by side with labelled regions", () => {
+    renderWithPrincipal(<TriBureauScores scores={scores} />);
+
+    expect(screen.getByRole("group")).toHaveAccessibleName(
+      "Credit scores by bureau"
+    );
+    expect(screen.getByRole("region", { name: "Experian" })).toHaveTextContent(
+      "712"
+    );
+    expect(screen.getByRole("region", { name: "Equifax" })).toHaveTextContent(
+      "698"
+    );
+    expect(screen.getAllByTestId("credit-score-gauge")).toHaveLength(2);
+  });
+
+  it("should translate the group label", () => {
+    renderWithPrincipal(
+      <I18nProvider locale="es">
+        <TriBureauScores scores={scores} />
+      </I18nProvider>
+    );
+
+    expect(screen.getByRole("group")).toHaveAccessibleName(
+      "Puntajes de crédito por buró"
+    );
+  });
+
+  it("should report clicks and invalid scores per bureau", async () => {
+    const user = userEvent.setup();
+    const onScoreClick = vi.fn();
+    const onInvalidScore = vi.fn();
+    renderWithPrincipal(
+      <TriBureauScores
+        scores={scores}
+        onScoreClick={onScoreClick}
+        onInvalidScore={onInvalidScore}
+      />
+    );
+
+    await user.click(screen.getAllByTestId("credit-score-display")[1]);
+    expect(onScoreClick).toHaveBeenCalledWith("Equifax", 698);
+    expect(onInvalidScore).toHaveBeenCalledWith(
+      "TransUnion",
+      expect.objectContaining({ isValid: false })
+    );
+    expect(screen.getByRole("region", { name: "TransUnion" })).toContainElement(
+      screen.getByTestId("credit-score-unavailable")
+    );
+  });
+});
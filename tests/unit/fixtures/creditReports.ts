@@ -0,0 +1,53 @@
+import type {
+  Bureau,
+  CreditReport,
+  Tradeline,
+} from "../../../src/utils/creditReport";
+
+// Shared report fixtures for credit domain unit tests
+
+export function buildTradeline(overrides: Partial<Tradeline> = {}): Tradeline {
+  return {
+    id: "tl-1",
+    creditorName: "CAPITAL ONE",
+    accountNumber: "XXXXXXXXXXXX1234",
+    accountType: "revolving",
+    ownership: "individual",
+    status: "open",
+    paymentStatus: "current",
+    balance: 1200,
+    creditLimit: 5000,
+    highBalance: 2500,
+    dateOpened: "2018-04-12",
+    dateReported: "2025-08-01",
+    ...overrides,
+  };
+}
+
+export function buildReport(
+  bureau: Bureau,
+  overrides: Partial<CreditReport> = {}
+): CreditReport {
+  return {
+    bureau,
+    reportDate: "2025-08-15",
+    personalInfo: {
+      names: ["JANE Q CONSUMER"],
+      dateOfBirth: "1985-06-01",
+      ssnLast4: "6789",
+      addresses: [
+        {
+          line1: "123 Main St",
+          city: "Boca Raton",
+          state: "FL",
+          postalCode: "33431",
+        },
+      ],
+    },
+    tradelines: [buildTradeline()],
+    inquiries: [],
+    publicRecords: [],
+    collections: [],
+    ...overrides,
+  };
+}
@@ -0,0 +1,92 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import fs from "fs";
+import { createRequire } from "module";
+import os from "os";
+import path from "path";
+
+const require = createRequire(import.meta.url);
+const ApiTypeGenerator = require("../../../scripts/generate-api-types.cjs");
+const REPO_ROOT = path.resolve(__dirname, "../../..");
+
+let root: string;
+
+const read = (file: string) => fs.readFileSync(path.join(root, file), "utf8");
+const write = (file: string, content: string) =>
+  fs.writeFileSync(path.join(root, file), content);
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "api-types-"));
+  fs.mkdirSync(path.join(root, "src/api"), { recursive: true });
+  for (const file of ["src/api/openapi.json", "src/api/types.ts"]) {
+    fs.copyFileSync(path.join(REPO_ROOT, file), path.join(root, file));
+  }
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe("API Type Generator", () => {
+  it("should match the committed types", () => {
+    const generator = new ApiTypeGenerator({ projectRoot: root });
+
+    expect(generator.generate()).toBe(read("src/api/types.ts"));
+    expect(generator.run({ check: true })).toBe(true);
+  });
+
+  it("should fail --check without writing when the spec changed", () => {
+    const spec = JSON.parse(read("src/api/openapi.json"));
+    spec.components.schemas.HealthResponse.properties.version = {
+      type: "string",
+    };
+    write("src/api/openapi.json", JSON.stringify(spec));
+    const committed = read("src/api/types.ts");
+
+    const generator = new ApiTypeGenerator({ projectRoot: root });
+
+    expect(generator.run({ check: true })).toBe(false);
+    expect(console.log).toHaveBeenCalledWith(
+      "❌ src/api/types.ts is out of date with src/api/openapi.json"
+    );
+    expect(read("src/api/types.ts")).toBe(committed);
+
+    expect(generator.run()).toBe(true);
+    expect(read("src/api/types.ts")).toContain(
+      'export interface HealthResponse {\n  status: "ok";\n  version?: string;\n}'
+    );
+    expect(generator.run({ check: true })).toBe(true);
+  });
+
+  it("should fail --check when the types file is missing", () => {
+    fs.rmSync(path.join(root, "src/api/types.ts"));
+
+    expect(
+      new ApiTypeGenerator({ projectRoot: root }).run({ check: true })
+    ).toBe(false);
+    expect(fs.existsSync(path.join(root, "src/api/types.ts"))).toBe(false);
+  });
+
+  it("should map schemas to TypeScript types", () => {
+    const generator = new ApiTypeGenerator({ projectRoot: root });
+
+    expect(
+      generator.typeFor(
+        {
+          type: "array",
+          items: { $ref: "#/components/schemas/PermissiblePurpose" },
+          nullable: true,
+        },
+        0
+      )
+    ).toBe("PermissiblePurpose[] | null");
+    expect(generator.typeFor({ type: "integer" }, 0)).toBe("number");
+    expect(generator.typeFor({ type: "object" }, 0)).toBe(
+      "Record<string, unknown>"
+    );
+    expect(() =>
+      generator.typeFor({ $ref: "#/definitions/Legacy" }, 0)
+    ).toThrow("Unsupported $ref: #/definitions/Legacy");
+  });
+});
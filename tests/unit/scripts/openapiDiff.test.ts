@@ -0,0 +1,173 @@
+import { afterEach, beforeEach, describe, it, expect } from "vitest";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import { createRequire } from "module";
+import os from "os";
+import path from "path";
+
+const require = createRequire(import.meta.url);
+const SCRIPT = path.resolve(__dirname, "../../../scripts/openapi-diff.cjs");
+const OpenApiDiff = require(SCRIPT);
+const SPEC = JSON.parse(
+  fs.readFileSync(
+    path.resolve(__dirname, "../../../src/api/openapi.json"),
+    "utf8"
+  )
+);
+
+interface Change {
+  breaking: boolean;
+  location: string;
+  message: string;
+}
+
+// Specs are untyped JSON documents
+type Spec = ReturnType<typeof JSON.parse>;
+
+function changed(edit: (spec: Spec) => void): Change[] {
+  const head = structuredClone(SPEC);
+  edit(head);
+  return new OpenApiDiff().diff(SPEC, head);
+}
+
+const calculateRequest = (spec: Spec) =>
+  spec.components.schemas.CreditScoreCalculationRequest;
+const calculateResponse = (spec: Spec) =>
+  spec.components.schemas.CreditScoreCalculationResponse;
+
+let root: string;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "openapi-diff-"));
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe("OpenAPI Spec Diff", () => {
+  it("should report no changes for the same spec", () => {
+    expect(changed(() => {})).toEqual([]);
+  });
+
+  it("should flag changes that break existing clients", () => {
+    expect(
+      changed((spec) => {
+        delete calculateResponse(spec).properties.audit_id;
+        calculateRequest(spec).required.push("bureau");
+        calculateRequest(spec).properties.bureau = { type: "string" };
+        calculateRequest(spec).properties.payment_history.minimum = 10;
+        delete spec.paths["/health"];
+      })
+    ).toEqual([
+      { breaking: true, location: "/health", message: "path removed" },
+      {
+        breaking: true,
+        location: "POST /credit-score/calculate request.payment_history",
+        message: "minimum changed from 0 to 10",
+      },
+      {
+        breaking: true,
+        location: "POST /credit-score/calculate request.bureau",
+        message: "required property added",
+      },
+      {
+        breaking: true,
+        location: "POST /credit-score/calculate 200 response.audit_id",
+        message: "property removed",
+      },
+    ]);
+  });
+
+  it("should treat additive changes as non-breaking", () => {
+    const changes = changed((spec) => {
+      calculateRequest(spec).properties.notes = { type: "string" };
+      calculateResponse(spec).properties.model_version = { type: "string" };
+      spec.paths["/disputes"] = {
+        get: { responses: { 200: { description: "Disputes" } } },
+      };
+    });
+
+    expect(changes.map(({ location, message }) => [location, message])).toEqual(
+      [
+        [
+          "POST /credit-score/calculate request.notes",
+          "optional property added",
+        ],
+        [
+          "POST /credit-score/calculate 200 response.model_version",
+          "optional property added",
+        ],
+        ["GET /disputes", "operation added"],
+      ]
+    );
+    expect(changes.some((change) => change.breaking)).toBe(false);
+  });
+
+  it("should judge enum changes by which side reads the value", () => {
+    expect(
+      changed((spec) => {
+        spec.components.schemas.PermissiblePurpose.enum.push("court_order");
+      })
+    ).toEqual([
+      {
+        breaking: false,
+        location:
+          "GET /credit-reports/{consumerId} query parameter permissible_purpose",
+        message: "enum values added: court_order",
+      },
+    ]);
+    expect(
+      changed((spec) => {
+        spec.components.schemas.PermissiblePurpose.enum.pop();
+      })
+    ).toEqual([
+      {
+        breaking: true,
+        location:
+          "GET /credit-reports/{consumerId} query parameter permissible_purpose",
+        message: "enum values removed: legitimate_business_need",
+      },
+    ]);
+    expect(
+      changed((spec) => {
+        calculateResponse(spec).properties.calculation_method.enum = ["fico"];
+      })
+    ).toEqual([
+      {
+        breaking: false,
+        location:
+          "POST /credit-score/calculate 200 response.calculation_method",
+        message: "is now restricted to an enum",
+      },
+    ]);
+  });
+
+  it("should exit 1 for breaking changes, 0 otherwise and 2 on errors", () => {
+    const write = (name: string, spec: Spec) => {
+      const file = path.join(root, name);
+      fs.writeFileSync(file, JSON.stringify(spec));
+      return file;
+    };
+    const run = (...args: string[]) =>
+      spawnSync(process.execPath, [SCRIPT, ...args], { encoding: "utf8" });
+
+    const base = write("base.json", SPEC);
+    const additive = structuredClone(SPEC);
+    calculateResponse(additive).properties.model_version = { type: "string" };
+    const breaking = structuredClone(SPEC);
+    delete breaking.paths["/health"];
+
+    const passed = run(base, write("additive.json", additive));
+    expect(passed.status).toBe(0);
+    expect(passed.stdout).toContain("No breaking API contract changes");
+
+    const failed = run(base, write("breaking.json", breaking), "--json");
+    expect(failed.status).toBe(1);
+    expect(JSON.parse(failed.stdout).changes).toEqual([
+      { breaking: true, location: "/health", message: "path removed" },
+    ]);
+
+    expect(run(base, path.join(root, "missing.json")).status).toBe(2);
+  });
+});
@@ -0,0 +1,203 @@
+import { afterEach, beforeEach, describe, it, expect } from "vitest";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import { createRequire } from "module";
+import os from "os";
+import path from "path";
+
+const require = createRequire(import.meta.url);
+const SCRIPT = path.resolve(
+  __dirname,
+  "../../../scripts/sensitive-data-scanner.cjs"
+);
+const SensitiveDataScanner = require(SCRIPT);
+
+// Assembled at runtime so the repository scan never sees them in this file
+const literal = (...parts: string[]) => parts.join("");
+const AWS_KEY = literal("AKIA", "ABCDEFGHIJKLMNOP");
+const PASSWORD = literal("hunter2", "hunter2");
+const SSN = literal("123-45-", "6789");
+
+interface Finding {
+  ruleId: string;
+  file: string;
+  line: number;
+  value: string;
+  fingerprint: string;
+  status: string;
+  reason?: string;
+}
+
+interface SarifResult {
+  locations: { physicalLocation: { artifactLocation: { uri: string } } }[];
+  suppressions?: unknown[];
+}
+
+const uriOf = (result: SarifResult) =>
+  result.locations[0].physicalLocation.artifactLocation.uri;
+
+let root: string;
+
+function write(file: string, content: string) {
+  const target = path.join(root, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, content);
+}
+
+// Directory listing order is filesystem dependent
+function scan(): Finding[] {
+  const findings: Finding[] = new SensitiveDataScanner({
+    projectRoot: root,
+    sarif: false,
+  }).scan();
+  return findings.sort(
+    (a, b) => a.file.localeCompare(b.file) || a.line - b.line
+  );
+}
+
+function runCli(...args: string[]) {
+  return spawnSync(
+    process.execPath,
+    [SCRIPT, "--root", root, "--no-sarif", ...args],
+    { encoding: "utf8" }
+  );
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "sensitive-scan-"));
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe("Sensitive Data Scanner", () => {
+  it("should detect SSNs, card numbers, keys and hardcoded credentials", () => {
+    write(
+      "src/config.ts",
+      [
+        `const ssn = "${SSN}";`,
+        'const card = "4111 1111 1111 1111";',
+        `const aws = "${AWS_KEY}";`,
+        `const db = "postgres://app:${PASSWORD}@db:5432/credit";`,
+        `const settings = { ${literal("pass", "word")}: "${PASSWORD}" };`,
+        `${literal("-----BEGIN ", "RSA PRIVATE KEY-----")}`,
+      ].join("\n")
+    );
+    write(".env.local", `${literal("QASE_API_", "TOKEN")}=${PASSWORD}\n`);
+
+    const findings = scan();
+
+    expect(
+      findings.map((finding) => [finding.file, finding.line, finding.ruleId])
+    ).toEqual([
+      [".env.local", 1, "credential-assignment"],
+      ["src/config.ts", 1, "ssn"],
+      ["src/config.ts", 2, "card-number"],
+      ["src/config.ts", 3, "aws-access-key-id"],
+      ["src/config.ts", 4, "connection-string-password"],
+      ["src/config.ts", 5, "credential-assignment"],
+      ["src/config.ts", 6, "private-key"],
+    ]);
+    expect(findings.every((finding) => finding.status === "new")).toBe(true);
+  });
+
+  it("should ignore invalid numbers, indirect values and skipped paths", () => {
+    write(
+      "src/safe.ts",
+      [
+        `const notSsn = "${literal("000-12-", "3456")}";`,
+        'const notCard = "4111 1111 1111 1112";',
+        `const key = { ${literal("api", "Key")}: process.env.API_KEY };`,
+        `const url = "${literal("postgres://app:", "${password}@db/credit")}";`,
+      ].join("\n")
+    );
+    write("node_modules/pkg/index.js", `const ssn = "${SSN}";`);
+    write("src/image.png", `${SSN}`);
+
+    expect(scan()).toEqual([]);
+  });
+
+  it("should suppress allowlisted and baselined findings", () => {
+    write("tests/fixture.ts", `const ssn = "${SSN}";`);
+    write("src/legacy.ts", `const aws = "${AWS_KEY}";`);
+    write("src/new.ts", `const aws = "${AWS_KEY}";`);
+
+    const [legacy] = scan();
+    write(
+      ".sensitive-data-baseline.json",
+      JSON.stringify({
+        allowlist: [
+          {
+            path: "tests/**",
+            rule: "ssn",
+            match: "^123-45-6789$",
+            reason: "Sample SSN",
+          },
+        ],
+        baseline: [
+          { fingerprint: legacy.fingerprint, reason: "Rotated key, history" },
+        ],
+      })
+    );
+
+    expect(
+      scan().map((finding) => [finding.file, finding.status, finding.reason])
+    ).toEqual([
+      ["src/legacy.ts", "baselined", "Rotated key, history"],
+      ["src/new.ts", "new", undefined],
+      ["tests/fixture.ts", "allowlisted", "Sample SSN"],
+    ]);
+  });
+
+  it("should exit non-zero only for unreviewed findings", () => {
+    write("src/clean.ts", "export const answer = 42;\n");
+    expect(runCli().status).toBe(0);
+
+    write("src/leak.ts", `const aws = "${AWS_KEY}";\n`);
+    const failed = runCli();
+    expect(failed.status).toBe(1);
+    expect(failed.stdout).toContain("src/leak.ts:1:14");
+    expect(failed.stdout).toContain("AKIA******");
+    expect(failed.stdout).not.toContain(AWS_KEY);
+
+    expect(runCli("--update-baseline").status).toBe(0);
+    expect(runCli().status).toBe(0);
+
+    write(".sensitive-data-baseline.json", "{not json");
+    expect(runCli().status).toBe(1);
+  });
+
+  it("should write SARIF with suppressions for reviewed findings", () => {
+    write("src/legacy.ts", `const aws = "${AWS_KEY}";\n`);
+    expect(runCli("--update-baseline").status).toBe(0);
+    write("src/leak.ts", `const aws = "${AWS_KEY}";\n`);
+    const sarifPath = path.join(root, "reports/scan.sarif");
+
+    expect(runCli("--sarif", sarifPath).status).toBe(1);
+
+    const sarif = JSON.parse(fs.readFileSync(sarifPath, "utf8"));
+    const results: SarifResult[] = sarif.runs[0].results.sort(
+      (a: SarifResult, b: SarifResult) => uriOf(a).localeCompare(uriOf(b))
+    );
+    expect(results[0]).toMatchObject({
+      ruleId: "aws-access-key-id",
+      level: "error",
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: "src/leak.ts" },
+            region: { startLine: 1, startColumn: 14 },
+          },
+        },
+      ],
+    });
+    expect(results[0].suppressions).toBeUndefined();
+    expect(results[1].suppressions).toEqual([
+      {
+        kind: "external",
+        justification: "Accepted when the baseline was created",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,255 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildAdverseActionNotice,
+  renderAdverseActionHtml,
+  renderAdverseActionPdf,
+  renderAdverseActionText,
+  validateAdverseActionInput,
+  type AdverseActionInput,
+} from "../../../src/utils/adverseAction";
+
+const baseInput: AdverseActionInput = {
+  date: new Date("2025-08-23T12:00:00Z"),
+  consumer: {
+    fullName: "Jane Q. Consumer",
+    address: {
+      line1: "123 Main St",
+      city: "Boca Raton",
+      state: "FL",
+      postalCode: "33431",
+    },
+  },
+  creditor: {
+    name: "Sunshine Auto Finance",
+    lines: ["500 Harbor Blvd"],
+    city: "Tampa",
+    state: "FL",
+    postalCode: "33602",
+  },
+  action: "Your application for an auto loan was declined.",
+  sources: [
+    {
+      creditData: {
+        score: 612,
+        scoreModel: "FICO_8",
+        reportDate: "2025-08-20",
+        bureauSource: "Equifax",
+        permissiblePurpose: "credit_application",
+      },
+      factors: [
+        { category: "credit_age", impact: "positive", severity: "high" },
+        {
+          category: "payment_history",
+          impact: "negative",
+          severity: "high",
+          reasonCode: "40",
+        },
+        {
+          category: "utilization",
+          impact: "negative",
+          severity: "high",
+          reasonCode: "10",
+        },
+        {
+          category: "payment_history",
+          impact: "negative",
+          severity: "medium",
+          reasonCode: "13",
+        },
+        {
+          category: "utilization",
+          impact: "negative",
+          severity: "medium",
+          reasonCode: "01",
+        },
+        {
+          category: "credit_mix",
+          impact: "negative",
+          severity: "low",
+          reasonCode: "03",
+        },
+        {
+          category: "new_credit",
+          impact: "negative",
+          severity: "low",
+          reasonCode: "08",
+        },
+      ],
+    },
+  ],
+};
+
+describe("Adverse Action Notice", () => {
+  it("should disclose the score, range, date, model and key factors", () => {
+    const text = renderAdverseActionText(baseInput);
+
+    expect(text).toContain("Sunshine Auto Finance\n500 Harbor Blvd");
+    expect(text).toContain("August 23, 2025");
+    expect(text).toContain("Jane Q. Consumer\n123 Main St");
+    expect(text).toContain("NOTICE OF ADVERSE ACTION");
+    expect(text).toContain("Your application for an auto loan was declined.");
+    expect(text).toContain("Your credit score: 612");
+    expect(text).toContain("Scores range from a low of 300 to a high of 850");
+    expect(text).toContain("Date of score: August 20, 2025");
+    expect(text).toContain("Scoring model: FICO Score 8");
+    expect(text).toContain("1. Derogatory public record or collection filed");
+    // Inquiries ranked sixth, so they follow the top four as a fifth factor
+    expect(text).toContain("5. Too many inquiries last 12 months");
+    expect(text).not.toContain("Too few bank revolving accounts");
+  });
+
+  it("should include the bureau disclosure block and consumer rights", () => {
+    const text = renderAdverseActionText(baseInput);
+    const prose = text.replace(/\s+/g, " ");
+
+    expect(text).toContain(
+      "Equifax Information Services LLC\nEquifax Information Services LLC\nP.O. Box 740256"
+    );
+    expect(text).toContain("Toll-free: 1-866-349-5191");
+    expect(prose).toContain(
+      "This consumer reporting agency played no part in our decision"
+    );
+    expect(prose).toContain("within 60 days of receiving this notice");
+    expect(prose).toContain("the accuracy or completeness of any information");
+  });
+
+  it("should disclose every score and bureau the decision relied on", () => {
+    const notice = buildAdverseActionNotice({
+      ...baseInput,
+      sources: [
+        ...baseInput.sources,
+        {
+          creditData: {
+            score: 655,
+            scoreModel: "VANTAGESCORE_4",
+            reportDate: "2025-08-21",
+            bureauSource: "TransUnion",
+            permissiblePurpose: "credit_application",
+          },
+          factors: [
+            {
+              category: "utilization",
+              impact: "negative",
+              severity: "high",
+              reasonCode: "10",
+            },
+          ],
+        },
+      ],
+    });
+
+    expect(notice.bureaus).toEqual(["Equifax", "TransUnion"]);
+    expect(notice.disclosures[1]).toMatchObject({
+      bureau: "TransUnion",
+      score: 655,
+      min: 300,
+      max: 850,
+      scoreModel: "VantageScore 4.0",
+    });
+    expect(notice.disclosures[1].keyFactors.map((r) => r.code)).toEqual(["10"]);
+    const text = renderAdverseActionText({
+      ...baseInput,
+      sources: [...baseInput.sources, ...baseInput.sources],
+    });
+    expect(text.match(/Toll-free: 1-866-349-5191/g)).toHaveLength(1);
+  });
+
+  it("should refuse to generate an incomplete notice", () => {
+    const result = validateAdverseActionInput(
+      {
+        ...baseInput,
+        action: " ",
+        creditor: { ...baseInput.creditor, name: "" },
+        sources: [
+          {
+            creditData: {
+              ...baseInput.sources[0].creditData,
+              permissiblePurpose: "",
+            },
+            factors: [
+              { category: "credit_age", impact: "positive", severity: "high" },
+            ],
+          },
+        ],
+      },
+      { now: baseInput.date }
+    );
+
+    expect(result.issues.map((issue) => issue.field)).toEqual([
+      "creditor",
+      "action",
+      "sources[0].factors",
+      "sources[0].creditData.permissiblePurpose",
+    ]);
+    expect(result.errors).toContain(
+      "The Equifax score needs at least one key factor with a reason code"
+    );
+    expect(() =>
+      buildAdverseActionNotice({ ...baseInput, sources: [] })
+    ).toThrow(
+      "Cannot generate adverse action notice: At least one consumer report the decision relied on is required"
+    );
+  });
+
+  it("should report missing factors instead of throwing", () => {
+    const input = {
+      ...baseInput,
+      sources: [{ creditData: baseInput.sources[0].creditData }],
+    } as unknown as AdverseActionInput;
+
+    expect(
+      validateAdverseActionInput(input, { now: baseInput.date }).issues.map(
+        (issue) => issue.field
+      )
+    ).toEqual(["sources[0].factors"]);
+    expect(() => buildAdverseActionNotice(input)).toThrow(
+      "The Equifax score needs at least one key factor with a reason code"
+    );
+  });
+
+  it("should refuse reason codes that do not match the factor", () => {
+    const [source] = baseInput.sources;
+    const input: AdverseActionInput = {
+      ...baseInput,
+      sources: [
+        {
+          ...source,
+          factors: [
+            ...source.factors,
+            {
+              category: "utilization",
+              impact: "negative",
+              severity: "high",
+              reasonCode: "08",
+            },
+          ],
+        },
+      ],
+    };
+
+    expect(
+      validateAdverseActionInput(input, { now: baseInput.date }).issues.map(
+        (issue) => issue.field
+      )
+    ).toEqual(["sources[0].factors[7].reasonCode"]);
+    expect(() => buildAdverseActionNotice(input)).toThrow(
+      "Reason code 08 belongs to new_credit, not utilization"
+    );
+  });
+
+  it("should render the same notice to HTML and PDF", () => {
+    const html = renderAdverseActionHtml({
+      ...baseInput,
+      action: "Declined <script>",
+    });
+    expect(html).toContain('<article class="adverse-action-notice">');
+    expect(html).toContain("<h2>Notice of adverse action</h2>");
+    expect(html).toContain("Declined &lt;script&gt;");
+    expect(html).toContain("<li>Too many inquiries last 12 months</li>");
+
+    const pdf = String.fromCharCode(...renderAdverseActionPdf(baseInput));
+    expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+    expect(pdf).toContain("(Your credit score: 612) Tj");
+    expect(pdf).toContain("/Title (Notice of adverse action)");
+  });
+});
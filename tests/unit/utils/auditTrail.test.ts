@@ -0,0 +1,282 @@
+import { describe, it, expect } from "vitest";
+import {
+  canonicalJson,
+  createAuditLog,
+  createLocalStorageAuditStore,
+  createMemoryAuditStore,
+  exportAuditLog,
+  GENESIS_HASH,
+  verifyAuditChain,
+  withAuditTrail,
+  type AuditEntry,
+} from "../../../src/utils/auditTrail";
+import type { Principal } from "../../../src/utils/permissions";
+
+const actor = { id: "agent-7", role: "specialist" };
+
+function createLog() {
+  let id = 0;
+  return createAuditLog({
+    now: () => new Date("2024-03-01T12:00:00.000Z"),
+    generateId: () => `aud-${++id}`,
+  });
+}
+
+function fetchReport(consumerId: string, purpose: string) {
+  return { consumerId, purpose, score: 720, ssn: "123-45-6789" };
+}
+
+const context = (consumerId: string, purpose: string) => ({
+  actor,
+  consumerId,
+  permissiblePurpose: purpose,
+});
+
+describe("Audit Trail", () => {
+  it("should serialize objects canonically", () => {
+    expect(canonicalJson({ b: 1, a: [{ d: 2, c: undefined }] })).toBe(
+      canonicalJson({ a: [{ d: 2 }], b: 1 })
+    );
+  });
+
+  it("should chain each entry to the previous hash", () => {
+    const log = createLog();
+    const first = log.record({
+      actor,
+      action: "credit_report.read",
+      consumerId: "c-1",
+      permissiblePurpose: "account_review",
+      outcome: "success",
+    });
+    const second = log.record({ ...first, consumerId: "c-2" });
+
+    expect(first.sequence).toBe(0);
+    expect(first.previousHash).toBe(GENESIS_HASH);
+    expect(second.previousHash).toBe(first.hash);
+    expect(Object.isFrozen(first)).toBe(true);
+    expect(log.verify()).toEqual({ valid: true, checked: 2 });
+  });
+
+  describe("withAuditTrail", () => {
+    it("should record who accessed which consumer and a digest of the result", () => {
+      const log = createLog();
+      const audited = withAuditTrail(fetchReport, {
+        log,
+        action: "credit_report.read",
+        context,
+        summarize: (result) => ({ score: result.score }),
+      });
+
+      const result = audited("c-1", "account_review");
+      const [entry] = log.entries();
+
+      expect(result.score).toBe(720);
+      expect(entry).toMatchObject({
+        auditId: "aud-1",
+        actor,
+        consumerId: "c-1",
+        permissiblePurpose: "account_review",
+        outcome: "success",
+        resultSummary: { score: 720 },
+        timestamp: "2024-03-01T12:00:00.000Z",
+      });
+      expect(entry.resultHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(entry)).not.toContain("123-45-6789");
+    });
+
+    it("should deny and log access without a permissible purpose", () => {
+      const log = createLog();
+      const audited = withAuditTrail(fetchReport, {
+        log,
+        action: "credit_report.read",
+        context,
+      });
+
+      expect(() => audited("c-1", "curiosity")).toThrow(
+        "Credit data access denied"
+      );
+      expect(log.entries()[0].outcome).toBe("denied");
+    });
+
+    it("should log failures from async access functions", async () => {
+      const log = createLog();
+      const audited = withAuditTrail(
+        async (consumerId: string) => {
+          throw new Error(`Bureau timeout for ${consumerId}`);
+        },
+        {
+          log,
+          action: "credit_report.read",
+          context: (consumerId) => context(consumerId, "credit_application"),
+        }
+      );
+
+      await expect(audited("c-9")).rejects.toThrow("Bureau timeout");
+      expect(log.entries()[0]).toMatchObject({
+        outcome: "error",
+        reason: "Bureau timeout for c-9",
+      });
+    });
+  });
+
+  describe("verifyAuditChain", () => {
+    function recordThree(): AuditEntry[] {
+      const log = createLog();
+      const audited = withAuditTrail(fetchReport, {
+        log,
+        action: "credit_report.read",
+        context,
+      });
+      ["c-1", "c-2", "c-3"].forEach((id) => audited(id, "account_review"));
+      return log.entries().map((entry) => ({ ...entry }));
+    }
+
+    it("should detect edited entries", () => {
+      const entries = recordThree();
+      entries[1].consumerId = "c-99";
+
+      expect(verifyAuditChain(entries)).toMatchObject({
+        valid: false,
+        brokenAt: 1,
+        reason: "Entry contents do not match its hash",
+      });
+    });
+
+    it("should detect removed entries", () => {
+      const entries = recordThree();
+      entries.splice(1, 1);
+
+      expect(verifyAuditChain(entries)).toMatchObject({
+        valid: false,
+        brokenAt: 1,
+      });
+    });
+  });
+
+  it("should persist the chain to localStorage", () => {
+    localStorage.clear();
+    const log = createAuditLog({ store: createLocalStorageAuditStore() });
+    log.record({
+      actor,
+      action: "credit_report.read",
+      consumerId: "c-1",
+      permissiblePurpose: "account_review",
+      outcome: "success",
+    });
+
+    const reloaded = createAuditLog({ store: createLocalStorageAuditStore() });
+    expect(reloaded.entries()).toHaveLength(1);
+    expect(reloaded.verify().valid).toBe(true);
+    localStorage.clear();
+  });
+
+  describe("exportAuditLog", () => {
+    const principal: Principal = { id: "cmp-1", role: "compliance" };
+
+    it("should export JSON with the verification status", () => {
+      const log = createAuditLog({ store: createMemoryAuditStore() });
+      log.record({
+        actor,
+        action: "credit_report.read",
+        consumerId: "c-1",
+        permissiblePurpose: "account_review",
+        outcome: "success",
+      });
+
+      const exported = JSON.parse(
+        exportAuditLog(log.entries(), "json", {
+          principal,
+          exportedAt: new Date("2024-04-01T00:00:00.000Z"),
+        })
+      );
+      expect(exported.exportedAt).toBe("2024-04-01T00:00:00.000Z");
+      expect(exported.verification.valid).toBe(true);
+      expect(exported.entries).toHaveLength(1);
+    });
+
+    it("should export CSV with escaped cells", () => {
+      const log = createLog();
+      log.record({
+        actor,
+        action: "credit_report.read",
+        consumerId: "c-1",
+        permissiblePurpose: "curiosity",
+        outcome: "denied",
+        reason: 'Invalid purpose, "curiosity"',
+      });
+
+      const [header, row] = exportAuditLog(log.entries(), "csv", {
+        principal,
+      }).split("\n");
+      expect(header.split(",")).toContain("permissiblePurpose");
+      expect(row).toContain('"Invalid purpose, ""curiosity"""');
+      expect(row.startsWith("0,aud-1,2024-03-01T12:00:00.000Z,agent-7")).toBe(
+        true
+      );
+    });
+
+    it("should export the summary and per-row verification to CSV", () => {
+      const log = createLog();
+      for (const score of [720, 705]) {
+        log.record({
+          actor,
+          action: "credit_report.read",
+          consumerId: "c-1",
+          permissiblePurpose: "account_review",
+          outcome: "success",
+          resultSummary: { score },
+        });
+      }
+      const [first, second] = log.entries();
+      const tampered = [first, { ...second, consumerId: "c-2" }];
+
+      const [header, ...rows] = exportAuditLog(tampered, "csv", { principal })
+        .trim()
+        .split("\n");
+      expect(header.split(",").slice(-5)).toEqual([
+        "resultSummary",
+        "resultHash",
+        "previousHash",
+        "hash",
+        "verified",
+      ]);
+      expect(rows[0]).toContain('"{""score"":720}"');
+      expect(rows.map((row) => row.split(",").pop())).toEqual([
+        "true",
+        "false",
+      ]);
+    });
+
+    it("should keep CSV cells from running as spreadsheet formulas", () => {
+      const log = createLog();
+      log.record({
+        actor: { id: "@agent", role: "+specialist" },
+        action: "credit_report.read",
+        consumerId: "c-1",
+        permissiblePurpose: "-account_review",
+        outcome: "denied",
+        reason: '=HYPERLINK("http://example.test","open")',
+      });
+
+      const [, row] = exportAuditLog(log.entries(), "csv", {
+        principal,
+      }).split("\n");
+      expect(row).toContain("'@agent,'+specialist");
+      expect(row).toContain("'-account_review");
+      expect(row).toContain('"\'=HYPERLINK(""http://example.test"",""open"")"');
+    });
+
+    it("should refuse exports without audit:export", () => {
+      const log = createLog();
+
+      expect(() =>
+        exportAuditLog(log.entries(), "json", {
+          principal: { id: "agent-7", role: "agent" },
+        })
+      ).toThrow("Missing permission: audit:export");
+      expect(() =>
+        exportAuditLog(log.entries(), "csv", { principal: null })
+      ).toThrow("Missing permission: audit:export");
+    });
+  });
+});
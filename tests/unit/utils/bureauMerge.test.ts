@@ -0,0 +1,163 @@
+import { describe, it, expect } from "vitest";
+import {
+  accountNumbersCompatible,
+  mergeBureauReports,
+  normalizeCreditorName,
+} from "../../../src/utils/bureauMerge";
+import { buildReport, buildTradeline } from "../fixtures/creditReports";
+
+describe("Tri-Bureau Merge Engine", () => {
+  describe("Account matching", () => {
+    it("should normalize furnisher name variants", () => {
+      expect(normalizeCreditorName("CAP ONE")).toBe("CAPITALONE");
+      expect(normalizeCreditorName("Capital One Bank USA NA")).toBe(
+        "CAPITALONE"
+      );
+      expect(normalizeCreditorName("JPMCB CARD")).toBe("CHASE");
+      expect(normalizeCreditorName("Bank of America NA")).toBe("BANKOFAMERICA");
+    });
+
+    it("should strip suffixes only as whole words", () => {
+      expect(normalizeCreditorName("FIRST CAROLINA")).toBe("FIRSTCAROLINA");
+      expect(normalizeCreditorName("BANK USA")).toBe("BANK");
+    });
+
+    it("should not match a furnisher against a longer name", () => {
+      const merged = mergeBureauReports([
+        buildReport("Experian", {
+          tradelines: [buildTradeline({ creditorName: "CAPITAL" })],
+        }),
+        buildReport("Equifax", {
+          tradelines: [buildTradeline({ creditorName: "CAPITAL ONE" })],
+        }),
+      ]);
+
+      expect(merged.tradelines).toHaveLength(2);
+    });
+
+    it("should compare only the digits both bureaus reveal", () => {
+      expect(
+        accountNumbersCompatible("517805XXXXXX1234", "XXXXXXXXXXXX1234")
+      ).toBe(true);
+      expect(accountNumbersCompatible("517805XXXXXX", "517805XX")).toBe(true);
+      expect(accountNumbersCompatible("XXXX1234", "XXXX9999")).toBe(false);
+      expect(accountNumbersCompatible("XXXXXXXX", "XXXXXXXX")).toBe(false);
+      expect(accountNumbersCompatible("517805XX", "XXXX1234")).toBe(false);
+    });
+  });
+
+  it("should match the same account across all three bureaus", () => {
+    const merged = mergeBureauReports([
+      buildReport("TransUnion", {
+        tradelines: [buildTradeline({ creditorName: "CAP ONE" })],
+      }),
+      buildReport("Experian"),
+      buildReport("Equifax", {
+        tradelines: [
+          buildTradeline({ creditorName: "CAPITAL ONE BANK USA NA" }),
+        ],
+      }),
+    ]);
+
+    expect(merged.bureaus).toEqual(["Experian", "Equifax", "TransUnion"]);
+    expect(merged.tradelines).toHaveLength(1);
+    expect(merged.tradelines[0].reportedBy).toEqual([
+      "Experian",
+      "Equifax",
+      "TransUnion",
+    ]);
+    expect(merged.discrepancies).toEqual([]);
+  });
+
+  it("should flag field-level discrepancies between bureaus", () => {
+    const merged = mergeBureauReports([
+      buildReport("Experian"),
+      buildReport("Equifax", {
+        tradelines: [
+          buildTradeline({
+            paymentStatus: "late_60",
+            dateOfFirstDelinquency: "2024-01-01",
+          }),
+        ],
+      }),
+    ]);
+
+    const fields = merged.discrepancies.map((d) => d.field);
+    expect(fields).toContain("paymentStatus");
+    expect(fields).toContain("dateOfFirstDelinquency");
+    expect(
+      merged.discrepancies.find((d) => d.field === "paymentStatus")?.values
+    ).toEqual({ Experian: "current", Equifax: "late_60" });
+  });
+
+  it("should respect the balance tolerance", () => {
+    const reports = [
+      buildReport("Experian"),
+      buildReport("TransUnion", {
+        tradelines: [buildTradeline({ balance: 1225 })],
+      }),
+    ];
+
+    expect(
+      mergeBureauReports(reports).discrepancies.map((d) => d.field)
+    ).toContain("balance");
+    expect(
+      mergeBureauReports(reports, { balanceTolerance: 50 }).discrepancies
+    ).toEqual([]);
+  });
+
+  it("should flag items missing from a bureau", () => {
+    const merged = mergeBureauReports([
+      buildReport("Experian", {
+        collections: [
+          {
+            id: "col-1",
+            agencyName: "MIDLAND CREDIT MGMT",
+            accountNumber: "XXXX5555",
+            balance: 840,
+            dateAssigned: "2022-03-01",
+            dateOfFirstDelinquency: "2021-09-15",
+            status: "unpaid",
+          },
+        ],
+      }),
+      buildReport("Equifax"),
+      buildReport("TransUnion"),
+    ]);
+
+    const presence = merged.discrepancies.find(
+      (d) => d.itemType === "collection" && d.field === "presence"
+    );
+    expect(presence?.values).toEqual({
+      Experian: true,
+      Equifax: false,
+      TransUnion: false,
+    });
+  });
+
+  it("should flag personal information conflicts", () => {
+    const equifax = buildReport("Equifax");
+    equifax.personalInfo = {
+      ...equifax.personalInfo,
+      dateOfBirth: "1958-06-01",
+    };
+
+    const merged = mergeBureauReports([buildReport("Experian"), equifax]);
+
+    expect(merged.discrepancies).toContainEqual({
+      itemType: "personal_info",
+      itemKey: "consumer",
+      field: "dateOfBirth",
+      values: { Experian: "1985-06-01", Equifax: "1958-06-01" },
+    });
+  });
+
+  it("should reject duplicate bureau reports", () => {
+    expect(() =>
+      mergeBureauReports([buildReport("Experian"), buildReport("Experian")])
+    ).toThrow("Duplicate report for bureau: Experian");
+    expect(() => mergeBureauReports([])).toThrow(
+      "At least one bureau report is required"
+    );
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import {
+  addBusinessDays,
+  federalHolidays,
+  isBusinessDay,
+} from "../../../src/utils/businessDays";
+
+describe("Business Days", () => {
+  it("should list observed federal holidays", () => {
+    expect(federalHolidays(2025)).toEqual([
+      "2025-01-01",
+      "2025-01-20",
+      "2025-02-17",
+      "2025-05-26",
+      "2025-06-19",
+      "2025-07-04",
+      "2025-09-01",
+      "2025-10-13",
+      "2025-11-11",
+      "2025-11-27",
+      "2025-12-25",
+    ]);
+    // July 4, 2026 is a Saturday and Juneteenth 2027 a Saturday
+    expect(federalHolidays(2026)).toContain("2026-07-03");
+    expect(federalHolidays(2027)).toContain("2027-06-18");
+    // New Year's Day 2028 is a Saturday, observed Dec 31, 2027
+    expect(federalHolidays(2028)[0]).toBe("2027-12-31");
+  });
+
+  it("should skip weekends and holidays", () => {
+    expect(isBusinessDay(new Date("2025-08-29T12:00:00Z"))).toBe(true);
+    expect(isBusinessDay(new Date("2025-08-30T12:00:00Z"))).toBe(false);
+    expect(isBusinessDay(new Date("2025-09-01T12:00:00Z"))).toBe(false);
+    expect(isBusinessDay(new Date("2027-12-31T12:00:00Z"))).toBe(false);
+  });
+
+  it("should count business days after the start date", () => {
+    // Signed Thursday before Labor Day: Fri, Tue, Wed
+    expect(addBusinessDays("2025-08-28T15:00:00Z", 3)).toBe("2025-09-03");
+    // Signed on a Saturday: Mon, Tue, Wed
+    expect(addBusinessDays(new Date("2025-08-16T10:00:00Z"), 3)).toBe(
+      "2025-08-20"
+    );
+    expect(addBusinessDays("2025-08-18", 0)).toBe("2025-08-18");
+  });
+
+  it("should reject invalid input", () => {
+    expect(() => addBusinessDays("2025-08-18", -1)).toThrow(
+      "Business days must be a non-negative integer: -1"
+    );
+    expect(() => addBusinessDays("not a date", 3)).toThrow(
+      "Invalid date: not a date"
+    );
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from "vitest";
+import {
+  CROA,
+  FCRA,
+  createRuleSet,
+  formatRuleMessage,
+  mergeValidationResults,
+  type ComplianceRule,
+} from "../../../src/utils/complianceRules";
+
+interface Subject {
+  amount: number;
+}
+
+const positiveAmount: ComplianceRule<Subject> = {
+  id: "AMOUNT_NEGATIVE",
+  citation: FCRA("607(b)"),
+  severity: "error",
+  field: "amount",
+  message: "Amount {amount} must not be negative",
+  check: ({ amount }) => amount < 0 && { params: { amount } },
+};
+
+describe("Compliance Rules Engine", () => {
+  it("should build citations with readable labels", () => {
+    expect(FCRA("604(a)")).toEqual({
+      source: "FCRA",
+      section: "604(a)",
+      label: "FCRA §604(a)",
+    });
+    expect(CROA("404(a)").label).toBe("CROA §404(a)");
+  });
+
+  it("should fill message templates and keep unknown placeholders", () => {
+    expect(formatRuleMessage("Score {score} of {max}", { score: 700 })).toBe(
+      "Score 700 of {max}"
+    );
+  });
+
+  it("should return structured issues with code, field and citation", () => {
+    const rules = createRuleSet([positiveAmount]);
+    const result = rules.evaluate({ amount: -10 });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(["Amount -10 must not be negative"]);
+    expect(result.issues).toEqual([
+      {
+        code: "AMOUNT_NEGATIVE",
+        field: "amount",
+        message: "Amount -10 must not be negative",
+        severity: "error",
+        citation: FCRA("607(b)"),
+        params: { amount: -10 },
+      },
+    ]);
+  });
+
+  it("should support multiple findings with their own field paths", () => {
+    const rules = createRuleSet<{ items: number[] }>([
+      {
+        id: "ITEM_ZERO",
+        citation: FCRA("607(b)"),
+        severity: "warning",
+        field: "items",
+        message: "Item is zero",
+        check: ({ items }) =>
+          items.flatMap((item, index) =>
+            item === 0 ? [{ field: `items[${index}]` }] : []
+          ),
+      },
+    ]);
+
+    const result = rules.evaluate({ items: [0, 1, 0] });
+
+    expect(result.isValid).toBe(true);
+    expect(result.issues.map((issue) => issue.field)).toEqual([
+      "items[0]",
+      "items[2]",
+    ]);
+  });
+
+  it("should only apply jurisdiction rules in their jurisdictions", () => {
+    const rules = createRuleSet<Subject>([
+      { ...positiveAmount, id: "NY_ONLY", jurisdictions: ["NY"] },
+    ]);
+
+    expect(rules.evaluate({ amount: -1 }).isValid).toBe(true);
+    expect(rules.evaluate({ amount: -1 }, { jurisdiction: "CA" }).isValid).toBe(
+      true
+    );
+    expect(rules.evaluate({ amount: -1 }, { jurisdiction: "ny" }).isValid).toBe(
+      false
+    );
+  });
+
+  it("should allow rules to be plugged in, disabled and removed", () => {
+    const rules = createRuleSet<Subject>();
+    rules.register(positiveAmount);
+
+    expect(() => rules.register(positiveAmount)).toThrow(
+      "Duplicate compliance rule: AMOUNT_NEGATIVE"
+    );
+    expect(
+      rules.evaluate({ amount: -1 }, { disabledRules: ["AMOUNT_NEGATIVE"] })
+        .isValid
+    ).toBe(true);
+
+    rules.unregister("AMOUNT_NEGATIVE");
+    expect(rules.rules).toHaveLength(0);
+  });
+
+  it("should merge results and nest field paths", () => {
+    const rules = createRuleSet([positiveAmount]);
+    const merged = mergeValidationResults(
+      [rules.evaluate({ amount: -1 }), rules.evaluate({ amount: 5 })],
+      "payment"
+    );
+
+    expect(merged.isValid).toBe(false);
+    expect(merged.issues[0].field).toBe("payment.amount");
+  });
+});
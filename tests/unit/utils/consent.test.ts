@@ -0,0 +1,207 @@
+import { describe, it, expect } from "vitest";
+import {
+  checkConsent,
+  consentStatus,
+  createConsentRegistry,
+  createLocalStorageConsentStore,
+  validateConsent,
+  type NewConsent,
+} from "../../../src/utils/consent";
+
+const grant: NewConsent = {
+  consumerId: "c-42",
+  permissiblePurpose: "account_review",
+  scope: ["credit_report"],
+  signatureMethod: "typed_name",
+  signature: "Jane Doe",
+  documentVersion: "2025-08",
+};
+
+function createRegistry(start = "2025-08-01T12:00:00Z") {
+  let now = new Date(start);
+  let id = 0;
+  const registry = createConsentRegistry({
+    now: () => now,
+    generateId: () => `cns-${++id}`,
+  });
+  return {
+    registry,
+    setNow: (next: string) => {
+      now = new Date(next);
+    },
+  };
+}
+
+describe("Consent", () => {
+  it("should record who signed what, when and until when", () => {
+    const { registry } = createRegistry();
+
+    expect(registry.grant(grant)).toEqual({
+      ...grant,
+      id: "cns-1",
+      grantedAt: "2025-08-01T12:00:00.000Z",
+      expiresAt: "2026-08-01T12:00:00.000Z",
+    });
+    expect(
+      registry.grant({ ...grant, expiresAt: "2025-09-01T00:00:00.000Z" })
+        .expiresAt
+    ).toBe("2025-09-01T00:00:00.000Z");
+    expect(registry.list("c-42")).toHaveLength(2);
+    expect(registry.list("c-7")).toEqual([]);
+  });
+
+  it("should refuse incomplete or invalid consents", () => {
+    const now = new Date("2025-08-01T12:00:00Z");
+    const result = validateConsent(
+      {
+        consumerId: "",
+        permissiblePurpose: "curiosity",
+        scope: ["credit_report", "marketing" as never],
+        signatureMethod: "verbal" as never,
+        signature: " ",
+        documentVersion: "",
+        expiresAt: "2025-07-01T00:00:00Z",
+      },
+      { now }
+    );
+
+    expect(result.issues.map((issue) => issue.code)).toEqual([
+      "CONSENT_CONSUMER_REQUIRED",
+      "CONSENT_SCOPE_INVALID",
+      "CONSENT_SIGNATURE_REQUIRED",
+      "CONSENT_SIGNATURE_METHOD_INVALID",
+      "CONSENT_DOCUMENT_VERSION_REQUIRED",
+      "CONSENT_EXPIRY_INVALID",
+      "PURPOSE_INVALID",
+      "PURPOSE_INVALID_GUIDANCE",
+    ]);
+    expect(result.errors).toContain("Unknown consent scope: marketing");
+    expect(validateConsent({ ...grant, scope: [] }, { now }).errors).toEqual([
+      "Consent must cover at least one scope",
+    ]);
+
+    const { registry } = createRegistry();
+    expect(() => registry.grant({ ...grant, signature: "" })).toThrow(
+      "Invalid consent: Consent must be signed by the consumer"
+    );
+    expect(registry.list()).toEqual([]);
+  });
+
+  it("should allow pulls only for the consumer, purpose and scope granted", () => {
+    const { registry } = createRegistry();
+    const consent = registry.grant(grant);
+
+    expect(registry.check("c-42", "account_review", "credit_report")).toEqual({
+      allowed: true,
+      consent,
+    });
+    expect(registry.check("c-7", "account_review", "credit_report")).toEqual({
+      allowed: false,
+      reason: "absent",
+    });
+    expect(
+      registry.check("c-42", "credit_application", "credit_report")
+    ).toMatchObject({ allowed: false, reason: "absent" });
+    expect(
+      registry.check("c-42", "account_review", "credit_score")
+    ).toMatchObject({ allowed: false, reason: "absent" });
+  });
+
+  it("should stop allowing pulls once a consent expires", () => {
+    const { registry, setNow } = createRegistry();
+    const consent = registry.grant({
+      ...grant,
+      expiresAt: "2025-09-01T00:00:00Z",
+    });
+
+    setNow("2025-08-31T23:59:59Z");
+    expect(consentStatus(consent, new Date("2025-08-31T23:59:59Z"))).toBe(
+      "active"
+    );
+    expect(
+      registry.assertConsent("c-42", "account_review", "credit_report")
+    ).toBe(consent);
+
+    setNow("2025-09-01T00:00:00Z");
+    expect(registry.check("c-42", "account_review", "credit_report")).toEqual({
+      allowed: false,
+      reason: "expired",
+      consent,
+    });
+    expect(() =>
+      registry.assertConsent("c-42", "account_review", "credit_report")
+    ).toThrow("The consumer's written authorization has expired");
+  });
+
+  it("should keep revoked consents on record and refuse pulls", () => {
+    const { registry, setNow } = createRegistry();
+    const consent = registry.grant(grant);
+
+    setNow("2025-08-10T09:00:00Z");
+    const revoked = registry.revoke(consent.id, {
+      actor: "c-42",
+      reason: "Cancelled service",
+    });
+
+    expect(revoked).toMatchObject({
+      revokedAt: "2025-08-10T09:00:00.000Z",
+      revokedBy: "c-42",
+      revocationReason: "Cancelled service",
+    });
+    expect(registry.get(consent.id)).toEqual(revoked);
+
+    expect(registry.check("c-42", "account_review", "credit_report")).toEqual({
+      allowed: false,
+      reason: "revoked",
+      consent: revoked,
+    });
+    expect(() =>
+      registry.assertConsent("c-42", "account_review", "credit_report")
+    ).toThrow("The consumer revoked their written authorization");
+
+    expect(() => registry.revoke(consent.id)).toThrow(
+      "Consent already revoked: cns-1"
+    );
+    expect(() => registry.revoke("cns-9")).toThrow("Consent not found: cns-9");
+  });
+
+  it("should honour a newer consent after an older one lapses", () => {
+    const { registry, setNow } = createRegistry();
+    const first = registry.grant(grant);
+    registry.revoke(first.id);
+
+    setNow("2025-08-15T12:00:00Z");
+    const second = registry.grant({ ...grant, signatureMethod: "wet_ink" });
+
+    expect(registry.check("c-42", "account_review", "credit_report")).toEqual({
+      allowed: true,
+      consent: second,
+    });
+    expect(
+      checkConsent(
+        registry.list(),
+        {
+          consumerId: "c-42",
+          permissiblePurpose: "account_review",
+          scope: "credit_report",
+        },
+        new Date("2026-09-01T00:00:00Z")
+      )
+    ).toMatchObject({ allowed: false, reason: "expired", consent: second });
+  });
+
+  it("should persist consents to a Storage-like object", () => {
+    const data = new Map<string, string>();
+    const storage = {
+      getItem: (key: string) => data.get(key) ?? null,
+      setItem: (key: string, value: string) => data.set(key, value),
+    };
+    const store = createLocalStorageConsentStore("consents", storage);
+    createConsentRegistry({ store }).grant(grant);
+
+    expect(createConsentRegistry({ store }).list("c-42")).toHaveLength(1);
+
+    data.set("consents", "{not json");
+    expect(() => store.load()).toThrow("Corrupt consent store: consents");
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { validateCreditReport } from "../../../src/utils/creditReport";
+import { validateCreditData } from "../../../src/utils/creditValidation";
+import { buildReport, buildTradeline } from "../fixtures/creditReports";
+
+describe("Credit Report Model", () => {
+  it("should accept a well-formed bureau report", () => {
+    const result = validateCreditReport(buildReport("Experian"));
+
+    expect(result.isValid).toBe(true);
+    expect(result.errors).toEqual([]);
+  });
+
+  it("should reject duplicate item ids", () => {
+    const report = buildReport("Equifax", {
+      tradelines: [buildTradeline(), buildTradeline()],
+    });
+
+    expect(validateCreditReport(report).errors).toContain(
+      "Duplicate report item id: tl-1"
+    );
+  });
+
+  it("should reject negative balances and invalid dates", () => {
+    const report = buildReport("TransUnion", {
+      tradelines: [buildTradeline({ balance: -5, dateOpened: "not-a-date" })],
+    });
+    const result = validateCreditReport(report);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain("Tradeline tl-1 has a negative balance");
+    expect(result.errors).toContain("Tradeline tl-1 has an invalid open date");
+  });
+
+  it("should warn when a delinquency has no date of first delinquency", () => {
+    const report = buildReport("Experian", {
+      tradelines: [buildTradeline({ paymentStatus: "late_90" })],
+    });
+
+    expect(validateCreditReport(report).warnings).toContain(
+      "Tradeline tl-1 is delinquent without a date of first delinquency"
+    );
+  });
+
+  describe("validateCreditData integration", () => {
+    const baseData = {
+      score: 720,
+      reportDate: new Date().toISOString(),
+      permissiblePurpose: "credit_application",
+    };
+
+    it("should validate the attached bureau report", () => {
+      const result = validateCreditData({
+        ...baseData,
+        bureauSource: "Experian",
+        report: buildReport("Experian", {
+          tradelines: [buildTradeline({ balance: -1 })],
+        }),
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain("Tradeline tl-1 has a negative balance");
+      expect(result.issues).toContainEqual(
+        expect.objectContaining({
+          code: "TRADELINE_NEGATIVE_BALANCE",
+          field: "report.tradelines[0].balance",
+        })
+      );
+    });
+
+    it("should reject a report from a different bureau", () => {
+      const result = validateCreditData({
+        ...baseData,
+        bureauSource: "Equifax",
+        report: buildReport("Experian"),
+      });
+
+      expect(result.errors).toContain(
+        "Report bureau Experian does not match bureau source Equifax"
+      );
+    });
+  });
+});
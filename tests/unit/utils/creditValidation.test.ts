@@ -36,6 +36,21 @@ describe("Credit Validation Utilities", () => {
       expect(result.errors).toContain("Credit score must be a number");
     });
 
+    it("should validate against the scoring model's range", () => {
+      expect(validateCreditScore(880, "FICO_AUTO_8").isValid).toBe(true);
+      expect(validateCreditScore(250, "FICO_BANKCARD_8").isValid).toBe(true);
+      expect(validateCreditScore(880, "VANTAGESCORE_4").isValid).toBe(false);
+
+      const result = validateCreditScore(249, "FICO_AUTO_9");
+      expect(result.errors).toContain(
+        "Invalid FICO score: 249. Must be between 250-900."
+      );
+
+      expect(validateCreditScore(900, "VANTAGESCORE_3").errors).toContain(
+        "Invalid VantageScore score: 900. Must be between 300-850."
+      );
+    });
+
     it("should warn for extremely low scores", () => {
       const result = validateCreditScore(320);
 
@@ -81,6 +96,26 @@ describe("Credit Validation Utilities", () => {
       });
     });
 
+    it("should apply state employment screening rules by jurisdiction", () => {
+      const federal = validatePermissiblePurpose("employment_screening");
+      const california = validatePermissiblePurpose("employment_screening", {
+        jurisdiction: "CA",
+      });
+
+      expect(federal.isValid).toBe(true);
+      expect(federal.issues.map((issue) => issue.code)).toEqual([
+        "EMPLOYMENT_AUTHORIZATION_REQUIRED",
+      ]);
+      expect(california.issues.map((issue) => issue.code)).toContain(
+        "CA_EMPLOYMENT_CREDIT_CHECK_LIMITED"
+      );
+      expect(
+        california.issues.find(
+          (issue) => issue.code === "CA_EMPLOYMENT_CREDIT_CHECK_LIMITED"
+        )?.citation.label
+      ).toBe("Cal. Lab. Code §1024.5");
+    });
+
     it("should require permissible purpose", () => {
       const result = validatePermissiblePurpose("");
 
@@ -118,6 +153,61 @@ describe("Credit Validation Utilities", () => {
       expect(result.errors.length).toBeGreaterThan(1);
     });
 
+    it("should validate scores using the reported scoring model", () => {
+      const result = validateCreditData({
+        score: 880,
+        scoreModel: "FICO_BANKCARD_8",
+        reportDate: new Date().toISOString(),
+        bureauSource: "Equifax",
+        permissiblePurpose: "account_review",
+      });
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it("should reject unknown scoring models", () => {
+      const result = validateCreditData({
+        score: 720,
+        scoreModel: "BEACON_5" as unknown as "FICO_8",
+        reportDate: new Date().toISOString(),
+        bureauSource: "Equifax",
+        permissiblePurpose: "account_review",
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain("Unknown scoring model: BEACON_5");
+    });
+
+    it("should report structured issues with field paths and citations", () => {
+      const result = validateCreditData({
+        score: 900,
+        reportDate: new Date().toISOString(),
+        permissiblePurpose: "curiosity",
+      });
+
+      expect(result.issues).toContainEqual(
+        expect.objectContaining({
+          code: "SCORE_OUT_OF_RANGE",
+          field: "score",
+          severity: "error",
+          citation: expect.objectContaining({ label: "FCRA §607(b)" }),
+        })
+      );
+      expect(result.issues).toContainEqual(
+        expect.objectContaining({
+          code: "PURPOSE_INVALID",
+          field: "permissiblePurpose",
+          citation: expect.objectContaining({ section: "604(a)" }),
+        })
+      );
+      expect(result.issues).toContainEqual(
+        expect.objectContaining({
+          code: "BUREAU_REQUIRED",
+          field: "bureauSource",
+        })
+      );
+    });
+
     it("should warn about old credit reports", () => {
       const oldDate = new Date();
       oldDate.setDate(oldDate.getDate() - 100); // 100 days ago
@@ -154,6 +244,13 @@ describe("Credit Validation Utilities", () => {
       expect(result.improvementPoints).toBe(50);
     });
 
+    it("should cap improvements at the scoring model's maximum", () => {
+      const result = calculateScoreImprovement(860, 10, "FICO_AUTO_8");
+
+      expect(result.potentialScore).toBe(900);
+      expect(result.improvementPoints).toBe(40);
+    });
+
     it("should handle invalid current scores", () => {
       expect(() => {
         calculateScoreImprovement(900, 3);
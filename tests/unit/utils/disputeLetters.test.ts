@@ -0,0 +1,196 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildDisputeLetter,
+  fillMergeFields,
+  renderDisputeLetterHtml,
+  renderDisputeLetterPdf,
+  renderDisputeLetterText,
+  validateDisputeLetterInput,
+  type DisputeLetterInput,
+} from "../../../src/utils/disputeLetters";
+
+const baseInput: DisputeLetterInput = {
+  type: "bureau",
+  reason: "not_mine",
+  bureau: "Equifax",
+  date: new Date("2025-08-23T12:00:00Z"),
+  consumer: {
+    fullName: "Jane Q. Consumer",
+    address: {
+      line1: "123 Main St",
+      city: "Boca Raton",
+      state: "FL",
+      postalCode: "33431",
+    },
+    dateOfBirth: "1985-06-01",
+    ssnLast4: "6789",
+  },
+  items: [
+    {
+      itemId: "tl-1",
+      creditorName: "CAPITAL ONE",
+      accountNumber: "XXXXXXXX1234",
+    },
+  ],
+};
+
+describe("Dispute Letter Generator", () => {
+  it("should render a Section 611 bureau letter to the bureau's dispute address", () => {
+    const text = renderDisputeLetterText(baseInput);
+
+    expect(text).toContain("Equifax Information Services LLC\nP.O. Box 740256");
+    expect(text).toContain("Atlanta, GA 30374-0256");
+    expect(text).toContain("August 23, 2025");
+    expect(text).toContain("(FCRA §611)");
+    expect(text).toContain("SSN: XXX-XX-6789");
+    expect(text).toContain(
+      "1. CAPITAL ONE - Account XXXXXXXX1234: Not my account"
+    );
+    expect(text).toContain("does not belong to me");
+    expect(text).toContain("within 30 days");
+  });
+
+  it("should pluralize merge fields for several items", () => {
+    const text = renderDisputeLetterText({
+      ...baseInput,
+      items: [
+        ...baseInput.items,
+        {
+          itemId: "col-1",
+          creditorName: "MIDLAND CREDIT MGMT",
+          accountNumber: "XXXX5555",
+        },
+      ],
+    });
+
+    expect(text).toContain(
+      "The following 2 items reported in my credit file do not belong"
+    );
+  });
+
+  it("should render a Section 623 furnisher letter", () => {
+    const letter = buildDisputeLetter({
+      ...baseInput,
+      type: "furnisher",
+      reason: "inaccurate_balance",
+      bureau: undefined,
+      furnisher: {
+        name: "Capital One Disputes",
+        lines: ["P.O. Box 30285"],
+        city: "Salt Lake City",
+        state: "UT",
+        postalCode: "84130",
+      },
+      items: [
+        { ...baseInput.items[0], reportedBalance: 1200, correctBalance: 0 },
+      ],
+    });
+
+    expect(letter.citation.label).toBe("FCRA §623(a)(8)");
+    expect(letter.recipient.name).toBe("Capital One Disputes");
+    expect(letter.blocks).toContainEqual({
+      type: "list",
+      ordered: true,
+      items: [
+        "CAPITAL ONE - Account XXXXXXXX1234: reported balance $1,200.00, correct balance $0.00",
+      ],
+    });
+  });
+
+  it("should cite Section 605B for identity theft blocks", () => {
+    const letter = buildDisputeLetter({
+      ...baseInput,
+      reason: "identity_theft",
+    });
+    const text = renderDisputeLetterText({
+      ...baseInput,
+      reason: "identity_theft",
+    });
+
+    expect(letter.citation.label).toBe("FCRA §605B");
+    expect(text).toContain("within four business days");
+    expect(text).toContain("Identity theft report");
+  });
+
+  it("should ask furnishers to stop reporting identity theft under 623(a)(6)(B)", () => {
+    const input = {
+      ...baseInput,
+      type: "furnisher" as const,
+      reason: "identity_theft" as const,
+      bureau: undefined,
+      furnisher: {
+        name: "Sunshine Auto Finance",
+        lines: ["500 Harbor Blvd"],
+        city: "Tampa",
+        state: "FL",
+        postalCode: "33602",
+      },
+    };
+    const prose = renderDisputeLetterText(input).replace(/\s+/g, " ");
+
+    expect(buildDisputeLetter(input).citation.label).toBe("FCRA §623(a)(6)(B)");
+    expect(prose).toContain("Section 623(a)(6)(B)");
+    expect(prose).toContain("Please stop furnishing this information");
+    expect(prose).not.toContain("605B");
+    expect(prose).not.toContain("623(a)(8)");
+  });
+
+  it("should render HTML and PDF from the same content", () => {
+    const html = renderDisputeLetterHtml(baseInput);
+    const pdf = String.fromCharCode(...renderDisputeLetterPdf(baseInput));
+
+    expect(html).toContain('<article class="dispute-letter">');
+    expect(html).toContain("Jane Q. Consumer");
+    expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+    expect(pdf).toContain("(Jane Q. Consumer) Tj");
+  });
+
+  describe("Merge field validation", () => {
+    it("should reject incomplete consumer data before rendering", () => {
+      const input = {
+        ...baseInput,
+        consumer: { ...baseInput.consumer, ssnLast4: "123-45-6789" },
+      };
+
+      expect(validateDisputeLetterInput(input).errors).toContain(
+        "Only the last four digits of the SSN may be included"
+      );
+      expect(() => renderDisputeLetterText(input)).toThrow(
+        "Cannot generate dispute letter: Only the last four digits of the SSN may be included"
+      );
+    });
+
+    it("should reject unmasked account numbers", () => {
+      const result = validateDisputeLetterInput({
+        ...baseInput,
+        items: [{ ...baseInput.items[0], accountNumber: "4111111111111111" }],
+      });
+
+      expect(result.issues[0]).toMatchObject({
+        code: "LETTER_ACCOUNT_NUMBER_UNMASKED",
+        field: "items[0].accountNumber",
+      });
+    });
+
+    it("should require recipient details for each letter type", () => {
+      expect(
+        validateDisputeLetterInput({ ...baseInput, bureau: undefined }).errors
+      ).toContain("Bureau letters require a bureau");
+      expect(
+        validateDisputeLetterInput({ ...baseInput, type: "furnisher" }).errors
+      ).toContain("Furnisher letters require the furnisher's dispute address");
+    });
+
+    it("should require purge dates for obsolete disputes", () => {
+      expect(
+        validateDisputeLetterInput({ ...baseInput, reason: "obsolete" }).errors
+      ).toContain("Obsolete item tl-1 needs its purge date");
+    });
+
+    it("should refuse unresolved merge fields", () => {
+      expect(() => fillMergeFields("Hello {{name}}", {})).toThrow(
+        "Missing merge field: name"
+      );
+    });
+  });
+});
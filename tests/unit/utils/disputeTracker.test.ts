@@ -0,0 +1,280 @@
+import { describe, it, expect } from "vitest";
+import {
+  computeInvestigationDeadline,
+  createDisputeTracker,
+  createLocalStorageDisputeStore,
+  createMemoryDisputeStore,
+  isDisputeOverdue,
+  transitionDispute,
+  type DisputeCase,
+  type NewDispute,
+} from "../../../src/utils/disputeTracker";
+import type { Principal } from "../../../src/utils/permissions";
+
+const newDispute: NewDispute = {
+  consumerId: "consumer-1",
+  recipientType: "bureau",
+  bureau: "Experian",
+  reason: "inaccurate_balance",
+  itemIds: ["tl-1"],
+};
+
+function createClock(start: string) {
+  let current = new Date(start);
+  return {
+    now: () => current,
+    set: (value: string) => {
+      current = new Date(value);
+    },
+  };
+}
+
+function sentCase(overrides: Partial<DisputeCase> = {}): DisputeCase {
+  return {
+    ...newDispute,
+    id: "dsp-1",
+    status: "sent",
+    createdAt: "2024-03-01T00:00:00.000Z",
+    sentAt: "2024-03-01T00:00:00.000Z",
+    history: [],
+    ...overrides,
+  };
+}
+
+describe("Dispute Tracker", () => {
+  describe("computeInvestigationDeadline", () => {
+    it("returns null for unsent disputes", () => {
+      expect(
+        computeInvestigationDeadline(
+          sentCase({ status: "draft", sentAt: undefined })
+        )
+      ).toBeNull();
+    });
+
+    it("starts 30 days from the assumed receipt date", () => {
+      const deadline = computeInvestigationDeadline(sentCase());
+      expect(deadline).toEqual({
+        startsAt: "2024-03-06T00:00:00.000Z",
+        deadline: "2024-04-05T00:00:00.000Z",
+        days: 30,
+      });
+    });
+
+    it("uses the recorded receipt date when known", () => {
+      const deadline = computeInvestigationDeadline(
+        sentCase({ receivedAt: "2024-03-04T00:00:00.000Z" })
+      );
+      expect(deadline?.deadline).toBe("2024-04-03T00:00:00.000Z");
+    });
+
+    it("extends to 45 days when additional info arrives within the period", () => {
+      const deadline = computeInvestigationDeadline(
+        sentCase({ additionalInfoAt: "2024-03-20T00:00:00.000Z" })
+      );
+      expect(deadline?.days).toBe(45);
+      expect(deadline?.deadline).toBe("2024-04-20T00:00:00.000Z");
+    });
+
+    it("does not extend for additional info sent after the deadline", () => {
+      const deadline = computeInvestigationDeadline(
+        sentCase({ additionalInfoAt: "2024-04-10T00:00:00.000Z" })
+      );
+      expect(deadline?.days).toBe(30);
+    });
+
+    it("allows 45 days for disputes following the free annual report", () => {
+      expect(
+        computeInvestigationDeadline(sentCase({ annualFreeReport: true }))?.days
+      ).toBe(45);
+    });
+  });
+
+  describe("isDisputeOverdue", () => {
+    it("flags open disputes past the deadline", () => {
+      expect(isDisputeOverdue(sentCase(), new Date("2024-04-06"))).toBe(true);
+      expect(isDisputeOverdue(sentCase(), new Date("2024-04-04"))).toBe(false);
+    });
+
+    it("ignores resolved disputes", () => {
+      expect(
+        isDisputeOverdue(
+          sentCase({ status: "deleted" }),
+          new Date("2024-06-01")
+        )
+      ).toBe(false);
+    });
+  });
+
+  describe("transitionDispute", () => {
+    it("rejects transitions the lifecycle does not allow", () => {
+      expect(() => transitionDispute(sentCase(), "draft")).toThrow(
+        "Invalid dispute transition: sent -> draft"
+      );
+      expect(() =>
+        transitionDispute(sentCase({ status: "deleted" }), "escalated")
+      ).toThrow();
+    });
+
+    it("records history without mutating the original", () => {
+      const original = sentCase();
+      const at = new Date("2024-03-10T00:00:00.000Z");
+      const next = transitionDispute(original, "in_investigation", {
+        at,
+        actor: "agent-7",
+      });
+
+      expect(original.status).toBe("sent");
+      expect(next.status).toBe("in_investigation");
+      expect(next.history).toEqual([
+        {
+          at: at.toISOString(),
+          from: "sent",
+          to: "in_investigation",
+          actor: "agent-7",
+        },
+      ]);
+    });
+
+    it("stamps the resolution date on outcomes", () => {
+      const next = transitionDispute(sentCase(), "verified", {
+        at: new Date("2024-03-25T00:00:00.000Z"),
+      });
+      expect(next.resolvedAt).toBe("2024-03-25T00:00:00.000Z");
+    });
+  });
+
+  describe("createDisputeTracker", () => {
+    // Supervisors may create and send; agents may only create
+    const supervisor = (): Principal => ({ id: "sup-1", role: "supervisor" });
+
+    it("walks a dispute through its lifecycle", () => {
+      const clock = createClock("2024-03-01T00:00:00.000Z");
+      const tracker = createDisputeTracker({
+        now: clock.now,
+        generateId: () => "dsp-1",
+        principal: supervisor,
+      });
+
+      tracker.create(newDispute, "agent-7");
+      tracker.transition("dsp-1", "sent");
+      clock.set("2024-03-12T00:00:00.000Z");
+      tracker.transition("dsp-1", "in_investigation");
+      clock.set("2024-03-28T00:00:00.000Z");
+      tracker.transition("dsp-1", "verified");
+      tracker.transition("dsp-1", "escalated", { note: "CFPB complaint" });
+
+      const dispute = tracker.get("dsp-1");
+      expect(dispute?.status).toBe("escalated");
+      expect(dispute?.sentAt).toBe("2024-03-01T00:00:00.000Z");
+      expect(dispute?.history.map((entry) => entry.to)).toEqual([
+        "draft",
+        "sent",
+        "in_investigation",
+        "verified",
+        "escalated",
+      ]);
+    });
+
+    it("lists overdue disputes as of the tracker clock", () => {
+      const clock = createClock("2024-03-01T00:00:00.000Z");
+      let id = 0;
+      const tracker = createDisputeTracker({
+        now: clock.now,
+        generateId: () => `dsp-${++id}`,
+        principal: supervisor,
+      });
+
+      tracker.create(newDispute);
+      tracker.create(newDispute);
+      tracker.transition("dsp-1", "sent");
+      tracker.transition("dsp-2", "sent");
+      tracker.recordAdditionalInfo("dsp-2");
+
+      clock.set("2024-04-10T00:00:00.000Z");
+      expect(tracker.overdue().map((dispute) => dispute.id)).toEqual(["dsp-1"]);
+    });
+
+    it("validates new disputes and unknown ids", () => {
+      const tracker = createDisputeTracker({ principal: supervisor });
+      expect(() => tracker.create({ ...newDispute, itemIds: [] })).toThrow(
+        "A dispute must include at least one item"
+      );
+      expect(() =>
+        tracker.create({ ...newDispute, bureau: undefined })
+      ).toThrow("Bureau disputes require a bureau");
+      expect(() => tracker.transition("missing", "sent")).toThrow(
+        "Dispute not found: missing"
+      );
+    });
+
+    it("filters by consumer and status", () => {
+      const tracker = createDisputeTracker({
+        store: createMemoryDisputeStore(),
+        principal: supervisor,
+      });
+      const first = tracker.create(newDispute);
+      tracker.create({ ...newDispute, consumerId: "consumer-2" });
+      tracker.transition(first.id, "sent");
+
+      expect(tracker.list({ consumerId: "consumer-2" })).toHaveLength(1);
+      expect(tracker.list({ status: "sent" })).toHaveLength(1);
+    });
+
+    it("checks dispute permissions on every change", () => {
+      const store = createMemoryDisputeStore();
+      let principal: Principal | null = { id: "agent-7", role: "agent" };
+      const tracker = createDisputeTracker({
+        store,
+        generateId: () => "dsp-1",
+        principal: () => principal,
+      });
+
+      tracker.create(newDispute, "agent-7");
+      expect(() => tracker.transition("dsp-1", "sent")).toThrow(
+        "Missing permission: dispute:send"
+      );
+
+      principal = { id: "c-1", role: "consumer", consumerId: "consumer-2" };
+      expect(() => tracker.create(newDispute)).toThrow(
+        "Missing permission: dispute:create"
+      );
+      expect(() => tracker.recordAdditionalInfo("dsp-1")).toThrow(
+        "Missing permission: dispute:create"
+      );
+
+      principal = null;
+      expect(() => tracker.create(newDispute)).toThrow(
+        "Missing permission: dispute:create"
+      );
+      expect(() =>
+        createDisputeTracker({ store }).transition("dsp-1", "sent")
+      ).toThrow("Missing permission: dispute:send");
+      expect(tracker.get("dsp-1")?.status).toBe("draft");
+    });
+  });
+
+  describe("createLocalStorageDisputeStore", () => {
+    it("persists disputes across tracker instances", () => {
+      localStorage.clear();
+      const tracker = createDisputeTracker({
+        store: createLocalStorageDisputeStore(),
+        generateId: () => "dsp-1",
+        principal: () => ({ id: "agent-7", role: "agent" }),
+      });
+      tracker.create(newDispute);
+
+      const reloaded = createDisputeTracker({
+        store: createLocalStorageDisputeStore(),
+      });
+      expect(reloaded.get("dsp-1")?.status).toBe("draft");
+    });
+
+    it("throws on corrupt data", () => {
+      localStorage.setItem("tcp.disputes", "{not json");
+      expect(() => createLocalStorageDisputeStore().load()).toThrow(
+        "Corrupt dispute store: tcp.disputes"
+      );
+      localStorage.clear();
+    });
+  });
+});
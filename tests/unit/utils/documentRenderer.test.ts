@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import {
+  escapeHtml,
+  renderDocumentHtml,
+  renderDocumentPdf,
+  renderDocumentText,
+  wrapText,
+  type RenderableDocument,
+} from "../../../src/utils/documentRenderer";
+
+const document: RenderableDocument = {
+  title: "Sample (notice)",
+  blocks: [
+    { type: "lines", lines: ["Jane Consumer", "123 Main St"] },
+    { type: "heading", text: "Notice" },
+    { type: "paragraph", text: 'Balance <$500> & "quoted" text' },
+    { type: "list", ordered: true, items: ["First item", "Second item"] },
+  ],
+};
+
+function pdfText(bytes: Uint8Array): string {
+  return String.fromCharCode(...bytes);
+}
+
+describe("Document Renderer", () => {
+  it("should wrap text on word boundaries", () => {
+    expect(wrapText("one two three four", 9)).toEqual([
+      "one two",
+      "three",
+      "four",
+    ]);
+    expect(wrapText("", 10)).toEqual([""]);
+  });
+
+  it("should render plain text", () => {
+    const text = renderDocumentText(document);
+
+    expect(text).toContain("Jane Consumer\n123 Main St\n");
+    expect(text).toContain("NOTICE");
+    expect(text).toContain("1. First item\n2. Second item");
+  });
+
+  it("should render escaped HTML", () => {
+    const html = renderDocumentHtml(document, "notice");
+
+    expect(escapeHtml("<b>")).toBe("&lt;b&gt;");
+    expect(html).toContain('<article class="notice">');
+    expect(html).toContain(
+      "<p>Balance &lt;$500&gt; &amp; &quot;quoted&quot; text</p>"
+    );
+    expect(html).toContain("<ol><li>First item</li><li>Second item</li></ol>");
+  });
+
+  it("should render a well-formed PDF", () => {
+    const pdf = pdfText(renderDocumentPdf(document));
+
+    expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+    expect(pdf.trimEnd().endsWith("%%EOF")).toBe(true);
+    expect(pdf).toContain("(Jane Consumer) Tj");
+    expect(pdf).toContain("/Title (Sample \\(notice\\))");
+
+    // startxref must point at the cross-reference table
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)?.[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe("xref");
+  });
+
+  it("should paginate long documents", () => {
+    const pdf = pdfText(
+      renderDocumentPdf({
+        title: "Long",
+        blocks: Array.from({ length: 60 }, (_, i) => ({
+          type: "paragraph" as const,
+          text: `Paragraph ${i}`,
+        })),
+      })
+    );
+
+    expect(pdf).toMatch(/\/Count 3 >>/);
+  });
+});
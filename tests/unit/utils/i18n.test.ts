@@ -0,0 +1,147 @@
+import { describe, it, expect } from "vitest";
+import {
+  adverseActionRules,
+  validateAdverseActionInput,
+  type AdverseActionInput,
+} from "../../../src/utils/adverseAction";
+import {
+  creditReportRules,
+  validateCreditReport,
+} from "../../../src/utils/creditReport";
+import {
+  creditDataRules,
+  creditScoreRules,
+  permissiblePurposeRules,
+  validateCreditData,
+  validateCreditScore,
+} from "../../../src/utils/creditValidation";
+import { disputeLetterRules } from "../../../src/utils/disputeLetters";
+import { MESSAGES, createI18n, resolveLocale } from "../../../src/utils/i18n";
+import { getScoreBand } from "../../../src/utils/scoreBands";
+import { buildReport, buildTradeline } from "../fixtures/creditReports";
+
+describe("i18n", () => {
+  it("should resolve requested locales to supported ones", () => {
+    expect(resolveLocale("es-MX")).toBe("es");
+    expect(resolveLocale("ES_us")).toBe("es");
+    expect(resolveLocale("fr-FR")).toBe("en");
+    expect(resolveLocale(undefined)).toBe("en");
+  });
+
+  it("should translate with interpolation and English fallback", () => {
+    const es = createI18n("es", {
+      messages: { en: { "onlyEnglish.greeting": "Hello {name}" } },
+    });
+
+    expect(es.t("creditScore.updated", { date: "hoy" })).toBe(
+      "Actualizado: hoy"
+    );
+    expect(es.t("onlyEnglish.greeting", { name: "Ana" })).toBe("Hello Ana");
+    expect(es.t("missing.key")).toBe("missing.key");
+    expect(es.lookup("missing.key")).toBeUndefined();
+  });
+
+  it("should pick plural forms from the count", () => {
+    const en = createI18n("en");
+    const es = createI18n("es");
+
+    expect(en.t("creditScore.delta.up", { count: 1 })).toBe(
+      "+1 point since your last score"
+    );
+    expect(en.t("creditScore.delta.down", { count: 12 })).toBe(
+      "-12 points since your last score"
+    );
+    expect(es.t("creditScore.delta.up", { count: 1 })).toBe(
+      "+1 punto desde su último puntaje"
+    );
+    expect(es.t("creditScore.delta.up", { count: 0 })).toBe(
+      "+0 puntos desde su último puntaje"
+    );
+  });
+
+  it("should format dates and numbers for the locale", () => {
+    const en = createI18n("en");
+    const es = createI18n("es");
+    const date = "2025-09-01T12:00:00Z";
+
+    expect(en.formatDate(date)).toBe("Sep 1, 2025");
+    expect(es.formatDate(date)).toBe("1 sept 2025");
+    expect(en.formatNumber(1234.5)).toBe("1,234.5");
+    expect(es.formatNumber(0.3, { style: "percent" })).toMatch(/^30\s?%$/);
+    expect(en.formatDate("not a date")).toBe("not a date");
+  });
+
+  it("should translate score bands through the lookup", () => {
+    const { lookup } = createI18n("es");
+
+    expect(getScoreBand(760, { translate: lookup }).label).toBe("Muy bueno");
+  });
+
+  it("should localize credit validation messages", () => {
+    const { lookup } = createI18n("es");
+
+    expect(
+      validateCreditScore(900, "FICO_8", { translate: lookup }).errors
+    ).toEqual(["Puntaje FICO no válido: 900. Debe estar entre 300-850."]);
+    expect(
+      validateCreditData(
+        { score: 700, reportDate: "2025-08-01", bureauSource: "Experian" },
+        { translate: lookup, now: new Date("2025-08-02") }
+      ).errors
+    ).toEqual(["Se requiere un propósito permisible"]);
+    // Rules without a translation keep their English message
+    expect(validateCreditScore(900, "FICO_8").errors).toEqual([
+      "Invalid FICO score: 900. Must be between 300-850.",
+    ]);
+  });
+
+  it("should translate every exported compliance rule", () => {
+    const { lookup } = createI18n("es");
+    const ruleIds = [
+      ...creditScoreRules.rules,
+      ...permissiblePurposeRules.rules,
+      ...creditDataRules.rules,
+      ...creditReportRules.rules,
+      ...disputeLetterRules.rules,
+      ...adverseActionRules.rules,
+    ].map((rule) => rule.id);
+
+    expect(
+      ruleIds.filter((id) => !(`validation.${id}` in MESSAGES.es))
+    ).toEqual([]);
+    expect(
+      validateCreditReport(
+        buildReport("TransUnion", {
+          tradelines: [buildTradeline({ balance: -5 })],
+        }),
+        { translate: lookup }
+      ).errors
+    ).toContain("La cuenta tl-1 tiene un saldo negativo");
+    expect(
+      validateAdverseActionInput(
+        {
+          consumer: { fullName: " " },
+          sources: [],
+        } as unknown as AdverseActionInput,
+        { translate: lookup }
+      ).errors
+    ).toEqual(
+      expect.arrayContaining([
+        "Se requiere el nombre del consumidor",
+        "Describa la acción adversa tomada",
+      ])
+    );
+  });
+
+  it("should keep the Spanish catalog in step with English", () => {
+    const english = Object.keys(MESSAGES.en);
+    const spanish = Object.keys(MESSAGES.es);
+
+    expect(english.filter((key) => !spanish.includes(key))).toEqual([]);
+    expect(
+      spanish.filter(
+        (key) => !english.includes(key) && !key.startsWith("validation.")
+      )
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,257 @@
+import { describe, it, expect } from "vitest";
+import { createConsentRegistry } from "../../../src/utils/consent";
+import { createI18n } from "../../../src/utils/i18n";
+import {
+  completeIntake,
+  computeCancellationDeadline,
+  createEmptyIntakeDraft,
+  createIntakeDraftStore,
+  INTAKE_DRAFT_TTL_HOURS,
+  toConsentGrant,
+  validateIntake,
+  validateIntakeStep,
+  type IntakeDraft,
+} from "../../../src/utils/intake";
+
+const now = new Date("2025-08-28T15:00:00Z");
+
+function completeDraft(): IntakeDraft {
+  return {
+    step: "disclosures",
+    identity: {
+      firstName: "Jane",
+      lastName: "Doe",
+      dateOfBirth: "1985-04-12",
+      ssn: "123-45-6789",
+      email: "jane@example.com",
+      phone: "(555) 201-3344",
+    },
+    addresses: [
+      {
+        line1: "1 Main St",
+        line2: "",
+        city: "Austin",
+        state: "TX",
+        postalCode: "78701",
+        movedInDate: "2024-06-01",
+      },
+      {
+        line1: "9 Oak Ave",
+        line2: "Apt 2",
+        city: "Dallas",
+        state: "TX",
+        postalCode: "75201",
+        movedInDate: "2020-01-15",
+      },
+    ],
+    consent: { creditPullAuthorized: true, signature: "jane  doe" },
+    permissiblePurpose: "account_review",
+    disclosures: {
+      croaDisclosureAcknowledged: true,
+      cancellationNoticeAcknowledged: true,
+    },
+  };
+}
+
+function createMemoryStorage() {
+  const items = new Map<string, string>();
+  return {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, value),
+    removeItem: (key: string) => void items.delete(key),
+  };
+}
+
+describe("Intake", () => {
+  it("should accept a complete intake", () => {
+    expect(validateIntake(completeDraft(), { now })).toMatchObject({
+      isValid: true,
+      issues: [],
+    });
+  });
+
+  it("should validate identity fields", () => {
+    const draft = completeDraft();
+    draft.identity = {
+      ...draft.identity,
+      firstName: " ",
+      dateOfBirth: "2010-01-01",
+      ssn: "666-12-3456",
+      email: "jane@",
+      phone: "555-1234",
+    };
+
+    const result = validateIntakeStep("identity", draft, { now });
+
+    expect(result.issues.map((issue) => [issue.code, issue.field])).toEqual([
+      ["INTAKE_FIRST_NAME_REQUIRED", "identity.firstName"],
+      ["INTAKE_UNDERAGE", "identity.dateOfBirth"],
+      ["INTAKE_SSN_INVALID", "identity.ssn"],
+      ["INTAKE_EMAIL_INVALID", "identity.email"],
+      ["INTAKE_PHONE_INVALID", "identity.phone"],
+    ]);
+  });
+
+  it("should report address problems per field", () => {
+    const draft = completeDraft();
+    draft.addresses[1] = {
+      ...draft.addresses[1],
+      city: "",
+      state: "XX",
+      postalCode: "7520",
+    };
+
+    const result = validateIntakeStep("addresses", draft, { now });
+
+    expect(result.issues.map((issue) => issue.field)).toEqual([
+      "addresses.1.city",
+      "addresses.1.state",
+      "addresses.1.postalCode",
+    ]);
+  });
+
+  it("should require two years of address history", () => {
+    const draft = completeDraft();
+    draft.addresses = [draft.addresses[0]];
+
+    expect(validateIntakeStep("addresses", draft, { now }).errors).toEqual([
+      "Add previous addresses to cover the last 2 years",
+    ]);
+  });
+
+  it("should require authorization and a matching signature", () => {
+    const draft = completeDraft();
+    draft.consent = { creditPullAuthorized: false, signature: "J. Doe" };
+
+    const result = validateIntakeStep("consent", draft, { now });
+
+    expect(result.issues.map((issue) => issue.code)).toEqual([
+      "INTAKE_CREDIT_PULL_AUTHORIZATION_REQUIRED",
+      "INTAKE_SIGNATURE_MISMATCH",
+    ]);
+    expect(result.issues[0].citation.label).toBe("FCRA §604(a)(2)");
+  });
+
+  it("should reuse the permissible purpose rules", () => {
+    const draft = completeDraft();
+    draft.permissiblePurpose = "";
+    expect(validateIntakeStep("purpose", draft).errors).toEqual([
+      "Permissible purpose is required per FCRA Section 604",
+    ]);
+
+    draft.permissiblePurpose = "employment_screening";
+    const result = validateIntakeStep("purpose", draft, {
+      jurisdiction: "CA",
+    });
+    expect(result.isValid).toBe(true);
+    expect(result.issues.map((issue) => issue.code)).toEqual([
+      "EMPLOYMENT_AUTHORIZATION_REQUIRED",
+      "CA_EMPLOYMENT_CREDIT_CHECK_LIMITED",
+    ]);
+  });
+
+  it("should require both CROA acknowledgements", () => {
+    const draft = completeDraft();
+    draft.disclosures.cancellationNoticeAcknowledged = false;
+
+    const [issue] = validateIntakeStep("disclosures", draft).issues;
+    expect(issue).toMatchObject({
+      code: "INTAKE_CANCELLATION_NOTICE_REQUIRED",
+      citation: { label: "CROA §407" },
+    });
+  });
+
+  it("should localize intake messages", () => {
+    const draft = createEmptyIntakeDraft();
+    const { lookup } = createI18n("es");
+
+    expect(
+      validateIntakeStep("identity", draft, { now, translate: lookup })
+        .errors[0]
+    ).toBe("El nombre es obligatorio");
+  });
+
+  it("should complete an intake with the cancellation deadline", () => {
+    const submission = completeIntake(completeDraft(), now);
+
+    expect(submission).not.toHaveProperty("step");
+    expect(submission.signedAt).toBe("2025-08-28T15:00:00.000Z");
+    // Fri Aug 29, Tue Sep 2 (after Labor Day), Wed Sep 3
+    expect(submission.cancellationDeadline).toBe("2025-09-03");
+    expect(computeCancellationDeadline(now)).toBe("2025-09-03");
+  });
+
+  it("should turn the signed authorization into a consent grant", () => {
+    const submission = completeIntake(completeDraft(), now);
+    const grant = toConsentGrant(submission, "c-42");
+
+    expect(grant).toEqual({
+      consumerId: "c-42",
+      permissiblePurpose: submission.permissiblePurpose,
+      scope: ["credit_report", "credit_score"],
+      signatureMethod: "typed_name",
+      // Stored exactly as signed
+      signature: "jane  doe",
+      documentVersion: "2025-08",
+    });
+    const registry = createConsentRegistry({ now: () => now });
+    registry.grant(grant);
+    expect(
+      registry.check("c-42", submission.permissiblePurpose, "credit_report")
+    ).toMatchObject({ allowed: true });
+  });
+
+  it("should refuse to complete an incomplete intake", () => {
+    expect(() => completeIntake(createEmptyIntakeDraft(), now)).toThrow(
+      /^Intake is incomplete: First name is required/
+    );
+  });
+
+  it("should autosave drafts without the SSN or date of birth", () => {
+    const storage = createMemoryStorage();
+    const store = createIntakeDraftStore("draft", storage, () => now);
+    expect(store.load()).toBeNull();
+
+    store.save(completeDraft());
+
+    expect(storage.getItem("draft")).not.toContain("6789");
+    expect(storage.getItem("draft")).not.toContain("1985-04-12");
+    const restored = store.load();
+    expect(restored?.identity).toMatchObject({
+      firstName: "Jane",
+      ssn: "",
+      dateOfBirth: "",
+    });
+    expect(restored?.addresses).toHaveLength(2);
+
+    store.clear();
+    expect(store.load()).toBeNull();
+  });
+
+  it("should discard drafts after the retention period", () => {
+    const storage = createMemoryStorage();
+    let clock = now;
+    const store = createIntakeDraftStore("draft", storage, () => clock);
+    store.save(completeDraft());
+
+    clock = new Date(now.getTime() + INTAKE_DRAFT_TTL_HOURS * 60 * 60 * 1000);
+    expect(store.load()?.identity.firstName).toBe("Jane");
+
+    clock = new Date(clock.getTime() + 1);
+    expect(store.load()).toBeNull();
+    expect(storage.getItem("draft")).toBeNull();
+
+    // Drafts saved before expiry was added have no timestamp
+    storage.setItem("draft", JSON.stringify(completeDraft()));
+    expect(store.load()).toBeNull();
+  });
+
+  it("should reject a corrupt draft", () => {
+    const storage = createMemoryStorage();
+    storage.setItem("draft", "{not json");
+
+    expect(() => createIntakeDraftStore("draft", storage).load()).toThrow(
+      "Corrupt intake draft: draft"
+    );
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect } from "vitest";
+import {
+  checkObsolescence,
+  findObsoleteItems,
+  isExemptTransaction,
+} from "../../../src/utils/obsolescence";
+import { validateCreditReport } from "../../../src/utils/creditReport";
+import { buildReport, buildTradeline } from "../fixtures/creditReports";
+
+const asOf = new Date("2025-09-01T00:00:00Z");
+
+describe("FCRA Section 605 Obsolescence Checker", () => {
+  it("should ignore positive tradelines", () => {
+    const result = checkObsolescence(buildReport("Experian"), { asOf });
+
+    expect(result.items).toEqual([]);
+    expect(result.undetermined).toEqual([]);
+  });
+
+  it("should apply the 7 year + 180 day period to charge-offs", () => {
+    const report = buildReport("Experian", {
+      tradelines: [
+        buildTradeline({
+          status: "charged_off",
+          paymentStatus: "charge_off",
+          dateOfFirstDelinquency: "2018-01-15",
+        }),
+      ],
+    });
+
+    const [item] = checkObsolescence(report, { asOf }).items;
+    expect(item.rule).toBe("COLLECTION_CHARGE_OFF_7_YEAR");
+    expect(item.citation.label).toBe("FCRA §605(a)(4)");
+    expect(item.purgeDate).toBe("2025-07-14");
+    expect(item.isObsolete).toBe(true);
+  });
+
+  it("should apply the 7 year period to late payments from DOFD", () => {
+    const report = buildReport("Equifax", {
+      tradelines: [
+        buildTradeline({
+          paymentStatus: "late_30",
+          dateOfFirstDelinquency: "2019-03-10",
+        }),
+      ],
+    });
+
+    const [item] = checkObsolescence(report, { asOf }).items;
+    expect(item.rule).toBe("ADVERSE_ITEM_7_YEAR");
+    expect(item.purgeDate).toBe("2026-03-10");
+    expect(item.isObsolete).toBe(false);
+    expect(item.daysUntilPurge).toBe(190);
+  });
+
+  it("should apply bankruptcy and public record periods", () => {
+    const report = buildReport("TransUnion", {
+      publicRecords: [
+        {
+          id: "pr-ch7",
+          type: "bankruptcy_ch7",
+          status: "discharged",
+          filedDate: "2016-02-01",
+        },
+        {
+          id: "pr-ch13",
+          type: "bankruptcy_ch13",
+          status: "discharged",
+          filedDate: "2017-05-01",
+        },
+        {
+          id: "pr-lien",
+          type: "tax_lien",
+          status: "paid",
+          filedDate: "2012-01-01",
+          resolvedDate: "2019-06-30",
+        },
+        {
+          id: "pr-unpaid",
+          type: "tax_lien",
+          status: "unpaid",
+          filedDate: "2010-01-01",
+        },
+      ],
+    });
+
+    const result = checkObsolescence(report, { asOf });
+    const byId = Object.fromEntries(result.items.map((i) => [i.itemId, i]));
+
+    expect(byId["pr-ch7"].purgeDate).toBe("2026-02-01");
+    expect(byId["pr-ch7"].isObsolete).toBe(false);
+    expect(byId["pr-ch13"].purgeDate).toBe("2024-05-01");
+    expect(byId["pr-ch13"].isObsolete).toBe(true);
+    expect(byId["pr-lien"].purgeDate).toBe("2026-06-30");
+    expect(result.undetermined).toEqual([
+      expect.objectContaining({
+        itemId: "pr-unpaid",
+        reason: "Unpaid tax liens have no FCRA reporting limit",
+      }),
+    ]);
+  });
+
+  it("should report items missing a date of first delinquency", () => {
+    const report = buildReport("Experian", {
+      collections: [
+        {
+          id: "col-1",
+          agencyName: "PORTFOLIO RECOVERY",
+          accountNumber: "XXXX4444",
+          balance: 300,
+          dateAssigned: "2020-01-01",
+          status: "unpaid",
+        },
+      ],
+    });
+
+    expect(checkObsolescence(report, { asOf }).undetermined).toEqual([
+      expect.objectContaining({
+        itemId: "col-1",
+        reason: "Reporting period start date is missing or invalid",
+      }),
+    ]);
+  });
+
+  it("should not mark items obsolete for exempt transactions", () => {
+    const report = buildReport("Experian", {
+      tradelines: [
+        buildTradeline({
+          paymentStatus: "late_90",
+          dateOfFirstDelinquency: "2010-01-01",
+        }),
+      ],
+    });
+
+    expect(isExemptTransaction({ kind: "credit", amount: 200000 })).toBe(true);
+    expect(isExemptTransaction({ kind: "employment", amount: 60000 })).toBe(
+      false
+    );
+    expect(
+      findObsoleteItems(report, {
+        asOf,
+        exemption: { kind: "credit", amount: 200000 },
+      })
+    ).toEqual([]);
+  });
+
+  it("should list obsolete items oldest purge date first", () => {
+    const report = buildReport("Experian", {
+      tradelines: [
+        buildTradeline({
+          id: "tl-newer",
+          paymentStatus: "late_60",
+          dateOfFirstDelinquency: "2017-06-01",
+        }),
+        buildTradeline({
+          id: "tl-older",
+          accountNumber: "XXXX9999",
+          paymentStatus: "late_60",
+          dateOfFirstDelinquency: "2015-06-01",
+        }),
+      ],
+    });
+
+    expect(findObsoleteItems(report, { asOf }).map((i) => i.itemId)).toEqual([
+      "tl-older",
+      "tl-newer",
+    ]);
+  });
+
+  it("should surface obsolete items as report validation warnings", () => {
+    const report = buildReport("Experian", {
+      tradelines: [
+        buildTradeline({
+          paymentStatus: "late_30",
+          dateOfFirstDelinquency: "2015-01-01",
+        }),
+      ],
+    });
+
+    const result = validateCreditReport(report, { now: asOf });
+    expect(result.issues).toContainEqual(
+      expect.objectContaining({
+        code: "ITEM_PAST_REPORTING_PERIOD",
+        field: "tradelines[0]",
+        severity: "warning",
+        message:
+          "CAPITAL ONE XXXXXXXXXXXX1234 is past its reporting period under FCRA §605(a)(5) (purge date 2022-01-01) - dispute as obsolete",
+      })
+    );
+  });
+});
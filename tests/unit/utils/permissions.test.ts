@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import {
+  assertCan,
+  can,
+  CAPABILITIES,
+  isRole,
+  ROLES,
+  type Capability,
+  type Principal,
+  type Role,
+} from "../../../src/utils/permissions";
+
+// The expected policy, written out independently of ROLE_CAPABILITIES
+const POLICY_MATRIX: Record<Capability, Record<Role, boolean>> = {
+  "credit:view": {
+    consumer: true,
+    agent: true,
+    supervisor: true,
+    compliance: true,
+  },
+  "credit:pull": {
+    consumer: false,
+    agent: true,
+    supervisor: true,
+    compliance: false,
+  },
+  "dispute:view": {
+    consumer: true,
+    agent: true,
+    supervisor: true,
+    compliance: true,
+  },
+  "dispute:create": {
+    consumer: true,
+    agent: true,
+    supervisor: true,
+    compliance: false,
+  },
+  "dispute:send": {
+    consumer: false,
+    agent: false,
+    supervisor: true,
+    compliance: false,
+  },
+  "audit:view": {
+    consumer: false,
+    agent: false,
+    supervisor: true,
+    compliance: true,
+  },
+  "audit:export": {
+    consumer: false,
+    agent: false,
+    supervisor: false,
+    compliance: true,
+  },
+};
+
+const principalFor = (role: Role): Principal => ({
+  id: `${role}-1`,
+  role,
+  ...(role === "consumer" && { consumerId: "c-42" }),
+});
+
+describe("Permissions", () => {
+  it("should grant exactly the capabilities in the policy matrix", () => {
+    expect(Object.keys(POLICY_MATRIX).sort()).toEqual([...CAPABILITIES].sort());
+
+    for (const capability of CAPABILITIES) {
+      for (const role of ROLES) {
+        expect(
+          can(principalFor(role), capability, { consumerId: "c-42" }),
+          `${role} ${capability}`
+        ).toBe(POLICY_MATRIX[capability][role]);
+      }
+    }
+  });
+
+  it("should limit consumers to their own credit file", () => {
+    const consumer = principalFor("consumer");
+
+    expect(can(consumer, "credit:view", { consumerId: "c-42" })).toBe(true);
+    expect(can(consumer, "credit:view", { consumerId: "c-7" })).toBe(false);
+    expect(can(consumer, "credit:view")).toBe(false);
+    expect(
+      can({ id: "u-1", role: "consumer" }, "credit:view", {
+        consumerId: "c-42",
+      })
+    ).toBe(false);
+    expect(
+      can(principalFor("agent"), "credit:view", { consumerId: "c-7" })
+    ).toBe(true);
+  });
+
+  it("should deny missing principals and unknown roles", () => {
+    expect(can(null, "credit:view")).toBe(false);
+    expect(can(undefined, "credit:view")).toBe(false);
+    expect(can({ id: "u-1", role: "admin" as Role }, "credit:view")).toBe(
+      false
+    );
+    expect(isRole("supervisor")).toBe(true);
+    expect(isRole("admin")).toBe(false);
+  });
+
+  it("should throw when a capability is missing", () => {
+    expect(() => assertCan(principalFor("agent"), "credit:pull")).not.toThrow();
+    expect(() => assertCan(principalFor("agent"), "audit:export")).toThrow(
+      "Missing permission: audit:export"
+    );
+  });
+});
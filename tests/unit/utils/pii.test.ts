@@ -0,0 +1,143 @@
+import { describe, it, expect } from "vitest";
+import {
+  containsPii,
+  detectPii,
+  findPiiInObject,
+  isValidRoutingNumber,
+  isValidSsn,
+  maskPii,
+  maskPiiInObject,
+  maskPiiValue,
+  passesLuhn,
+} from "../../../src/utils/pii";
+
+describe("PII Detection and Masking", () => {
+  describe("validators", () => {
+    it("should reject SSNs the SSA never issues", () => {
+      expect(isValidSsn("123-45-6789")).toBe(true);
+      expect(isValidSsn("000-45-6789")).toBe(false);
+      expect(isValidSsn("666-45-6789")).toBe(false);
+      expect(isValidSsn("912-45-6789")).toBe(false);
+      expect(isValidSsn("123-00-6789")).toBe(false);
+      expect(isValidSsn("123-45-0000")).toBe(false);
+    });
+
+    it("should check card numbers with Luhn", () => {
+      expect(passesLuhn("4111 1111 1111 1111")).toBe(true);
+      expect(passesLuhn("4111 1111 1111 1112")).toBe(false);
+    });
+
+    it("should check ABA routing numbers", () => {
+      expect(isValidRoutingNumber("021000021")).toBe(true);
+      expect(isValidRoutingNumber("021000022")).toBe(false);
+      expect(isValidRoutingNumber("991000021")).toBe(false);
+    });
+  });
+
+  describe("detectPii", () => {
+    it("should find each PII type with its position", () => {
+      const text =
+        "SSN 123-45-6789, card 4111-1111-1111-1111, DOB: 06/01/1985, " +
+        "acct # 12345678, routing 021000021, jane@example.com, (555) 867-5309";
+
+      const matches = detectPii(text);
+      expect(matches.map((match) => match.type)).toEqual([
+        "ssn",
+        "card_number",
+        "date_of_birth",
+        "bank_account",
+        "routing_number",
+        "email",
+        "phone",
+      ]);
+      expect(text.slice(matches[0].start, matches[0].end)).toBe("123-45-6789");
+    });
+
+    it("should ignore invalid SSNs and non-Luhn digit runs", () => {
+      expect(detectPii("ref 666-12-3456 and 4111 1111 1111 1112")).toEqual([]);
+    });
+
+    it("should only treat dates as DOBs with a birth keyword", () => {
+      expect(detectPii("Reported 2024-03-01")).toEqual([]);
+      expect(detectPii("date of birth 1985-06-01")[0].value).toBe("1985-06-01");
+    });
+
+    it("should detect unformatted SSNs next to an SSN label", () => {
+      expect(detectPii("ssn: 123456789")[0]).toMatchObject({
+        type: "ssn",
+        value: "123456789",
+      });
+    });
+
+    it("should limit detection to requested types", () => {
+      expect(
+        detectPii("123-45-6789 jane@example.com", { types: ["email"] })
+      ).toHaveLength(1);
+    });
+  });
+
+  describe("masking", () => {
+    it("should keep the last four digits by default", () => {
+      expect(maskPii("SSN 123-45-6789")).toBe("SSN ***-**-6789");
+      expect(maskPiiValue("4111 1111 1111 1111", "card_number")).toBe(
+        "**** **** **** 1111"
+      );
+      expect(maskPiiValue("jane@example.com", "email")).toBe(
+        "j***@example.com"
+      );
+      expect(maskPiiValue("06/01/1985", "date_of_birth")).toBe("**/**/1985");
+    });
+
+    it("should hash values consistently regardless of formatting", () => {
+      const a = maskPiiValue("123-45-6789", "ssn", "hash", "pepper");
+      const b = maskPiiValue("123 45 6789", "ssn", "hash", "pepper");
+      expect(a).toMatch(/^\[SSN:[0-9a-f]{12}\]$/);
+      expect(a).toBe(b);
+      expect(maskPiiValue("123-45-6789", "ssn", "hash", "salt")).not.toBe(a);
+    });
+
+    it("should apply per-type policies", () => {
+      expect(
+        maskPii("123-45-6789 / jane@example.com", {
+          policy: { ssn: "redact", email: "hash" },
+        })
+      ).toMatch(/^\[REDACTED SSN\] \/ \[EMAIL:[0-9a-f]{12}\]$/);
+    });
+  });
+
+  describe("nested objects", () => {
+    const consumer = {
+      name: "Jane Consumer",
+      ssn: "123456789",
+      dateOfBirth: "1985-06-01",
+      contact: { email: "jane@example.com", phones: ["555-867-5309"] },
+      bank: { routingNumber: "021000021", accountNumber: 12345678 },
+      tradelines: [{ accountNumber: "XXXXXXXXXXXX1234", balance: 1200 }],
+    };
+
+    it("should report PII with its path using field names as hints", () => {
+      const paths = findPiiInObject(consumer).map(
+        (match) => `${match.path}:${match.type}`
+      );
+      expect(paths).toEqual([
+        "ssn:ssn",
+        "dateOfBirth:date_of_birth",
+        "contact.email:email",
+        "contact.phones[0]:phone",
+        "bank.routingNumber:routing_number",
+        "bank.accountNumber:bank_account",
+      ]);
+    });
+
+    it("should mask a deep copy and leave the original untouched", () => {
+      const masked = maskPiiInObject(consumer, { policy: "redact" });
+
+      expect(masked.ssn).toBe("[REDACTED SSN]");
+      expect(masked.contact.phones[0]).toBe("[REDACTED PHONE]");
+      expect(masked.bank.accountNumber).toBe("[REDACTED ACCOUNT]");
+      expect(masked.tradelines[0]).toEqual(consumer.tradelines[0]);
+      expect(consumer.ssn).toBe("123456789");
+      expect(containsPii(masked)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import { buildPath, matchPath, matchRoute } from "../../../src/utils/routes";
+
+describe("Routes", () => {
+  it("should match static and param segments", () => {
+    expect(matchPath("/", "/")).toEqual({});
+    expect(matchPath("/settings", "/settings/")).toEqual({});
+    expect(matchPath("/consumers/:consumerId", "/consumers/c-42")).toEqual({
+      consumerId: "c-42",
+    });
+    expect(
+      matchPath("/consumers/:consumerId/reports", "/consumers/a%20b/reports")
+    ).toEqual({ consumerId: "a b" });
+  });
+
+  it("should reject partial, extra or malformed segments", () => {
+    expect(matchPath("/consumers/:consumerId", "/consumers")).toBeNull();
+    expect(matchPath("/consumers/:consumerId", "/consumers/c-1/x")).toBeNull();
+    expect(matchPath("/settings", "/Settings")).toBeNull();
+    expect(matchPath("/consumers/:consumerId", "/consumers/%E0%A4")).toBeNull();
+  });
+
+  it("should support catch-all patterns", () => {
+    expect(matchPath("/consumers/:consumerId/*", "/consumers/c-1")).toEqual({
+      consumerId: "c-1",
+    });
+    expect(
+      matchPath("/consumers/:consumerId/*", "/consumers/c-1/disputes")
+    ).toEqual({ consumerId: "c-1" });
+  });
+
+  it("should pick the first matching route", () => {
+    const routes = [
+      { id: "home", path: "/" },
+      { id: "consumer", path: "/consumers/:consumerId" },
+    ];
+    expect(matchRoute(routes, "/consumers/c-1")).toEqual({
+      route: routes[1],
+      params: { consumerId: "c-1" },
+    });
+    expect(matchRoute(routes, "/nope")).toBeNull();
+  });
+
+  it("should build encoded paths", () => {
+    expect(
+      buildPath("/consumers/:consumerId/reports", { consumerId: "a/b c" })
+    ).toBe("/consumers/a%2Fb%20c/reports");
+    expect(() => buildPath("/consumers/:consumerId")).toThrow(
+      "Missing route param: consumerId"
+    );
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_SCORE_THEME,
+  clampScore,
+  getScoreBand,
+  getScoreBands,
+  resolveScoreTheme,
+} from "../../../src/utils/scoreBands";
+
+describe("Score Bands", () => {
+  it("should use the FICO 8 bands by default", () => {
+    expect(getScoreBands().map((band) => band.id)).toEqual([
+      "EXCELLENT",
+      "VERY_GOOD",
+      "GOOD",
+      "FAIR",
+      "POOR",
+    ]);
+    expect(getScoreBand(760)).toMatchObject({
+      id: "VERY_GOOD",
+      label: "Very Good",
+      color: DEFAULT_SCORE_THEME.VERY_GOOD,
+      description: "Very good credit - favorable rates",
+    });
+    expect(getScoreBand(579).id).toBe("POOR");
+    expect(getScoreBand(200).id).toBe("POOR");
+  });
+
+  it("should follow the band set of the scoring model", () => {
+    expect(getScoreBand(760, { model: "VANTAGESCORE_4" }).id).toBe("GOOD");
+    expect(getScoreBand(450, { model: "VANTAGESCORE_4" })).toMatchObject({
+      id: "VERY_POOR",
+      label: "Very Poor",
+    });
+    expect(getScoreBand(880, { model: "FICO_AUTO_8" }).id).toBe("EXCELLENT");
+  });
+
+  it("should take colors from the theme", () => {
+    const band = getScoreBand(810, { theme: { EXCELLENT: "#15803d" } });
+    expect(band.color).toBe("#15803d");
+    expect(getScoreBand(500, { theme: { EXCELLENT: "#15803d" } }).color).toBe(
+      DEFAULT_SCORE_THEME.POOR
+    );
+  });
+
+  it("should fill surface tokens a partial theme leaves out", () => {
+    expect(resolveScoreTheme({ accent: "#1d4ed8" })).toEqual({
+      ...DEFAULT_SCORE_THEME,
+      accent: "#1d4ed8",
+    });
+    expect(resolveScoreTheme().needle).toBe(DEFAULT_SCORE_THEME.needle);
+  });
+
+  it("should resolve labels through the translator with English fallback", () => {
+    const messages: Record<string, string> = {
+      "scoreBand.GOOD.label": "Bueno",
+    };
+    const band = getScoreBand(700, { translate: (key) => messages[key] });
+    expect(band.labelKey).toBe("scoreBand.GOOD.label");
+    expect(band.label).toBe("Bueno");
+    expect(band.description).toBe("Good credit - competitive rates");
+  });
+
+  it("should clamp scores to the model range", () => {
+    expect(clampScore(900)).toBe(850);
+    expect(clampScore(250)).toBe(300);
+    expect(clampScore(880, "FICO_BANKCARD_8")).toBe(880);
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect } from "vitest";
+import {
+  getReasonCode,
+  groupScoreFactors,
+  rankScoreFactors,
+  toAdverseActionReasons,
+  validateScoreFactors,
+  toKeyFactors,
+  type ScoreFactorDetail,
+} from "../../../src/utils/scoreFactors";
+
+const factors: ScoreFactorDetail[] = [
+  { category: "credit_age", impact: "positive", severity: "medium" },
+  {
+    category: "new_credit",
+    impact: "negative",
+    severity: "high",
+    reasonCode: "08",
+  },
+  {
+    category: "payment_history",
+    impact: "negative",
+    severity: "high",
+    reasonCode: "40",
+  },
+  {
+    category: "utilization",
+    impact: "negative",
+    severity: "medium",
+    reasonCode: "10",
+  },
+  {
+    category: "payment_history",
+    impact: "negative",
+    severity: "low",
+    reasonCode: "13",
+  },
+];
+
+describe("Score Factors", () => {
+  it("should rank negatives by severity weighted by category share", () => {
+    expect(
+      rankScoreFactors(factors).map((factor) => [
+        factor.rank,
+        factor.reasonCode ?? factor.category,
+      ])
+    ).toEqual([
+      [1, "40"],
+      [2, "10"],
+      [3, "13"],
+      [4, "08"],
+      [5, "credit_age"],
+    ]);
+  });
+
+  it("should explain factors from their reason code or category", () => {
+    const [top, , , , positive] = rankScoreFactors(factors);
+    expect(top.statement).toBe("Derogatory public record or collection filed");
+    expect(top.explanation).toMatch(/can be disputed/);
+    expect(positive.statement).toBe("Length of credit history");
+    expect(
+      rankScoreFactors([
+        {
+          category: "utilization",
+          impact: "negative",
+          severity: "low",
+          reasonCode: "05",
+          description: "Four cards carry a balance",
+        },
+      ])[0].statement
+    ).toBe("Four cards carry a balance");
+  });
+
+  it("should group by category with the most impactful group first", () => {
+    const groups = groupScoreFactors(factors);
+    expect(groups.map((group) => group.category)).toEqual([
+      "payment_history",
+      "utilization",
+      "new_credit",
+      "credit_age",
+    ]);
+    expect(groups[0]).toMatchObject({ label: "Payment history", weight: 0.35 });
+    expect(groups[0].factors.map((factor) => factor.reasonCode)).toEqual([
+      "40",
+      "13",
+    ]);
+  });
+
+  it("should derive unique adverse action reasons in rank order", () => {
+    const reasons = toAdverseActionReasons([
+      ...factors,
+      {
+        category: "payment_history",
+        impact: "negative",
+        severity: "medium",
+        reasonCode: "40",
+      },
+    ]);
+    expect(reasons.map((reason) => reason.code)).toEqual([
+      "40",
+      "10",
+      "13",
+      "08",
+    ]);
+    expect(toAdverseActionReasons(factors, 2)).toHaveLength(2);
+  });
+
+  it("should add inquiries as a fifth key factor when ranked lower", () => {
+    const many: ScoreFactorDetail[] = [
+      {
+        category: "payment_history",
+        impact: "negative",
+        severity: "high",
+        reasonCode: "40",
+      },
+      {
+        category: "utilization",
+        impact: "negative",
+        severity: "high",
+        reasonCode: "10",
+      },
+      {
+        category: "payment_history",
+        impact: "negative",
+        severity: "medium",
+        reasonCode: "13",
+      },
+      {
+        category: "utilization",
+        impact: "negative",
+        severity: "medium",
+        reasonCode: "01",
+      },
+      {
+        category: "credit_age",
+        impact: "negative",
+        severity: "high",
+        reasonCode: "14",
+      },
+      {
+        category: "new_credit",
+        impact: "negative",
+        severity: "low",
+        reasonCode: "08",
+      },
+    ];
+
+    expect(toKeyFactors(many).map((reason) => reason.code)).toEqual([
+      "40",
+      "10",
+      "13",
+      "01",
+      "08",
+    ]);
+    // Within the top four it is not repeated; without it there is no fifth
+    expect(toKeyFactors(factors).map((reason) => reason.code)).toEqual([
+      "40",
+      "10",
+      "13",
+      "08",
+    ]);
+    expect(
+      toKeyFactors(many.filter((factor) => factor.reasonCode !== "08"))
+    ).toHaveLength(4);
+  });
+
+  it("should fall back to generic wording for unknown or mismatched codes", () => {
+    const factors: ScoreFactorDetail[] = [
+      {
+        category: "credit_mix",
+        impact: "negative",
+        severity: "low",
+        reasonCode: "08",
+      },
+      {
+        category: "utilization",
+        impact: "negative",
+        severity: "high",
+        reasonCode: "99",
+      },
+    ];
+
+    expect(() => getReasonCode("99")).toThrow("Unknown reason code: 99");
+    expect(
+      rankScoreFactors(factors).map((factor) => [
+        factor.statement,
+        factor.explanation,
+      ])
+    ).toEqual([
+      ["Amounts owed", "How much of your available revolving credit is in use"],
+      ["Credit mix", "The variety of account types on your report"],
+    ]);
+    expect(toAdverseActionReasons(factors)).toEqual([]);
+
+    const result = validateScoreFactors(factors);
+    expect(result.isValid).toBe(false);
+    expect(
+      result.issues.map((issue) => [issue.code, issue.field, issue.message])
+    ).toEqual([
+      [
+        "SCORE_FACTOR_REASON_CODE_UNKNOWN",
+        "factors[1].reasonCode",
+        "Unknown reason code: 99",
+      ],
+      [
+        "SCORE_FACTOR_REASON_CODE_MISMATCH",
+        "factors[0].reasonCode",
+        "Reason code 08 belongs to new_credit, not credit_mix",
+      ],
+    ]);
+  });
+});
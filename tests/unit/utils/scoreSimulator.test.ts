@@ -0,0 +1,200 @@
+import { describe, it, expect } from "vitest";
+import {
+  SIMULATION_DISCLAIMER,
+  analyzeCreditFactors,
+  projectNegativeItemRemoval,
+  simulateScoreScenario,
+} from "../../../src/utils/scoreSimulator";
+import { buildReport, buildTradeline } from "../fixtures/creditReports";
+
+const asOf = new Date("2025-09-01T00:00:00Z");
+
+function collection(id: string, dofd: string) {
+  return {
+    id,
+    agencyName: "MIDLAND CREDIT MGMT",
+    accountNumber: `XXXX${id.slice(-4)}`,
+    balance: 500,
+    dateAssigned: dofd,
+    dateOfFirstDelinquency: dofd,
+    status: "unpaid" as const,
+  };
+}
+
+const report = buildReport("Experian", {
+  tradelines: [
+    buildTradeline({ id: "card-1", balance: 4500, creditLimit: 5000 }),
+    buildTradeline({
+      id: "auto-1",
+      creditorName: "ALLY FINANCIAL",
+      accountNumber: "XXXX7777",
+      accountType: "installment",
+      balance: 12000,
+      creditLimit: undefined,
+      dateOpened: "2022-01-01",
+    }),
+  ],
+  collections: [
+    collection("col-0001", "2025-01-01"),
+    collection("col-0002", "2023-06-01"),
+    collection("col-0003", "2019-02-01"),
+  ],
+  inquiries: [
+    {
+      id: "inq-1",
+      creditorName: "BEST AUTO",
+      date: "2025-05-01",
+      type: "hard",
+    },
+    { id: "inq-2", creditorName: "BANK X", date: "2023-01-01", type: "hard" },
+  ],
+});
+
+describe("Factor-Based Score Simulator", () => {
+  it("should extract scoring factors from a report", () => {
+    const profile = analyzeCreditFactors(report, asOf);
+
+    expect(profile.negativeItems.map((item) => item.id)).toEqual([
+      "col-0001",
+      "col-0002",
+      "col-0003",
+    ]);
+    expect(profile.utilization).toBeCloseTo(0.9);
+    expect(profile.maxCardUtilization).toBeCloseTo(0.9);
+    expect(profile.accountTypes).toEqual(["revolving", "installment"]);
+    expect(profile.hardInquiries12Months).toBe(1);
+  });
+
+  it("should project a low/expected/high range with factor explanations", () => {
+    const result = simulateScoreScenario({
+      currentScore: 600,
+      report,
+      scenario: {
+        label: "Remove all collections",
+        actions: [
+          {
+            type: "remove_items",
+            itemIds: ["col-0001", "col-0002", "col-0003"],
+          },
+        ],
+      },
+      asOf,
+    });
+
+    expect(result.projected.low).toBeLessThan(result.projected.expected);
+    expect(result.projected.expected).toBeLessThan(result.projected.high);
+    expect(result.change.expected).toBe(result.projected.expected - 600);
+    expect(result.factors).toHaveLength(1);
+    expect(result.factors[0].factor).toBe("payment_history");
+    expect(result.factors[0].explanation).toContain(
+      "leaves no derogatory marks"
+    );
+  });
+
+  it("should weigh recent items more than old ones", () => {
+    const simulate = (itemId: string) =>
+      simulateScoreScenario({
+        currentScore: 600,
+        report,
+        scenario: {
+          label: itemId,
+          actions: [{ type: "remove_items", itemIds: [itemId] }],
+        },
+        asOf,
+      }).change.expected;
+
+    expect(simulate("col-0001")).toBeGreaterThan(simulate("col-0003"));
+  });
+
+  it("should dampen gains while other negative items remain", () => {
+    const result = simulateScoreScenario({
+      currentScore: 600,
+      report,
+      scenario: {
+        label: "Remove newest collection",
+        actions: [{ type: "remove_items", itemIds: ["col-0001"] }],
+      },
+      asOf,
+    });
+
+    expect(result.factors[0].explanation).toContain(
+      "2 remaining negative items will continue to limit the gain"
+    );
+  });
+
+  it("should project paying a card down to a target utilization", () => {
+    const result = simulateScoreScenario({
+      currentScore: 650,
+      report,
+      scenario: {
+        label: "Pay card to 10%",
+        actions: [
+          { type: "pay_down", tradelineId: "card-1", targetUtilization: 0.1 },
+        ],
+      },
+      asOf,
+    });
+
+    expect(result.factors).toEqual([
+      expect.objectContaining({
+        factor: "utilization",
+        explanation: "Revolving utilization moves from 90% to 10%.",
+      }),
+    ]);
+    expect(result.change.expected).toBeGreaterThan(0);
+  });
+
+  it("should project removing inquiries", () => {
+    const result = simulateScoreScenario({
+      currentScore: 650,
+      report,
+      scenario: {
+        label: "Remove inquiry",
+        actions: [{ type: "remove_inquiries", inquiryIds: ["inq-1"] }],
+      },
+      asOf,
+    });
+
+    expect(result.factors[0].factor).toBe("new_credit");
+  });
+
+  it("should always include the CROA disclaimer", () => {
+    const result = simulateScoreScenario({
+      currentScore: 700,
+      report,
+      scenario: { label: "No change", actions: [] },
+      asOf,
+    });
+
+    expect(result.disclaimer).toBe(SIMULATION_DISCLAIMER);
+    expect(result.disclaimer).toContain("no specific score increase");
+    expect(result.citation.label).toBe("CROA §404(a)");
+    expect(result.projected).toEqual({ low: 700, expected: 700, high: 700 });
+  });
+
+  it("should clamp projections to the scoring model range", () => {
+    expect(projectNegativeItemRemoval(880, 10, "FICO_AUTO_8").high).toBe(900);
+  });
+
+  it("should give diminishing, capped gains for count-only projections", () => {
+    const gain = (count: number) =>
+      projectNegativeItemRemoval(500, count).expected - 500;
+
+    expect(gain(0)).toBe(0);
+    expect(gain(2) - gain(1)).toBeLessThan(gain(1));
+    expect(gain(10) - gain(9)).toBeLessThan(gain(2) - gain(1));
+    expect(projectNegativeItemRemoval(400, 1_000_000).high).toBe(600);
+    expect(() => projectNegativeItemRemoval(500, Infinity)).toThrow(
+      "Negative item count must be a whole number of items"
+    );
+    expect(() => projectNegativeItemRemoval(500, 2.5)).toThrow();
+    expect(() => projectNegativeItemRemoval(500, -1)).toThrow();
+    expect(() =>
+      simulateScoreScenario({
+        currentScore: 880,
+        report,
+        scenario: { label: "Invalid", actions: [] },
+      })
+    ).toThrow("Invalid current credit score");
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import {
+  SCORING_MODELS,
+  getScoringModel,
+  getScoreTier,
+  isScoreModelId,
+} from "../../../src/utils/scoringModels";
+
+describe("Scoring Model Registry", () => {
+  it("should default to FICO 8 (300-850)", () => {
+    const model = getScoringModel();
+
+    expect(model.id).toBe("FICO_8");
+    expect(model.min).toBe(300);
+    expect(model.max).toBe(850);
+  });
+
+  it("should use the 250-900 range for FICO industry scores", () => {
+    [
+      "FICO_AUTO_8",
+      "FICO_AUTO_9",
+      "FICO_BANKCARD_8",
+      "FICO_BANKCARD_9",
+    ].forEach((id) => {
+      const model = getScoringModel(id as keyof typeof SCORING_MODELS);
+      expect(model.min).toBe(250);
+      expect(model.max).toBe(900);
+    });
+  });
+
+  it("should throw for unknown scoring models", () => {
+    expect(() =>
+      getScoringModel("BEACON_5" as unknown as keyof typeof SCORING_MODELS)
+    ).toThrow("Unknown scoring model: BEACON_5");
+    expect(isScoreModelId("BEACON_5")).toBe(false);
+    expect(isScoreModelId("VANTAGESCORE_4")).toBe(true);
+  });
+
+  it("should define contiguous tiers covering each model's range", () => {
+    Object.values(SCORING_MODELS).forEach((model) => {
+      expect(model.tiers[0].max).toBe(model.max);
+      expect(model.tiers[model.tiers.length - 1].min).toBe(model.min);
+
+      model.tiers.slice(1).forEach((tier, index) => {
+        expect(tier.max).toBe(model.tiers[index].min - 1);
+      });
+    });
+  });
+
+  it("should band scores using the model's tiers", () => {
+    expect(getScoreTier(760).id).toBe("VERY_GOOD");
+    expect(getScoreTier(760, "VANTAGESCORE_3").id).toBe("GOOD");
+    expect(getScoreTier(450, "VANTAGESCORE_4").id).toBe("VERY_POOR");
+    expect(getScoreTier(880, "FICO_AUTO_8").id).toBe("EXCELLENT");
+    expect(getScoreTier(260, "FICO_BANKCARD_9").id).toBe("POOR");
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { createHash } from "node:crypto";
+import { sha256 } from "../../../src/utils/sha256";
+
+describe("sha256", () => {
+  it("should match the FIPS 180-4 test vectors", () => {
+    expect(sha256("")).toBe(
+      "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855"
+    );
+    expect(sha256("abc")).toBe(
+      "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+    );
+    expect(
+      sha256("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq")
+    ).toBe("248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1");
+  });
+
+  it("should hash UTF-8 text and block boundaries like node:crypto", () => {
+    ["é ñ 信用", "a".repeat(55), "a".repeat(56), "a".repeat(64)].forEach(
+      (input) => {
+        expect(sha256(input)).toBe(
+          createHash("sha256").update(input, "utf8").digest("hex")
+        );
+      }
+    );
+  });
+
+  it("should accept raw bytes", () => {
+    expect(sha256(new Uint8Array([0x61, 0x62, 0x63]))).toBe(sha256("abc"));
+  });
+});
@@ -0,0 +1,12 @@
+import { defineConfig } from "vitest/config";
+
+// API contract suite - runs against the mock credit API by default,
+// or a live backend when API_BASE_URL is set
+export default defineConfig({
+  test: {
+    environment: "node",
+    include: ["tests/Integration/**/*Test.ts"],
+    globalSetup: ["./tests/Integration/globalSetup.js"],
+    testTimeout: 15000,
+  },
+});